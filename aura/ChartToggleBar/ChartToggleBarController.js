@@ -129,12 +129,16 @@
         
         //helper.showSpinner(component);
         var selectedTab = component.get("v.selTabId");
-        var chart = component.find("chart").getElement();
         var childTableComponent = component.find("tableListId");
         var currentAccountSelected = childTableComponent.get("v.selChildTabId");
         var selectedUserView = component.get("v.selectedUserView");
         var accountTypeServiceSelected = component.get("v.taskType");
         
+        // trend, comparison and drill-down views are drawn by the helper
+        if(helper.renderEnhancedView(component)){
+            return;
+        }
+        
         var dataLabel = [];
         var dataset = [];
         var data = [];
@@ -741,10 +745,14 @@
         component.set('v.selectedUserView',userTypeSelected);
         
         var selectedTab = component.get("v.selTabId");
-        var chart = component.find("chart").getElement();
         var childTableComponent = component.find("tableListId");
         var currentAccountSelected = childTableComponent.get("v.selChildTabId");
         
+        // trend, comparison and drill-down views are drawn by the helper
+        if(helper.renderEnhancedView(component)){
+            return;
+        }
+        
         var dataLabel = [];
         var dataset = [];
         var data = [];
@@ -1312,6 +1320,21 @@
         }
     },
     
+    handleChartClick: function (component, event, helper) {
+        helper.handleChartClick(component, event.getParams());
+    },
+    
+    handleTrendOptionChange: function (component, event, helper) {
+        helper.refreshChart(component);
+    },
+    
+    handleBreadcrumbClick: function (component, event, helper) {
+        event.preventDefault();
+        var depth = parseInt(event.getSource().get("v.name"), 10);
+        component.set("v.drillPath", component.get("v.drillPath").slice(0, depth));
+        helper.refreshChart(component);
+    },
+    
     showSpinner: function (component, event, helper) {
         alert('here');
         helper.showSpinner(component, event, helper);
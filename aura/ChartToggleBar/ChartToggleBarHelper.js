@@ -1,92 +1,268 @@
 ({
-	dynamicColors : function() {
-		 var r = Math.floor(Math.random() * 255);
-        var g = Math.floor(Math.random() * 255);
-        var b = Math.floor(Math.random() * 255);
-        return "rgb(" + r + "," + g + "," + b + ")";
-	},
-   
-    // sort a dataset
+    // task count bars, rendered by c:dashboardChart; a click filters the table list and drills down
     generateChart: function (component,dataset,datalabel,xAxisLimit) {
-      if(xAxisLimit == 1){
-            xAxisLimit = 2 ;
+        component.set("v.chartKind", 'tasks');
+        component.set("v.chartSpec", {
+            type : 'bar',
+            title : 'Task Count',
+            categories : datalabel,
+            series : [{ name : 'Count of Tasks', data : dataset }],
+            yAxisTitle : 'Count of Tasks',
+            yMax : xAxisLimit,
+            visibleCategories : 5,
+            legend : false
+        });
+    },
+    
+    // ====== TRENDS, COMPARISON AND DRILL-DOWN (c:taskBacklogTrend) ======
+    
+    rootLevel : function(component) {
+        var childTableComponent = component.find("tableListId");
+        return (childTableComponent && childTableComponent.get("v.selChildTabId")) || 'vendor';
+    },
+    
+    levelRows : function(component, level) {
+        return component.get("v." + level) || [];
+    },
+    
+    // a new account tab in the table list starts a new drill path
+    syncDrillRoot : function(component) {
+        var rootLevel = this.rootLevel(component);
+        if(component.get("v.drillRootLevel") != rootLevel){
+            component.set("v.drillRootLevel", rootLevel);
+            component.set("v.drillRootLabel", component.find("backlogTrend").levelLabelOf(rootLevel));
+            component.set("v.drillPath", []);
         }
-        if(xAxisLimit == 0){
-            xAxisLimit = 2 ;
+    },
+    
+    isEnhancedView : function(component) {
+        return component.get("v.viewMode") == 'trend'
+            || component.get("v.compareWith") != 'none'
+            || component.get("v.drillPath").length > 0;
+    },
+    
+    filterOf : function(component) {
+        return {
+            userView : component.get("v.selectedUserView") || 'All',
+            taskType : component.get("v.taskType") || 'All'
+        };
+    },
+    
+    // level and rows of the chart at the end of the drill path; selected is the
+    // location whose task list is shown
+    currentView : function(component) {
+        var trend = component.find("backlogTrend");
+        var level = component.get("v.drillRootLevel");
+        var rows = this.levelRows(component, level);
+        var selected = null;
+        var path = component.get("v.drillPath");
+        if(path.length > 0){
+            var last = path[path.length - 1];
+            var childLevel = trend.childLevelOf(last.level);
+            if(childLevel){
+                level = childLevel;
+                rows = trend.childEntriesOf(last.entry, this.levelRows(component, childLevel));
+            } else {
+                // last level: the chart stays on the locations, the task list opens below
+                selected = last;
+                if(path.length > 1){
+                    rows = trend.childEntriesOf(path[path.length - 2].entry, this.levelRows(component, level));
+                }
+            }
         }
-        new Highcharts.Chart({
-            chart: {
-        type: 'bar',
-        marginLeft: 150,
-		renderTo: component.find("chart").getElement(),
-    },
-    title: {
-        text: 'Task Count'
-    },
-    subtitle: {
-        text: ''
-    },
-    colors: [
-                "rgb(122, 184, 0)"
-            ],
-    xAxis: {
-        type: 'category',
-        title: {
-            text: null
-        },
-        min: 0,
-        max: 4,
-        categories: datalabel,
-        scrollbar: {
-            enabled: true
-        },
-        tickLength: 0
-    },
-    yAxis: {
-        min: 0,
-        max: xAxisLimit,
-        
-        title: {
-            text: 'Count of Tasks',
-            align: 'high'
+        return { level : level, rows : rows, selected : selected };
+    },
+    
+    // redraw after a view option or breadcrumb change
+    refreshChart : function(component) {
+        if(!this.renderEnhancedView(component)){
+            component.set("v.drillTasks", []);
+            $A.enqueueAction(component.get("c.parentPress"));
         }
     },
-    plotOptions: {
-        bar: {
-            dataLabels: {
-                enabled: true
-            }
-        },
-        series: {
-                cursor: 'pointer',
-                point: {
-                    events: {
-                        click: function() {
-                            var cmpEvent = component.getEvent("cmpEvent");
-        cmpEvent.setParams({
-            "AccountName" : this.category,
-            "UserDropdownValue" : ""
+    
+    // draws the trend, comparison or drill-down chart; false when the plain bar chart applies
+    renderEnhancedView : function(component) {
+        this.syncDrillRoot(component);
+        if(!this.isEnhancedView(component)){
+            component.set("v.drillTasks", []);
+            return false;
+        }
+        var self = this;
+        var trend = component.find("backlogTrend");
+        var view = this.currentView(component);
+        var filter = this.filterOf(component);
+        var ranked = trend.rankEntries(view.rows, {
+            userView : filter.userView,
+            taskType : filter.taskType,
+            limit : component.get("v.selectedNumberOfVendorTab") || 5
         });
-        cmpEvent.fire();
-                        }
-                    }
+        var subtitle = this.subtitleOf(component, view);
+        component.set("v.chartRows", ranked);
+        this.showTaskList(component, view.selected, filter);
+        
+        this.showSpinner(component);
+        var request;
+        if(component.get("v.viewMode") == 'trend'){
+            // more than 10 lines are unreadable
+            request = trend.loadTrend(view.level, ranked.slice(0, 10), {
+                days : parseInt(component.get("v.trendWindow"), 10),
+                granularity : component.get("v.trendGranularity"),
+                userView : filter.userView,
+                taskType : filter.taskType
+            }).then($A.getCallback(function(result) {
+                self.generateTrendChart(component, result, subtitle);
+            }));
+        } else {
+            request = trend.loadComparison(view.level, ranked, {
+                compareWith : component.get("v.compareWith"),
+                userView : filter.userView,
+                taskType : filter.taskType
+            }).then($A.getCallback(function(rows) {
+                self.generateComparisonChart(component, rows, subtitle);
+            }));
+        }
+        request.then($A.getCallback(function() {
+            self.hideSpinner(component);
+        })).catch($A.getCallback(function(error) {
+            self.hideSpinner(component);
+            self.showError(component, error);
+        }));
+        return true;
+    },
+    
+    subtitleOf : function(component, view) {
+        var trend = component.find("backlogTrend");
+        var path = component.get("v.drillPath");
+        var parent = view.selected ? path[path.length - 2] : path[path.length - 1];
+        var text = trend.levelLabelOf(view.level) + (parent ? ' of ' + parent.name : '');
+        if(component.get("v.viewMode") != 'trend' && component.get("v.compareWith") != 'none'){
+            text += ' - change vs. ' + trend.compareLabelOf(component.get("v.compareWith"));
+        }
+        return text;
+    },
+    
+    showTaskList : function(component, selected, filter) {
+        if(!selected){
+            component.set("v.drillTasks", []);
+            return;
+        }
+        var tasks = component.find("backlogTrend").tasksOf(selected.entry, filter);
+        var columns = [];
+        if(tasks.length > 0){
+            Object.keys(tasks[0]).forEach(function(fieldName) {
+                var value = tasks[0][fieldName];
+                if(fieldName != 'Id' && (value === null || typeof value != 'object')){
+                    columns.push({ label : fieldName.replace(/([a-z])([A-Z])/g, '$1 $2'), fieldName : fieldName, type : 'text' });
                 }
-            }
+            });
+        }
+        component.set("v.drillTaskColumns", columns);
+        component.set("v.drillTaskTitle", 'Tasks of ' + selected.name + ' (' + tasks.length + ')');
+        component.set("v.drillTasks", tasks.map(function(task, index) {
+            return Object.assign({ rowKey : task.Id || String(index) }, task);
+        }));
+    },
+    
+    // drill from a bar or line into the next level, or open the task list of a location
+    drillDown : function(component, row) {
+        if(!row){
+            return;
+        }
+        var view = this.currentView(component);
+        var path = component.get("v.drillPath").slice();
+        if(view.selected){
+            path.pop();
+        }
+        path.push({ level : view.level, key : row.key, name : row.name, entry : row.entry });
+        component.set("v.drillPath", path);
+        this.renderEnhancedView(component);
+    },
+    
+    drillDownByName : function(component, name) {
+        this.syncDrillRoot(component);
+        var view = this.currentView(component);
+        var filter = this.filterOf(component);
+        var rows = component.find("backlogTrend").rankEntries(view.rows, filter);
+        this.drillDown(component, rows.find(function(row) { return row.name == name; }));
+    },
+    
+    generateComparisonChart : function(component, rows, subtitle) {
+        var compare = component.get("v.compareWith") != 'none';
+        var maxCount = 0;
+        rows.forEach(function(row) {
+            maxCount = Math.max(maxCount, row.count, row.previous || 0);
+        });
+        var series = [{
+            name : 'Count of Tasks',
+            data : rows.map(function(row) {
+                return { y : row.count, label : compare ? row.changeLabel : '' };
+            })
+        }];
+        if(compare){
+            series.push({
+                name : 'Count ' + component.find("backlogTrend").compareLabelOf(component.get("v.compareWith")),
+                color : 'muted',
+                dataLabels : false,
+                data : rows.map(function(row) { return row.previous; })
+            });
+        }
+        component.set("v.chartKind", 'comparison');
+        component.set("v.chartSpec", {
+            type : 'bar',
+            title : 'Task Count',
+            subtitle : subtitle,
+            categories : rows.map(function(row) { return row.name; }),
+            series : series,
+            yAxisTitle : 'Count of Tasks',
+            yMax : maxCount,
+            legend : compare
+        });
     },
-    legend: {
-        enabled: false
+    
+    generateTrendChart : function(component, result, subtitle) {
+        component.set("v.chartKind", 'trend');
+        component.set("v.chartSpec", {
+            type : 'line',
+            title : 'Task Count Trend',
+            subtitle : result.periods.length > 0 ? subtitle : subtitle + ' - no snapshots in this window yet',
+            categories : result.categories,
+            series : result.series,
+            xAxisTitle : 'Snapshot',
+            yAxisTitle : 'Count of Tasks',
+            dataLabels : false,
+            legend : true
+        });
     },
-    credits: {
-        enabled: false
+    
+    // chartclick of c:dashboardChart
+    handleChartClick : function(component, detail) {
+        var chartKind = component.get("v.chartKind");
+        if(chartKind == 'trend'){
+            this.drillDown(component, component.get("v.chartRows")[detail.seriesIndex]);
+        } else if(chartKind == 'comparison'){
+            this.drillDown(component, component.get("v.chartRows")[detail.index]);
+        } else {
+            var cmpEvent = component.getEvent("cmpEvent");
+            cmpEvent.setParams({
+                "AccountName" : detail.category,
+                "UserDropdownValue" : ""
+            });
+            cmpEvent.fire();
+            this.drillDownByName(component, detail.category);
+        }
     },
-    series: [{
-        name: 'Count of Tasks',
-        data: dataset 
-    }]
-});
     
-        return component.Chart ;
+    showError : function(component, error) {
+        var toastEvent = $A.get("e.force:showToast");
+        toastEvent.setParams({
+            "title" : "Task backlog history",
+            "message" : (error && error.message) || 'Task backlog history could not be loaded.',
+            "type" : "error"
+        });
+        toastEvent.fire();
     },
+    
      showSpinner: function (component, event, helper) {
         var spinner = component.find("mySpinner");
         $A.util.removeClass(spinner, "slds-hide");
@@ -185,235 +185,11 @@
     },*/
     
     export : function(component, event, helper) {
-        
-        //helper.fnExcelReport(component, event, helper);
-        
-        var lstPositions = component.get("v.wrappers");
-        var PositionTitle = 'Selected Position';
-        var data = [];
-        var headerArray = [];
-        
-        headerArray.push("S.NO"); 
-        var headerLabel = component.get("v.columns");
-        
-        var table  = "<table border='2px'>";
-        
-        for(var key in headerLabel){
-            if(headerLabel[key].label == "Task Link"){
-                headerArray.push("SUBJECT");
-                table = table+ '<tr><th bgcolor= "#229954">S.NO</th><th bgcolor= "#229954">SUBJECT</th>';
-            }
-            else{
-                var header = headerLabel[key].label ;
-                
-                headerArray.push(header.toUpperCase());
-                table = table + '<th bgcolor= "#229954">'+header.toUpperCase()+'</th>';
-            }
-            
-        }
-        table = table +'</tr>';
-        var csvContentArray = [];
-        //Provide the title 
-        var CSV = "Account Name :"+component.get("v.AccountName");
-        
-        data.push(headerArray);
-        
-        var sno = 0;
-        for(var i=0;i<lstPositions.length;i++){
-            
-            var ServiceDate = '';
-            var Outcome = '';
-            var AccountNumber = '';
-            var AccStatus = '';
-            var ParentId = '';
-            var vendorRelationship = '';
-            var MarketArea = '';
-            var Unit = '';
-            var WmVendor = '';
-            var description = '';
-            var AssetCategory = '';
-            var Position = '';
-            var ContactEmail = '';
-            var ContactNumber = '';
-            var ContactTitle = '';
-            var ContactMethod = '';
-            var LocationAccount = '';
-            var MarketArea = '';
-            var VendorBU = '';
-            var Comments = '';
-            var TaskType = '';
-            var Attempt = '';
-            var AssetEquipmentSize = '';
-            var AssetMaterialType = '';
-            var CaseType = '';
-            var CaseSubType = '';
-            var AssetMASAccountNumber = '';
-            var AssetVendorAccountNumber = '';
-            var AcornWONumber='';
-            var LocationAddress = '';
-            var LocationCity = '';
-            var LocationState = '';
-            var LocationZipCode = '';
-            var AssetName = '';
-            
-            if(lstPositions[i].isChecked)  {
-                if(lstPositions[i].AssetName != undefined){
-                    AssetName = lstPositions[i].acc.AssetName ;
-                }
-                if(lstPositions[i].ServiceDate != undefined){
-                    ServiceDate = lstPositions[i].ServiceDate ;
-                }
-                if(lstPositions[i].Outcome != undefined){
-                    Outcome = lstPositions[i].Outcome ;
-                }
-                if(lstPositions[i].acc.CompanyCategory != undefined){
-                    AssetCategory = lstPositions[i].acc.CompanyCategory ;
-                }
-                if(lstPositions[i].acc.Position != undefined){
-                    Position = lstPositions[i].acc.Position;
-                }
-                if(lstPositions[i].acc.TaskAttempt!= undefined ){
-                    Attempt = lstPositions[i].acc.TaskAttempt ;
-                }
-                if(lstPositions[i].acc.ContactEmail != undefined){
-                    ContactEmail = lstPositions[i].acc.ContactEmail;
-                }
-                if(lstPositions[i].acc.ContactNumber != undefined){
-                    ContactNumber = lstPositions[i].acc.ContactNumber;
-                }
-                if(lstPositions[i].acc.ContactTitle != undefined){
-                    ContactTitle = lstPositions[i].acc.ContactTitle;
-                }
-                if(lstPositions[i].acc.ContactMethod != undefined){
-                    ContactMethod = lstPositions[i].acc.ContactMethod;
-                }
-                if(lstPositions[i].acc.AcornWONumber != undefined){
-                    AcornWONumber = lstPositions[i].acc.AcornWONumber;
-                }
-                if(lstPositions[i].acc.LocationAccount != undefined){
-                    LocationAccount = lstPositions[i].acc.LocationAccount;
-                }
-                if(lstPositions[i].acc.LocationAddress != undefined){
-                    LocationAddress = lstPositions[i].acc.LocationAddress;
-                }
-                if(lstPositions[i].acc.LocationCity != undefined){
-                    LocationCity = lstPositions[i].acc.LocationCity;
-                }
-                if(lstPositions[i].acc.LocationState != undefined){
-                    LocationState = lstPositions[i].acc.LocationState;
-                }
-                if(lstPositions[i].acc.LocationZipCode != undefined){
-                    LocationZipCode = lstPositions[i].acc.LocationZipCode;
-                }
-                if(lstPositions[i].acc.MarketArea != undefined){
-                    MarketArea = lstPositions[i].acc.MarketArea;
-                }
-                if(lstPositions[i].acc.VendorBU != undefined){
-                    VendorBU = lstPositions[i].acc.VendorBU;
-                }
-                if(lstPositions[i].Comment != undefined){
-                    Comments = lstPositions[i].Comment;
-                }
-                if(lstPositions[i].acc.AssetEquipmentSize != undefined){
-                    AssetEquipmentSize = lstPositions[i].acc.AssetEquipmentSize;
-                }
-                if(lstPositions[i].acc.AssetMaterialType != undefined){
-                    AssetMaterialType = lstPositions[i].acc.AssetMaterialType;
-                }
-                if(lstPositions[i].acc.CaseType != undefined){
-                    CaseType = lstPositions[i].acc.CaseType;
-                }
-                if(lstPositions[i].acc.CaseSubType != undefined){
-                    CaseSubType = lstPositions[i].acc.CaseSubType;
-                }
-                if(lstPositions[i].acc.AssetMASAccountNumber != undefined){
-                    AssetMASAccountNumber = lstPositions[i].acc.AssetMASAccountNumber;
-                }
-                if(lstPositions[i].acc.AssetVendorAccountNumber != undefined){
-                    AssetVendorAccountNumber = lstPositions[i].acc.AssetVendorAccountNumber;
-                }
-                if(lstPositions[i].acc.AccountType != 'Construction and Demolition' && lstPositions[i].acc.AssetProject == null){
-                    TaskType = 'CS';
-                }else{
-                    TaskType = 'PS';
-                }
-                
-                var dueDateTimeFormat = lstPositions[i].acc.DueDateTime;
-                dueDateTimeFormat = $A.localizationService.formatDateTime(dueDateTimeFormat,"MM/dd/yyyy, hh:mm:ss a");
-                var localeDueDateTime = new Date(dueDateTimeFormat).toLocaleString("en-US", {timeZone: $A.get("$Locale.timezone")});
-                localeDueDateTime = new Date(localeDueDateTime);
-                
-                sno = parseInt(sno) + parseInt(1);
-                table = table +'<tr>';
-                
-                table = table +'<td>'+sno+'</td>';
-                table = table +'<td>'+lstPositions[i].acc.TaskName+'</td>';
-                table = table +'<td>'+lstPositions[i].acc.CaseNumber+'</td>';
-                table = table +'<td>'+AssetName+'</td>';
-                table = table +'<td>'+CaseType+'</td>';
-                table = table +'<td>'+CaseSubType+'</td>';
-                table = table +'<td>'+ServiceDate+'</td>';
-                //table = table +'<td>'+lstPositions[i].acc.Process+'</td>';
-                table = table +'<td>'+Outcome+'</td>';
-                table = table +'<td>'+localeDueDateTime.toLocaleString()+'</td>';
-                table = table +'<td>'+AssetCategory+'</td>';
-                table = table +'<td>'+Position+'</td>';
-                table = table +'<td>'+AssetMASAccountNumber+'</td>';
-                table = table +'<td>'+ContactEmail+'</td>';
-                table = table +'<td>'+ContactNumber+'</td>';
-                table = table +'<td>'+ContactTitle+'</td>';
-                table = table +'<td>'+ContactMethod+'</td>';
-                table = table +'<td>'+lstPositions[i].acc.AccountName+'</td>';
-                table = table +'<td>'+lstPositions[i].acc.AccountNumber+'</td>';
-                table = table +'<td>'+AcornWONumber+'</td>';
-                table = table +'<td>'+lstPositions[i].acc.Status+'</td>';
-                table = table +'<td>'+lstPositions[i].acc.ParentVendor+'</td>';
-                table = table +'<td>'+LocationAccount+'</td>';
-                table = table +'<td>'+LocationAddress+'</td>';
-                table = table +'<td>'+LocationCity+'</td>';
-                table = table +'<td>'+LocationState+'</td>';
-                table = table +'<td>'+LocationZipCode+'</td>';
-                table = table +'<td>'+MarketArea+'</td>';
-                table = table +'<td>'+VendorBU+'</td>';
-                table = table +'<td>'+lstPositions[i].acc.WMVendor+'</td>';
-                table = table +'<td>'+AssetVendorAccountNumber+'</td>';
-                table = table +'<td>'+AssetEquipmentSize+'</td>';
-                table = table +'<td>'+AssetMaterialType+'</td>';
-                table = table +'<td>'+Comments+'</td>';
-                table = table +'<td>'+lstPositions[i].acc.AssignedToName+'</td>';
-                table = table +'<td>'+TaskType+'</td>';
-                table = table +'<td>'+Attempt+'</td>';
-                table = table +'</tr>';
-            }}
-        
-        table = table +'</table>';
-        var heading = "Account Name :"+component.get("v.AccountName");
-        //var imgsrc1='https://wmsbs--dev--c.documentforce.com/servlet/servlet.ImageServer?id=0152a000000FAiR&oid=00D2a00000096PP&lastMod=1569580423000';
-        var imgsrc1 = $A.get("$Label.c.WM_LOGO_URL");
-        var template = '<html xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:x="urn:schemas-microsoft-com:office:excel" xmlns="http://www.w3.org/TR/REC-html40"><head><!--[if gte mso 9]><xml><x:ExcelWorkbook><x:ExcelWorksheets><x:ExcelWorksheet><x:Name>{worksheet}</x:Name><x:WorksheetOptions><x:DisplayGridlines/></x:WorksheetOptions></x:ExcelWorksheet></x:ExcelWorksheets></x:ExcelWorkbook></xml><![endif]--><meta http-equiv="content-type" content="text/plain; charset=UTF-8"/></head><body><img src="{imgsrc1}" style="float:left;clear:none;margin-right:50px " height=80 width=100/><br></br><h4 style="display:inline-block">{heading}</h4><br>{table}</body></html>'
-        , base64 = function(s) { return window.btoa(unescape(encodeURIComponent(s))) }
-        , format = function(s, c) { return s.replace(/{(\w+)}/g, function(m, p) { return c[p]; }) } 
-        
-        var ctx = {worksheet: 'Tasks' || 'Worksheet',imgsrc1: imgsrc1,table: table , heading: heading}
-        var blob = new Blob([format(template, ctx)]);
-        var blobURL = window.URL.createObjectURL(blob);
-        
-        var link = document.createElement("a");
-        
-        
-        var fileName = "Task Bundling Report.xls";
-        link.setAttribute('download',fileName);
-        
-        link.href = blobURL;
-        
-        
-        link.style = "visibility:hidden";
-        
-        
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        
+        helper.exportTable(component, 'xlsx');
+    },
+    
+    exportCsv : function(component, event, helper) {
+        helper.exportTable(component, 'csv');
     },
     handleDropdownOnclickEvent : function(component, event, helper) {
         //helper.handleDropdownOnclickEventHelper(component, event, helper); 
@@ -83,6 +83,107 @@
             component.set("v.listDependingValues", ['--- None ---']);
             component.set("v.bDisabledDependentFld" , true);
         }
+    },
+    
+    /*
+     * Columns of the export in the order the table shows them. Labels come from
+     * v.columns by position, the cell values from the task wrapper (acc).
+     */
+    exportColumns : function(component) {
+        var fields = [
+            { fieldName: 'acc.TaskName' },
+            { fieldName: 'acc.CaseNumber' },
+            { fieldName: 'acc.AssetName' },
+            { fieldName: 'acc.CaseType' },
+            { fieldName: 'acc.CaseSubType' },
+            { fieldName: 'acc.ServiceDate', type: 'date' },
+            { fieldName: 'acc.Outcome' },
+            { fieldName: 'acc.DueDateTime', type: 'datetime' },
+            { fieldName: 'acc.CompanyCategory' },
+            { fieldName: 'acc.Position' },
+            { fieldName: 'acc.AssetMASAccountNumber' },
+            { fieldName: 'acc.ContactEmail' },
+            { fieldName: 'acc.ContactNumber' },
+            { fieldName: 'acc.ContactTitle' },
+            { fieldName: 'acc.ContactMethod' },
+            { fieldName: 'acc.AccountName' },
+            { fieldName: 'acc.AccountNumber' },
+            { fieldName: 'acc.AcornWONumber' },
+            { fieldName: 'acc.Status' },
+            { fieldName: 'acc.ParentVendor' },
+            { fieldName: 'acc.LocationAccount' },
+            { fieldName: 'acc.LocationAddress' },
+            { fieldName: 'acc.LocationCity' },
+            { fieldName: 'acc.LocationState' },
+            { fieldName: 'acc.LocationZipCode' },
+            { fieldName: 'acc.MarketArea' },
+            { fieldName: 'acc.VendorBU' },
+            { fieldName: 'acc.WMVendor' },
+            { fieldName: 'acc.AssetVendorAccountNumber' },
+            { fieldName: 'acc.AssetEquipmentSize' },
+            { fieldName: 'acc.AssetMaterialType' },
+            { fieldName: 'acc.Comments' },
+            { fieldName: 'acc.AssignedToName' },
+            { fieldName: 'TaskType' },
+            { fieldName: 'acc.TaskAttempt', type: 'number' }
+        ];
+        var headerLabel = component.get("v.columns") || [];
+        var columns = [{ label: 'S.NO', fieldName: 'SNo', type: 'integer' }];
+        for (var i = 0; i < fields.length && i < headerLabel.length; i++) {
+            var label = headerLabel[i].label == "Task Link" ? "Subject" : headerLabel[i].label;
+            columns.push({
+                label: String(label || '').toUpperCase(),
+                fieldName: fields[i].fieldName,
+                type: fields[i].type
+            });
+        }
+        return columns;
+    },
+    
+    /*
+     * Export the rows the table shows as .xlsx or .csv: the checked rows when
+     * there are any, otherwise all of them.
+     */
+    exportTable : function(component, format) {
+        var lstPositions = component.get("v.finalDataList") || component.get("v.wrappers") || [];
+        var checked = lstPositions.filter(function(position) {
+            return position.isChecked;
+        });
+        if (checked.length > 0) {
+            lstPositions = checked;
+        }
+        var rows = [];
+        for (var i = 0; i < lstPositions.length; i++) {
+            var acc = lstPositions[i].acc || {};
+            rows.push({
+                SNo: i + 1,
+                TaskType: acc.AccountType != 'Construction and Demolition' && acc.AssetProject == null ? 'CS' : 'PS',
+                acc: acc
+            });
+        }
+        if (rows.length == 0) {
+            var toastEvent = $A.get("e.force:showToast");
+            toastEvent.setParams({
+                "title": "Warning!",
+                "message": "There are no rows to export."
+            });
+            toastEvent.fire();
+            return;
+        }
+        
+        var options = {
+            fileName: 'Task Bundling Report',
+            sheetName: 'Tasks',
+            title: 'Account Name : ' + (component.get("v.AccountName") || ''),
+            columns: this.exportColumns(component),
+            rows: rows
+        };
+        var tableExport = component.find("tableExport");
+        if (format == 'csv') {
+            tableExport.exportCsv(options);
+        } else {
+            tableExport.exportXlsx(options);
+        }
     }
     
 })
\ No newline at end of file
@@ -293,6 +293,10 @@
         let newValue = event.getSource().get("v.value")
         cmp.find('servceOverrideComment').set("v.required",(newValue.toLowerCase() == 'other'));
     },
+    //Schedule preview
+    refreshPreview :function(component,event,helper){
+        helper.refreshPreview(component);
+    },
     //SDT-31583
     handleRetryAssetAPI :function(component,event,helper){
         component.set("v.showSpinner", true);
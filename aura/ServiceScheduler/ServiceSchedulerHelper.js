@@ -487,6 +487,9 @@
     },
     prepopulateSchedular : function(cmp, pQline){
         console.log('prepopulateSchedular pQline==>'+JSON.stringify(pQline));
+        if(cmp.get("v.rrule")){
+            pQline = this.quoteLineFromRRule(cmp, pQline, cmp.get("v.rrule"));
+        }
         if(pQline.Occurrence_Type__c){
             console.log('line#398');
             if(pQline.Occurrence_Type__c =='OC'){
@@ -592,6 +595,18 @@
             cmp.set("v.clickedBtnName", 'On Call');
         }
     },
+    //RRULE import : schedule fields of the rule on a copy of the quote line; the quote line itself when the rule cannot be used
+    quoteLineFromRRule : function(cmp, pQline, rrule){
+        var recurrenceModule = cmp.find("scheduleRecurrence");
+        try{
+            var schedule = recurrenceModule.quoteLineScheduleOf(recurrenceModule.fromRRule(rrule).recurrence);
+            return Object.assign({}, pQline, schedule);
+        }catch(e){
+            console.log('quoteLineFromRRule error==>'+e.message);
+            this.showToast('Error', 'error', 'The recurrence rule could not be loaded: '+e.message);
+            return pQline;
+        }
+    },
     setSelectedRadioOptionValue : function(cmp, selectedWeekDayOption){
         if(selectedWeekDayOption == 'M;W;F'){
            cmp.set("v.selectedRadioOptionValue", 'MWF'); 
@@ -850,6 +865,43 @@ setEnabledDisabled : function (cmp,radioServiceDayChecked){
         cmp.set("v.onTheFirstInptDisabled",!radioServiceDayChecked);
         cmp.set("v.onTheDayOfWeekInptDisabled",!radioServiceDayChecked);
         cmp.set("v.onTheFrequencyInptDisabled",!radioServiceDayChecked);
-}
+},
 //SDT-38285 - end
+    //Schedule preview : recurrence of the selected options for c:serviceSchedulePreview
+    refreshPreview : function(cmp){
+        let recurrence = null;
+        switch(cmp.get("v.clickedBtnName")) {
+            case 'Daily':
+                if(cmp.get("v.dailyEveryDayBtnstate")){
+                    recurrence = {type:'daily', interval:cmp.get("v.dailyEveryDayFrequency")};
+                }else if(cmp.get("v.dailyEveryWeekBtnstate")){
+                    recurrence = {type:'weekdays'};
+                }
+                break;
+            case 'Weekly':
+                recurrence = {type:'weekly', interval:cmp.get("v.everyWeeks"), weekDays:cmp.get("v.selectedOptions") || []};
+                break;
+            case 'Monthly':
+                if(cmp.get("v.monthlyEveryMonthBtnstate")){
+                    recurrence = {type:'monthly', interval:cmp.get("v.monthlyEveryMonthFrequency")};
+                }else if(cmp.get("v.monthlySpecificMonthBtnstate") && cmp.get("v.radioServiceDateChecked")){
+                    recurrence = {type:'monthlyDate', interval:cmp.get("v.monthlySpecificMonthFrequency"),
+                                  dayOfMonth:cmp.get("v.monthlySpecificdayOfMonth")};
+                }else if(cmp.get("v.monthlySpecificMonthBtnstate") && cmp.get("v.radioServiceDayChecked")){
+                    recurrence = {type:'monthlyRelative', interval:cmp.get("v.monthlySpecificRelativeMonthFrequency"),
+                                  relativeInterval:cmp.get("v.monthRelativeInterval"), relativeDay:cmp.get("v.monthRelative")};
+                }
+                break;
+            case 'Yearly':
+                if(cmp.get("v.yearlyBtnstate")){
+                    recurrence = {type:'yearly', interval:cmp.get("v.yearlyFrequency")};
+                }
+                break;
+            default:
+        }
+        cmp.set("v.previewRecurrence", recurrence);
+        if(recurrence){
+            cmp.set("v.rrule", cmp.find("scheduleRecurrence").toRRule(recurrence));
+        }
+    }
 })
\ No newline at end of file
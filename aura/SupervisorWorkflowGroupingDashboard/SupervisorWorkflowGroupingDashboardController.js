@@ -138,6 +138,43 @@
 			}
 		});
         $A.enqueueAction(activeUsers);
+        
+        helper.registerLiveUpdateErrorHandler(component, helper);
+        helper.startLiveUpdates(component, helper);
+    },
+    
+    handleDestroy : function(component, event, helper) {
+        helper.stopLiveUpdates(component);
+    },
+    
+    toggleLiveUpdates : function(component, event, helper) {
+        if(component.get("v.liveUpdatesEnabled")){
+            helper.startLiveUpdates(component, helper);
+            helper.liveRefresh(component, helper);
+        }
+        else{
+            helper.stopLiveUpdates(component);
+        }
+    },
+    
+    refreshLiveData : function(component, event, helper) {
+        helper.liveRefresh(component, helper);
+    },
+    
+    markRowsAsSeen : function(component, event, helper) {
+        helper.markRowsAsSeen(component, helper);
+    },
+    
+    openBulkReassign : function(component, event, helper) {
+        helper.openBulkReassign(component, helper);
+    },
+    
+    handleBulkReassigned : function(component, event, helper) {
+        helper.liveRefresh(component, helper);
+    },
+    
+    exportTable : function(component, event, helper) {
+        helper.exportTable(component, helper, event.getParam("value"));
     },
     
     onControllerFieldChange: function(component, event, helper) {     
@@ -605,6 +642,10 @@
     
     // function automatic called by aura:waiting event  
     showSpinner: function(component, event, helper) {
+        // live refreshes run in the background without blocking the dashboard
+        if(component.get("v.isLiveRefreshing")){
+            return;
+        }
         // make Spinner attribute true for displaying loading spinner 
         component.set("v.spinner", true); 
     },
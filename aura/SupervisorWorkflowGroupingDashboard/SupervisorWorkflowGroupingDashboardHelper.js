@@ -107,6 +107,7 @@
                 component.set("v.workflowTaskList", dataList);
                 component.set("v.workflowTotalCount", originalData.length);
                 component.set("v.originalWorkflowTaskList", originalData);
+                helper.resetLiveUpdateBaseline(component, helper, 'workflow');
                 
                 for(var idx=0; idx<originalData.length && dataList.length < 50; idx++){
                     dataList.push(originalData[idx]);
@@ -305,6 +306,7 @@
                 component.set("v.ticketList", dataList);
                 component.set("v.originalTicketList", ticketList);
                 component.set("v.ticketTotalCount", ticketList.length);
+                helper.resetLiveUpdateBaseline(component, helper, 'ticket');
                 
                 for(var idx=0; idx<ticketList.length && dataList.length < 50; idx++){
                     dataList.push(ticketList[idx]);
@@ -539,6 +541,7 @@
                 component.set("v.taskList", dataList);
                 component.set("v.originalTaskList", taskList);
                 component.set("v.taskTotalCount",taskList.length);
+                helper.resetLiveUpdateBaseline(component, helper, 'task');
                 
                 for(var idx=0; idx<taskList.length && dataList.length < 50; idx++){
                     dataList.push(taskList[idx]);
@@ -591,6 +594,7 @@
 
                 component.set("v.originalCaseList", caseList);
                 component.set("v.caseTotalCount", caseList.length);
+                helper.resetLiveUpdateBaseline(component, helper, 'case');
                 for(var idx=0; idx<caseList.length && dataList.length < 50; idx++){
                     dataList.push(caseList[idx]);
                 }
@@ -628,6 +632,9 @@
             }
         }
         component.set("v.workflowTaskUpdateList",selectedRows);
+        component.set("v.workflowSelectedRows",(newSelectedRows || []).map(function(row) {
+            return row.TaskId;
+        }));
         component.set("v.workflowSelectedCount",newSelectedRows.length);
     },
     
@@ -640,6 +647,9 @@
             }
         }
         component.set("v.taskUpdateList",selectedRows);
+        component.set("v.taskSelectedRows",(newSelectedRows || []).map(function(row) {
+            return row.TaskId;
+        }));
         component.set("v.taskSelectedCount",newSelectedRows.length);
     },
     
@@ -652,6 +662,9 @@
             }
         }
         component.set("v.caseUpdateList",selectedRows);
+        component.set("v.caseSelectedRows",(newSelectedRows || []).map(function(row) {
+            return row.Id;
+        }));
         component.set("v.caseSelectedCount",newSelectedRows.length);
     },
     
@@ -664,6 +677,9 @@
             }
         }
         component.set("v.ticketUpdateMap",selectedRows);
+        component.set("v.ticketSelectedRows",(newSelectedRows || []).map(function(row) {
+            return row.CaseId;
+        }));
         component.set("v.ticketSelectedCount",newSelectedRows.length);
     },
     
@@ -1190,5 +1206,445 @@
             var B = key(b) ? key(b).toLowerCase() : '';
             return reverse * ((A > B) - (B > A));
         };
+    },
+
+    // ====================================================================
+    // LIVE UPDATES
+    // Tables refresh when a Case/Task change event or a task platform event
+    // arrives through lightning:empApi; when streaming is unavailable they
+    // are polled every v.livePollIntervalSeconds instead.
+    // ====================================================================
+
+    // table attributes per tab; keyField matches the lightning:datatable keyField
+    liveTableConfig : function(tab) {
+        var tables = {
+            workflow : {listAttr: 'workflowTaskList', originalAttr: 'originalWorkflowTaskList', totalAttr: 'workflowTotalCount', countAttr: 'workflowCount',
+                        columnsAttr: 'workflowTaskColumns', selectedRowsAttr: 'workflowSelectedRows', selectedCountAttr: 'workflowSelectedCount', keyField: 'TaskId', ownerFields: ['AssignedTo']},
+            task : {listAttr: 'taskList', originalAttr: 'originalTaskList', totalAttr: 'taskTotalCount', countAttr: 'taskCount',
+                    columnsAttr: 'taskColumns', selectedRowsAttr: 'taskSelectedRows', selectedCountAttr: 'taskSelectedCount', keyField: 'TaskId', ownerFields: ['AssignedTo']},
+            case : {listAttr: 'caseList', originalAttr: 'originalCaseList', totalAttr: 'caseTotalCount', countAttr: 'caseCount',
+                    columnsAttr: 'caseColumns', selectedRowsAttr: 'caseSelectedRows', selectedCountAttr: 'caseSelectedCount', keyField: 'Id', ownerFields: ['CaseOwner']},
+            ticket : {listAttr: 'ticketList', originalAttr: 'originalTicketList', totalAttr: 'ticketTotalCount', countAttr: 'ticketCount',
+                      columnsAttr: 'ticketColumns', selectedRowsAttr: 'ticketSelectedRows', selectedCountAttr: 'ticketSelectedCount', keyField: 'CaseId', ownerFields: ['TicketOwner', 'TeamQueue']}
+        };
+        return tables[tab];
+    },
+
+    activeLiveTab : function(component) {
+        if(component.get("v.showWorkflowTaskDashboard")){
+            return 'workflow';
+        }
+        else if(component.get("v.showTaskDashboard")){
+            return 'task';
+        }
+        else if(component.get("v.showCaseDashboard")){
+            return 'case';
+        }
+        else if(component.get("v.showTicketDashboard")){
+            return 'ticket';
+        }
+        return null;
+    },
+
+    // empApi keeps every registered error handler, so this is registered once in init
+    registerLiveUpdateErrorHandler : function(component, helper) {
+        var empApi = component.find("empApi");
+        if(!empApi){
+            return;
+        }
+        // any streaming error switches the dashboard to polling while live updates are on
+        empApi.onError($A.getCallback(function(error) {
+            console.log("Live updates streaming error ", error);
+            helper.startLivePolling(component, helper);
+        }));
+    },
+
+    startLiveUpdates : function(component, helper) {
+        if(!component.get("v.liveUpdatesEnabled")){
+            component.set("v.liveUpdateMode", "off");
+            return;
+        }
+        var empApi = component.find("empApi");
+        var channels = (component.get("v.liveUpdateChannels") || '').split(',').map(function(channel) {
+            return channel.trim();
+        }).filter(function(channel) {
+            return channel != '';
+        });
+        
+        if(!empApi || channels.length == 0){
+            helper.startLivePolling(component, helper);
+            return;
+        }
+        
+        empApi.isEmpEnabled().then($A.getCallback(function(enabled) {
+            if(!enabled){
+                helper.startLivePolling(component, helper);
+                return;
+            }
+            var callback = $A.getCallback(function(message) {
+                helper.scheduleLiveRefresh(component, helper);
+            });
+            Promise.all(channels.map(function(channel) {
+                return empApi.subscribe(channel, -1, callback);
+            })).then($A.getCallback(function(subscriptions) {
+                component.set("v.liveUpdateSubscriptions", subscriptions);
+                if(component.get("v.liveUpdateMode") != "polling"){
+                    component.set("v.liveUpdateMode", "streaming");
+                }
+            }))["catch"]($A.getCallback(function(error) {
+                console.log("Live updates subscribe error ", error);
+                helper.startLivePolling(component, helper);
+            }));
+        }));
+    },
+
+    startLivePolling : function(component, helper) {
+        if(!component.isValid() || !component.get("v.liveUpdatesEnabled") || component.get("v.liveUpdatePollId")){
+            return;
+        }
+        var intervalSeconds = component.get("v.livePollIntervalSeconds") > 0 ? component.get("v.livePollIntervalSeconds") : 60;
+        var pollId = window.setInterval($A.getCallback(function() {
+            // no need to poll a dashboard nobody is looking at
+            if(component.isValid() && !document.hidden){
+                helper.liveRefresh(component, helper);
+            }
+        }), intervalSeconds * 1000);
+        component.set("v.liveUpdatePollId", pollId);
+        component.set("v.liveUpdateMode", "polling");
+    },
+
+    stopLiveUpdates : function(component) {
+        var empApi = component.find("empApi");
+        var subscriptions = component.get("v.liveUpdateSubscriptions") || [];
+        for(var i=0; i<subscriptions.length; i++){
+            empApi.unsubscribe(subscriptions[i], function() {});
+        }
+        if(component.get("v.liveUpdatePollId")){
+            window.clearInterval(component.get("v.liveUpdatePollId"));
+        }
+        if(component.get("v.liveUpdateTimerId")){
+            window.clearTimeout(component.get("v.liveUpdateTimerId"));
+        }
+        component.set("v.liveUpdateSubscriptions", []);
+        component.set("v.liveUpdatePollId", null);
+        component.set("v.liveUpdateTimerId", null);
+        component.set("v.liveUpdateMode", "off");
+    },
+
+    // events arrive in bursts (one per record of a bulk update), so refresh once they settle
+    scheduleLiveRefresh : function(component, helper) {
+        if(!component.isValid()){
+            return;
+        }
+        if(component.get("v.liveUpdateTimerId")){
+            window.clearTimeout(component.get("v.liveUpdateTimerId"));
+        }
+        var timerId = window.setTimeout($A.getCallback(function() {
+            component.set("v.liveUpdateTimerId", null);
+            helper.liveRefresh(component, helper);
+        }), 2000);
+        component.set("v.liveUpdateTimerId", timerId);
+    },
+
+    liveRefresh : function(component, helper) {
+        var tab = helper.activeLiveTab(component);
+        if(!tab || component.get("v.isLiveRefreshing")){
+            return;
+        }
+        // do not change the rows under an open assignment or close dialog
+        if(component.get("v.isOpen") || component.get("v.isOpenSubModal")){
+            helper.scheduleLiveRefresh(component, helper);
+            return;
+        }
+        
+        var action;
+        if(tab == 'workflow' || tab == 'task'){
+            var dashboardFilterMap = component.get(tab == 'workflow' ? "v.workflowdashboardFilterMap" : "v.taskdashboardFilterMap") || [];
+            var mapToSendFilter = {};
+            for(var i=0; i<dashboardFilterMap.length; i++){
+                mapToSendFilter[dashboardFilterMap[i].label] = dashboardFilterMap[i].fieldName;
+            }
+            action = component.get("c.getTaskList");
+            action.setParams({
+                'taskTab' : tab,
+                'dashboardFilter' : mapToSendFilter
+            });
+        }
+        else if(tab == 'ticket'){
+            var ticketFilterMap = component.get("v.ticketdashboardFilterMap") || [];
+            var ticketFilter = {};
+            var multiSelectFilterValues = "";
+            for(var i=0; i<ticketFilterMap.length; i++){
+                if(ticketFilterMap[i].label == 'CaseComment.Workflow_TeamQueue__c'){
+                    if(multiSelectFilterValues != ""){
+                        multiSelectFilterValues = multiSelectFilterValues + ",\""+ticketFilterMap[i].fieldName+"\"";
+                    }
+                    else{
+                        multiSelectFilterValues = "\""+ ticketFilterMap[i].fieldName+"\"";
+                    }
+                    ticketFilter[ticketFilterMap[i].label] = multiSelectFilterValues;
+                }
+                else{
+                    ticketFilter[ticketFilterMap[i].label] = ticketFilterMap[i].fieldName;
+                }
+            }
+            action = component.get("c.getTicketList");
+            action.setParams({
+                'dashboardFilter' : ticketFilter,
+                'ticketTabSelection' : component.get("v.radioCaseSelected")
+            });
+        }
+        else{
+            action = component.get("c.getCaseList");
+        }
+        
+        action.setBackground();
+        action.setCallback(this, function(response) {
+            component.set("v.isLiveRefreshing", false);
+            if(response.getState() === "SUCCESS" && helper.activeLiveTab(component) == tab){
+                helper.mergeLiveRows(component, helper, tab, response.getReturnValue() || []);
+                component.set("v.lastLiveRefresh", new Date().toISOString());
+            }
+        });
+        component.set("v.isLiveRefreshing", true);
+        $A.enqueueAction(action);
+    },
+
+    liveRowSignature : function(row, fields) {
+        var values = {};
+        var keys = fields || Object.keys(row).sort();
+        for(var i=0; i<keys.length; i++){
+            if(keys[i].indexOf('liveUpdate') != 0){
+                values[keys[i]] = row[keys[i]];
+            }
+        }
+        return JSON.stringify(values);
+    },
+
+    // remember the rows as the supervisor currently sees them; changes are flagged against this
+    resetLiveUpdateBaseline : function(component, helper, tab) {
+        var config = helper.liveTableConfig(tab);
+        var rows = component.get("v." + config.originalAttr) || [];
+        var baseline = {};
+        for(var i=0; i<rows.length; i++){
+            baseline[rows[i][config.keyField]] = {
+                signature: helper.liveRowSignature(rows[i]),
+                owner: helper.liveRowSignature(rows[i], config.ownerFields)
+            };
+        }
+        var baselines = component.get("v.liveUpdateBaselines") || {};
+        baselines[tab] = baseline;
+        component.set("v.liveUpdateBaselines", baselines);
+        component.set("v.liveUpdateChangedCount", 0);
+    },
+
+    // merge the refreshed rows into the displayed rows, keeping the sort, the selection and the
+    // number of loaded rows, and flag rows that are new, reassigned or changed since the baseline;
+    // rows that arrived since the last refresh fill the loaded page, the rest come with load more
+    mergeLiveRows : function(component, helper, tab, freshRows) {
+        var config = helper.liveTableConfig(tab);
+        var baselines = component.get("v.liveUpdateBaselines") || {};
+        if(!baselines[tab]){
+            helper.resetLiveUpdateBaseline(component, helper, tab);
+            baselines = component.get("v.liveUpdateBaselines");
+        }
+        var baseline = baselines[tab];
+        var previousRows = component.get("v." + config.originalAttr) || [];
+        var displayedRows = component.get("v." + config.listAttr) || [];
+        
+        var previousKeys = {};
+        for(var i=0; i<previousRows.length; i++){
+            previousKeys[previousRows[i][config.keyField]] = true;
+        }
+        var displayedKeys = {};
+        for(var i=0; i<displayedRows.length; i++){
+            displayedKeys[displayedRows[i][config.keyField]] = true;
+        }
+        var keptCount = 0;
+        for(var i=0; i<freshRows.length; i++){
+            if(displayedKeys[freshRows[i][config.keyField]]){
+                keptCount++;
+            }
+        }
+        var addableCount = Math.max((component.get("v." + config.countAttr) || 50) - keptCount, 0);
+        
+        var changedCount = 0;
+        var mergedRows = [];
+        for(var i=0; i<freshRows.length; i++){
+            var row = freshRows[i];
+            var key = row[config.keyField];
+            var seen = baseline[key];
+            if(!seen){
+                row.liveUpdateLabel = 'New';
+                row.liveUpdateIcon = 'utility:new';
+                row.liveUpdateClass = 'slds-text-color_success';
+            }
+            else if(seen.owner != helper.liveRowSignature(row, config.ownerFields)){
+                row.liveUpdateLabel = 'Reassigned';
+                row.liveUpdateIcon = 'utility:change_owner';
+                row.liveUpdateClass = 'slds-text-color_error';
+            }
+            else if(seen.signature != helper.liveRowSignature(row)){
+                row.liveUpdateLabel = 'Updated';
+                row.liveUpdateIcon = 'utility:edit';
+                row.liveUpdateClass = 'slds-text-color_default';
+            }
+            if(row.liveUpdateLabel){
+                changedCount++;
+            }
+            // rows already loaded stay loaded; rows that arrived since the last refresh are added
+            if(displayedKeys[key]){
+                mergedRows.push(row);
+            }
+            else if(!previousKeys[key] && addableCount > 0){
+                mergedRows.push(row);
+                addableCount--;
+            }
+        }
+        
+        var sortedBy = component.get("v.sortedBy");
+        if(sortedBy){
+            mergedRows.sort(helper.sortBy(sortedBy, component.get("v.sortedDirection") !== 'asc' ? -1 : 1));
+        }
+        
+        var columns = component.get("v." + config.columnsAttr) || [];
+        if(columns.length > 0 && columns[0].fieldName != 'liveUpdateLabel'){
+            columns.unshift({label: 'Change', fieldName: 'liveUpdateLabel', type: 'text', initialWidth: 120,
+                             cellAttributes: {iconName: {fieldName: 'liveUpdateIcon'}, class: {fieldName: 'liveUpdateClass'}}});
+            component.set("v." + config.columnsAttr, columns);
+        }
+        
+        component.set("v." + config.originalAttr, freshRows);
+        component.set("v." + config.totalAttr, freshRows.length);
+        component.set("v." + config.listAttr, mergedRows);
+        if(mergedRows.length < freshRows.length){
+            component.set("v.enableInfiniteLoading", true);
+        }
+        component.set("v.liveUpdateChangedCount", changedCount);
+        helper.restoreLiveSelection(component, config, mergedRows);
+    },
+
+    // drop selected rows that left the table and re-apply the rest
+    restoreLiveSelection : function(component, config, rows) {
+        var selectedKeys = component.get("v." + config.selectedRowsAttr) || [];
+        var rowsByKey = {};
+        for(var i=0; i<rows.length; i++){
+            rowsByKey[rows[i][config.keyField]] = rows[i];
+        }
+        var keptRows = [];
+        for(var i=0; i<selectedKeys.length; i++){
+            if(rowsByKey[selectedKeys[i]]){
+                keptRows.push(rowsByKey[selectedKeys[i]]);
+            }
+        }
+        
+        if(config.listAttr == 'workflowTaskList' || config.listAttr == 'taskList'){
+            component.set(config.listAttr == 'workflowTaskList' ? "v.workflowTaskUpdateList" : "v.taskUpdateList", keptRows.map(function(row) {
+                return row.TaskId;
+            }));
+        }
+        else if(config.listAttr == 'caseList'){
+            component.set("v.caseUpdateList", keptRows.map(function(row) {
+                return row.CaseId;
+            }));
+        }
+        else if(config.listAttr == 'ticketList'){
+            // the team queue of a selected ticket may have changed
+            component.set("v.ticketUpdateMap", keptRows.map(function(row) {
+                return {key: row.CaseId, value: row.TeamQueue};
+            }));
+        }
+        component.set("v." + config.selectedRowsAttr, keptRows.map(function(row) {
+            return row[config.keyField];
+        }));
+        component.set("v." + config.selectedCountAttr, keptRows.length);
+    },
+
+    markRowsAsSeen : function(component, helper) {
+        var tab = helper.activeLiveTab(component);
+        if(!tab){
+            return;
+        }
+        var config = helper.liveTableConfig(tab);
+        var clearFlags = function(rows) {
+            for(var i=0; i<rows.length; i++){
+                delete rows[i].liveUpdateLabel;
+                delete rows[i].liveUpdateIcon;
+                delete rows[i].liveUpdateClass;
+            }
+            return rows;
+        };
+        component.set("v." + config.originalAttr, clearFlags(component.get("v." + config.originalAttr) || []));
+        component.set("v." + config.listAttr, clearFlags(component.get("v." + config.listAttr) || []));
+        helper.resetLiveUpdateBaseline(component, helper, tab);
+    },
+
+    // ====================================================================
+    // BULK REASSIGNMENT
+    // The preview, the reassignment and its rollback are handled by the
+    // supervisorBulkReassignment LWC; the dashboard passes the selected rows.
+    // ====================================================================
+
+    openBulkReassign : function(component, helper) {
+        var tab = helper.activeLiveTab(component);
+        if(!tab){
+            return;
+        }
+        var config = helper.liveTableConfig(tab);
+        var selectedKeys = component.get("v." + config.selectedRowsAttr) || [];
+        var rows = component.get("v." + config.listAttr) || [];
+        var records = [];
+        for(var i=0; i<rows.length; i++){
+            if(selectedKeys.indexOf(rows[i][config.keyField]) > -1){
+                records.push({
+                    recordId: (tab == 'workflow' || tab == 'task') ? rows[i].TaskId : rows[i].CaseId,
+                    label: rows[i].CaseNumber + (rows[i].Subject ? ' - ' + rows[i].Subject : ''),
+                    ownerName: rows[i].AssignedTo || rows[i].CaseOwner || rows[i].TicketOwner || rows[i].TeamQueue || ''
+                });
+            }
+        }
+        
+        // without a selection the dialog still gives access to this session's rollbacks
+        component.set("v.bulkReassignRecords", records);
+        component.set("v.bulkReassignWorkloadType", (tab == 'workflow' || tab == 'task') ? 'task' : 'case');
+        component.find("bulkReassign").open();
+    },
+    
+    /*
+     * Export the active table as .xlsx or .csv with its visible columns and sort
+     * order: the selected rows when there are any, otherwise every row of the
+     * table including the ones not scrolled into view yet.
+     */
+    exportTable : function(component, helper, format) {
+        var tab = helper.activeLiveTab(component);
+        if(!tab){
+            return;
+        }
+        var config = helper.liveTableConfig(tab);
+        // with infinite loading on, the table only holds the rows scrolled into view so far
+        var rows = component.get("v.enableInfiniteLoading") ? component.get("v." + config.originalAttr) : null;
+        rows = rows || component.get("v." + config.listAttr) || [];
+        var columns = (component.get("v." + config.columnsAttr) || []).filter(function(column) {
+            return column.fieldName != 'liveUpdateLabel';
+        });
+        var titles = {workflow: 'Workflow Tasks', task: 'Tasks', case: 'Cases', ticket: 'Tickets'};
+        
+        var exported = component.find("tableExport")[format == 'csv' ? 'exportCsv' : 'exportXlsx']({
+            fileName: 'Supervisor Dashboard - ' + titles[tab],
+            sheetName: titles[tab],
+            columns: columns,
+            rows: rows,
+            keyField: config.keyField,
+            selectedKeys: component.get("v." + config.selectedRowsAttr) || [],
+            sortedBy: component.get("v.sortedBy"),
+            sortedDirection: component.get("v.sortedDirection")
+        });
+        var toastEvent = $A.get("e.force:showToast");
+        toastEvent.setParams({
+            "title": "Success!",
+            "message": exported + " row(s) exported.",
+            "type": "success"
+        });
+        toastEvent.fire();
     }
-})
\ No newline at end of file
+})
@@ -321,6 +321,11 @@
             }
     },
     
+    handleChartClick : function(component,event,helper){
+        var childComp = component.find('childComp');
+        childComp.callChild(event.getParam("category"));
+    },
+    
     spinnerCloseFunction : function(component,event,helper){
         var callChildDashboard = component.find("childComp");
         component.set('v.loaded',callChildDashboard.get("v.loaded"));
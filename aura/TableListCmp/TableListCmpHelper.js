@@ -756,81 +756,17 @@
         var graphLimit = countOfTask[0];  
         this.generateChart(component,countOfTask,vendorNames,graphLimit);
     },
+    // rendered by c:dashboardChart, a click calls handleChartClick
     generateChart: function (component,dataset,datalabel,xAxisLimit) {
-        if(xAxisLimit == 1){
-            xAxisLimit = 2 ;
-        }
-        if(xAxisLimit == 0){
-            xAxisLimit = 2 ;
-        }
-        new Highcharts.Chart({
-            chart: {
-                type: 'bar',
-                marginLeft: 150,
-                renderTo: component.find("chart").getElement(),
-            },
-            title: {
-                text: 'Task Count'
-            },
-            subtitle: {
-                text: ''
-            },
-            colors: [
-                "rgb(122, 184, 0)"
-            ],
-            xAxis: {
-                type: 'category',
-                title: {
-                    text: null
-                },
-                min: 0,
-                max: 4,
-                categories: datalabel,
-                scrollbar: {
-                    enabled: true
-                },
-                tickLength: 0
-            },
-            yAxis: {
-                min: 0,
-                max: xAxisLimit,
-                
-                title: {
-                    text: 'Count of Tasks',
-                    align: 'high'
-                }
-            },
-            plotOptions: {
-                bar: {
-                    dataLabels: {
-                        enabled: true
-                    }
-                },
-                series: {
-                    cursor: 'pointer',
-                    point: {
-                        events: {
-                            click: function() {
-                                
-                                var childComp = component.find('childComp');
-                                childComp.callChild(this.category);
-                            }
-                        }
-                    }
-                }
-            },
-            legend: {
-                enabled: false
-            },
-            credits: {
-                enabled: false
-            },
-            series: [{
-                name: 'Count of Tasks',
-                data: dataset 
-            }]
+        component.set("v.chartSpec", {
+            type : 'bar',
+            title : 'Task Count',
+            categories : datalabel,
+            series : [{ name : 'Count of Tasks', data : dataset }],
+            yAxisTitle : 'Count of Tasks',
+            yMax : xAxisLimit,
+            visibleCategories : 5,
+            legend : false
         });
-        
-        return component.Chart ;
     }
 })
\ No newline at end of file
@@ -1,4 +1,10 @@
 ({
+    //Prepopulate the selections from the RRULE passed in by the flow
+    doInit : function(cmp, event, helper) {
+        if (cmp.get('v.rrule')) {
+            helper.loadRRule(cmp, cmp.get('v.rrule'));
+        }
+    },
     //Handler for the every day stateful button
     handleEDClick : function(cmp, event, helper) {
         helper.defaultValues(cmp);
@@ -39,6 +45,7 @@
                 cmp.set('v.frequencyGroup', 'Daily');
                 cmp.set('v.servicePerFreq', parseFloat(1/dailyFreq).toFixed(2));
                 cmp.set('v.fullyConfigured', true);
+                helper.setRRule(cmp);
                 alert("Daily service configured!");
             } else {
                 cmp.set('v.occurrenceCode', 'Daily');
@@ -47,6 +54,7 @@
                 cmp.set('v.frequencyGroup', 'Daily');
                 cmp.set('v.servicePerFreq', parseFloat(1/dailyFreq).toFixed(2));
                 cmp.set('v.fullyConfigured', true);
+                helper.setRRule(cmp);
                 alert("Daily service configured!");
             }
         } else if (EWDbuttonstate===true) {
@@ -57,6 +65,7 @@
             cmp.set('v.frequencyGroup', 'Weekly');
             cmp.set('v.servicePerFreq', "5");
             cmp.set('v.fullyConfigured', true);
+            helper.setRRule(cmp);
             alert("Daily service configured!");
         }
     },
@@ -172,6 +181,7 @@
             cmp.set('v.frequencyGroup', 'Weekly');
             cmp.set('v.servicePerFreq', parseFloat(weekFreq/weekNums).toFixed(2));
             cmp.set('v.fullyConfigured', true);
+            helper.setRRule(cmp);
             alert("Weekly service configured!");
         }
     },
@@ -223,6 +233,7 @@
 			cmp.set('v.frequencyGroup', 'Monthly');
 			cmp.set('v.servicePerFreq', parseFloat(1/monthlyFreq).toFixed(2));
 			cmp.set('v.fullyConfigured', true);
+			helper.setRRule(cmp);
 			alert("Monthly service configured!");
 		} else if (SMDbuttonstate===true) {
 			var specificSelectedDayNum = cmp.get('v.SpecificDayMonthFreq');
@@ -232,6 +243,7 @@
 			cmp.set('v.frequencyGroup', 'Monthly');
 			cmp.set('v.servicePerFreq', parseFloat(1/monthlyFreq).toFixed(2));
 			cmp.set('v.fullyConfigured', true);
+			helper.setRRule(cmp);
 			alert("Monthly service configured!");
 		} else if (SWMbuttonstate===true) {
 			var cmpMonthNumber = cmp.find('OnTheMonthNumber');
@@ -244,6 +256,7 @@
 			cmp.set('v.frequencyGroup', 'Monthly');
 			cmp.set('v.servicePerFreq', parseFloat(1/monthlyFreq).toFixed(2));
 			cmp.set('v.fullyConfigured', true);
+			helper.setRRule(cmp);
 			alert("Monthly service configured!");
 		}
     },
@@ -295,6 +308,7 @@
 			cmp.set('v.frequencyGroup', 'Yearly');
 			cmp.set('v.servicePerFreq', 1);
 			cmp.set('v.fullyConfigured', true);
+			helper.setRRule(cmp);
 			alert("Yearly service configured!");
 		} else if (SMDYbuttonstate===true) {
 			//var cmpYearSpecificMonth = cmp.find('YearSpecificMonth');
@@ -306,6 +320,7 @@
 			cmp.set('v.frequencyGroup', 'Yearly');
 			cmp.set('v.servicePerFreq', 1);
 			cmp.set('v.fullyConfigured', true);
+			helper.setRRule(cmp);
 			alert("Yearly service configured!");
 		} else if (SRMYbuttonstate===true) {
 			var cmpYearSpecificTypeofDay = cmp.find('YearSpecificTypeofDay');
@@ -320,6 +335,7 @@
 			cmp.set('v.frequencyGroup', 'Yearly');
 			cmp.set('v.servicePerFreq', 1);
 			cmp.set('v.fullyConfigured', true);
+			helper.setRRule(cmp);
 			alert("Yearly service configured!");
 		}
 	},
@@ -29,6 +29,55 @@
         cmp.set('v.chkSaturday', false);
         cmp.set('v.numDaysSelected', 5);
     },
+    //RRULE import : button states, frequencies and days of the rule
+    loadRRule : function(cmp, rrule) {
+        var recurrenceModule = cmp.find('scheduleRecurrence');
+        try {
+            var schedule = recurrenceModule.flowScheduleOf(recurrenceModule.fromRRule(rrule).recurrence);
+            for (var name in schedule.attributes) {
+                cmp.set('v.' + name, schedule.attributes[name]);
+            }
+            if (schedule.monthNumber) {
+                cmp.find('OnTheMonthNumber').set('v.value', schedule.monthNumber);
+                cmp.find('OnTheMonthType').set('v.value', schedule.monthType);
+            }
+            cmp.find('accordion').set('v.activeSectionName', schedule.section);
+        } catch (e) {
+            alert("The recurrence rule could not be loaded: " + e.message);
+        }
+    },
+    //RRULE export : rule of the submitted selections
+    setRRule : function(cmp) {
+        var cmpMonthNumber = cmp.find('OnTheMonthNumber');
+        var cmpMonthType = cmp.find('OnTheMonthType');
+        var recurrenceModule = cmp.find('scheduleRecurrence');
+        var recurrence = recurrenceModule.recurrenceOfFlow({
+            EDbuttonstate: cmp.get('v.EDbuttonstate'),
+            EWDbuttonstate: cmp.get('v.EWDbuttonstate'),
+            DailyFreq: cmp.get('v.DailyFreq'),
+            Wbuttonstate: cmp.get('v.Wbuttonstate'),
+            WeekNums: cmp.get('v.WeekNums'),
+            chkSunday: cmp.get('v.chkSunday'),
+            chkMonday: cmp.get('v.chkMonday'),
+            chkTuesday: cmp.get('v.chkTuesday'),
+            chkWednesday: cmp.get('v.chkWednesday'),
+            chkThursday: cmp.get('v.chkThursday'),
+            chkFriday: cmp.get('v.chkFriday'),
+            chkSaturday: cmp.get('v.chkSaturday'),
+            EMbuttonstate: cmp.get('v.EMbuttonstate'),
+            SMDbuttonstate: cmp.get('v.SMDbuttonstate'),
+            SWMbuttonstate: cmp.get('v.SWMbuttonstate'),
+            MonthlyFreq: cmp.get('v.MonthlyFreq'),
+            SpecificDayMonthFreq: cmp.get('v.SpecificDayMonthFreq'),
+            monthNumber: cmpMonthNumber.get('v.value'),
+            monthType: cmpMonthType.get('v.value'),
+            EYbuttonstate: cmp.get('v.EYbuttonstate'),
+            SMDYbuttonstate: cmp.get('v.SMDYbuttonstate'),
+            SRMYbuttonstate: cmp.get('v.SRMYbuttonstate'),
+            YearlyFreq: cmp.get('v.YearlyFreq')
+        });
+        cmp.set('v.rrule', recurrenceModule.toRRule(recurrence));
+    },
     disableButtons : function(cmp) {
         let DailyButton = component.find("dailyButton");
         let WeeklyButton = component.find("weeklyButton");
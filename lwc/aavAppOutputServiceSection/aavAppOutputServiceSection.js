@@ -13,7 +13,8 @@ import {
   getResponsePath,
   getColumnValue,
   checkArray,
-  assignErrors
+  assignErrors,
+  validateFieldPaths
 } from "c/aavUtilityMethods";
 
 // custom Labels
@@ -39,6 +40,8 @@ export default class AavAppOutputServiceSection extends LightningElement {
   label_ServiceHeader = SERVICE_AVAILABILITY;
   availabilityType;
   serviceWeekDaysError;
+  //Output fields whose path expression is invalid, shown so the admin can correct the metadata
+  invalidFieldPaths = [];
   supplier;
   _availabilityData;
   @api
@@ -51,6 +54,9 @@ export default class AavAppOutputServiceSection extends LightningElement {
   get availabilityData() {
     return this._availabilityData;
   }
+  get hasInvalidFieldPaths() {
+    return this.invalidFieldPaths.length > 0;
+  }
   get cssServiceClassError(){
     return this.serviceWeekDaysError.length === 1 ? WARNING_TEXT_SINGLE : WARNING_TEXT_LIST
   }
@@ -60,6 +66,10 @@ export default class AavAppOutputServiceSection extends LightningElement {
   outputFieldsData({ error, data }) {
     if (data) {
       this.outputFields = data;
+      this.invalidFieldPaths = validateFieldPaths(data).map((invalid) => ({
+        key: invalid.key,
+        message: `${invalid.label || invalid.key} (${invalid.path}): ${invalid.error}`
+      }));
       this.updateUIFields();
     } else if (error) {
       console.error(error);
@@ -0,0 +1,165 @@
+/**
+ * @author       : Asset Availability Team
+ * @description  : Availability comparison for flexible customers. Runs the availability callout of
+ *                 the current request for a range of delivery dates and shows which date and
+ *                 container size combinations are available as a calendar heat-map. Nothing is saved.
+ * @History
+ * -------
+ * VERSION | AUTHOR                | DATE            | DESCRIPTION
+ * 1.0     | Asset Availability    |                 | Availability comparison heat-map
+ ***/
+import { LightningElement, api } from "lwc";
+import { ShowToastEvent } from "lightning/platformShowToastEvent";
+import makeApiCallout from "@salesforce/apex/AAV_APIIntegration.makeApiCallout";
+import {
+  MAX_COMPARISON_DATES,
+  STATUS_AVAILABLE,
+  STATUS_PARTIAL,
+  STATUS_UNAVAILABLE,
+  STATUS_LABELS,
+  buildDateRange,
+  buildRequestFields,
+  parseAvailabilityResult,
+  collectSizes,
+  buildComparisonRows,
+  buildHeatMap
+} from "./aavAvailabilityComparisonHelper";
+import { formatDate, convertStrToDate } from "c/aavUtilityMethods";
+
+const LBL_HEADER = "Compare Dates and Sizes";
+const ISO_DATE_FORMAT = "yyyy-MM-dd";
+const DEFAULT_RANGE_DAYS = 6;
+
+export default class AavAvailabilityComparison extends LightningElement {
+  lbl_header = LBL_HEADER;
+  @api availabilityData;
+  showComparison = false;
+  startDate;
+  endDate;
+  weekdaysOnly = true;
+  isRunning = false;
+  checkedCount = 0;
+  dates = [];
+  resultsByDate = {};
+  sizeOptions = [];
+  selectedSizes = [];
+  selectedDate;
+  runId = 0;
+
+  get toggleLabel() {
+    return this.showComparison ? "Hide Comparison" : "Compare Dates and Sizes";
+  }
+  get rangeHelpText() {
+    return `Up to ${MAX_COMPARISON_DATES} delivery dates are checked, one availability request each.`;
+  }
+  get progressText() {
+    return `Checked ${this.checkedCount} of ${this.dates.length} dates`;
+  }
+  get disableRun() {
+    return this.isRunning || !this.startDate || !this.endDate;
+  }
+  get hasSizes() {
+    return this.sizeOptions.length > 0;
+  }
+  get comparisonRows() {
+    return buildComparisonRows(this.dates, this.resultsByDate, this.selectedSizes);
+  }
+  get hasResults() {
+    return this.comparisonRows.length > 0;
+  }
+  get heatMap() {
+    return buildHeatMap(this.comparisonRows);
+  }
+  get heatMapStartDate() {
+    return this.dates.length ? this.dates[0] : null;
+  }
+  get selectedRow() {
+    return this.comparisonRows.find((row) => row.date === this.selectedDate);
+  }
+  get legend() {
+    return [STATUS_AVAILABLE, STATUS_PARTIAL, STATUS_UNAVAILABLE].map((status) => ({
+      status: status,
+      label: STATUS_LABELS[status],
+      cssClass: `legend-box heat-cell_${status}`
+    }));
+  }
+
+  handleToggleComparison() {
+    this.showComparison = !this.showComparison;
+    if (this.showComparison && !this.startDate) {
+      let start = convertStrToDate(this.availabilityData?.deliveryDate) || new Date();
+      let end = new Date(start);
+      end.setDate(end.getDate() + DEFAULT_RANGE_DAYS);
+      this.startDate = formatDate(start, ISO_DATE_FORMAT);
+      this.endDate = formatDate(end, ISO_DATE_FORMAT);
+    }
+  }
+  handleStartDateChange(event) {
+    this.startDate = event.detail.value;
+  }
+  handleEndDateChange(event) {
+    this.endDate = event.detail.value;
+  }
+  handleWeekdaysChange(event) {
+    this.weekdaysOnly = event.detail.checked;
+  }
+  handleSizeChange(event) {
+    this.selectedSizes = event.detail.value;
+  }
+  handleHeatMapDateSelect(event) {
+    this.selectedDate = event.detail.date;
+  }
+  handleRowClick(event) {
+    this.selectedDate = event.currentTarget.dataset.date;
+  }
+
+  /*Run one availability callout per date, one at a time*/
+  handleRunComparison() {
+    let dates = buildDateRange(this.startDate, this.endDate, this.weekdaysOnly);
+    if (!dates.length) {
+      this.showToast("Select a valid date range", "warning");
+      return;
+    }
+    let runId = ++this.runId;
+    this.dates = dates;
+    this.resultsByDate = {};
+    this.sizeOptions = [];
+    this.selectedSizes = [];
+    this.selectedDate = null;
+    this.checkedCount = 0;
+    this.isRunning = true;
+
+    dates
+      .reduce((previous, date) => previous.then(() => this.checkDate(runId, date)), Promise.resolve())
+      .finally(() => {
+        if (runId === this.runId) this.isRunning = false;
+      });
+  }
+  checkDate(runId, date) {
+    return makeApiCallout({ availability: buildRequestFields(this.availabilityData, date), availabilityId: "" })
+      .then((result) => parseAvailabilityResult(result))
+      .catch((error) => {
+        console.error("availability comparison=>", error);
+        return { isError: true, sizes: {} };
+      })
+      .then((parsed) => {
+        if (runId !== this.runId) return;
+        this.resultsByDate = { ...this.resultsByDate, [date]: parsed };
+        this.checkedCount++;
+        this.updateSizeOptions();
+      });
+  }
+  /*New sizes are selected when they first appear*/
+  updateSizeOptions() {
+    let sizes = collectSizes(this.resultsByDate);
+    let known = this.sizeOptions.map((option) => option.value);
+    let added = sizes.filter((size) => !known.includes(size));
+    if (added.length) {
+      this.sizeOptions = sizes.map((size) => ({ label: size, value: size }));
+      this.selectedSizes = [...this.selectedSizes, ...added];
+    }
+  }
+  showToast(title, variant) {
+    this.dispatchEvent(new ShowToastEvent({ title: title, variant: variant }));
+  }
+}
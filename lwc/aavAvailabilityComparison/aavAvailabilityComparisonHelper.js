@@ -0,0 +1,146 @@
+/**
+ * @author       : Asset Availability Team
+ * @description  : Helper methods for the availability comparison across dates and container sizes.
+ *                 One availability callout per delivery date; every callout returns the available
+ *                 dates of each container size (supplier.deliveries), so sizes are compared per response.
+ * @History
+ * -------
+ * VERSION | AUTHOR                | DATE            | DESCRIPTION
+ * 1.0     | Asset Availability    |                 | Availability comparison heat-map
+ ***/
+import { checkArray, formatDate, convertStrToDate } from "c/aavUtilityMethods";
+
+const MAX_COMPARISON_DATES = 14;
+const ISO_DATE_FORMAT = "yyyy-MM-dd";
+
+const STATUS_AVAILABLE = "available";
+const STATUS_PARTIAL = "partial";
+const STATUS_UNAVAILABLE = "unavailable";
+const STATUS_ERROR = "error";
+
+const STATUS_LABELS = {
+  [STATUS_AVAILABLE]: "Available",
+  [STATUS_PARTIAL]: "Partially available",
+  [STATUS_UNAVAILABLE]: "Unavailable",
+  [STATUS_ERROR]: "No response"
+};
+
+// Record fields of the availability request (same as aavAppInputPanel)
+const REQUEST_FIELDS = {
+  location: "AAV_Location__c",
+  locationName: "AAV_Location_Name__c",
+  lineOfBusiness: "AAV_Line_of_Business__c",
+  containerType: "AAV_Container_Type__c",
+  materialCode: "AAV_MaterialCode__c",
+  serviceType: "AAV_Service_Type__c"
+};
+const DELIVERY_DATE_FIELD = "AAV_Delivery_Date__c";
+
+/* Dates from start to end (yyyy-MM-dd), optionally weekdays only, at most MAX_COMPARISON_DATES */
+const buildDateRange = (startDate, endDate, weekdaysOnly) => {
+  let dates = [];
+  let start = convertStrToDate(startDate);
+  let end = convertStrToDate(endDate);
+  if (!start || !end || start > end) return dates;
+  for (let day = new Date(start); day <= end && dates.length < MAX_COMPARISON_DATES; day.setDate(day.getDate() + 1)) {
+    if (!weekdaysOnly || (day.getDay() !== 0 && day.getDay() !== 6)) {
+      dates.push(formatDate(day, ISO_DATE_FORMAT));
+    }
+  }
+  return dates;
+};
+
+/* Request fields for makeApiCallout: the request of the current record with another delivery date */
+const buildRequestFields = (availabilityData, deliveryDate) => {
+  let fields = {};
+  Object.keys(REQUEST_FIELDS).forEach((key) => {
+    if (availabilityData && availabilityData[key] !== undefined && availabilityData[key] !== null) {
+      fields[REQUEST_FIELDS[key]] = availabilityData[key];
+    }
+  });
+  fields[DELIVERY_DATE_FIELD] = deliveryDate;
+  return fields;
+};
+
+/* Available dates per container size of a makeApiCallout result */
+const parseAvailabilityResult = (result) => {
+  if (!result?.AAV_isAPIResult__c || !result?.AAV_APIRequestOutput__c) {
+    return { isError: true, sizes: {} };
+  }
+  let response = JSON.parse(result.AAV_APIRequestOutput__c);
+  let supplier = checkArray(response?.data?.suppliers) ? response.data.suppliers[0] : null;
+  let sizes = {};
+  if (supplier && checkArray(supplier.deliveries) && checkArray(supplier.deliveryDays)) {
+    supplier.deliveries.forEach((container) => {
+      sizes[container.equipmentSizeName] = (container.dates || []).map((date) => String(date).substring(0, 10));
+    });
+  }
+  return { isError: false, sizes: sizes };
+};
+
+/* Container sizes found in any response, in the order first seen */
+const collectSizes = (resultsByDate) => {
+  let sizes = [];
+  Object.values(resultsByDate || {}).forEach((parsed) => {
+    Object.keys(parsed.sizes || {}).forEach((size) => {
+      if (!sizes.includes(size)) sizes.push(size);
+    });
+  });
+  return sizes;
+};
+
+/* Status of one date and size combination */
+const sizeStatus = (parsed, size, date) => {
+  if (!parsed || parsed.isError) return STATUS_ERROR;
+  return (parsed.sizes[size] || []).includes(date) ? STATUS_AVAILABLE : STATUS_UNAVAILABLE;
+};
+
+/* Status of a date over the selected sizes */
+const dateStatus = (sizeStatuses) => {
+  if (!sizeStatuses.length || sizeStatuses.every((status) => status === STATUS_ERROR)) return STATUS_ERROR;
+  let available = sizeStatuses.filter((status) => status === STATUS_AVAILABLE).length;
+  if (available === sizeStatuses.length) return STATUS_AVAILABLE;
+  return available ? STATUS_PARTIAL : STATUS_UNAVAILABLE;
+};
+
+/* One row per compared date with the status of every selected size */
+const buildComparisonRows = (dates, resultsByDate, selectedSizes) => {
+  return dates
+    .filter((date) => resultsByDate[date])
+    .map((date) => {
+      let parsed = resultsByDate[date];
+      let sizes = selectedSizes.map((size) => {
+        let status = sizeStatus(parsed, size, date);
+        return { key: `${date}-${size}`, size: size, status: status, label: STATUS_LABELS[status], cssClass: `heat-cell heat-cell_${status}` };
+      });
+      let status = dateStatus(sizes.map((x) => x.status));
+      let availableSizes = sizes.filter((x) => x.status === STATUS_AVAILABLE).map((x) => x.size);
+      return {
+        date: date,
+        displayDate: formatDate(convertStrToDate(date)),
+        status: status,
+        label: STATUS_LABELS[status],
+        cssClass: `heat-cell heat-cell_${status}`,
+        sizes: sizes,
+        title: `${STATUS_LABELS[status]}${availableSizes.length ? ": " + availableSizes.join(", ") : ""}`
+      };
+    });
+};
+
+/* Heat-map input of aavCustomDatePicker */
+const buildHeatMap = (rows) => rows.map((row) => ({ date: row.date, status: row.status, title: row.title }));
+
+export {
+  MAX_COMPARISON_DATES,
+  STATUS_AVAILABLE,
+  STATUS_PARTIAL,
+  STATUS_UNAVAILABLE,
+  STATUS_ERROR,
+  STATUS_LABELS,
+  buildDateRange,
+  buildRequestFields,
+  parseAvailabilityResult,
+  collectSizes,
+  buildComparisonRows,
+  buildHeatMap
+};
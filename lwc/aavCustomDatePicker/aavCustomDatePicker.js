@@ -5,6 +5,7 @@
  * -------
  * VERSION | AUTHOR                | DATE            | DESCRIPTION
  * 1.0     | Satnam Singh          | May 11, 2023    | User Story #SDT-29101
+ * 1.1     | Asset Availability    |                 | Heat-map display mode for availability comparison
  ***/
 import { api, LightningElement, track, wire } from "lwc";
 import userLocaleSidKey from "@salesforce/schema/User.LocaleSidKey";
@@ -42,6 +43,10 @@ const DATE_MONTH_FORMAT = "short";
 const SLDS_DROPDOWN_BASE_CLASS =
   "slds-form-element slds-dropdown-trigger_click";
 const SLD_DROPDOWN_IS_OPEN = "slds-is-open";
+//Heat-map mode: calendar always open, days colored by status
+const DISPLAY_MODE_HEATMAP = "heatmap";
+const CSS_HEATMAP_INLINE = "heatmap_inline";
+const CSS_HEAT_BOX = " heat_box_";
 
 export default class AavCustomDatePicker extends LightningElement {
   weekDays = WEEK_DAYS;
@@ -68,6 +73,26 @@ export default class AavCustomDatePicker extends LightningElement {
   }
 
   @api quoteLineId;
+  @api displayMode;
+  _heatMap = [];
+  //[{date: yyyy-MM-dd, status: available/partial/unavailable/error, title}]
+  @api
+  set heatMap(value) {
+    this._heatMap = value || [];
+    this.refershCalendar();
+  }
+  get heatMap() {
+    return this._heatMap;
+  }
+  get isHeatMap() {
+    return this.displayMode === DISPLAY_MODE_HEATMAP;
+  }
+  get isPicker() {
+    return !this.isHeatMap;
+  }
+  get showAvailabilityLegend() {
+    return this.isPicker && this.availableDatesCheck;
+  }
   _selectedDate;
   @api
   set selectedDate(value) {
@@ -115,6 +140,9 @@ export default class AavCustomDatePicker extends LightningElement {
     return MONTHS[this.calendarViewDate.getMonth()];
   }
   get dropdownClass() {
+    if (this.isHeatMap) {
+      return `${SLDS_DROPDOWN_BASE_CLASS} ${SLD_DROPDOWN_IS_OPEN} ${CSS_HEATMAP_INLINE}`;
+    }
     return (
       SLDS_DROPDOWN_BASE_CLASS +
       (this.showCalendar ? ` ${SLD_DROPDOWN_IS_OPEN}` : "")
@@ -132,6 +160,7 @@ export default class AavCustomDatePicker extends LightningElement {
   }
   //Spinner off conditions
   get showSpinner() {
+    if (this.isHeatMap) return false;
     let complete = this.slaDate && this.selectedDate && this.apiCallout;
     if (complete)
       this.updateParentEvent(
@@ -316,6 +345,7 @@ this.getAvailabilityData(result);
     return this.template.querySelector('select[name="yearlist"]');
   }
   handleFocusOut() {
+    if (this.isHeatMap) return;
     if (!this.focusOnCalendar) this.showCalendar = false;
   }
   focusOnCalendar;
@@ -351,6 +381,14 @@ this.getAvailabilityData(result);
     this.refershCalendar(e.target.value);
   }
   handleDateSelect(e) {
+    if (this.isHeatMap) {
+      this.dispatchEvent(
+        new CustomEvent("heatmapdateselect", {
+          detail: { date: e.currentTarget.dataset.date }
+        })
+      );
+      return;
+    }
     this.updateSelectedDate(e.currentTarget.dataset.date);
   }
   refershCalendar(selectedYear) {
@@ -377,7 +415,8 @@ this.getAvailabilityData(result);
             ? this.defineDateClass(calDate)
             : "slds-hidden", //"slds-day_adjacent-month"
         fullDate: this.formatFullDate(year, month, date),
-        date: calDate.getDate()
+        date: calDate.getDate(),
+        title: this.isHeatMap ? this.heatMapEntry(this.formatFullDate(year, month, date))?.title : undefined
       });
       if (arrTemp.length === 7) {
         this.dates.push(arrTemp);
@@ -387,6 +426,12 @@ this.getAvailabilityData(result);
   }
 
   defineDateClass(calDate) {
+    if (this.isHeatMap) {
+      let entry = this.heatMapEntry(
+        this.formatFullDate(calDate.getFullYear(), calDate.getMonth(), calDate.getDate())
+      );
+      return entry ? CSS_HEAT_BOX + entry.status : "";
+    }
     return this.isWmServiceAble &&
       this.availableDates.find(
         (date) =>
@@ -400,11 +445,19 @@ this.getAvailabilityData(result);
       : "";
   }
 
+  heatMapEntry(fullDate) {
+    return this._heatMap.find((entry) => entry.date === fullDate);
+  }
+
   //date format yyyy-MM-dd
   formatFullDate(year, month, date) {
     return `${year}-${("0" + (1 + month)).slice(-2)}-${("0" + date).slice(-2)}`;
   }
   connectedCallback() {
+    if (this.isHeatMap) {
+      this.refershCalendar();
+      return;
+    }
     this.getAvailabilityResponse(true); //SDT 31585
   }
   errorCallback(error, stack) {
@@ -0,0 +1,424 @@
+/**
+ * @author       : Asset Availability Team
+ * @description  : Path expressions to read API response values configured in metadata
+ *                 (AAV_Asset_Availability_Output_Field__mdt.API_Name__c, PricingRequestOutputField__mdt).
+ *                 Syntax:
+ *                   data.suppliers[0].name                 property and index
+ *                   data.suppliers[*].name                 every item (returns a list)
+ *                   serviceCharges[?name=='Minimum Tons']  items matching a filter (==, !=, >, <, >=, <=
+ *                                                          or just [?field] for truthy values)
+ *                   serviceCharges[?name=='Fuel'][0].price  first matching item
+ *                   data.deliveryDate | date               formatter (date, currency, yesno, percent, join)
+ *                   data.price | currency:'USD'            formatter with an argument
+ *                   data.a ?? data.b ?? 'N/A'              fallbacks, first non-blank value wins
+ *                 Values are only formatted where the path names a formatter, Data_Type__c does not format.
+ * @History
+ * -------
+ * VERSION | AUTHOR                | DATE            | DESCRIPTION
+ * 1.0     | Asset Availability    |                 | Path expressions for output field metadata
+ ***/
+const DATE_LOCAL = "en-US";
+const DEFAULT_DATE_FORMAT = "MM-dd-yyyy";
+const DEFAULT_CURRENCY = "USD";
+const DEFAULT_SEPARATOR = ", ";
+const YES = "Yes";
+const NO = "No";
+const TRUE_VALUES = ["true", "yes", "y", "1"];
+const FALSE_VALUES = ["false", "no", "n", "0"];
+const COMPARE_OPERATORS = ["==", "!=", ">=", "<=", ">", "<"];
+
+class PathExpressionError extends Error {
+  constructor(message, expression, position) {
+    super(`${message} at position ${position + 1} in "${expression}"`);
+    this.name = "PathExpressionError";
+    this.position = position;
+  }
+}
+
+// ====== FORMATTERS ======
+const isBlank = (value) =>
+  value === undefined || value === null || value === "" || (Array.isArray(value) && !value.length);
+
+const toDate = (value) => {
+  if (value instanceof Date) return value;
+  let str = String(value);
+  //date only values are local dates, not UTC midnight
+  let date = /^\d{4}-\d{2}-\d{2}$/.test(str) ? new Date([str, "00:00"]) : new Date(str);
+  return isNaN(date.getTime()) ? null : date;
+};
+const formatDateValue = (value, format = DEFAULT_DATE_FORMAT) => {
+  let date = toDate(value);
+  if (!date) return value;
+  return format
+    .replace("dd", ("0" + date.getDate()).slice(-2))
+    .replace("MM", ("0" + (1 + date.getMonth())).slice(-2))
+    .replace("yyyy", date.getFullYear().toString());
+};
+const formatCurrencyValue = (value, currency = DEFAULT_CURRENCY) => {
+  let amount = Number(value);
+  if (isBlank(value) || isNaN(amount)) return value;
+  return new Intl.NumberFormat(DATE_LOCAL, { style: "currency", currency: currency }).format(amount);
+};
+const formatYesNoValue = (value) => {
+  let str = String(value).toLowerCase();
+  if (value === true || TRUE_VALUES.includes(str)) return YES;
+  if (value === false || FALSE_VALUES.includes(str)) return NO;
+  return value;
+};
+const formatPercentValue = (value) => (isBlank(value) ? value : `${value}%`);
+
+/*Formatters apply to every item of a list, except join*/
+const FORMATTERS = {
+  date: (value, arg) => formatDateValue(value, arg),
+  currency: (value, arg) => formatCurrencyValue(value, arg),
+  yesno: (value) => formatYesNoValue(value),
+  percent: (value) => formatPercentValue(value)
+};
+const LIST_FORMATTERS = {
+  join: (list, arg = DEFAULT_SEPARATOR) => list.filter((item) => !isBlank(item)).join(arg)
+};
+
+// ====== PARSER ======
+/*Minimal scanner; every parse error carries the position of the offending character*/
+const createScanner = (expression) => {
+  let pos = 0;
+  const scanner = {
+    get pos() {
+      return pos;
+    },
+    peek: (offset = 0) => expression.charAt(pos + offset),
+    startsWith: (token) => expression.startsWith(token, pos),
+    atEnd: () => pos >= expression.length,
+    skipSpaces: () => {
+      while (pos < expression.length && /\s/.test(expression.charAt(pos))) pos++;
+    },
+    advance: (count = 1) => {
+      pos += count;
+    },
+    expect: (token) => {
+      if (!expression.startsWith(token, pos)) scanner.fail(`Expected "${token}"`);
+      pos += token.length;
+    },
+    fail: (message, at = pos) => {
+      let found = at < expression.length ? ` but found "${expression.charAt(at)}"` : " but the path ended";
+      throw new PathExpressionError(message + found, expression, at);
+    },
+    error: (message, at) => {
+      throw new PathExpressionError(message, expression, at);
+    },
+    readName: () => {
+      let start = pos;
+      while (pos < expression.length && /[A-Za-z0-9_$]/.test(expression.charAt(pos))) pos++;
+      if (start === pos) scanner.fail("Expected a field name");
+      return expression.substring(start, pos);
+    },
+    readNumber: () => {
+      let start = pos;
+      if (expression.charAt(pos) === "-") pos++;
+      while (pos < expression.length && /[0-9.]/.test(expression.charAt(pos))) pos++;
+      let value = Number(expression.substring(start, pos));
+      if (start === pos || isNaN(value)) scanner.fail("Expected a number", start);
+      return value;
+    },
+    readString: () => {
+      let quote = expression.charAt(pos);
+      let start = pos;
+      pos++;
+      let value = "";
+      while (pos < expression.length && expression.charAt(pos) !== quote) {
+        if (expression.charAt(pos) === "\\") pos++;
+        value += expression.charAt(pos);
+        pos++;
+      }
+      if (pos >= expression.length) throw new PathExpressionError("Unclosed quote", expression, start);
+      pos++;
+      return value;
+    }
+  };
+  return scanner;
+};
+
+/*'text', "text", numbers, true, false, null*/
+const parseLiteral = (scanner) => {
+  let ch = scanner.peek();
+  if (ch === "'" || ch === '"') return scanner.readString();
+  if (/[-0-9]/.test(ch)) return scanner.readNumber();
+  let start = scanner.pos;
+  let word = scanner.readName();
+  if (word === "true") return true;
+  if (word === "false") return false;
+  if (word === "null") return null;
+  return scanner.fail("Expected a quoted text, number, true, false or null", start);
+};
+
+/*field.path inside a filter, without brackets*/
+const parseFieldPath = (scanner) => {
+  let names = [scanner.readName()];
+  while (scanner.peek() === ".") {
+    scanner.advance();
+    names.push(scanner.readName());
+  }
+  return names;
+};
+
+/*[n], [*] or [?field op value]; an index right after [*] or a filter picks from that list*/
+const parseBracket = (scanner, afterList) => {
+  scanner.expect("[");
+  scanner.skipSpaces();
+  let step;
+  if (scanner.peek() === "*") {
+    scanner.advance();
+    step = { type: "wildcard" };
+  } else if (scanner.peek() === "?") {
+    scanner.advance();
+    scanner.skipSpaces();
+    step = { type: "filter", field: parseFieldPath(scanner) };
+    scanner.skipSpaces();
+    let operator = COMPARE_OPERATORS.find((op) => scanner.startsWith(op));
+    if (operator) {
+      scanner.advance(operator.length);
+      scanner.skipSpaces();
+      step.operator = operator;
+      step.value = parseLiteral(scanner);
+    } else if (scanner.peek() === "=") {
+      scanner.fail('Use "==" to compare');
+    }
+  } else if (/[-0-9]/.test(scanner.peek())) {
+    let start = scanner.pos;
+    let index = scanner.readNumber();
+    if (!Number.isInteger(index)) scanner.fail("Expected a whole number index", start);
+    step = { type: "index", index: index, onList: afterList };
+  } else {
+    scanner.fail('Expected an index, "*" or "?filter"');
+  }
+  scanner.skipSpaces();
+  scanner.expect("]");
+  return step;
+};
+
+/*a.b[0].c[*].d*/
+const parsePath = (scanner) => {
+  let steps = [];
+  do {
+    if (steps.length) scanner.advance(); // the dot
+    steps.push({ type: "property", name: scanner.readName() });
+    let afterList = false;
+    while (scanner.peek() === "[") {
+      let step = parseBracket(scanner, afterList);
+      afterList = step.type === "wildcard" || step.type === "filter";
+      steps.push(step);
+    }
+  } while (scanner.peek() === ".");
+  return steps;
+};
+
+/*path | formatter:arg | formatter, or a literal*/
+const parseAlternative = (scanner) => {
+  scanner.skipSpaces();
+  let ch = scanner.peek();
+  if (ch === "'" || ch === '"' || /[-0-9]/.test(ch)) {
+    return { literal: parseLiteral(scanner), formatters: [] };
+  }
+  let alternative = { steps: parsePath(scanner), formatters: [] };
+  scanner.skipSpaces();
+  while (scanner.peek() === "|") {
+    scanner.advance();
+    scanner.skipSpaces();
+    let start = scanner.pos;
+    let name = scanner.readName().toLowerCase();
+    if (!FORMATTERS[name] && !LIST_FORMATTERS[name]) {
+      scanner.error(`Unknown formatter "${name}", use one of ${[...Object.keys(FORMATTERS), ...Object.keys(LIST_FORMATTERS)].join(", ")}`, start);
+    }
+    let formatter = { name: name };
+    if (scanner.peek() === ":") {
+      scanner.advance();
+      formatter.arg = parseLiteral(scanner);
+    }
+    alternative.formatters.push(formatter);
+    scanner.skipSpaces();
+  }
+  return alternative;
+};
+
+const parsedCache = new Map();
+
+/*Parse an expression into fallback alternatives; throws PathExpressionError*/
+const parsePathExpression = (expression) => {
+  if (typeof expression !== "string" || !expression.trim()) {
+    throw new PathExpressionError("Path is empty", String(expression ?? ""), 0);
+  }
+  if (parsedCache.has(expression)) return parsedCache.get(expression);
+  let scanner = createScanner(expression);
+  let alternatives = [parseAlternative(scanner)];
+  scanner.skipSpaces();
+  while (scanner.startsWith("??")) {
+    scanner.advance(2);
+    alternatives.push(parseAlternative(scanner));
+    scanner.skipSpaces();
+  }
+  if (!scanner.atEnd()) scanner.fail('Expected ".", "[", "|" or "??"');
+  parsedCache.set(expression, alternatives);
+  return alternatives;
+};
+
+// ====== RESOLVER ======
+const readField = (item, names) => names.reduce((value, name) => (value === undefined || value === null ? undefined : value[name]), item);
+
+/*Filter equality: null and undefined are equal, a number or boolean equals its text ("5" == 5)*/
+const filterEquals = (value, expected) => {
+  if (value === undefined || value === null || expected === undefined || expected === null) {
+    return (value === undefined || value === null) === (expected === undefined || expected === null);
+  }
+  if (typeof value === typeof expected) return value === expected;
+  if (typeof value === "number" || typeof expected === "number") return Number(value) === Number(expected);
+  return String(value) === String(expected);
+};
+
+const matchesFilter = (item, step) => {
+  let value = readField(item, step.field);
+  if (!step.operator) return Boolean(value);
+  switch (step.operator) {
+    case "==":
+      return filterEquals(value, step.value);
+    case "!=":
+      return !filterEquals(value, step.value);
+    case ">":
+      return value > step.value;
+    case "<":
+      return value < step.value;
+    case ">=":
+      return value >= step.value;
+    default:
+      return value <= step.value;
+  }
+};
+
+const pickIndex = (list, index) => (Array.isArray(list) ? list[index < 0 ? list.length + index : index] : undefined);
+
+/*Walk the steps; after [*] or a filter the remaining steps run on every item*/
+const evaluateSteps = (value, steps, start) => {
+  let current = value;
+  for (let i = start; i < steps.length; i++) {
+    if (current === undefined || current === null) return undefined;
+    let step = steps[i];
+    if (step.type === "property") {
+      current = current[step.name];
+    } else if (step.type === "index") {
+      current = pickIndex(current, step.index);
+    } else {
+      if (!Array.isArray(current)) return undefined;
+      let list = step.type === "filter" ? current.filter((item) => matchesFilter(item, step)) : current;
+      //[?filter][0] picks from the matched list and ends the projection
+      if (steps[i + 1]?.type === "index" && steps[i + 1].onList) {
+        i++;
+        list = [pickIndex(list, steps[i].index)];
+      }
+      let next = i + 1;
+      let picked = steps[i].type === "index";
+      let results = list.map((item) => evaluateSteps(item, steps, next)).filter((item) => item !== undefined);
+      return picked ? results[0] : results;
+    }
+  }
+  return current;
+};
+
+const applyFormatters = (value, formatters) =>
+  formatters.reduce((result, formatter) => {
+    if (LIST_FORMATTERS[formatter.name]) {
+      return Array.isArray(result) ? LIST_FORMATTERS[formatter.name](result, formatter.arg) : result;
+    }
+    let format = (item) => (isBlank(item) ? item : FORMATTERS[formatter.name](item, formatter.arg));
+    return Array.isArray(result) ? result.map(format) : format(result);
+  }, value);
+
+/*
+ * Value of an expression in data. Invalid expressions resolve to undefined and are
+ * logged, use validatePathExpression to report them.
+ */
+const resolvePath = (data, expression) => {
+  let alternatives;
+  try {
+    alternatives = parsePathExpression(expression);
+  } catch (error) {
+    console.error(error.message);
+    return undefined;
+  }
+  let result;
+  for (let alternative of alternatives) {
+    result =
+      "literal" in alternative
+        ? alternative.literal
+        : applyFormatters(evaluateSteps(data, alternative.steps, 0), alternative.formatters);
+    if (!isBlank(result)) return result;
+  }
+  return result;
+};
+
+/*Error message of an expression, or null when it is valid*/
+const validatePathExpression = (expression) => {
+  try {
+    parsePathExpression(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// ====== OUTPUT FIELD METADATA ======
+/*AAV_Asset_Availability_Output_Field__mdt*/
+const availabilityFieldConfig = (field) => ({
+  key: field.QualifiedApiName || field.DeveloperName || field.API_Name__c,
+  label: field.Label || field.MasterLabel,
+  path: field.API_Name__c,
+  isVisible: field.Visible__c !== false
+});
+
+/*PricingRequestOutputField__mdt: fields live under "data", optionally under APIParentNode__c.
+  A parent node missing in the response falls back to the field on data, as the pricing screens do.
+  "cost|price" pairs of the pricing details resolve their first name; no APIFieldName__c means the
+  screen fills the field itself (path null)*/
+const pricingFieldConfig = (field) => {
+  let name = field.APIFieldName__c || "";
+  let isExpression = /[.[?'"]|\s\|\s/.test(name);
+  let path = name || null;
+  if (name && !isExpression) {
+    name = name.split("|")[0];
+    path = field.APIParentNode__c ? `data.${field.APIParentNode__c}.${name} ?? data.${name}` : `data.${name}`;
+  }
+  return {
+    key: field.FieldName__c,
+    label: field.FieldName__c,
+    path: path,
+    sequence: field.Sequence__c,
+    isVisible: field.Active__c !== false
+  };
+};
+
+/*Report the fields whose path is not valid: [{ key, label, path, error }]*/
+const validateFieldPaths = (fields, fieldConfig = availabilityFieldConfig) =>
+  (fields || [])
+    .map(fieldConfig)
+    .filter((config) => config.path !== null)
+    .map((config) => ({ ...config, error: validatePathExpression(config.path) }))
+    .filter((config) => config.error)
+    .map((config) => ({ key: config.key, label: config.label, path: config.path, error: config.error }));
+
+/*Display value of a field: lists are joined, blanks become ""*/
+const resolveFieldValue = (data, field, fieldConfig = availabilityFieldConfig) => {
+  let config = fieldConfig(field);
+  if (config.path === null) return "";
+  let value = resolvePath(data, config.path);
+  if (Array.isArray(value)) return LIST_FORMATTERS.join(value);
+  return isBlank(value) ? "" : value;
+};
+
+export {
+  PathExpressionError,
+  parsePathExpression,
+  resolvePath,
+  validatePathExpression,
+  availabilityFieldConfig,
+  pricingFieldConfig,
+  validateFieldPaths,
+  resolveFieldValue
+};
@@ -5,45 +5,41 @@
  * -------
  * VERSION | AUTHOR                | DATE            | DESCRIPTION
  * 1.0     | Satnam Singh          |                 | User Story
+ * 1.1     | Asset Availability    |                 | Path expressions with wildcards, filters, fallbacks and formatters
  * **/
+import {
+  resolvePath,
+  resolveFieldValue,
+  validatePathExpression,
+  validateFieldPaths,
+  availabilityFieldConfig,
+  pricingFieldConfig
+} from "./aavPathExpression";
+
 const CSS_LOWER_SECTION = "lower-section";
 const CSS_GREEN_COLOR = "lower-section_green";
 const CSS_YELLOW_COLOR = "lower-section_yellow";
 const DATE_LOCAL = "en-US";
 const DATE_FORMAT = "MM-dd-yyyy";
 
-const getFromArray = (res, node) => {
-  let returnVal = null;
-  let newNode = node.substring(0, node.indexOf("["));
-  let regex = /\[(\d+)\]/;
-  let arrayIndex = parseInt(node.match(regex)[1], 10);
-  if (res[newNode] && Array.isArray(res[newNode])) {
-    returnVal = res[newNode][arrayIndex];
-  }
-  return returnVal;
-};
+/*Value of a path expression (see aavPathExpression), e.g. data.suppliers[0].serviceDays*/
 const getColumnValue = (childNodes, data) => {
-  let tempValue = data;
-  childNodes.split(".").forEach((node) => {
-    if (node.includes("[")) {
-      tempValue = getFromArray(tempValue, node);
-    } else tempValue = tempValue[node];
-  });
-  return tempValue;
+  return resolvePath(data, childNodes);
 };
 
 const getResponsePath = (data) => {
   return data.API_Name__c;
 };
-/** Method is using field API Names specific to AAV_Asset_Availability_Output_Field__mdt metadata**/
-const getColumnsData = (response, arr, index, size) => {
+/** fieldConfig maps a metadata record to its path and label, default is
+ * AAV_Asset_Availability_Output_Field__mdt (pricingFieldConfig for PricingRequestOutputField__mdt)**/
+const getColumnsData = (response, arr, index, size, fieldConfig) => {
   let columns = [];
   for (let j = 0; j < size; j++) {
     let item = arr[index + j];
     if (item) {
       let col = {
-        label: item.Label,
-        value: getColumnValue(getResponsePath(item), response)
+        label: fieldConfig(item).label,
+        value: resolveFieldValue(response, item, fieldConfig)
       };
       columns.push(col);
     }
@@ -51,12 +47,12 @@ const getColumnsData = (response, arr, index, size) => {
   return columns;
 };
 
-const createRowData = (responseData, outputFields, columnCount) => {
+const createRowData = (responseData, outputFields, columnCount, fieldConfig = availabilityFieldConfig) => {
   let rowData;
   for (let i = 0; i < outputFields?.length; ) {
     if (i === 0) rowData = [];
     rowData.push({
-      columns: getColumnsData(responseData, outputFields, i, columnCount),
+      columns: getColumnsData(responseData, outputFields, i, columnCount, fieldConfig),
       index: i
     });
     i = i + columnCount;
@@ -120,6 +116,12 @@ export {
   createRowData,
   getResponsePath,
   getColumnValue,
+  resolvePath,
+  resolveFieldValue,
+  validatePathExpression,
+  validateFieldPaths,
+  availabilityFieldConfig,
+  pricingFieldConfig,
   convertStrToDate,
   formatDate,
   createDeliveryArray,
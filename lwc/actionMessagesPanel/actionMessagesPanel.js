@@ -3,6 +3,17 @@ import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { NavigationMixin } from 'lightning/navigation';
 import getActionPanelData from '@salesforce/apex/ActionMessagesPanelController.getActionPanelData';
 
+// Actions of the panel with the panelData flag that shows them
+const ACTIONS = [
+    { action: 'progresscase', label: 'Progress Case', flag: 'showProgressCase' },
+    { action: 'viewcasesummary', label: 'View Case Summary', flag: 'showViewCaseSummary' },
+    { action: 'addquote', label: 'Add Quote', flag: 'showAddQuote' },
+    { action: 'initiateworkorder', label: 'Initiate Work Order', flag: 'showInitiateWorkOrder' },
+    { action: 'addcaseassets', label: 'Add Case Assets', flag: 'showAddCaseAssets' },
+    { action: 'pendinginfotask', label: 'Create Pending Info Task', flag: 'showPendingInfoTask' },
+    { action: 'multidates', label: 'Multi Dates', flag: 'showMultiDates' }
+];
+
 /**
  * Action Messages Panel Component
  *
@@ -278,4 +289,44 @@ export default class ActionMessagesPanel extends NavigationMixin(LightningElemen
     setProcessing(isProcessing) {
         this.isProcessing = isProcessing;
     }
+
+    /**
+     * Actions of the panel with whether they can be run now
+     * @returns {Array<object>} { action, label, enabled, disabledReason }
+     */
+    @api
+    getAvailableActions() {
+        return ACTIONS.map(({ action, label, flag }) => {
+            const shown = this.panelData[flag] === true;
+            let disabledReason = '';
+            if (this.isLoading) {
+                disabledReason = 'Loading actions';
+            } else if (!shown) {
+                disabledReason = 'Not available for this case';
+            } else if (this.isProcessing) {
+                disabledReason = 'Another action is running';
+            }
+            return {
+                action,
+                label: action === 'viewcasesummary' ? this.caseSummaryLabel : label,
+                enabled: !disabledReason,
+                disabledReason
+            };
+        });
+    }
+
+    /**
+     * Run an action as if its button was clicked
+     * @param {String} actionType - Action, e.g. progresscase
+     * @returns {Boolean} Whether the action was run
+     */
+    @api
+    runAction(actionType) {
+        const available = this.getAvailableActions().find(a => a.action === actionType);
+        if (!available || !available.enabled) {
+            return false;
+        }
+        this.dispatchActionEvent(actionType);
+        return true;
+    }
 }
@@ -0,0 +1,197 @@
+/**
+ * Asset Groups
+ *
+ * Groups, filters and summarizes the assets of a location for the grouped view and the
+ * bulk selection of assetSelector.
+ *
+ * Key Features:
+ * - Groups by material type, container size and service frequency (one of them or all three)
+ * - Filters for active status and open cases (AssetSearchResult.openCaseCount)
+ * - Per group selection state for select-all checkboxes
+ * - Open case summary of the selected assets (AssetSelectorController.getOpenCasesForAssets)
+ *
+ * Usage:
+ *   const visible = filterAssets(assets, { status: 'active', openCases: 'all' });
+ *   const groups = groupAssets(visible, 'service', selectedIds);
+ */
+
+const GROUP_BY_OPTIONS = [
+    { label: 'Material, Size and Frequency', value: 'service' },
+    { label: 'Material Type', value: 'materialType' },
+    { label: 'Container Size', value: 'equipmentSize' },
+    { label: 'Service Frequency', value: 'frequency' }
+];
+
+const STATUS_FILTER_OPTIONS = [
+    { label: 'All Statuses', value: 'all' },
+    { label: 'Active', value: 'active' },
+    { label: 'Inactive', value: 'inactive' }
+];
+
+const OPEN_CASE_FILTER_OPTIONS = [
+    { label: 'All Assets', value: 'all' },
+    { label: 'With Open Cases', value: 'open' },
+    { label: 'Without Open Cases', value: 'none' }
+];
+
+// Label of a missing value per grouping field
+const BLANK_LABELS = {
+    materialType: 'No Material Type',
+    equipmentSize: 'No Size',
+    frequency: 'No Frequency'
+};
+
+const SERVICE_FIELDS = ['materialType', 'equipmentSize', 'frequency'];
+
+const valueOf = (asset, field) => {
+    const value = asset[field];
+    // Equipment_Size__c is a formula that turns a blank size into 0
+    return value === null || value === undefined || String(value).trim() === '' || (field === 'equipmentSize' && String(value) === '0')
+        ? null
+        : String(value).trim();
+};
+
+/**
+ * Whether an asset can be selected on a case (validateAssetSelection accepts it)
+ */
+const isSelectable = (asset, today = new Date()) => {
+    if (asset.isActive === false) {
+        return false;
+    }
+    if (asset.endDate) {
+        const todayIso = today.toISOString().substring(0, 10);
+        return String(asset.endDate).substring(0, 10) >= todayIso;
+    }
+    return true;
+};
+
+// ============================================================================
+// FILTERING AND GROUPING
+// ============================================================================
+
+/**
+ * Assets matching the filters
+ * @param {Array<object>} assets - AssetSearchResult
+ * @param {object} filters - { status: all | active | inactive, openCases: all | open | none }
+ */
+const filterAssets = (assets, filters = {}) =>
+    (assets || []).filter((asset) => {
+        if (filters.status === 'active' && !asset.isActive) return false;
+        if (filters.status === 'inactive' && asset.isActive) return false;
+        const openCaseCount = asset.openCaseCount || 0;
+        if (filters.openCases === 'open' && openCaseCount === 0) return false;
+        if (filters.openCases === 'none' && openCaseCount > 0) return false;
+        return true;
+    });
+
+/**
+ * Group label of an asset
+ */
+const groupLabelOf = (asset, groupBy) => {
+    if (groupBy === 'service') {
+        return SERVICE_FIELDS.map((field) => valueOf(asset, field) || BLANK_LABELS[field]).join(' / ');
+    }
+    return valueOf(asset, groupBy) || BLANK_LABELS[groupBy] || 'Other';
+};
+
+/**
+ * Assets grouped for the grouped view, groups and assets sorted by label
+ * @param {Array<object>} assets - Filtered assets
+ * @param {string} groupBy - Value of GROUP_BY_OPTIONS
+ * @param {Array<string>} selectedIds - Selected asset IDs
+ * @returns {Array<object>} { key, label, count, selectedCount, isAllSelected, isPartlySelected,
+ *          openCaseCount, assets }
+ */
+const groupAssets = (assets, groupBy, selectedIds = []) => {
+    const selected = new Set(selectedIds);
+    const groups = new Map();
+
+    (assets || []).forEach((asset) => {
+        const label = groupLabelOf(asset, groupBy);
+        if (!groups.has(label)) {
+            groups.set(label, { key: `${groupBy}-${label}`, label, assets: [] });
+        }
+        const openCaseCount = asset.openCaseCount || 0;
+        groups.get(label).assets.push({
+            ...asset,
+            isSelected: selected.has(asset.id),
+            isSelectable: isSelectable(asset),
+            hasOpenCases: openCaseCount > 0,
+            openCaseLabel: openCaseCount === 1 ? '1 open case' : `${openCaseCount} open cases`,
+            displayName: asset.acornSID || asset.name
+        });
+    });
+
+    return [...groups.values()]
+        .sort((a, b) => a.label.localeCompare(b.label))
+        .map((group) => {
+            const groupAssetList = group.assets.sort((a, b) => String(a.displayName).localeCompare(String(b.displayName)));
+            const selectable = groupAssetList.filter((asset) => asset.isSelectable);
+            const selectedCount = groupAssetList.filter((asset) => asset.isSelected).length;
+            return {
+                ...group,
+                assets: groupAssetList,
+                count: groupAssetList.length,
+                selectedCount,
+                isAllSelected: selectable.length > 0 && selectable.every((asset) => asset.isSelected),
+                isPartlySelected: selectedCount > 0 && !selectable.every((asset) => asset.isSelected),
+                hasSelectable: selectable.length > 0,
+                openCaseCount: groupAssetList.filter((asset) => asset.hasOpenCases).length
+            };
+        });
+};
+
+// ============================================================================
+// OPEN CASE SUMMARY
+// ============================================================================
+
+/**
+ * Open case summary of the selected assets
+ * @param {Array<object>} summaries - AssetOpenCaseSummary
+ * @param {Array<object>} selectedAssets - Selected AssetSearchResult, for their names
+ * @returns {object} { rows, assetsWithOpenCases, message }
+ */
+const summarizeOpenCases = (summaries, selectedAssets) => {
+    const assetById = new Map((selectedAssets || []).map((asset) => [asset.id, asset]));
+    const rows = (summaries || [])
+        .filter((summary) => summary.openCaseCount > 0 || summary.isOnCurrentCase)
+        .map((summary) => {
+            const asset = assetById.get(summary.assetId) || {};
+            return {
+                assetId: summary.assetId,
+                displayName: asset.acornSID || asset.name || summary.assetId,
+                materialType: asset.materialType,
+                isOnCurrentCase: summary.isOnCurrentCase,
+                openCaseCount: summary.openCaseCount,
+                // open cases counted but not listed (server list limit reached)
+                moreOpenCasesLabel: summary.isTruncated
+                    ? `and ${summary.openCaseCount - (summary.openCases || []).length} more open cases`
+                    : null,
+                openCases: (summary.openCases || []).map((openCase) => ({
+                    ...openCase,
+                    label: [openCase.caseNumber, openCase.caseType, openCase.caseSubType, openCase.status]
+                        .filter(Boolean)
+                        .join(' - ')
+                }))
+            };
+        });
+    const assetsWithOpenCases = rows.filter((row) => row.openCaseCount > 0).length;
+    const total = (summaries || []).length;
+    return {
+        rows,
+        assetsWithOpenCases,
+        message: assetsWithOpenCases
+            ? `${assetsWithOpenCases} of ${total} selected assets already have open cases.`
+            : `None of the ${total} selected assets have open cases.`
+    };
+};
+
+export {
+    GROUP_BY_OPTIONS,
+    STATUS_FILTER_OPTIONS,
+    OPEN_CASE_FILTER_OPTIONS,
+    isSelectable,
+    filterAssets,
+    groupAssets,
+    summarizeOpenCases
+};
@@ -7,6 +7,16 @@ import getAssetsForLocation from '@salesforce/apex/AssetSelectorController.getAs
 import getHighlightedAssets from '@salesforce/apex/AssetSelectorController.getHighlightedAssets';
 import updateAssetOnCase from '@salesforce/apex/AssetSelectorController.updateAssetOnCase';
 import validateAssetSelection from '@salesforce/apex/AssetSelectorController.validateAssetSelection';
+import getOpenCasesForAssets from '@salesforce/apex/AssetSelectorController.getOpenCasesForAssets';
+import {
+    GROUP_BY_OPTIONS,
+    STATUS_FILTER_OPTIONS,
+    OPEN_CASE_FILTER_OPTIONS,
+    isSelectable,
+    filterAssets,
+    groupAssets,
+    summarizeOpenCases
+} from './assetGroups';
 
 /**
  * Asset Selector Component
@@ -24,6 +34,8 @@ import validateAssetSelection from '@salesforce/apex/AssetSelectorController.val
  * - Highlighted assets (already selected on related cases)
  * - Inline asset detail display
  * - Active/inactive asset filtering
+ * - Grouped view by material type, container size and service frequency with select-all per group
+ * - Open case summary of the selected assets (multi-select)
  *
  * @author George Martin
  * @date 2025-11-18
@@ -78,6 +90,11 @@ export default class AssetSelector extends LightningElement {
      */
     @api activeAssetsOnly = false;
 
+    /**
+     * View shown first in multi-select mode: 'search' or 'grouped'
+     */
+    @api defaultView = 'search';
+
     // ========================================
     // Private Properties
     // ========================================
@@ -90,11 +107,39 @@ export default class AssetSelector extends LightningElement {
     @track isLoading = false;
     @track error = null;
 
+    // Grouped view properties
+    @track viewMode = 'search';
+    @track locationAssets = [];
+    @track groupBy = 'service';
+    @track statusFilter = 'all';
+    @track openCaseFilter = 'all';
+    @track isLoadingLocationAssets = false;
+    locationAssetsLoadedFor = null;
+
+    // Open case summary properties
+    @track openCaseSummary = null;
+    @track isLoadingOpenCases = false;
+    openCaseRequestId = 0;
+
+    groupByOptions = GROUP_BY_OPTIONS;
+    statusFilterOptions = STATUS_FILTER_OPTIONS;
+    openCaseFilterOptions = OPEN_CASE_FILTER_OPTIONS;
+    viewOptions = [
+        { label: 'Search', value: 'search' },
+        { label: 'Grouped', value: 'grouped' }
+    ];
+
     // ========================================
     // Lifecycle Hooks
     // ========================================
 
     connectedCallback() {
+        this.statusFilter = this.activeAssetsOnly ? 'active' : 'all';
+        if (this.allowMultiSelect && this.defaultView === 'grouped') {
+            this.viewMode = 'grouped';
+            this.loadLocationAssets();
+        }
+
         // Load highlighted assets if case ID provided
         if (this.caseId) {
             this.loadHighlightedAssets();
@@ -220,6 +265,70 @@ export default class AssetSelector extends LightningElement {
         return fields;
     }
 
+    /**
+     * Whether the grouped view is shown
+     */
+    get isGroupedView() {
+        return this.allowMultiSelect && this.viewMode === 'grouped';
+    }
+
+    /**
+     * Search view stays rendered while hidden so the search is kept
+     */
+    get searchViewClass() {
+        return this.isGroupedView ? 'slds-hide' : '';
+    }
+
+    /**
+     * Groups of the grouped view
+     */
+    get assetGroups() {
+        const visible = filterAssets(this.locationAssets, {
+            status: this.statusFilter,
+            openCases: this.openCaseFilter
+        });
+        return groupAssets(visible, this.groupBy, this.selectedAssets.map(a => a.id)).map(group => ({
+            ...group,
+            isSelectAllDisabled: !group.hasSelectable,
+            selectAllLabel: `${group.label} (${group.selectedCount} of ${group.count} selected)`,
+            openCaseBadge: group.openCaseCount ? `${group.openCaseCount} with open cases` : null,
+            assets: group.assets.map(asset => ({
+                ...asset,
+                isDisabled: !asset.isSelectable,
+                tileClass: asset.isSelected ? 'asset-tile asset-tile_selected' : 'asset-tile'
+            }))
+        }));
+    }
+
+    get hasAssetGroups() {
+        return this.assetGroups.length > 0;
+    }
+
+    /**
+     * Whether the open case summary is shown
+     */
+    get showOpenCaseSummary() {
+        return this.hasMultipleSelectedAssets && (this.openCaseSummary != null || this.isLoadingOpenCases);
+    }
+
+    get openCaseSummaryRows() {
+        return this.openCaseSummary ? this.openCaseSummary.rows : [];
+    }
+
+    get hasOpenCaseSummaryRows() {
+        return this.openCaseSummaryRows.length > 0;
+    }
+
+    get openCaseSummaryMessage() {
+        return this.openCaseSummary ? this.openCaseSummary.message : '';
+    }
+
+    get openCaseSummaryClass() {
+        return this.openCaseSummary && this.openCaseSummary.assetsWithOpenCases
+            ? 'slds-text-color_error slds-m-bottom_small'
+            : 'slds-text-color_success slds-m-bottom_small';
+    }
+
     /**
      * Search fields configuration for recordSearchBase
      */
@@ -363,6 +472,7 @@ export default class AssetSelector extends LightningElement {
         this.selectedAsset = null;
         this.selectedAssets = [];
         this.searchResults = [];
+        this.openCaseSummary = null;
 
         // Notify parent of clear
         this.dispatchEvent(new CustomEvent('clear'));
@@ -389,6 +499,67 @@ export default class AssetSelector extends LightningElement {
         }
 
         this.notifyAssetChange();
+        this.refreshOpenCaseSummary();
+    }
+
+    // ========================================
+    // Event Handlers - Grouped View
+    // ========================================
+
+    /**
+     * Handle search / grouped view change
+     */
+    handleViewChange(event) {
+        this.viewMode = event.detail.value;
+        if (this.isGroupedView) {
+            this.loadLocationAssets();
+        }
+    }
+
+    handleGroupByChange(event) {
+        this.groupBy = event.detail.value;
+    }
+
+    handleStatusFilterChange(event) {
+        this.statusFilter = event.detail.value;
+    }
+
+    handleOpenCaseFilterChange(event) {
+        this.openCaseFilter = event.detail.value;
+    }
+
+    /**
+     * Handle select-all checkbox of a group: select or deselect every asset of the group
+     */
+    handleGroupSelectAll(event) {
+        const group = this.assetGroups.find(g => g.key === event.currentTarget.dataset.key);
+        if (!group) return;
+
+        if (event.detail.checked) {
+            const selectable = group.assets.filter(asset => asset.isSelectable);
+            const skipped = group.assets.length - selectable.length;
+            this.applyBulkSelection(selectable, []);
+            if (skipped > 0) {
+                this.showInfo(`${skipped} inactive or ended asset(s) in ${group.label} were not selected`);
+            }
+        } else {
+            this.applyBulkSelection([], group.assets.map(asset => asset.id));
+        }
+    }
+
+    /**
+     * Handle checkbox of a single asset in the grouped view
+     */
+    handleGroupAssetToggle(event) {
+        const assetId = event.currentTarget.dataset.id;
+        const asset = this.locationAssets.find(a => a.id === assetId);
+        if (!asset) return;
+
+        if (event.detail.checked) {
+            this.applyBulkSelection([asset], []);
+        } else {
+            this.applyBulkSelection([], [assetId]);
+        }
     }
 
     // ========================================
@@ -462,6 +633,7 @@ export default class AssetSelector extends LightningElement {
                 } else {
                     this.notifyAssetSelected(result);
                 }
+                this.refreshOpenCaseSummary();
             }
         })
         .catch(error => {
@@ -540,6 +712,89 @@ export default class AssetSelector extends LightningElement {
         });
     }
 
+    /**
+     * Load all assets of the location for the grouped view (once per location)
+     */
+    loadLocationAssets() {
+        if (!this.locationId || this.locationAssetsLoadedFor === this.locationId) return;
+
+        const locationId = this.locationId;
+        this.isLoadingLocationAssets = true;
+
+        getAssetsForLocation({
+            locationId: locationId,
+            caseRecordType: this.caseRecordType
+        })
+        .then(result => {
+            if (locationId !== this.locationId) return;
+            this.locationAssets = result || [];
+            this.locationAssetsLoadedFor = locationId;
+        })
+        .catch(error => {
+            this.showError('Failed to load assets: ' + this.getErrorMessage(error));
+        })
+        .finally(() => {
+            this.isLoadingLocationAssets = false;
+        });
+    }
+
+    /**
+     * Load the open cases of the selected assets (multi-select)
+     */
+    refreshOpenCaseSummary() {
+        if (!this.allowMultiSelect || this.selectedAssets.length === 0) {
+            this.openCaseSummary = null;
+            return;
+        }
+
+        const requestId = ++this.openCaseRequestId;
+        const selectedAssets = this.selectedAssets;
+        this.isLoadingOpenCases = true;
+
+        getOpenCasesForAssets({
+            assetIds: selectedAssets.map(a => a.id),
+            caseId: this.caseId
+        })
+        .then(result => {
+            if (requestId !== this.openCaseRequestId) return;
+            this.openCaseSummary = summarizeOpenCases(result, selectedAssets);
+        })
+        .catch(error => {
+            if (requestId !== this.openCaseRequestId) return;
+            console.error('Failed to load open cases:', error);
+            this.openCaseSummary = null;
+        })
+        .finally(() => {
+            if (requestId === this.openCaseRequestId) {
+                this.isLoadingOpenCases = false;
+            }
+        });
+    }
+
+    /**
+     * Add and remove assets in one step, then update the case once
+     * @param {Array} assetsToAdd - Assets to select
+     * @param {Array} idsToRemove - IDs of assets to deselect
+     */
+    applyBulkSelection(assetsToAdd, idsToRemove) {
+        const removed = new Set(idsToRemove);
+        const kept = this.selectedAssets.filter(asset => !removed.has(asset.id));
+        const keptIds = new Set(kept.map(asset => asset.id));
+        const added = assetsToAdd.filter(asset => isSelectable(asset) && !keptIds.has(asset.id));
+
+        this.selectedAssets = [...kept, ...added];
+        if (!this.selectedAsset || removed.has(this.selectedAsset.id) || added.length) {
+            this.selectedAsset = added.length ? added[added.length - 1] : (kept.length ? kept[kept.length - 1] : null);
+        }
+
+        if (this.caseId) {
+            this.updateCaseAssets();
+        } else {
+            this.notifyAssetChange();
+        }
+        this.refreshOpenCaseSummary();
+    }
+
     /**
      * Perform asset search
      */
@@ -666,6 +921,25 @@ export default class AssetSelector extends LightningElement {
     // Public API Methods
     // ========================================
 
+    /**
+     * Move focus into the search box
+     * @returns {Boolean} Whether the search box was focused
+     */
+    @api
+    focusSearch() {
+        const search = this.template.querySelector('c-record-search-base');
+        return search ? search.focusSearch() : false;
+    }
+
+    /**
+     * Select a asset as if it was picked from the search results
+     * @param {String} recordId - Asset ID
+     */
+    @api
+    selectRecord(recordId) {
+        this.loadAssetById(recordId);
+    }
+
     /**
      * Get selected asset
      */
@@ -706,6 +980,7 @@ export default class AssetSelector extends LightningElement {
         this.selectedAsset = null;
         this.selectedAssets = [];
         this.searchResults = [];
+        this.openCaseSummary = null;
 
         const searchBase = this.template.querySelector('c-record-search-base');
         if (searchBase) {
@@ -722,6 +997,11 @@ export default class AssetSelector extends LightningElement {
         this.locationName = locationName;
         this.caseRecordType = caseRecordType;
 
+        this.locationAssets = [];
+        this.locationAssetsLoadedFor = null;
         this.loadRecentAssets();
+        if (this.isGroupedView) {
+            this.loadLocationAssets();
+        }
     }
 }
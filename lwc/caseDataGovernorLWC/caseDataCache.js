@@ -0,0 +1,170 @@
+/**
+ * Case Data Cache
+ *
+ * Module-level, versioned cache of Case page data used by caseDataGovernorLWC.
+ * Entries are keyed by case and section so agents switching between the same
+ * console tabs get cached data immediately, and only sections whose version
+ * token changed are fetched again.
+ *
+ * Each section entry stores:
+ * - version: token returned by CaseDataGovernorService (LastModifiedDate based, covering
+ *   the related records the section reads)
+ * - fetchedAt: when the section was last confirmed current with the server
+ *
+ * The cache lives for the lifetime of the browser tab (module scope) and is
+ * bounded by MAX_CASES, evicting the least recently used case.
+ */
+
+const MAX_CASES = 25;
+
+/**
+ * Time-to-live per section in milliseconds. A section older than its TTL is
+ * re-validated against the server version token before being trusted.
+ */
+const SECTION_TTL = {
+    case: 30 * 1000,
+    ui: 30 * 1000,
+    contact: 5 * 60 * 1000,
+    asset: 5 * 60 * 1000,
+    businessrules: 5 * 60 * 1000,
+    relatedcases: 5 * 60 * 1000,
+    pageconfig: 30 * 60 * 1000
+};
+
+/**
+ * pageData properties owned by each section (mirrors updatePageDataSection)
+ */
+const SECTION_FIELDS = {
+    case: ['caseRecord'],
+    contact: ['caseContact'],
+    asset: ['caseAsset'],
+    businessrules: ['businessRules'],
+    ui: ['caseUI'],
+    relatedcases: ['relatedCases'],
+    pageconfig: ['pageConfig']
+};
+
+const SECTIONS = Object.keys(SECTION_FIELDS);
+
+// caseId -> { pageData, sections: { section -> { version, fetchedAt } }, lastUsed }
+const entries = new Map();
+
+const touch = (caseId, entry) => {
+    entries.delete(caseId);
+    entry.lastUsed = Date.now();
+    entries.set(caseId, entry);
+    while (entries.size > MAX_CASES) {
+        entries.delete(entries.keys().next().value);
+    }
+};
+
+/**
+ * Get the cached page data for a case
+ * @param {string} caseId - Case record Id
+ * @returns {object|null} Cached pageData, or null when not cached
+ */
+const getCachedPageData = (caseId) => {
+    const entry = entries.get(caseId);
+    if (!entry) {
+        return null;
+    }
+    touch(caseId, entry);
+    return entry.pageData;
+};
+
+/**
+ * Store a full page load
+ * @param {string} caseId - Case record Id
+ * @param {object} pageData - CasePageDataWrapper returned by getCasePageData
+ */
+const putPageData = (caseId, pageData) => {
+    const now = Date.now();
+    const versions = pageData.versionTokens || {};
+    const sections = {};
+    SECTIONS.forEach((section) => {
+        sections[section] = { version: versions[section], fetchedAt: now };
+    });
+    touch(caseId, { pageData, sections });
+};
+
+/**
+ * Merge a refreshed section into the cached page data
+ * @param {string} caseId - Case record Id
+ * @param {string} section - Section name (case, contact, asset, businessrules, ui, relatedcases, pageconfig)
+ * @param {object} sectionData - Map returned by refreshPageSection
+ * @returns {object|null} Merged pageData, or null when the case is not cached
+ */
+const putSection = (caseId, section, sectionData) => {
+    const entry = entries.get(caseId);
+    const key = section.toLowerCase();
+    if (!entry || !SECTION_FIELDS[key]) {
+        return null;
+    }
+    SECTION_FIELDS[key].forEach((field) => {
+        entry.pageData[field] = sectionData[field];
+    });
+    entry.pageData.versionTokens = { ...entry.pageData.versionTokens, [key]: sectionData.versionToken };
+    entry.sections[key] = { version: sectionData.versionToken, fetchedAt: Date.now() };
+    touch(caseId, entry);
+    return entry.pageData;
+};
+
+/**
+ * Sections whose TTL has elapsed and need re-validation
+ * @param {string} caseId - Case record Id
+ * @returns {Array<string>} Expired section names (all sections when not cached)
+ */
+const getExpiredSections = (caseId) => {
+    const entry = entries.get(caseId);
+    if (!entry) {
+        return [...SECTIONS];
+    }
+    const now = Date.now();
+    return SECTIONS.filter((section) => {
+        const cached = entry.sections[section];
+        return !cached || now - cached.fetchedAt > SECTION_TTL[section];
+    });
+};
+
+/**
+ * Compare server version tokens with the cache.
+ * Sections whose token is unchanged are marked fresh again.
+ * @param {string} caseId - Case record Id
+ * @param {object} serverVersions - Section name to current version token
+ * @param {Array<string>} sections - Sections to compare (defaults to all)
+ * @returns {Array<string>} Sections whose version changed
+ */
+const getChangedSections = (caseId, serverVersions, sections = SECTIONS) => {
+    const entry = entries.get(caseId);
+    if (!entry) {
+        return [...sections];
+    }
+    const now = Date.now();
+    return sections.filter((section) => {
+        const cached = entry.sections[section];
+        if (cached && cached.version === serverVersions[section]) {
+            cached.fetchedAt = now;
+            return false;
+        }
+        return true;
+    });
+};
+
+/**
+ * Drop a case from the cache (e.g. on explicit reload)
+ * @param {string} caseId - Case record Id
+ */
+const invalidate = (caseId) => {
+    entries.delete(caseId);
+};
+
+export {
+    SECTIONS,
+    SECTION_TTL,
+    getCachedPageData,
+    putPageData,
+    putSection,
+    getExpiredSections,
+    getChangedSections,
+    invalidate
+};
@@ -11,11 +11,17 @@
  * - Handles refresh requests from child components
  * - Manages loading and error states
  * - Reduces governor limits through consolidated queries
+ * - Caches page data per case and section (see caseDataCache.js) and, when a
+ *   section's TTL expires, re-fetches only sections whose version token changed
+ * - Tags each message with source 'cache' or 'server' so subscribers can tell
+ *   a cached payload from a fresh one
  *
  * Usage:
  * - Add this component to Case record page layouts
  * - Child components subscribe to CaseDataChannel LMS to receive data
  * - Child components can request targeted refreshes via custom events
+ * - A 'refresh' request re-fetches the requested section(s) without a version
+ *   check; 'reload' drops the cached case and loads it again
  */
 import { LightningElement, api, wire, track } from 'lwc';
 import { publish, subscribe, unsubscribe, MessageContext } from 'lightning/messageService';
@@ -25,6 +31,20 @@ import { refreshApex } from '@salesforce/apex';
 import CASE_DATA_CHANNEL from '@salesforce/messageChannel/CaseDataChannel__c';
 import getCasePageData from '@salesforce/apex/CaseDataGovernorService.getCasePageData';
 import refreshPageSection from '@salesforce/apex/CaseDataGovernorService.refreshPageSection';
+import getSectionVersions from '@salesforce/apex/CaseDataGovernorService.getSectionVersions';
+
+import {
+    SECTIONS,
+    getCachedPageData,
+    putPageData,
+    putSection,
+    getExpiredSections,
+    getChangedSections,
+    invalidate
+} from './caseDataCache';
+
+const SOURCE_CACHE = 'cache';
+const SOURCE_SERVER = 'server';
 
 export default class CaseDataGovernorLWC extends LightningElement {
     // ========================================================================
@@ -40,6 +60,7 @@ export default class CaseDataGovernorLWC extends LightningElement {
     @track pageData = null;
     @track isLoading = true;
     @track error = null;
+    @track dataSource = null;
 
     wiredPageDataResult;
     subscription = null;
@@ -71,7 +92,9 @@ export default class CaseDataGovernorLWC extends LightningElement {
     // ========================================================================
 
     /**
-     * Load complete case page data from Apex
+     * Load case page data, serving the cache first when available.
+     * Cached data is published immediately; expired sections are then
+     * re-validated against the server in the background.
      */
     async loadCaseData() {
         if (!this.recordId) {
@@ -80,6 +103,17 @@ export default class CaseDataGovernorLWC extends LightningElement {
             return;
         }
 
+        const cached = getCachedPageData(this.recordId);
+        if (cached) {
+            this.pageData = { ...cached };
+            this.dataSource = SOURCE_CACHE;
+            this.error = null;
+            this.isLoading = false;
+            this.publishPageData('load', cached, null, SOURCE_CACHE);
+            await this.revalidateSections(getExpiredSections(this.recordId));
+            return;
+        }
+
         this.isLoading = true;
         this.error = null;
 
@@ -92,8 +126,10 @@ export default class CaseDataGovernorLWC extends LightningElement {
             });
 
             if (result.isSuccess) {
+                putPageData(this.recordId, result);
                 this.pageData = result;
-                this.publishPageData('load', result);
+                this.dataSource = SOURCE_SERVER;
+                this.publishPageData('load', result, null, SOURCE_SERVER);
             } else {
                 this.error = result.errorMessage || 'Error loading case data';
                 this.showError(this.error);
@@ -110,6 +146,29 @@ export default class CaseDataGovernorLWC extends LightningElement {
         }
     }
 
+    /**
+     * Check section version tokens and refresh only sections that changed
+     * @param {Array<string>} sections - Sections to re-validate
+     */
+    async revalidateSections(sections) {
+        if (!this.recordId || !sections || sections.length === 0) {
+            return;
+        }
+
+        let changed = sections;
+        try {
+            const result = await getSectionVersions({ caseId: this.recordId });
+            if (result.isSuccess) {
+                changed = getChangedSections(this.recordId, result.versions, sections);
+            }
+        } catch (error) {
+            // Fall back to refreshing every requested section
+            console.error('Error checking section versions:', error);
+        }
+
+        await Promise.all(changed.map((section) => this.refreshSection(section)));
+    }
+
     /**
      * Refresh specific section of page data
      * @param {string} section - Section to refresh (case, contact, asset, etc.)
@@ -126,11 +185,17 @@ export default class CaseDataGovernorLWC extends LightningElement {
             });
 
             if (result.isSuccess) {
-                // Update local pageData with refreshed section
-                this.updatePageDataSection(section, result);
+                // Merge into the cache, falling back to local pageData if evicted
+                const merged = putSection(this.recordId, section, result);
+                if (merged) {
+                    this.pageData = { ...merged };
+                } else {
+                    this.updatePageDataSection(section, result);
+                }
+                this.dataSource = SOURCE_SERVER;
 
                 // Publish section update
-                this.publishPageData('refresh', this.pageData, section);
+                this.publishPageData('refresh', this.pageData, section, SOURCE_SERVER, result);
 
             } else {
                 this.showError(`Error refreshing ${section}: ${result.errorMessage}`);
@@ -162,6 +227,12 @@ export default class CaseDataGovernorLWC extends LightningElement {
             case 'ui':
                 this.pageData.caseUI = sectionData.caseUI;
                 break;
+            case 'relatedcases':
+                this.pageData.relatedCases = sectionData.relatedCases;
+                break;
+            case 'pageconfig':
+                this.pageData.pageConfig = sectionData.pageConfig;
+                break;
         }
     }
 
@@ -174,13 +245,17 @@ export default class CaseDataGovernorLWC extends LightningElement {
      * @param {string} eventType - Type of event (load, refresh, update)
      * @param {object} data - Page data to publish
      * @param {string} section - Optional section being updated
+     * @param {string} source - 'cache' or 'server'
+     * @param {object} sectionData - Optional refreshed section only (partial update)
      */
-    publishPageData(eventType, data, section = null) {
+    publishPageData(eventType, data, section = null, source = SOURCE_SERVER, sectionData = null) {
         const message = {
             caseId: this.recordId,
             eventType: eventType,
             pageData: JSON.stringify(data),
             section: section,
+            sectionData: sectionData ? JSON.stringify(sectionData) : null,
+            source: source,
             timestamp: new Date().toISOString()
         };
 
@@ -230,21 +305,23 @@ export default class CaseDataGovernorLWC extends LightningElement {
      * Handle refresh requests from child components
      */
     handleRefreshRequest(message) {
-        // Only handle requests for this case
-        if (message.caseId !== this.recordId) {
+        // Only handle requests for this case; ignore our own publications
+        if (message.caseId !== this.recordId || message.pageData) {
             return;
         }
 
-        // Handle different request types
+        // Handle different request types. An explicit refresh follows the requester's own
+        // changes, so it is fetched without checking the version tokens first.
         switch (message.eventType) {
             case 'refresh':
                 if (message.section) {
-                    this.refreshSection(message.section);
+                    this.refreshSection(message.section.toLowerCase());
                 } else {
-                    this.loadCaseData();
+                    SECTIONS.forEach((section) => this.refreshSection(section));
                 }
                 break;
             case 'reload':
+                invalidate(this.recordId);
                 this.loadCaseData();
                 break;
         }
@@ -258,6 +335,7 @@ export default class CaseDataGovernorLWC extends LightningElement {
      * Handle manual refresh button click (for debugging/admin)
      */
     handleRefresh() {
+        invalidate(this.recordId);
         this.loadCaseData();
     }
 
@@ -306,6 +384,10 @@ export default class CaseDataGovernorLWC extends LightningElement {
         return this.pageData?.caseRecord?.CaseNumber || '';
     }
 
+    get isFromCache() {
+        return this.dataSource === SOURCE_CACHE;
+    }
+
     get loadedAt() {
         if (this.pageData?.loadedAt) {
             return new Date(this.pageData.loadedAt).toLocaleTimeString();
@@ -0,0 +1,114 @@
+/**
+ * Case Commands
+ *
+ * Commands of the case manager for the command palette (c/commandPalette):
+ * the actions of actionMessagesPanel, the quick case types of caseTypeConfigurator,
+ * the wizard phases and the search boxes of the selectors.
+ *
+ * Key Features:
+ * - Disabled commands carry the reason (action not available, no case yet, ...)
+ * - Default shortcuts, overridable per page with the commandShortcuts property
+ *
+ * Command ids:
+ * - palette                       open the palette
+ * - action:<action>               action of actionMessagesPanel, e.g. action:progresscase
+ * - quick:<type>                  quick case type, e.g. quick:Pickup
+ * - phase:<stepId>                go to a wizard phase; phase:next, phase:previous
+ * - search:<component>            focus a search box, e.g. search:contactSelector
+ *
+ * Usage:
+ *   const shortcuts = resolveShortcuts(DEFAULT_SHORTCUTS, this.commandShortcuts);
+ *   const commands = buildCaseCommands({ actions, phases, currentPhase, shortcuts, ... });
+ */
+
+const DEFAULT_SHORTCUTS = {
+    palette: 'Ctrl+K',
+    'phase:next': 'Alt+N',
+    'phase:previous': 'Alt+P',
+    'search:entitySelector': 'Alt+L',
+    'search:contactSelector': 'Alt+C',
+    'search:assetSelector': 'Alt+A'
+};
+
+const QUICK_TYPES = [
+    { type: 'Pickup', label: 'Pickup' },
+    { type: 'SNP', label: 'Service Not Performed', keywords: ['snp'] },
+    { type: 'ETA', label: 'ETA' },
+    { type: 'New Service', label: 'New Service' }
+];
+
+const SEARCH_TARGETS = [
+    { component: 'entitySelector', label: 'Search Location / Vendor / Client', keywords: ['entity', 'account'] },
+    { component: 'contactSelector', label: 'Search Contacts', keywords: ['caller', 'person'] },
+    { component: 'assetSelector', label: 'Search Assets', keywords: ['container', 'equipment'] }
+];
+
+/**
+ * Wizard phase that shows a component
+ */
+const phaseWithComponent = (phases, component) => (phases || []).find((step) => step.components.includes(component));
+
+/**
+ * Commands available on the case
+ * @param {object} context
+ * @param {Array<object>} context.actions - actionMessagesPanel.getAvailableActions(), empty without the panel
+ * @param {Array<object>} context.phases - Visible wizard phases, empty outside the wizard
+ * @param {string} context.currentPhase - Current wizard phase
+ * @param {boolean} context.hasCase - Whether the case exists (quick types update it)
+ * @param {boolean} context.isFirstPhase
+ * @param {boolean} context.isLastPhase
+ * @param {object} context.shortcuts - commandId -> shortcut
+ * @returns {Array<object>} { id, label, group, keywords, shortcut, disabled, disabledReason }
+ */
+const buildCaseCommands = (context) => {
+    const { actions = [], phases = [], currentPhase, hasCase, isFirstPhase, isLastPhase, shortcuts = {} } = context;
+    const commands = [];
+    const add = (id, label, group, options = {}) => {
+        commands.push({
+            id,
+            label,
+            group,
+            keywords: options.keywords || [],
+            shortcut: shortcuts[id] || '',
+            disabled: Boolean(options.disabledReason),
+            disabledReason: options.disabledReason || ''
+        });
+    };
+
+    actions.forEach((action) => {
+        add(`action:${action.action}`, action.label, 'Case Actions', { disabledReason: action.enabled ? '' : action.disabledReason });
+    });
+
+    if (phases.length) {
+        const configuratorPhase = phaseWithComponent(phases, 'caseTypeConfigurator');
+        QUICK_TYPES.forEach((quick) => {
+            let disabledReason = '';
+            if (!configuratorPhase) {
+                disabledReason = 'Case type is not set in this flow';
+            } else if (!hasCase) {
+                disabledReason = 'Save the case first';
+            }
+            add(`quick:${quick.type}`, `Quick Type: ${quick.label}`, 'Case Type', { keywords: quick.keywords, disabledReason });
+        });
+
+        add('phase:next', 'Next Step', 'Wizard', { disabledReason: isLastPhase ? 'Already on the last step' : '' });
+        add('phase:previous', 'Previous Step', 'Wizard', { disabledReason: isFirstPhase ? 'Already on the first step' : '' });
+        phases.forEach((step, index) => {
+            add(`phase:${step.stepId}`, `Go to Step ${index + 1}: ${step.label}`, 'Wizard', {
+                keywords: [step.stepId],
+                disabledReason: step.stepId === currentPhase ? 'Current step' : ''
+            });
+        });
+
+        SEARCH_TARGETS.forEach((target) => {
+            add(`search:${target.component}`, target.label, 'Search', {
+                keywords: target.keywords,
+                disabledReason: phaseWithComponent(phases, target.component) ? '' : 'Not part of this flow'
+            });
+        });
+    }
+
+    return commands;
+};
+
+export { DEFAULT_SHORTCUTS, QUICK_TYPES, SEARCH_TARGETS, phaseWithComponent, buildCaseCommands };
@@ -1,6 +1,26 @@
 import { LightningElement, api, track } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { NavigationMixin } from 'lightning/navigation';
+import saveDraft from '@salesforce/apex/CaseWizardDraftService.saveDraft';
+import getMyDrafts from '@salesforce/apex/CaseWizardDraftService.getMyDrafts';
+import getDraft from '@salesforce/apex/CaseWizardDraftService.getDraft';
+import deleteDraft from '@salesforce/apex/CaseWizardDraftService.deleteDraft';
+import getWizardFlow from '@salesforce/apex/CaseWizardService.getWizardFlow';
+import { normalizeFlow, activeSteps, adjacentStepId } from 'c/caseWizardFlow';
+import { resolveShortcuts, matchesShortcut } from 'c/commandPalette';
+import { buildDraftData, restoreWizardData, hasDraftContent, toDraftListItem } from './caseWizardDraft';
+import { DEFAULT_SHORTCUTS, buildCaseCommands, phaseWithComponent } from './caseCommands';
+
+// Record types the entity selector picks
+const ENTITY_TYPES = ['location', 'vendor', 'client'];
+
+// Tag of the wizard components the palette can focus or run
+const COMPONENT_TAGS = {
+    entitySelector: 'c-entity-selector',
+    contactSelector: 'c-contact-selector',
+    assetSelector: 'c-asset-selector',
+    caseTypeConfigurator: 'c-case-type-configurator'
+};
 
 /**
  * Case Manager Container Component
@@ -14,11 +34,18 @@ import { NavigationMixin } from 'lightning/navigation';
  * - view: View case with persistent panels
  *
  * Features:
- * - 4-phase wizard (Caller, Intent, Details, Review)
- * - Phase navigation with validation
+ * - Wizard phases configured per case type (Case_Wizard_Step__mdt), by default
+ *   Caller, Intent, Details, Review; each phase shows the components of its step
+ * - Phase navigation with validation, skipping phases whose skip conditions match
  * - Persistent panels (highlight strip + action messages)
  * - State management across all phases
  * - Integration with CaseWizardService
+ * - Drafts: the wizard is saved per user as it is filled in (CaseWizardDraftService)
+ *   and can be resumed from the Resume draft list when the container opens
+ * - Command palette (Ctrl+K): case actions, quick case types, wizard phases and the
+ *   selector search boxes from the keyboard, with configurable shortcuts (caseCommands)
+ * - Omni search (entitySelector): a location, vendor, client, contact or asset picked
+ *   there fills in the selector of its type
  *
  * @author George Martin
  * @date 2025-11-18
@@ -43,6 +70,12 @@ export default class CaseManagerContainer extends NavigationMixin(LightningEleme
      */
     @api mode = 'view';
 
+    /**
+     * Shortcuts of the command palette commands as JSON, e.g. {"action:progresscase": "Alt+G"};
+     * an empty shortcut removes the default one
+     */
+    @api commandShortcuts;
+
     // ========================================
     // Private Properties
     // ========================================
@@ -52,6 +85,23 @@ export default class CaseManagerContainer extends NavigationMixin(LightningEleme
     @track isSubmitting = false;
     @track wizardData = {};
 
+    // Flow of the case type
+    flowSteps = normalizeFlow();
+    flowCaseType;
+
+    // Drafts
+    @track drafts = [];
+    @track draftStaleReasons = [];
+    draftId;
+    lastDraftSave;
+    isSavingDraft = false;
+    pendingDraftSave;
+    draftChanged = false;
+
+    // Command palette
+    @track paletteCommands = [];
+    pendingCommand;
+
     // ========================================
     // Lifecycle Hooks
     // ========================================
@@ -60,6 +110,16 @@ export default class CaseManagerContainer extends NavigationMixin(LightningEleme
         this.initializeComponent();
     }
 
+    renderedCallback() {
+        // commands that need a component of another phase run once that phase is rendered
+        this.runPendingCommand();
+    }
+
+    disconnectedCallback() {
+        // save what is pending instead of losing it with the component
+        this.saveChangedDraft();
+    }
+
     // ========================================
     // Computed Properties
     // ========================================
@@ -86,45 +146,74 @@ export default class CaseManagerContainer extends NavigationMixin(LightningEleme
     }
 
     /**
-     * Whether currently in Phase 1
+     * Phases shown for the current wizard data
      */
-    get isPhase1() {
-        return this.currentPhase === 'caller';
+    get visiblePhases() {
+        return activeSteps(this.flowSteps, this.wizardData);
     }
 
     /**
-     * Whether currently in Phase 2
+     * Current phase with its number and the components it shows
      */
-    get isPhase2() {
-        return this.currentPhase === 'intent';
+    get currentPhaseView() {
+        const phases = this.visiblePhases;
+        const index = phases.findIndex(step => step.stepId === this.currentPhase);
+        const step = index >= 0 ? phases[index] : this.flowSteps.find(s => s.stepId === this.currentPhase);
+        const components = step ? step.components : [];
+        return {
+            number: index + 1,
+            label: step ? step.label : '',
+            hasComponents: components.length > 0,
+            showEntitySelector: components.includes('entitySelector'),
+            showContactSelector: components.includes('contactSelector'),
+            showAssetSelector: components.includes('assetSelector'),
+            showCaseTypeConfigurator: components.includes('caseTypeConfigurator'),
+            showCustomerInfoPanel: components.includes('customerInfoPanel'),
+            showServiceDateSelector: components.includes('serviceDateSelector')
+        };
     }
 
     /**
-     * Whether currently in Phase 3
+     * Selected location, vendor or client
      */
-    get isPhase3() {
-        return this.currentPhase === 'details';
+    get selectedEntityId() {
+        const data = this.wizardData;
+        return data.locationId || data.vendorId || data.clientId;
     }
 
     /**
-     * Whether currently in Phase 4
+     * Entity type as the selectors expect it (location, vendor, client)
      */
-    get isPhase4() {
-        return this.currentPhase === 'review';
+    get selectedEntityType() {
+        return (this.wizardData.entityType || 'location').toLowerCase();
     }
 
     /**
      * Whether on first phase
      */
     get isFirstPhase() {
-        return this.currentPhase === 'caller';
+        return !adjacentStepId(this.flowSteps, this.currentPhase, this.wizardData, -1);
     }
 
     /**
      * Whether on last phase
      */
     get isLastPhase() {
-        return this.currentPhase === 'review';
+        return !adjacentStepId(this.flowSteps, this.currentPhase, this.wizardData, 1);
+    }
+
+    /**
+     * Whether to offer the Resume draft list
+     */
+    get showDraftList() {
+        return this.showWizard && this.drafts.length > 0;
+    }
+
+    /**
+     * Whether the resumed draft refers to records changed since they were picked
+     */
+    get isDraftStale() {
+        return this.draftStaleReasons.length > 0;
     }
 
     // ========================================
@@ -136,32 +225,136 @@ export default class CaseManagerContainer extends NavigationMixin(LightningEleme
      */
     handlePhaseChange(event) {
         this.currentPhase = event.detail.step;
+        this.markDraftChanged();
+        this.saveChangedDraft();
     }
 
     /**
-     * Handle previous button click
+     * Save the changes of the draft when the agent leaves a field
      */
-    handlePrevious() {
-        const phases = ['caller', 'intent', 'details', 'review'];
-        const currentIndex = phases.indexOf(this.currentPhase);
+    handleFocusOut() {
+        this.saveChangedDraft();
+    }
 
-        if (currentIndex > 0) {
-            this.currentPhase = phases[currentIndex - 1];
+    /**
+     * Handle data entered through the wizard stepper
+     */
+    handleWizardDataChange(event) {
+        this.updateWizardData({ [event.detail.field]: event.detail.value });
+    }
+
+    /**
+     * Handle previous command: the stepper moves and reports the phase (handlePhaseChange)
+     */
+    handlePrevious() {
+        const stepper = this.template.querySelector('c-case-wizard-stepper');
+        if (stepper) {
+            stepper.previous();
         }
     }
 
     /**
-     * Handle next button click
+     * Handle next command: the stepper validates the current phase before it moves
      */
     handleNext() {
-        const phases = ['caller', 'intent', 'details', 'review'];
-        const currentIndex = phases.indexOf(this.currentPhase);
+        const stepper = this.template.querySelector('c-case-wizard-stepper');
+        if (stepper) {
+            stepper.next();
+        }
+    }
+
+    /**
+     * Handle location, vendor or client selection
+     */
+    handleEntitySelect(event) {
+        const { entityId, entityType } = event.detail;
+        const type = (entityType || 'location').toLowerCase();
+        this.updateWizardData({
+            entityType: type.charAt(0).toUpperCase() + type.slice(1),
+            locationId: type === 'location' ? entityId : null,
+            vendorId: type === 'vendor' ? entityId : null,
+            clientId: type === 'client' ? entityId : null
+        });
+    }
+
+    /**
+     * Handle a record picked in the omni search: fill in the selector of its type
+     */
+    handleOmniSelect(event) {
+        const { recordType, recordId, record } = event.detail;
+
+        if (ENTITY_TYPES.includes(recordType)) {
+            const shown = this.runInPhaseOf('entitySelector', selector => {
+                selector.setEntityType(recordType);
+                selector.selectRecord(recordId);
+            });
+            if (!shown) {
+                this.handleEntitySelect({ detail: { entityId: recordId, entityType: recordType } });
+            }
+            return;
+        }
 
-        if (currentIndex < phases.length - 1) {
-            this.currentPhase = phases[currentIndex + 1];
+        // a contact or asset brings its account along when no entity is picked yet
+        if (!this.selectedEntityId && record && record.parentId && ENTITY_TYPES.includes(record.parentType)) {
+            this.handleEntitySelect({ detail: { entityId: record.parentId, entityType: record.parentType } });
+        }
+        const component = recordType === 'contact' ? 'contactSelector' : 'assetSelector';
+        const shown = this.runInPhaseOf(component, selector => selector.selectRecord(recordId));
+        if (!shown) {
+            this.updateWizardData(recordType === 'contact' ? { contactId: recordId } : { assetId: recordId });
         }
     }
 
+    /**
+     * Handle entity type switch; the previous selection no longer applies
+     */
+    handleEntityTypeChange(event) {
+        const type = (event.detail.entityType || 'location').toLowerCase();
+        this.updateWizardData({
+            entityType: type.charAt(0).toUpperCase() + type.slice(1),
+            locationId: null,
+            vendorId: null,
+            clientId: null,
+            contactId: null
+        });
+    }
+
+    /**
+     * Handle contact selection
+     */
+    handleContactSelect(event) {
+        this.updateWizardData({ contactId: event.detail.contactId });
+    }
+
+    /**
+     * Handle asset selection
+     */
+    handleAssetSelect(event) {
+        this.updateWizardData({ assetId: event.detail.assetId });
+    }
+
+    /**
+     * Handle case type, sub-type and reason configuration
+     */
+    handleConfigurationChange(event) {
+        const { recordTypeId, caseType, caseSubType, caseReason } = event.detail;
+        this.updateWizardData({ recordTypeId, caseType, caseSubType, caseReason });
+    }
+
+    /**
+     * Handle customer information change
+     */
+    handleCustomerInfoChange(event) {
+        this.updateWizardData({ ...event.detail.customerInfo });
+    }
+
+    /**
+     * Handle service date change
+     */
+    handleServiceDateChange(event) {
+        this.updateWizardData({ serviceDate: event.detail.serviceDate, serviceTime: event.detail.serviceTime });
+    }
+
     /**
      * Handle submit button click
      */
@@ -172,6 +365,98 @@ export default class CaseManagerContainer extends NavigationMixin(LightningEleme
 
         this.showSuccess('Case created successfully!');
         this.isSubmitting = false;
+        this.discardCurrentDraft();
+    }
+
+    /**
+     * Handle Save Draft button click
+     */
+    handleSaveDraft() {
+        this.draftChanged = false;
+        this.saveCurrentDraft().then((saved) => {
+            if (saved) {
+                this.showSuccess('Draft saved.');
+            }
+        });
+    }
+
+    /**
+     * Handle Resume click in the Resume draft list
+     */
+    handleResumeDraft(event) {
+        const draftId = event.currentTarget.dataset.id;
+        this.isLoading = true;
+
+        getDraft({ draftId })
+            .then((result) => {
+                if (!result.isSuccess) {
+                    this.showError(result.errorMessage);
+                    this.drafts = this.drafts.filter((draft) => draft.draftId !== draftId);
+                    return;
+                }
+                const draft = result.draft;
+                this.draftId = draft.draftId;
+                this.wizardData = restoreWizardData(draft.draftData);
+                this.currentPhase = draft.phase || 'caller';
+                this.loadFlow();
+                this.draftStaleReasons = draft.staleReasons || [];
+                this.lastDraftSave = draft.lastSaved;
+                this.drafts = [];
+
+                const stepper = this.template.querySelector('c-case-wizard-stepper');
+                if (stepper && stepper.restoreState) {
+                    stepper.restoreState(this.currentPhase, this.wizardData);
+                }
+            })
+            .catch((error) => {
+                this.showError(error.body?.message || 'Unable to load the draft.');
+            })
+            .finally(() => {
+                this.isLoading = false;
+            });
+    }
+
+    /**
+     * Handle Discard click in the Resume draft list
+     */
+    handleDiscardDraft(event) {
+        const draftId = event.currentTarget.dataset.id;
+        deleteDraft({ draftId })
+            .then((result) => {
+                if (!result.isSuccess) {
+                    this.showError(result.errorMessage);
+                    return;
+                }
+                this.drafts = this.drafts.filter((draft) => draft.draftId !== draftId);
+            })
+            .catch((error) => {
+                this.showError(error.body?.message || 'Unable to discard the draft.');
+            });
+    }
+
+    /**
+     * Handle Start New Case click in the Resume draft list
+     */
+    handleStartNew() {
+        this.drafts = [];
+    }
+
+    /**
+     * Agent checked the changed records of a stale draft; their current version becomes the reference
+     */
+    handleConfirmStaleRecords() {
+        this.saveCurrentDraft(true).then((saved) => {
+            if (saved) {
+                this.draftStaleReasons = [];
+            }
+        });
+    }
+
+    /**
+     * Review the caller phase of a stale draft
+     */
+    handleReviewStaleRecords() {
+        this.currentPhase = 'caller';
     }
 
     /**
@@ -193,6 +478,40 @@ export default class CaseManagerContainer extends NavigationMixin(LightningEleme
         }
     }
 
+    /**
+     * Handle command chosen in the command palette
+     */
+    handlePaletteCommand(event) {
+        this.runCommand(event.detail.commandId);
+    }
+
+    /**
+     * Open the palette on Ctrl+K and run the commands of the other shortcuts; only keys
+     * pressed inside this component count, so other tabs and components keep their keys
+     */
+    handleKeyDown(event) {
+        const shortcuts = this.shortcuts;
+        const commandId = Object.keys(shortcuts).find(id => matchesShortcut(event, shortcuts[id]));
+        if (!commandId) {
+            return;
+        }
+        event.preventDefault();
+        if (commandId === 'palette') {
+            this.openCommandPalette();
+            return;
+        }
+        const command = this.buildCommands().find(c => c.id === commandId);
+        if (command && command.disabled) {
+            this.dispatchEvent(new ShowToastEvent({
+                title: command.label,
+                message: command.disabledReason,
+                variant: 'warning'
+            }));
+        } else if (command) {
+            this.runCommand(commandId);
+        }
+    }
+
     /**
      * Handle action from action messages panel
      */
@@ -213,11 +532,16 @@ export default class CaseManagerContainer extends NavigationMixin(LightningEleme
      * Initialize component
      */
     initializeComponent() {
+        if (this.showWizard) {
+            this.loadFlow();
+        }
         if (this.mode === 'create') {
             this.currentPhase = 'caller';
+            this.loadDrafts();
         } else if (this.mode === 'edit') {
             // Load case data
             this.loadCaseData();
+            this.loadDrafts();
         } else if (this.mode === 'view') {
             // View mode - show persistent panels
         }
@@ -236,6 +560,107 @@ export default class CaseManagerContainer extends NavigationMixin(LightningEleme
         this.isLoading = false;
     }
 
+    /**
+     * Load the running user's drafts for the Resume draft list.
+     * In edit mode only the drafts of this case are offered, in create mode only new case drafts.
+     */
+    loadDrafts() {
+        getMyDrafts()
+            .then((result) => {
+                if (!result.isSuccess) {
+                    return;
+                }
+                const caseId = this.mode === 'edit' ? this.effectiveCaseId : undefined;
+                this.drafts = (result.drafts || [])
+                    .filter((draft) => (draft.caseId || undefined) === caseId)
+                    .map(toDraftListItem);
+            })
+            .catch((error) => {
+                console.error('Error loading drafts:', error);
+            });
+    }
+
+    /**
+     * Note a change of the wizard; it is saved when the agent leaves the field, changes
+     * phase or closes the wizard (saveChangedDraft)
+     */
+    markDraftChanged() {
+        if (this.showWizard) {
+            this.draftChanged = true;
+        }
+    }
+
+    /**
+     * Save the wizard as a draft if it changed since the last save
+     */
+    saveChangedDraft() {
+        if (!this.draftChanged || this.isSavingDraft) {
+            return;
+        }
+        this.draftChanged = false;
+        this.saveCurrentDraft();
+    }
+
+    /**
+     * Save the current phase and wizard data as the draft of this wizard
+     * @param {Boolean} refreshLinkedRecords - Take the current version of the linked records as reference
+     * @returns {Promise<Boolean>} Whether the draft was saved
+     */
+    saveCurrentDraft(refreshLinkedRecords = false) {
+        if (!hasDraftContent(this.wizardData)) {
+            return Promise.resolve(false);
+        }
+        this.isSavingDraft = true;
+
+        const save = saveDraft({
+            draftId: this.draftId,
+            phase: this.currentPhase,
+            draftJson: JSON.stringify(buildDraftData(this.wizardData)),
+            caseId: this.mode === 'edit' ? this.effectiveCaseId : null,
+            refreshLinkedRecords
+        })
+            .then((result) => {
+                if (!result.isSuccess) {
+                    this.showError(result.errorMessage);
+                    return false;
+                }
+                this.draftId = result.draft.draftId;
+                this.lastDraftSave = result.draft.lastSaved;
+                return true;
+            })
+            .catch((error) => {
+                this.showError(error.body?.message || 'Unable to save the draft.');
+                return false;
+            })
+            .finally(() => {
+                this.isSavingDraft = false;
+                if (this.pendingDraftSave === save) {
+                    this.pendingDraftSave = undefined;
+                }
+            });
+        this.pendingDraftSave = save;
+        return save;
+    }
+
+    /**
+     * Remove the draft of this wizard once the case is submitted; a save still running
+     * is waited for, as the first save is what creates the draft
+     */
+    discardCurrentDraft() {
+        this.draftChanged = false;
+        return (this.pendingDraftSave || Promise.resolve()).then(() => {
+            if (!this.draftId) {
+                return;
+            }
+            deleteDraft({ draftId: this.draftId }).catch((error) => {
+                console.error('Error deleting draft:', error);
+            });
+            this.draftId = undefined;
+            this.lastDraftSave = undefined;
+            this.draftStaleReasons = [];
+        });
+    }
+
     /**
      * Show success toast
      */
@@ -258,6 +683,127 @@ export default class CaseManagerContainer extends NavigationMixin(LightningEleme
         }));
     }
 
+    /**
+     * Shortcuts of the commands: the defaults with the configured ones on top
+     */
+    get shortcuts() {
+        return resolveShortcuts(DEFAULT_SHORTCUTS, this.commandShortcuts);
+    }
+
+    /**
+     * Commands available now; the action states come from the action messages panel
+     */
+    buildCommands() {
+        const panel = this.template.querySelector('c-action-messages-panel');
+        return buildCaseCommands({
+            actions: panel ? panel.getAvailableActions() : [],
+            phases: this.showWizard ? this.visiblePhases : [],
+            currentPhase: this.currentPhase,
+            hasCase: Boolean(this.effectiveCaseId),
+            isFirstPhase: this.isFirstPhase,
+            isLastPhase: this.isLastPhase,
+            shortcuts: this.shortcuts
+        });
+    }
+
+    /**
+     * Open the command palette with the commands available now
+     */
+    openCommandPalette() {
+        this.paletteCommands = this.buildCommands();
+        const palette = this.template.querySelector('c-command-palette');
+        if (palette) {
+            palette.open();
+        }
+    }
+
+    /**
+     * Run a command of the palette or of a shortcut
+     * @param {String} commandId - e.g. action:progresscase, phase:next, search:assetSelector
+     */
+    runCommand(commandId) {
+        const separator = commandId.indexOf(':');
+        const kind = commandId.substring(0, separator);
+        const target = commandId.substring(separator + 1);
+
+        if (kind === 'action') {
+            const panel = this.template.querySelector('c-action-messages-panel');
+            if (panel) {
+                panel.runAction(target);
+            }
+        } else if (kind === 'phase') {
+            if (target === 'next') {
+                this.handleNext();
+            } else if (target === 'previous') {
+                this.handlePrevious();
+            } else {
+                // the stepper only goes to the current and completed phases
+                const stepper = this.template.querySelector('c-case-wizard-stepper');
+                if (stepper) {
+                    stepper.goToStep(target);
+                }
+            }
+        } else if (kind === 'quick') {
+            this.runInPhaseOf('caseTypeConfigurator', configurator => configurator.applyQuickType(target));
+        } else if (kind === 'search') {
+            this.runInPhaseOf(target, selector => selector.focusSearch());
+        }
+    }
+
+    /**
+     * Go to the phase that shows a component and run a command on it once rendered
+     */
+    runInPhaseOf(component, run) {
+        const phase = phaseWithComponent(this.visiblePhases, component);
+        if (!phase) {
+            return false;
+        }
+        if (phase.stepId !== this.currentPhase) {
+            this.currentPhase = phase.stepId;
+            this.markDraftChanged();
+            this.saveChangedDraft();
+        }
+        this.pendingCommand = { component, run };
+        // the phase may already be shown, in which case there is no render to wait for
+        this.runPendingCommand();
+        return true;
+    }
+
+    /**
+     * Run the pending command once the component it needs is rendered
+     */
+    runPendingCommand() {
+        if (!this.pendingCommand) {
+            return;
+        }
+        const { component, run } = this.pendingCommand;
+        const element = this.template.querySelector(COMPONENT_TAGS[component]);
+        if (element) {
+            this.pendingCommand = undefined;
+            run(element);
+        }
+    }
+
+    /**
+     * Load the flow of the case type of the wizard
+     */
+    async loadFlow() {
+        const caseType = this.wizardData.caseType || '';
+        this.flowCaseType = caseType;
+        try {
+            const definition = await getWizardFlow({ caseType });
+            if (caseType !== this.flowCaseType) {
+                // the case type changed again while loading
+                return;
+            }
+            // the current phase may not exist in the flow of the new case type; the stepper
+            // gets the flow, moves to the first phase not completed and reports it (handlePhaseChange)
+            this.flowSteps = normalizeFlow(definition);
+        } catch (error) {
+            console.error('Error loading wizard flow:', error);
+        }
+    }
+
     // ========================================
     // Public API Methods
     // ========================================
@@ -284,5 +830,9 @@ export default class CaseManagerContainer extends NavigationMixin(LightningEleme
     @api
     updateWizardData(data) {
         this.wizardData = { ...this.wizardData, ...data };
+        if (this.showWizard && (this.wizardData.caseType || '') !== this.flowCaseType) {
+            this.loadFlow();
+        }
+        this.markDraftChanged();
     }
 }
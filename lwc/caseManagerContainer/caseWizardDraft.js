@@ -0,0 +1,155 @@
+/**
+ * Case Wizard Draft
+ *
+ * Converts the flat wizard data of caseManagerContainer / caseWizardStepper to the
+ * draft saved by CaseWizardDraftService and back.
+ *
+ * Key Features:
+ * - Draft data grouped by phase: caller, intent, details and review
+ * - Review summary (label / value lines of everything entered so far) stored with the draft
+ * - Empty wizards are not worth a draft (hasDraftContent)
+ * - Resume draft list items with phase label, age, expiry and stale warning
+ *
+ * Usage:
+ *   const draftJson = JSON.stringify(buildDraftData(wizardData));
+ *   const wizardData = restoreWizardData(draft.draftData);
+ */
+
+const PHASE_LABELS = {
+    caller: 'Caller',
+    intent: 'Intent',
+    details: 'Details',
+    review: 'Review'
+};
+
+/**
+ * Wizard fields per phase with their review summary label
+ */
+const PHASE_FIELDS = {
+    caller: {
+        entityType: 'Entity Type',
+        locationId: 'Location',
+        vendorId: 'Vendor',
+        clientId: 'Client',
+        contactId: 'Contact'
+    },
+    intent: {
+        assetId: 'Asset',
+        recordTypeId: 'Record Type',
+        caseType: 'Case Type',
+        caseSubType: 'Case Sub-Type',
+        caseReason: 'Case Reason'
+    },
+    details: {
+        purchaseOrderNumber: 'PO Number',
+        overridePOCreateTask: 'Override PO (Create Task)',
+        profileNumber: 'Profile Number',
+        overrideProfileNumberTask: 'Override Profile Number (Create Task)',
+        psi: 'PSI',
+        psiOverrideReason: 'PSI Override Reason',
+        psiComments: 'PSI Comments',
+        serviceDate: 'Service Date',
+        slaServiceDateTime: 'SLA Service Date/Time'
+    },
+    review: {
+        siteContact: 'Site Contact',
+        siteContactPhone: 'Site Contact Phone',
+        workOrderInstructions: 'Work Order Instructions',
+        byPassWorkOrder: 'Bypass Work Order',
+        origin: 'Origin',
+        subject: 'Subject',
+        description: 'Description',
+        priority: 'Priority'
+    }
+};
+
+// values the wizard starts with; they alone do not make a draft
+const DEFAULT_VALUES = {
+    origin: 'Web',
+    priority: 'Medium'
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '' || value === false;
+
+// ============================================================================
+// DRAFT DATA
+// ============================================================================
+
+/**
+ * Review summary of the wizard data: one line per field with a value
+ * @returns {Array<object>} { phase, field, label, value }
+ */
+const buildReviewSummary = (wizardData = {}) => {
+    const lines = [];
+    Object.keys(PHASE_FIELDS).forEach((phase) => {
+        Object.keys(PHASE_FIELDS[phase]).forEach((field) => {
+            const value = wizardData[field];
+            if (!isBlank(value)) {
+                lines.push({ phase, field, label: PHASE_FIELDS[phase][field], value: value === true ? 'Yes' : String(value) });
+            }
+        });
+    });
+    return lines;
+};
+
+/**
+ * Draft data of the wizard grouped by phase; fields the phases do not know are kept under other
+ * @returns {object} { caller, intent, details, review: { ...fields, summary }, other }
+ */
+const buildDraftData = (wizardData = {}) => {
+    const draftData = { other: {} };
+    const known = {};
+    Object.keys(PHASE_FIELDS).forEach((phase) => {
+        draftData[phase] = {};
+        Object.keys(PHASE_FIELDS[phase]).forEach((field) => {
+            known[field] = true;
+            if (wizardData[field] !== undefined) {
+                draftData[phase][field] = wizardData[field];
+            }
+        });
+    });
+    Object.keys(wizardData).forEach((field) => {
+        if (!known[field]) {
+            draftData.other[field] = wizardData[field];
+        }
+    });
+    draftData.review.summary = buildReviewSummary(wizardData);
+    return draftData;
+};
+
+/**
+ * Flat wizard data of a saved draft
+ */
+const restoreWizardData = (draftData = {}) => {
+    const wizardData = { ...(draftData.other || {}) };
+    Object.keys(PHASE_FIELDS).forEach((phase) => {
+        const phaseData = draftData[phase] || {};
+        Object.keys(PHASE_FIELDS[phase]).forEach((field) => {
+            if (phaseData[field] !== undefined) {
+                wizardData[field] = phaseData[field];
+            }
+        });
+    });
+    return wizardData;
+};
+
+/**
+ * Whether the agent entered anything worth saving
+ */
+const hasDraftContent = (wizardData = {}) =>
+    Object.keys(wizardData).some((field) => !isBlank(wizardData[field]) && wizardData[field] !== DEFAULT_VALUES[field]);
+
+// ============================================================================
+// RESUME LIST
+// ============================================================================
+
+/**
+ * Draft of CaseWizardDraftService.getMyDrafts for the Resume draft list
+ */
+const toDraftListItem = (draft) => ({
+    ...draft,
+    phaseLabel: PHASE_LABELS[draft.phase] || (draft.phase ? draft.phase.charAt(0).toUpperCase() + draft.phase.slice(1) : ''),
+    staleMessage: draft.isStale ? (draft.staleReasons || []).join(' ') : ''
+});
+
+export { PHASE_LABELS, buildReviewSummary, buildDraftData, restoreWizardData, hasDraftContent, toDraftListItem };
@@ -491,4 +491,13 @@ export default class CaseTypeConfigurator extends LightningElement {
     refreshConfiguration() {
         this.loadCurrentConfiguration();
     }
+
+    /**
+     * Apply a quick case type as if its button was clicked
+     * @param {String} quickType - Pickup, SNP, ETA or New Service
+     */
+    @api
+    applyQuickType(quickType) {
+        this.updateQuickType(quickType);
+    }
 }
@@ -0,0 +1,177 @@
+/**
+ * Case Wizard Flow
+ *
+ * Builds the steps of the case wizard from the flow definition returned by
+ * CaseWizardService.getWizardFlow (Case_Wizard_Step__mdt) and evaluates the skip
+ * conditions and validation rules of the steps against the wizard data.
+ *
+ * Key Features:
+ * - Built-in Caller, Intent, Details, Review flow when no flow is configured
+ * - Skip conditions: a step is left out when all of its conditions match
+ * - Validation rules (required, pattern, maxLength, notPast), optionally only "when"
+ *   conditions match; the same rules are enforced by CaseWizardService.validateStep
+ * - Next / previous step navigation over the steps that are not skipped
+ *
+ * Condition: { field, operator: 'equals'|'notEquals'|'in'|'notIn'|'blank'|'notBlank', value }
+ * Rule: { field, type, value, message, when: [conditions] }
+ *
+ * Usage:
+ *   const steps = normalizeFlow(await getWizardFlow({ caseType }));
+ *   const visible = activeSteps(steps, wizardData);
+ *   const errors = validateStepRules(visible[0], wizardData);
+ */
+
+/**
+ * Child components a step can show
+ */
+const WIZARD_COMPONENTS = [
+    'entitySelector',
+    'contactSelector',
+    'assetSelector',
+    'caseTypeConfigurator',
+    'customerInfoPanel',
+    'serviceDateSelector'
+];
+
+const DEFAULT_FLOW = [
+    { stepId: 'caller', label: 'Caller', order: 1, components: ['entitySelector', 'contactSelector'], serverValidation: 'CALLER' },
+    { stepId: 'intent', label: 'Intent', order: 2, components: ['assetSelector', 'caseTypeConfigurator'], serverValidation: 'INTENT' },
+    { stepId: 'details', label: 'Details', order: 3, components: ['customerInfoPanel', 'serviceDateSelector'], serverValidation: 'DETAILS' },
+    { stepId: 'review', label: 'Review', order: 4, components: [], serverValidation: 'REVIEW' }
+];
+
+const isBlank = (value) => value === undefined || value === null || value === '' || value === false;
+
+const parseList = (json) => {
+    if (Array.isArray(json)) {
+        return json;
+    }
+    if (!json) {
+        return [];
+    }
+    try {
+        const parsed = JSON.parse(json);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        // a broken definition must not block the wizard
+        console.error('Invalid wizard step definition:', json);
+        return [];
+    }
+};
+
+// ============================================================================
+// FLOW
+// ============================================================================
+
+/**
+ * Steps of a flow definition in order, with parsed conditions and rules
+ * @param {Array<object>} definition - WizardStep list of CaseWizardService.getWizardFlow
+ * @returns {Array<object>} { stepId, label, order, components, skipConditions, validationRules, serverValidation }
+ */
+const normalizeFlow = (definition) => {
+    const steps = definition && definition.length ? definition : DEFAULT_FLOW;
+    return steps
+        .map((step) => ({
+            stepId: step.stepId,
+            label: step.label || step.stepId,
+            order: Number(step.order) || 0,
+            components: (step.components || []).filter((component) => WIZARD_COMPONENTS.includes(component)),
+            skipConditions: parseList(step.skipConditions),
+            validationRules: parseList(step.validationRules),
+            serverValidation: step.serverValidation
+        }))
+        .sort((a, b) => a.order - b.order);
+};
+
+/**
+ * Whether all conditions match the wizard data
+ */
+const matchesConditions = (conditions, wizardData = {}) =>
+    (conditions || []).every((condition) => {
+        const value = isBlank(wizardData[condition.field]) ? '' : String(wizardData[condition.field]);
+        const expected = []
+            .concat(condition.value === undefined || condition.value === null ? [] : condition.value)
+            .map((item) => String(item));
+        switch (condition.operator) {
+            case 'notEquals':
+            case 'notIn':
+                return !expected.includes(value);
+            case 'blank':
+                return value === '';
+            case 'notBlank':
+                return value !== '';
+            default:
+                return expected.includes(value);
+        }
+    });
+
+const isSkipped = (step, wizardData) => step.skipConditions.length > 0 && matchesConditions(step.skipConditions, wizardData);
+
+/**
+ * Steps of the flow that are not skipped for the wizard data
+ */
+const activeSteps = (steps, wizardData) => (steps || []).filter((step) => !isSkipped(step, wizardData));
+
+/**
+ * Id of the step after / before the current one, undefined at the end / start
+ * @param {number} direction - 1 for next, -1 for previous
+ */
+const adjacentStepId = (steps, currentStepId, wizardData, direction) => {
+    const visible = activeSteps(steps, wizardData);
+    const index = visible.findIndex((step) => step.stepId === currentStepId);
+    if (index < 0) {
+        // the current step became skipped: continue with the first step after it
+        const position = (steps || []).findIndex((step) => step.stepId === currentStepId);
+        const candidates = direction > 0 ? steps.slice(position + 1) : steps.slice(0, Math.max(position, 0)).reverse();
+        const next = candidates.find((step) => !isSkipped(step, wizardData));
+        return next ? next.stepId : undefined;
+    }
+    const next = visible[index + direction];
+    return next ? next.stepId : undefined;
+};
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+const checkRule = (rule, value) => {
+    const text = isBlank(value) ? '' : String(value);
+    switch (rule.type) {
+        case 'required':
+            return text !== '';
+        case 'pattern':
+            return text === '' || new RegExp(`^(?:${rule.value})$`).test(text);
+        case 'maxLength':
+            return text.length <= Number(rule.value);
+        case 'notPast': {
+            if (text === '') {
+                return true;
+            }
+            const now = new Date();
+            const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+            return text.substring(0, 10) >= today;
+        }
+        default:
+            return true;
+    }
+};
+
+/**
+ * Validation rule failures of a step
+ * @returns {Array<object>} { field, message }
+ */
+const validateStepRules = (step, wizardData = {}) =>
+    ((step && step.validationRules) || [])
+        .filter((rule) => !rule.when || matchesConditions(rule.when, wizardData))
+        .filter((rule) => !checkRule(rule, wizardData[rule.field]))
+        .map((rule) => ({ field: rule.field, message: rule.message || `${rule.field} is invalid` }));
+
+export {
+    WIZARD_COMPONENTS,
+    DEFAULT_FLOW,
+    normalizeFlow,
+    matchesConditions,
+    activeSteps,
+    adjacentStepId,
+    validateStepRules
+};
@@ -1,22 +1,29 @@
 /**
  * @description Case Wizard Stepper Component
- * Orchestrates the 4-phase case creation wizard
+ * Orchestrates the case creation wizard
  * Manages step navigation, validation, and submission
  *
- * PHASES:
+ * PHASES (built-in flow):
  * 1. CALLER - Location/Vendor/Client + Contact selection
  * 2. INTENT - Asset + Case Type/Sub-Type/Reason configuration
  * 3. DETAILS - Customer Info + Service Date + Business Rules
  * 4. REVIEW - Summary and final submission
  *
+ * The steps are built from the flow of the chosen case type (Case_Wizard_Step__mdt,
+ * see c/caseWizardFlow): steps can be added, reordered or skipped per case type.
+ * The parent (caseManagerContainer) loads the flow and passes it in.
+ *
  * @property {String} recordId - Case ID (for edit mode)
  * @property {String} mode - 'create' or 'edit'
+ * @property {String} caseType - Case type of the flow, used for server validation
+ * @property {Array} flow - Steps of the flow of the case type
  */
 import { LightningElement, api } from 'lwc';
-import validatePhase from '@salesforce/apex/CaseWizardService.validatePhase';
+import validateStep from '@salesforce/apex/CaseWizardService.validateStep';
 import createCaseFromWizard from '@salesforce/apex/CaseWizardService.createCaseFromWizard';
 import updateCaseFromWizard from '@salesforce/apex/CaseWizardService.updateCaseFromWizard';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { normalizeFlow, activeSteps, adjacentStepId, validateStepRules } from 'c/caseWizardFlow';
 
 // Wizard step constants
 const STEPS = {
@@ -47,6 +54,53 @@ export default class CaseWizardStepper extends LightningElement {
      */
     @api showProgressBar = true;
 
+    /**
+     * @description Whether to show the "Step n of m" text
+     */
+    @api showProgressText = false;
+
+    /**
+     * @description Whether completed steps can be clicked to go back to them
+     */
+    @api allowNavigation = false;
+
+    /**
+     * @description Case type of the flow, used for server validation of the steps
+     */
+    @api caseType;
+
+    /**
+     * @description Steps of the flow of the case type, loaded by the parent
+     */
+    @api
+    get flow() {
+        return this.flowSteps;
+    }
+    set flow(value) {
+        this.flowSteps = normalizeFlow(value);
+
+        // the current step may not exist in the new flow: continue on the first step the
+        // agent has not completed, so no step of the new flow is passed over unvalidated
+        const visible = this.wizardSteps;
+        if (visible.length && !visible.some(s => s.id === this.currentStepId)) {
+            const firstIncomplete = visible.find(s => !s.isComplete);
+            this.changeStep((firstIncomplete || visible[0]).id);
+        }
+    }
+
+    /**
+     * @description Current step, set by the parent
+     */
+    @api
+    get currentStep() {
+        return this.currentStepId;
+    }
+    set currentStep(value) {
+        if (value) {
+            this.currentStepId = value;
+        }
+    }
+
     /**
      * @description Current step ID
      */
@@ -105,30 +159,54 @@ export default class CaseWizardStepper extends LightningElement {
     };
 
     /**
-     * @description Wizard steps configuration
-     */
-    wizardSteps = [
-        {
-            id: STEPS.CALLER,
-            label: 'Caller',
-            isComplete: false
-        },
-        {
-            id: STEPS.INTENT,
-            label: 'Intent',
-            isComplete: false
-        },
-        {
-            id: STEPS.DETAILS,
-            label: 'Details',
-            isComplete: false
-        },
-        {
-            id: STEPS.REVIEW,
-            label: 'Review',
-            isComplete: false
-        }
-    ];
+     * @description Steps of the flow of the case type (skipped steps included)
+     */
+    flowSteps = normalizeFlow();
+
+    /**
+     * @description Ids of the steps the agent completed
+     */
+    completedStepIds = [];
+
+    /**
+     * @description Steps shown for the current wizard data
+     */
+    get wizardSteps() {
+        return activeSteps(this.flowSteps, this.wizardData).map(step => ({
+            ...step,
+            id: step.stepId,
+            isComplete: this.completedStepIds.includes(step.stepId)
+        }));
+    }
+
+    /**
+     * @description Computed property - step number of the current step
+     */
+    get currentStepNumber() {
+        return this.wizardSteps.findIndex(s => s.id === this.currentStepId) + 1;
+    }
+
+    /**
+     * @description Computed property - number of steps
+     */
+    get totalSteps() {
+        return this.wizardSteps.length;
+    }
+
+    /**
+     * @description Computed property - label of the current step
+     */
+    get currentStepLabel() {
+        const step = this.wizardSteps.find(s => s.id === this.currentStepId);
+        return step ? step.label : '';
+    }
+
+    /**
+     * @description Computed property - current step definition
+     */
+    get currentStepDefinition() {
+        return this.flowSteps.find(s => s.stepId === this.currentStepId);
+    }
 
     /**
      * @description Computed property - whether step navigation is allowed
@@ -176,14 +254,16 @@ export default class CaseWizardStepper extends LightningElement {
      * @description Computed property - is first step
      */
     get isFirstStep() {
-        return this.currentStepId === STEPS.CALLER;
+        const steps = this.wizardSteps;
+        return steps.length === 0 || steps[0].id === this.currentStepId;
     }
 
     /**
      * @description Computed property - is last step
      */
     get isLastStep() {
-        return this.currentStepId === STEPS.REVIEW;
+        const steps = this.wizardSteps;
+        return steps.length === 0 || steps[steps.length - 1].id === this.currentStepId;
     }
 
     /**
@@ -194,23 +274,31 @@ export default class CaseWizardStepper extends LightningElement {
         const newStepId = event.detail.stepId;
 
         // Only allow navigation to completed steps
-        const stepIndex = this.wizardSteps.findIndex(s => s.id === newStepId);
-        const step = this.wizardSteps[stepIndex];
+        const step = this.wizardSteps.find(s => s.id === newStepId);
 
-        if (step.isComplete || newStepId === this.currentStepId) {
-            this.currentStepId = newStepId;
-            this.clearValidationMessages();
+        if (step && (step.isComplete || newStepId === this.currentStepId)) {
+            this.changeStep(newStepId);
         }
     }
 
+    /**
+     * @description Handle click on a step of the progress indicator
+     * @param {Event} event - Click event
+     */
+    handleStepClick(event) {
+        if (!this.allowNavigation) {
+            return;
+        }
+        this.handleStepChange({ detail: { stepId: event.target.value } });
+    }
+
     /**
      * @description Handle previous button click
      */
     handlePrevious() {
-        const currentIndex = this.wizardSteps.findIndex(s => s.id === this.currentStepId);
-        if (currentIndex > 0) {
-            this.currentStepId = this.wizardSteps[currentIndex - 1].id;
-            this.clearValidationMessages();
+        const previousStepId = adjacentStepId(this.flowSteps, this.currentStepId, this.wizardData, -1);
+        if (previousStepId) {
+            this.changeStep(previousStepId);
         }
     }
 
@@ -226,10 +314,9 @@ export default class CaseWizardStepper extends LightningElement {
             this.markStepComplete(this.currentStepId);
 
             // Move to next step
-            const currentIndex = this.wizardSteps.findIndex(s => s.id === this.currentStepId);
-            if (currentIndex < this.wizardSteps.length - 1) {
-                this.currentStepId = this.wizardSteps[currentIndex + 1].id;
-                this.clearValidationMessages();
+            const nextStepId = adjacentStepId(this.flowSteps, this.currentStepId, this.wizardData, 1);
+            if (nextStepId) {
+                this.changeStep(nextStepId);
             }
         }
     }
@@ -302,19 +389,21 @@ export default class CaseWizardStepper extends LightningElement {
     async validateCurrentPhase() {
         this.clearValidationMessages();
 
+        // Rules of the step are checked here first so the agent does not wait for the server
+        const ruleErrors = validateStepRules(this.currentStepDefinition, this.wizardData);
+        if (ruleErrors.length > 0) {
+            this.validationMessages = ruleErrors.map((error, index) => ({
+                id: `rule-${index}`,
+                type: 'error',
+                message: error.message
+            }));
+            return false;
+        }
+
         try {
-            // Map step ID to phase name for service
-            const phaseMap = {
-                [STEPS.CALLER]: 'CALLER',
-                [STEPS.INTENT]: 'INTENT',
-                [STEPS.DETAILS]: 'DETAILS',
-                [STEPS.REVIEW]: 'REVIEW'
-            };
-
-            const phaseName = phaseMap[this.currentStepId];
-
-            const result = await validatePhase({
-                phase: phaseName,
+            const result = await validateStep({
+                caseType: this.caseType || '',
+                stepId: this.currentStepId,
                 wizardDataJson: JSON.stringify(this.wizardData)
             });
 
@@ -345,12 +434,23 @@ export default class CaseWizardStepper extends LightningElement {
      * @param {String} stepId - Step ID to mark complete
      */
     markStepComplete(stepId) {
-        this.wizardSteps = this.wizardSteps.map(step => {
-            if (step.id === stepId) {
-                return { ...step, isComplete: true };
+        if (!this.completedStepIds.includes(stepId)) {
+            this.completedStepIds = [...this.completedStepIds, stepId];
+        }
+    }
+
+    /**
+     * @description Move to a step and let the parent know
+     * @param {String} stepId - Step to move to
+     */
+    changeStep(stepId) {
+        this.currentStepId = stepId;
+        this.clearValidationMessages();
+        this.dispatchEvent(new CustomEvent('stepchange', {
+            detail: {
+                step: stepId
             }
-            return step;
-        });
+        }));
     }
 
     /**
@@ -396,6 +496,32 @@ export default class CaseWizardStepper extends LightningElement {
         }));
     }
 
+    /**
+     * @description Public API to go to a step with the same rules as the progress indicator:
+     * only the current step and completed steps can be reached
+     * @param {String} stepId - Step to go to
+     */
+    @api
+    goToStep(stepId) {
+        this.handleStepChange({ detail: { stepId } });
+    }
+
+    /**
+     * @description Public API to go to the next step once the current one is valid
+     */
+    @api
+    next() {
+        return this.handleNext();
+    }
+
+    /**
+     * @description Public API to go to the previous step
+     */
+    @api
+    previous() {
+        this.handlePrevious();
+    }
+
     /**
      * @description Public API to update wizard data
      * @param {String} field - Field name
@@ -407,6 +533,14 @@ export default class CaseWizardStepper extends LightningElement {
             ...this.wizardData,
             [field]: value
         };
+
+        // Let the parent keep its draft of the wizard up to date
+        this.dispatchEvent(new CustomEvent('wizarddatachange', {
+            detail: {
+                field: field,
+                value: value
+            }
+        }));
     }
 
     /**
@@ -418,16 +552,32 @@ export default class CaseWizardStepper extends LightningElement {
         return { ...this.wizardData };
     }
 
+    /**
+     * @description Public API to restore a saved draft: the step the agent was on, the
+     * steps before it marked complete and the collected data
+     * @param {String} stepId - Step to continue on
+     * @param {Object} data - Wizard data of the draft
+     */
+    @api
+    restoreState(stepId, data) {
+        this.wizardData = {
+            ...this.wizardData,
+            ...data
+        };
+        // the flow of the case type of the draft may still be loading, so the step is kept as is
+        const steps = this.wizardSteps;
+        const stepIndex = steps.findIndex(s => s.id === stepId);
+        this.currentStepId = stepId;
+        this.completedStepIds = stepIndex > 0 ? steps.slice(0, stepIndex).map(step => step.id) : [];
+        this.clearValidationMessages();
+    }
+
     /**
      * @description Public API to reset wizard
      */
     @api
     resetWizard() {
-        this.currentStepId = STEPS.CALLER;
-        this.wizardSteps = this.wizardSteps.map(step => ({
-            ...step,
-            isComplete: false
-        }));
+        this.completedStepIds = [];
         this.wizardData = {
             entityType: '',
             locationId: '',
@@ -457,6 +607,8 @@ export default class CaseWizardStepper extends LightningElement {
             description: '',
             priority: 'Medium'
         };
+        const steps = this.wizardSteps;
+        this.currentStepId = steps.length ? steps[0].id : STEPS.CALLER;
         this.clearValidationMessages();
     }
 }
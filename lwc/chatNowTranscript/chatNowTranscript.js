@@ -1,5 +1,6 @@
 import { LightningElement, api, wire, track } from 'lwc';
-import fetchChatTranscript from '@salesforce/apex/GetChatNowTranscriptCtrl.getChatTranscript';
+import fetchChatTranscript from '@salesforce/apex/ChatTranscriptService.getTranscript';
+import searchAccountTranscripts from '@salesforce/apex/ChatTranscriptService.searchAccountTranscripts';
 import getTaskDetail from '@salesforce/apex/GetChatNowTranscriptCtrl.fetchTaskDetail'; //SDT-32713
 //import downloadPDF from '@salesforce/apex/GetChatNowTranscriptCtrl.getPDFPrint';
 //import downloadjs from "@salesforce/resourceUrl/downloadjs";
@@ -8,8 +9,16 @@ import {NavigationMixin} from 'lightning/navigation';
 import { getRecord, getFieldValue } from "lightning/uiRecordApi";
 import RefNumberField from "@salesforce/schema/Case.Reference_Number__c";
 import Interactionfield from "@salesforce/schema/Case.Last_Customer_Interaction_ID__c";
+import { searchTranscript, stepMatch, MIN_TERM_LENGTH } from './transcriptSearch';
 
 const fields = [RefNumberField, Interactionfield];
+
+const ACCOUNT_SEARCH_COLUMNS = [
+    { label: 'Case', fieldName: 'caseUrl', type: 'url', initialWidth: 110, typeAttributes: { label: { fieldName: 'caseNumber' }, target: '_blank' } },
+    { label: 'Chat Date', fieldName: 'chatDate', type: 'date', initialWidth: 130 },
+    { label: 'User Name', fieldName: 'userId', initialWidth: 130 },
+    { label: 'Chat Message', fieldName: 'snippet', wrapText: true }
+];
 export default class ChatNowTranscript extends NavigationMixin(LightningElement)  {
 
     @api isShowError = false;
@@ -34,6 +43,19 @@ export default class ChatNowTranscript extends NavigationMixin(LightningElement)
     @track items = []; //this will hold key, value pair
    
     @api disableChatbutton = false;
+    // rows shown in the table: chatTranscriptResult (redacted, also printed) or the revealed rows
+    @track transcriptRows = [];
+    @track searchTerm = '';
+    @track currentMatch = 0;
+    @track canReveal = false;
+    @track isRevealed = false;
+    @track redactedCount = 0;
+    @track accountSearchTerm = '';
+    @track accountMatches = [];
+    @track accountSearchMessage;
+    @track isAccountSearching = false;
+    accountSearchColumns = ACCOUNT_SEARCH_COLUMNS;
+    scrollToMatch = false;
 
 /*    renderedCallback() {
         loadScript(this, downloadjs).then(() => {});
@@ -48,6 +70,13 @@ export default class ChatNowTranscript extends NavigationMixin(LightningElement)
 
     renderedCallback() {
         console.log(this.case.data);
+        if(this.scrollToMatch){
+            this.scrollToMatch = false;
+            const match = this.template.querySelector(`mark[data-match="${this.currentMatch}"]`);
+            if(match){
+                match.scrollIntoView({ block: 'center', behavior: 'smooth' });
+            }
+        }
     }
 
     get refNumber() {
@@ -128,12 +157,22 @@ export default class ChatNowTranscript extends NavigationMixin(LightningElement)
         //console.log('interactionId : ' + this.interactionId);
         fetchChatTranscript({
             caseId: this.recordId  ,
-            transactionId: this.value
+            transactionId: this.value,
+            reveal: false
         })
-        .then(result => {
+        .then(response => {
+            if(response && !response.isSuccess){
+                this.showTranscriptError(response.errorMessage);
+                return;
+            }
+            const result = response ? response.rows : [];
             if(result && result.length>0){
             //    console.log('result ' + result);
                 this.chatTranscriptResult = result;
+                this.transcriptRows = result;
+                this.canReveal = response.canReveal;
+                this.isRevealed = false;
+                this.redactedCount = response.redactedCount;
                 // Basic For Loop
                 for(let i=0; i<this.chatTranscriptResult.length; i++){
                     console.log('error Message :: ' + this.chatTranscriptResult[i].errorMessage);
@@ -170,6 +209,162 @@ export default class ChatNowTranscript extends NavigationMixin(LightningElement)
         this.isShowChat = false;
         this.disableChatbutton = false;
         this.isComboBoxDisabled = false;
+        this.searchTerm = '';
+        this.currentMatch = 0;
+        this.isRevealed = false;
+        this.transcriptRows = [];
+    }
+
+    showTranscriptError(message){
+        this.isShowError = true;
+        this.disableChatbutton = true;
+        this.isshowcancelbutton = true;
+        this.isComboBoxDisabled = true;
+        this.errorMessage = message;
+    }
+
+    // ====== IN-TRANSCRIPT SEARCH ======
+
+    get searchResult() {
+        return searchTranscript(this.transcriptRows, this.searchTerm, this.currentMatch);
+    }
+
+    get displayRows() {
+        return this.searchResult.rows;
+    }
+
+    get matchCount() {
+        return this.searchResult.matchCount;
+    }
+
+    get isSearchNavigationDisabled() {
+        return this.matchCount === 0;
+    }
+
+    get matchLabel() {
+        if((this.searchTerm || '').trim().length < MIN_TERM_LENGTH){
+            return '';
+        }
+        return this.matchCount ? `${this.currentMatch + 1} of ${this.matchCount}` : 'No matches';
+    }
+
+    handleSearchChange(event){
+        this.searchTerm = event.target.value;
+        this.currentMatch = 0;
+        this.scrollToMatch = true;
+    }
+
+    handleSearchKeyUp(event){
+        if(event.key === 'Enter'){
+            this.moveMatch(event.shiftKey ? -1 : 1);
+        }
+    }
+
+    handleNextMatch(){
+        this.moveMatch(1);
+    }
+
+    handlePreviousMatch(){
+        this.moveMatch(-1);
+    }
+
+    moveMatch(step){
+        this.currentMatch = stepMatch(this.currentMatch, step, this.matchCount);
+        this.scrollToMatch = true;
+    }
+
+    // ====== REDACTION ======
+
+    get redactionNotice() {
+        if(this.isRevealed || !this.redactedCount){
+            return null;
+        }
+        return `${this.redactedCount} sensitive ${this.redactedCount === 1 ? 'value is' : 'values are'} hidden.`;
+    }
+
+    get revealLabel() {
+        return this.isRevealed ? 'Hide Sensitive Data' : 'Show Sensitive Data';
+    }
+
+    handleRevealClick(){
+        if(this.isRevealed){
+            this.transcriptRows = this.chatTranscriptResult;
+            this.isRevealed = false;
+            return;
+        }
+        this.showSpinner = true;
+        fetchChatTranscript({
+            caseId: this.recordId,
+            transactionId: this.interactionVal,
+            reveal: true
+        })
+        .then(response => {
+            if(response.isSuccess){
+                this.transcriptRows = response.rows;
+                this.isRevealed = true;
+            }else{
+                this.errorMessage = response.errorMessage;
+                console.log('reveal error : ' + response.errorMessage);
+            }
+        })
+        .catch(error => {
+            console.error(error);
+        })
+        .finally(() => {
+            this.showSpinner = false;
+        });
+    }
+
+    // ====== ACCOUNT SEARCH ======
+
+    get hasAccountMatches() {
+        return this.accountMatches.length > 0;
+    }
+
+    handleAccountSearchChange(event){
+        this.accountSearchTerm = event.target.value;
+    }
+
+    handleAccountSearchKeyUp(event){
+        if(event.key === 'Enter'){
+            this.handleAccountSearch();
+        }
+    }
+
+    handleAccountSearch(){
+        this.isAccountSearching = true;
+        this.accountSearchMessage = null;
+        searchAccountTranscripts({
+            caseId: this.recordId,
+            searchTerm: this.accountSearchTerm
+        })
+        .then(result => {
+            if(!result.isSuccess){
+                this.accountMatches = [];
+                this.accountSearchMessage = result.errorMessage;
+                return;
+            }
+            this.accountMatches = result.matches.map((match, index) => ({
+                ...match,
+                rowKey: `match-${index}`,
+                caseUrl: '/' + match.caseId
+            }));
+            let message = `${result.matches.length} ${result.matches.length === 1 ? 'match' : 'matches'} in ${result.searchedCount} chats`;
+            if(result.failedCount){
+                message += `, ${result.failedCount} chats could not be loaded`;
+            }
+            if(result.hasMore){
+                message += '. Only the most recent chats were searched';
+            }
+            this.accountSearchMessage = message + '.';
+        })
+        .catch(error => {
+            console.error(error);
+            this.accountSearchMessage = error.body ? error.body.message : 'Search failed.';
+        })
+        .finally(() => {
+            this.isAccountSearching = false;
+        });
     }
    
        
@@ -189,6 +384,7 @@ export default class ChatNowTranscript extends NavigationMixin(LightningElement)
 
     generatePdfFiles(event){
        // alert('alert ' + JSON.stringify(this.chatTranscriptResult));
+        // chatTranscriptResult is always the redacted transcript, also when sensitive data is shown
         var url = '/apex/ChatTranscriptDownloadPDF'+'?ref='+this.refNumber+'&resList='+JSON.stringify(this.chatTranscriptResult);
         window.open(url);
     }
@@ -0,0 +1,97 @@
+/**
+ * Transcript Search for chatNowTranscript
+ *
+ * Finds a search term in the messages of a chat transcript and splits each message into
+ * segments, so the template can highlight the matches and scroll to one of them.
+ *
+ * Key Features:
+ * - Case-insensitive, literal search (regex characters in the term have no meaning)
+ * - Matches are numbered across the whole transcript in reading order
+ *
+ * Usage:
+ *   import { searchTranscript } from './transcriptSearch';
+ *   const { rows, matchCount } = searchTranscript(transcriptRows, 'pickup');
+ *   // rows[i].segments: [{ key, text, isMatch, matchIndex }]
+ */
+
+// ====== CONSTANTS ======
+
+export const MIN_TERM_LENGTH = 2;
+
+const MATCH_CLASS = 'search-match';
+const CURRENT_MATCH_CLASS = 'search-match search-match_current';
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ====== SEARCH ======
+
+/**
+ * Splits a text into plain and matching segments
+ * @param {string} text
+ * @param {RegExp} pattern - global pattern of the term, or null for no search
+ * @param {number} firstMatchIndex - number of the first match in this text
+ * @returns {Array<{key: string, text: string, isMatch: boolean, matchIndex: number}>}
+ */
+function segmentsOf(text, pattern, firstMatchIndex) {
+    const value = text || '';
+    if (!pattern) {
+        return [{ key: 't0', text: value, isMatch: false, matchIndex: -1 }];
+    }
+    const segments = [];
+    let position = 0;
+    let matchIndex = firstMatchIndex;
+    pattern.lastIndex = 0;
+    let match = pattern.exec(value);
+    while (match) {
+        if (match.index > position) {
+            segments.push({ key: `t${position}`, text: value.slice(position, match.index), isMatch: false, matchIndex: -1 });
+        }
+        segments.push({ key: `m${match.index}`, text: match[0], isMatch: true, matchIndex });
+        matchIndex++;
+        position = match.index + match[0].length;
+        match = pattern.exec(value);
+    }
+    if (position < value.length || segments.length === 0) {
+        segments.push({ key: `t${position}`, text: value.slice(position), isMatch: false, matchIndex: -1 });
+    }
+    return segments;
+}
+
+/**
+ * Searches the messages of a transcript
+ * @param {Array<Object>} rows - Transcript rows with messageText
+ * @param {string} term - Search term; terms shorter than MIN_TERM_LENGTH match nothing
+ * @param {number} [currentMatch=0] - Match to mark as current
+ * @returns {{ rows: Array<Object>, matchCount: number }} Copies of the rows with rowKey and
+ *          segments of their message
+ */
+export function searchTranscript(rows, term, currentMatch = 0) {
+    const trimmed = (term || '').trim();
+    const pattern = trimmed.length >= MIN_TERM_LENGTH ? new RegExp(escapeRegExp(trimmed), 'gi') : null;
+    let matchCount = 0;
+    const searched = (rows || []).map((row, index) => {
+        const segments = segmentsOf(row.messageText, pattern, matchCount).map((segment) => ({
+            ...segment,
+            cssClass: segment.isMatch && segment.matchIndex === currentMatch ? CURRENT_MATCH_CLASS : MATCH_CLASS
+        }));
+        matchCount += segments.filter((segment) => segment.isMatch).length;
+        return { ...row, rowKey: `row-${index}`, segments };
+    });
+    return { rows: searched, matchCount };
+}
+
+/**
+ * Next match after moving by step, wrapping around at both ends
+ * @param {number} current
+ * @param {number} step - 1 for next, -1 for previous
+ * @param {number} matchCount
+ * @returns {number}
+ */
+export function stepMatch(current, step, matchCount) {
+    if (!matchCount) {
+        return 0;
+    }
+    return (((current + step) % matchCount) + matchCount) % matchCount;
+}
@@ -0,0 +1,202 @@
+import { LightningElement, api, track } from 'lwc';
+import { fuzzyScore, searchCommands, parseShortcut, matchesShortcut, resolveShortcuts } from './commandSearch';
+
+const MAX_RESULTS = 50;
+
+/**
+ * Command Palette Component
+ *
+ * Keyboard-first launcher for the commands of a page: opened with Ctrl+K by its
+ * parent, fuzzy-searches the commands and runs the chosen one.
+ *
+ * Features:
+ * - Fuzzy search over label, group and keywords (commandSearch)
+ * - Arrow keys / Enter / Escape; the mouse works too
+ * - Disabled commands are listed with the reason and cannot be run
+ * - Shows the shortcut of each command
+ *
+ * Command: { id, label, group, keywords, shortcut, disabled, disabledReason }
+ *
+ * Events:
+ * - command: { commandId } when a command is chosen
+ * - close: when the palette is closed without a command
+ *
+ * @author George Martin
+ * @date 2025-11-18
+ */
+export default class CommandPalette extends LightningElement {
+    // ========================================
+    // Public Properties
+    // ========================================
+
+    /**
+     * Commands to choose from
+     */
+    @api commands = [];
+
+    /**
+     * Placeholder of the search box
+     */
+    @api placeholder = 'Search actions, steps and fields...';
+
+    // ========================================
+    // Private Properties
+    // ========================================
+
+    @track query = '';
+    @track activeIndex = 0;
+    isOpen = false;
+    focusPending = false;
+
+    // ========================================
+    // Lifecycle Hooks
+    // ========================================
+
+    renderedCallback() {
+        if (this.focusPending) {
+            const input = this.template.querySelector('input');
+            if (input) {
+                input.focus();
+                this.focusPending = false;
+            }
+        }
+        const active = this.template.querySelector('.command-option_active');
+        if (active && active.scrollIntoView) {
+            active.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    // ========================================
+    // Computed Properties
+    // ========================================
+
+    /**
+     * Commands matching the query
+     */
+    get results() {
+        return searchCommands(this.commands, this.query)
+            .slice(0, MAX_RESULTS)
+            .map((command, index) => ({
+                ...command,
+                optionId: `command-${index}`,
+                isActive: index === this.activeIndex,
+                ariaSelected: index === this.activeIndex ? 'true' : 'false',
+                ariaDisabled: command.disabled ? 'true' : 'false',
+                cssClass: 'command-option slds-listbox__item slds-p-around_x-small' +
+                    (index === this.activeIndex ? ' command-option_active' : '') +
+                    (command.disabled ? ' command-option_disabled' : '')
+            }));
+    }
+
+    get hasResults() {
+        return this.results.length > 0;
+    }
+
+    get activeOptionId() {
+        const active = this.results[this.activeIndex];
+        return active ? active.optionId : '';
+    }
+
+    // ========================================
+    // Event Handlers
+    // ========================================
+
+    handleQueryChange(event) {
+        this.query = event.target.value;
+        this.activeIndex = 0;
+    }
+
+    handleKeyDown(event) {
+        const count = this.results.length;
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                this.activeIndex = count ? (this.activeIndex + 1) % count : 0;
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                this.activeIndex = count ? (this.activeIndex - 1 + count) % count : 0;
+                break;
+            case 'Enter':
+                event.preventDefault();
+                this.runCommand(this.results[this.activeIndex]);
+                break;
+            case 'Escape':
+                event.preventDefault();
+                event.stopPropagation();
+                this.close();
+                this.dispatchEvent(new CustomEvent('close'));
+                break;
+            default:
+                break;
+        }
+    }
+
+    handleOptionClick(event) {
+        const index = Number(event.currentTarget.dataset.index);
+        this.activeIndex = index;
+        this.runCommand(this.results[index]);
+    }
+
+    handleOptionHover(event) {
+        this.activeIndex = Number(event.currentTarget.dataset.index);
+    }
+
+    handleBackdropClick() {
+        this.close();
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    // ========================================
+    // Private Methods
+    // ========================================
+
+    runCommand(command) {
+        if (!command || command.disabled) {
+            return;
+        }
+        this.close();
+        this.dispatchEvent(new CustomEvent('command', {
+            detail: {
+                commandId: command.id
+            }
+        }));
+    }
+
+    // ========================================
+    // Public API Methods
+    // ========================================
+
+    /**
+     * Open the palette with an empty search
+     */
+    @api
+    open() {
+        this.query = '';
+        this.activeIndex = 0;
+        this.isOpen = true;
+        this.focusPending = true;
+    }
+
+    /**
+     * Close the palette
+     */
+    @api
+    close() {
+        this.isOpen = false;
+    }
+
+    /**
+     * Open the palette, or close it when it is open
+     */
+    @api
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+}
+
+export { fuzzyScore, searchCommands, parseShortcut, matchesShortcut, resolveShortcuts };
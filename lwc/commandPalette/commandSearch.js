@@ -0,0 +1,157 @@
+/**
+ * Command Search
+ *
+ * Fuzzy matching and keyboard shortcuts for the command palette.
+ *
+ * Key Features:
+ * - Fuzzy match: the letters of the query appear in order in the label or keywords;
+ *   consecutive letters and letters at the start of a word rank higher
+ * - Disabled commands stay listed (with the reason) below the enabled ones
+ * - Shortcuts written as text ("Ctrl+K", "Alt+Shift+P"); Ctrl also matches Cmd on Mac
+ *
+ * Command: { id, label, group, keywords, shortcut, disabled, disabledReason }
+ *
+ * Usage:
+ *   const results = searchCommands(commands, 'prog cs');
+ *   if (matchesShortcut(event, 'Ctrl+K')) { ... }
+ */
+
+const KEY_ALIASES = {
+    esc: 'escape',
+    left: 'arrowleft',
+    right: 'arrowright',
+    up: 'arrowup',
+    down: 'arrowdown',
+    space: ' '
+};
+
+// ============================================================================
+// FUZZY SEARCH
+// ============================================================================
+
+/**
+ * Score of the query against a text, 0 when the letters do not appear in order
+ */
+const fuzzyScore = (query, text) => {
+    const needle = (query || '').toLowerCase().replace(/\s+/g, '');
+    const haystack = (text || '').toLowerCase();
+    if (!needle) {
+        return 1;
+    }
+    let score = 0;
+    let position = -1;
+    let previous = -2;
+    for (const char of needle) {
+        position = haystack.indexOf(char, position + 1);
+        if (position < 0) {
+            return 0;
+        }
+        score += 1;
+        if (position === previous + 1) {
+            score += 2;
+        }
+        if (position === 0 || /[\s\-_/:(]/.test(haystack.charAt(position - 1))) {
+            score += 3;
+        }
+        previous = position;
+    }
+    // shorter texts win among equal matches
+    return score + needle.length / haystack.length;
+};
+
+/**
+ * Commands matching the query, best first; disabled commands after the enabled ones
+ * @returns {Array<object>} Commands with their score
+ */
+const searchCommands = (commands, query) =>
+    (commands || [])
+        .map((command, index) => ({
+            ...command,
+            index,
+            score: Math.max(
+                fuzzyScore(query, command.label),
+                fuzzyScore(query, `${command.group || ''} ${command.label}`),
+                ...(command.keywords || []).map((keyword) => fuzzyScore(query, keyword) * 0.8)
+            )
+        }))
+        .filter((command) => command.score > 0)
+        .sort((a, b) => (a.disabled === b.disabled ? b.score - a.score || a.index - b.index : a.disabled ? 1 : -1));
+
+// ============================================================================
+// SHORTCUTS
+// ============================================================================
+
+/**
+ * Parse a shortcut like "Ctrl+Shift+K"
+ * @returns {object|null} { ctrl, alt, shift, key }
+ */
+const parseShortcut = (shortcut) => {
+    if (!shortcut || typeof shortcut !== 'string') {
+        return null;
+    }
+    const parts = shortcut.split('+').map((part) => part.trim().toLowerCase());
+    const key = parts.pop();
+    if (!key) {
+        return null;
+    }
+    return {
+        ctrl: parts.includes('ctrl') || parts.includes('cmd') || parts.includes('meta'),
+        alt: parts.includes('alt') || parts.includes('option'),
+        shift: parts.includes('shift'),
+        key: KEY_ALIASES[key] || key
+    };
+};
+
+/**
+ * Whether the keyboard event is the shortcut
+ */
+const matchesShortcut = (event, shortcut) => {
+    const parsed = typeof shortcut === 'string' ? parseShortcut(shortcut) : shortcut;
+    if (!parsed || !event || !event.key) {
+        return false;
+    }
+    // Alt changes event.key on Mac (Alt+N is "˜"), so letters and digits are compared by code
+    const code = event.code || '';
+    const codeKey = code.startsWith('Key') || code.startsWith('Digit') ? code.slice(code.startsWith('Key') ? 3 : 5).toLowerCase() : null;
+    const key = event.key.toLowerCase();
+    return (
+        (key === parsed.key || codeKey === parsed.key) &&
+        Boolean(event.ctrlKey || event.metaKey) === parsed.ctrl &&
+        Boolean(event.altKey) === parsed.alt &&
+        Boolean(event.shiftKey) === parsed.shift
+    );
+};
+
+/**
+ * Shortcuts of the commands: the defaults with the configured ones on top
+ * @param {object} defaults - commandId -> shortcut
+ * @param {string|object} config - commandId -> shortcut (JSON or object); an empty shortcut removes the default
+ * @returns {object} commandId -> shortcut
+ */
+const resolveShortcuts = (defaults, config) => {
+    let configured = config || {};
+    if (typeof configured === 'string') {
+        try {
+            configured = JSON.parse(configured);
+        } catch (error) {
+            console.error('Invalid command shortcuts:', config);
+            configured = {};
+        }
+    }
+    const shortcuts = { ...(defaults || {}) };
+    Object.keys(configured).forEach((commandId) => {
+        const shortcut = configured[commandId];
+        // shortcuts without Ctrl or Alt would fire while typing
+        const parsed = parseShortcut(shortcut);
+        if (!shortcut) {
+            delete shortcuts[commandId];
+        } else if (parsed && (parsed.ctrl || parsed.alt)) {
+            shortcuts[commandId] = shortcut;
+        } else {
+            console.warn(`Shortcut ${shortcut} of ${commandId} needs Ctrl or Alt`);
+        }
+    });
+    return shortcuts;
+};
+
+export { fuzzyScore, searchCommands, parseShortcut, matchesShortcut, resolveShortcuts };
@@ -0,0 +1,96 @@
+/**
+ * Contact Merge
+ *
+ * Builds the side by side comparison of the merge dialog of contactSelector from
+ * ContactMergeService.getMergeComparison and the field selections sent to
+ * ContactMergeService.mergeContacts.
+ *
+ * Key Features:
+ * - One row per field, one cell per contact, fields that differ highlighted
+ * - Default surviving value: the value of the surviving contact, or the first
+ *   contact that has one when it is blank
+ * - Choices the agent made are kept when the surviving contact changes
+ *
+ * Usage:
+ *   let selections = defaultSelections(comparison.fields, masterId);
+ *   const rows = buildComparisonRows(comparison.fields, selections);
+ *   mergeContacts({ masterId, duplicateIds: duplicateIdsOf(contacts, masterId),
+ *       selectionsJson: JSON.stringify(selections) });
+ */
+
+// Database.merge takes a master and up to two duplicates
+const MAX_MERGE_CONTACTS = 3;
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// ============================================================================
+// SELECTIONS
+// ============================================================================
+
+/**
+ * Contact whose value survives, per field
+ * @param {Array<object>} fields - Comparison fields { fieldName, values: [{ contactId, value }] }
+ * @param {string} masterId - Surviving contact
+ * @param {object} chosen - Choices the agent already made, kept as they are
+ * @returns {object} Field name to contact id
+ */
+const defaultSelections = (fields, masterId, chosen = {}) => {
+    const selections = {};
+    (fields || []).forEach((field) => {
+        const values = field.values || [];
+        if (chosen[field.fieldName] && values.some((v) => v.contactId === chosen[field.fieldName])) {
+            selections[field.fieldName] = chosen[field.fieldName];
+            return;
+        }
+        const master = values.find((v) => v.contactId === masterId);
+        const source = master && !isBlank(master.value) ? master : values.find((v) => !isBlank(v.value));
+        selections[field.fieldName] = source ? source.contactId : masterId;
+    });
+    return selections;
+};
+
+/**
+ * Contacts merged into the surviving contact
+ */
+const duplicateIdsOf = (contacts, masterId) =>
+    (contacts || []).map((contact) => contact.id).filter((id) => id !== masterId);
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+/**
+ * Rows of the comparison table
+ * @returns {Array<object>} { fieldName, label, rowClass, cells: [{ key, contactId, display, isSelected }] }
+ */
+const buildComparisonRows = (fields, selections) =>
+    (fields || []).map((field) => ({
+        fieldName: field.fieldName,
+        label: field.label,
+        rowClass: field.isDifferent ? 'merge-row merge-row_different' : 'merge-row',
+        cells: (field.values || []).map((v) => ({
+            key: `${field.fieldName}-${v.contactId}`,
+            contactId: v.contactId,
+            display: isBlank(v.displayValue) ? '(blank)' : v.displayValue,
+            isSelected: selections[field.fieldName] === v.contactId
+        }))
+    }));
+
+/**
+ * Column headers of the comparison table
+ */
+const buildContactColumns = (contacts, masterId) =>
+    (contacts || []).map((contact) => ({
+        ...contact,
+        isMaster: contact.id === masterId,
+        summary: `${contact.caseCount || 0} case(s), ${contact.relationCount || 0} account relation(s)`
+    }));
+
+/**
+ * Success message of a merge
+ */
+const mergeSummary = (result, mergedCount) =>
+    `Merged ${mergedCount} contact(s). Moved ${result.casesReparented || 0} case(s) and ` +
+    `${result.relationsReparented || 0} account relation(s).`;
+
+export { MAX_MERGE_CONTACTS, defaultSelections, duplicateIdsOf, buildComparisonRows, buildContactColumns, mergeSummary };
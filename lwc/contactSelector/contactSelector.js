@@ -12,6 +12,17 @@ import getAccountDepartments from '@salesforce/apex/ContactSelectorController.ge
 import createAccountTitle from '@salesforce/apex/ContactSelectorController.createAccountTitle';
 import getVendorRoles from '@salesforce/apex/ContactSelectorController.getVendorRoles';
 import validateContactSelection from '@salesforce/apex/ContactSelectorController.validateContactSelection';
+import getMergeCandidates from '@salesforce/apex/ContactMergeService.getMergeCandidates';
+import getMergeComparison from '@salesforce/apex/ContactMergeService.getMergeComparison';
+import mergeContacts from '@salesforce/apex/ContactMergeService.mergeContacts';
+import {
+    MAX_MERGE_CONTACTS,
+    defaultSelections,
+    duplicateIdsOf,
+    buildComparisonRows,
+    buildContactColumns,
+    mergeSummary
+} from './contactMerge';
 
 /**
  * Contact Selector Component
@@ -26,6 +37,7 @@ import validateContactSelection from '@salesforce/apex/ContactSelectorController
  * - Multi-field search (first name, last name, email, phone, mobile)
  * - Recent contacts quick selection
  * - Duplicate detection
+ * - Duplicate merge with field-by-field survivor selection, at create time or from the contact card
  * - Inline contact creation form
  * - Account title/department management
  * - Vendor contact search
@@ -96,6 +108,17 @@ export default class ContactSelector extends LightningElement {
     @track isSaving = false;
     @track isCheckingDuplicates = false;
 
+    // Contact merge properties
+    @track showMergeModal = false;
+    @track mergeCandidates = [];
+    @track mergeComparison = null;
+    @track mergeSelections = {};
+    @track isMergeLoading = false;
+    @track isMerging = false;
+    mergeMasterId = null;
+    mergeChosen = {};
+    mergeBaseContactId = null;
+
     // Account title/department properties
     @track accountTitleOptions = [];
     @track accountDepartmentOptions = [];
@@ -239,6 +262,67 @@ export default class ContactSelector extends LightningElement {
         return fields;
     }
 
+    /**
+     * Existing contacts among the duplicates found at create time
+     */
+    get existingDuplicates() {
+        return this.duplicateContacts.filter(contact => !contact.isNew);
+    }
+
+    /**
+     * Merge dialog shows the candidate list (on demand) rather than the comparison
+     */
+    get isMergeCandidateStep() {
+        return this.mergeComparison == null && this.mergeCandidates.length > 0;
+    }
+
+    /**
+     * Candidate list with selection state
+     */
+    get mergeCandidateItems() {
+        return this.mergeCandidates.map(candidate => ({
+            ...candidate,
+            details: [candidate.email, candidate.phone, candidate.mobilePhone].filter(Boolean).join(' / ')
+        }));
+    }
+
+    /**
+     * Whether the checked candidates can be compared
+     */
+    get isCompareDisabled() {
+        const checked = this.mergeCandidates.filter(candidate => candidate.isChecked).length;
+        return this.isMergeLoading || checked === 0 || checked >= MAX_MERGE_CONTACTS;
+    }
+
+    /**
+     * Column headers of the comparison table
+     */
+    get mergeContactColumns() {
+        return this.mergeComparison ? buildContactColumns(this.mergeComparison.contacts, this.mergeMasterId) : [];
+    }
+
+    /**
+     * Field rows of the comparison table
+     */
+    get mergeRows() {
+        return this.mergeComparison ? buildComparisonRows(this.mergeComparison.fields, this.mergeSelections) : [];
+    }
+
+    /**
+     * Whether the candidate list can be shown again
+     */
+    get canReturnToCandidates() {
+        return this.mergeComparison != null && this.mergeCandidates.length > 0;
+    }
+
+    get isMergeDisabled() {
+        return this.isMerging || this.isMergeLoading || this.mergeComparison == null;
+    }
+
+    get mergeCandidateLimitText() {
+        return `Select up to ${MAX_MERGE_CONTACTS - 1} contacts to merge into this one.`;
+    }
+
     /**
      * Search fields configuration for recordSearchBase
      */
@@ -526,6 +610,166 @@ export default class ContactSelector extends LightningElement {
         this.newContact = this.getEmptyContact();
     }
 
+    /**
+     * Handle save and merge button click in the duplicate warning:
+     * save the new contact, then compare it with the existing duplicates
+     */
+    handleSaveAndMerge(event) {
+        event.preventDefault();
+
+        if (!this.validateContactForm()) {
+            return;
+        }
+
+        const existingIds = this.existingDuplicates
+            .slice(0, MAX_MERGE_CONTACTS - 1)
+            .map(contact => contact.id);
+        this.isSaving = true;
+
+        createContact({
+            contactDataJson: JSON.stringify(this.newContact),
+            locationId: this.locationId || this.entityId
+        })
+        .then(contactId => {
+            this.showSuccess('Contact created successfully');
+            this.handleCloseModal();
+            this.openMergeModal([]);
+            // existing contacts first: the oldest record survives by default
+            this.loadMergeComparison([...existingIds, contactId]);
+        })
+        .catch(error => {
+            this.showError('Failed to save contact: ' + this.getErrorMessage(error));
+        })
+        .finally(() => {
+            this.isSaving = false;
+        });
+    }
+
+    // ========================================
+    // Event Handlers - Contact Merge
+    // ========================================
+
+    /**
+     * Handle find duplicates button click on the contact card
+     */
+    handleFindDuplicates() {
+        if (!this.selectedContact) return;
+
+        const contactId = this.selectedContact.id;
+        this.isMergeLoading = true;
+
+        getMergeCandidates({ contactId: contactId })
+            .then(result => {
+                if (!result.isSuccess) {
+                    this.showError('Failed to find duplicates: ' + result.errorMessage);
+                    return;
+                }
+                if (!result.candidates.length) {
+                    this.showInfo('No duplicates found for this contact');
+                    return;
+                }
+                this.mergeBaseContactId = contactId;
+                this.openMergeModal(result.candidates.map((candidate, index) => ({
+                    ...candidate,
+                    isChecked: index < MAX_MERGE_CONTACTS - 1
+                })));
+            })
+            .catch(error => {
+                this.showError('Failed to find duplicates: ' + this.getErrorMessage(error));
+            })
+            .finally(() => {
+                this.isMergeLoading = false;
+            });
+    }
+
+    /**
+     * Handle candidate checkbox change
+     */
+    handleMergeCandidateToggle(event) {
+        const candidateId = event.currentTarget.dataset.id;
+        this.mergeCandidates = this.mergeCandidates.map(candidate =>
+            candidate.id === candidateId ? { ...candidate, isChecked: event.detail.checked } : candidate
+        );
+    }
+
+    /**
+     * Handle compare button click: compare the contact with the checked candidates
+     */
+    handleCompareCandidates() {
+        const checkedIds = this.mergeCandidates
+            .filter(candidate => candidate.isChecked)
+            .map(candidate => candidate.id);
+        this.loadMergeComparison([this.mergeBaseContactId, ...checkedIds]);
+    }
+
+    /**
+     * Handle back button click: return to the candidate list
+     */
+    handleBackToCandidates() {
+        this.mergeComparison = null;
+    }
+
+    /**
+     * Handle surviving contact change
+     */
+    handleMergeMasterChange(event) {
+        this.mergeMasterId = event.currentTarget.dataset.contact;
+        this.mergeSelections = defaultSelections(this.mergeComparison.fields, this.mergeMasterId, this.mergeChosen);
+    }
+
+    /**
+     * Handle surviving value change of a field
+     */
+    handleMergeValueSelect(event) {
+        const { field, contact } = event.currentTarget.dataset;
+        this.mergeChosen = { ...this.mergeChosen, [field]: contact };
+        this.mergeSelections = { ...this.mergeSelections, [field]: contact };
+    }
+
+    /**
+     * Handle merge button click
+     */
+    handleConfirmMerge() {
+        const duplicateIds = duplicateIdsOf(this.mergeComparison.contacts, this.mergeMasterId);
+        this.isMerging = true;
+
+        mergeContacts({
+            masterId: this.mergeMasterId,
+            duplicateIds: duplicateIds,
+            selectionsJson: JSON.stringify(this.mergeSelections)
+        })
+        .then(result => {
+            if (!result.isSuccess) {
+                this.showError('Failed to merge contacts: ' + result.errorMessage);
+                return;
+            }
+            this.showSuccess(mergeSummary(result, duplicateIds.length));
+            this.handleCloseMergeModal();
+            this.loadContactById(result.contactId);
+            this.loadRecentContacts();
+        })
+        .catch(error => {
+            this.showError('Failed to merge contacts: ' + this.getErrorMessage(error));
+        })
+        .finally(() => {
+            this.isMerging = false;
+        });
+    }
+
+    /**
+     * Handle close merge modal button click
+     */
+    handleCloseMergeModal(event) {
+        if (event) event.preventDefault();
+        this.showMergeModal = false;
+        this.mergeCandidates = [];
+        this.mergeComparison = null;
+        this.mergeSelections = {};
+        this.mergeChosen = {};
+        this.mergeMasterId = null;
+        this.mergeBaseContactId = null;
+    }
+
     // ========================================
     // Event Handlers - Account Title
     // ========================================
@@ -771,6 +1015,46 @@ export default class ContactSelector extends LightningElement {
             });
     }
 
+    /**
+     * Load the side by side comparison of contacts; the first one survives by default
+     */
+    loadMergeComparison(contactIds) {
+        this.isMergeLoading = true;
+
+        return getMergeComparison({ contactIds: contactIds })
+            .then(result => {
+                if (!result.isSuccess) {
+                    this.showError('Failed to compare contacts: ' + result.errorMessage);
+                    if (!this.mergeCandidates.length) {
+                        this.handleCloseMergeModal();
+                    }
+                    return;
+                }
+                this.mergeComparison = { contacts: result.contacts, fields: result.fields };
+                this.mergeMasterId = contactIds[0];
+                this.mergeChosen = {};
+                this.mergeSelections = defaultSelections(result.fields, this.mergeMasterId);
+            })
+            .catch(error => {
+                this.showError('Failed to compare contacts: ' + this.getErrorMessage(error));
+            })
+            .finally(() => {
+                this.isMergeLoading = false;
+            });
+    }
+
+    /**
+     * Open the merge dialog
+     * @param {Array} candidates - Candidates to choose from; empty when the contacts are known
+     */
+    openMergeModal(candidates) {
+        this.mergeCandidates = candidates;
+        this.mergeComparison = null;
+        this.mergeSelections = {};
+        this.mergeChosen = {};
+        this.showMergeModal = true;
+    }
+
     /**
      * Update case with selected contact
      */
@@ -895,6 +1179,25 @@ export default class ContactSelector extends LightningElement {
     // Public API Methods
     // ========================================
 
+    /**
+     * Move focus into the search box
+     * @returns {Boolean} Whether the search box was focused
+     */
+    @api
+    focusSearch() {
+        const search = this.template.querySelector('c-record-search-base');
+        return search ? search.focusSearch() : false;
+    }
+
+    /**
+     * Select a contact as if it was picked from the search results
+     * @param {String} recordId - Contact ID
+     */
+    @api
+    selectRecord(recordId) {
+        this.loadContactById(recordId);
+    }
+
     /**
      * Get selected contact
      */
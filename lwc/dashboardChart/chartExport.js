@@ -0,0 +1,82 @@
+/**
+ * Chart Export
+ *
+ * PNG and SVG downloads of a rendered dashboard chart. Works without the Highcharts exporting
+ * module: the SVG Highcharts draws is serialized and, for PNG, painted on a canvas.
+ *
+ * Usage:
+ *   downloadSvg(chart, 'Task Count');
+ *   downloadPng(chart, 'Task Count').then(...);
+ */
+
+import { downloadFile } from 'c/fileDownload';
+
+const SVG_MIME_TYPE = 'image/svg+xml;charset=utf-8';
+const PNG_MIME_TYPE = 'image/png';
+
+// PNG pixels per SVG pixel, keeps text sharp when the image is scaled
+const PNG_SCALE = 2;
+
+const fileNameOf = (name, extension) => {
+    const base = String(name || 'Chart')
+        .replace(/\.(png|svg)$/i, '')
+        .replace(/[\\/:*?"<>|]/g, ' ')
+        .trim();
+    return `${base || 'Chart'}.${extension}`;
+};
+
+/**
+ * SVG markup of a chart; uses chart.getSVG when the exporting module is loaded
+ */
+const svgOf = (chart) => {
+    if (typeof chart.getSVG === 'function') {
+        return chart.getSVG();
+    }
+    const svg = chart.container && chart.container.querySelector('svg');
+    if (!svg) {
+        throw new Error('The chart has not been drawn yet.');
+    }
+    const markup = new XMLSerializer().serializeToString(svg);
+    return markup.includes('xmlns=') ? markup : markup.replace('<svg', '<svg xmlns="http://www.w3.org/2000/svg"');
+};
+
+const downloadSvg = (chart, name) => {
+    downloadFile(svgOf(chart), SVG_MIME_TYPE, fileNameOf(name, 'svg'));
+};
+
+/**
+ * Paints the chart SVG on a white canvas and downloads it as PNG
+ * @returns {Promise<void>}
+ */
+const downloadPng = (chart, name) =>
+    new Promise((resolve, reject) => {
+        const width = chart.chartWidth;
+        const height = chart.chartHeight;
+        const url = URL.createObjectURL(new Blob([svgOf(chart)], { type: SVG_MIME_TYPE }));
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            const canvas = document.createElement('canvas');
+            canvas.width = width * PNG_SCALE;
+            canvas.height = height * PNG_SCALE;
+            const context = canvas.getContext('2d');
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+            canvas.toBlob((blob) => {
+                if (!blob) {
+                    reject(new Error('The chart could not be converted to PNG.'));
+                    return;
+                }
+                downloadFile(blob, PNG_MIME_TYPE, fileNameOf(name, 'png'));
+                resolve();
+            }, PNG_MIME_TYPE);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('The chart could not be converted to PNG.'));
+        };
+        image.src = url;
+    });
+
+export { SVG_MIME_TYPE, PNG_MIME_TYPE, fileNameOf, svgOf, downloadSvg, downloadPng };
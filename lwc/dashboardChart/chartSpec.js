@@ -0,0 +1,278 @@
+/**
+ * Chart Spec
+ *
+ * Declarative chart description shared by the dashboards (ChartToggleBar, TableListCmp) and its
+ * translation to a Highcharts configuration and to an accessible data table.
+ *
+ * Key Features:
+ * - One theme (brand palette, fonts, muted color) for every dashboard chart
+ * - bar, column, line, area and pie charts with optional stacking and scrollable categories
+ * - Point labels: a point { y, label } shows its label next to the value (e.g. "12 (+25%)")
+ * - Declarative drill-down: spec.drilldown maps a category to the spec shown when it is clicked
+ * - Data table of the same spec for screen readers and as fallback when Highcharts is missing
+ *
+ * Spec:
+ *   {
+ *     type: 'bar' | 'column' | 'line' | 'area' | 'pie',
+ *     title, subtitle, description (screen reader summary), fileName (exports),
+ *     categories: ['Hauler One', ...],
+ *     series: [{ name, data: [12 | { y: 12, label: '+25%' } | null], color, type, dataLabels }],
+ *     xAxisTitle, yAxisTitle, yMin, yMax, stacked, legend, dataLabels,
+ *     visibleCategories (scroll after N categories), height, theme,
+ *     clickable (default true), drilldown: { [category]: spec }
+ *   }
+ *
+ * Usage:
+ *   const config = toHighchartsConfig(spec, { onPointClick: (detail) => ... });
+ *   const table = toDataTable(spec);
+ */
+
+const CHART_TYPES = ['bar', 'column', 'line', 'area', 'pie'];
+
+const THEMES = {
+    brand: {
+        colors: [
+            'rgb(122, 184, 0)',
+            'rgb(0, 104, 71)',
+            'rgb(0, 112, 210)',
+            'rgb(242, 169, 0)',
+            'rgb(84, 105, 141)',
+            'rgb(194, 57, 52)',
+            'rgb(116, 80, 168)',
+            'rgb(0, 161, 161)',
+            'rgb(179, 89, 0)',
+            'rgb(62, 62, 60)'
+        ],
+        muted: 'rgb(201, 201, 201)',
+        textColor: 'rgb(62, 62, 60)',
+        gridLineColor: 'rgb(229, 229, 229)',
+        fontFamily: "'Salesforce Sans', Arial, sans-serif"
+    },
+    neutral: {
+        colors: ['rgb(84, 105, 141)', 'rgb(116, 116, 116)', 'rgb(0, 112, 210)', 'rgb(201, 201, 201)'],
+        muted: 'rgb(221, 219, 218)',
+        textColor: 'rgb(62, 62, 60)',
+        gridLineColor: 'rgb(229, 229, 229)',
+        fontFamily: "'Salesforce Sans', Arial, sans-serif"
+    }
+};
+
+const DEFAULT_HEIGHT = 450;
+
+// An axis ending below 2 squeezes single-task bars against the edge
+const MIN_AXIS_MAX = 2;
+
+// Left margin of horizontal bars, room for account names
+const BAR_MARGIN_LEFT = 150;
+
+// ============================================================================
+// SPEC
+// ============================================================================
+
+const themeOf = (name) => THEMES[name] || THEMES.brand;
+
+/**
+ * Color of a series: the series color, a theme token ('muted') or the palette color of its index
+ */
+const colorOf = (color, index, theme = THEMES.brand) => {
+    if (color === 'muted') return theme.muted;
+    if (color) return color;
+    return theme.colors[index % theme.colors.length];
+};
+
+const valueOf = (point) => (point !== null && typeof point === 'object' ? point.y : point);
+
+const labelOf = (point) => (point !== null && typeof point === 'object' && point.label ? point.label : '');
+
+const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Spec with defaults applied and values coerced to numbers
+ */
+const normalizeSpec = (spec = {}) => {
+    const categories = (spec.categories || []).map((category) => String(category));
+    const series = (spec.series || []).map((serie, index) => ({
+        name: serie.name || `Series ${index + 1}`,
+        type: serie.type,
+        color: serie.color,
+        dataLabels: serie.dataLabels,
+        data: (serie.data || []).map((point) =>
+            point !== null && typeof point === 'object'
+                ? { ...point, y: toNumber(point.y) }
+                : toNumber(point)
+        )
+    }));
+    const yMax = toNumber(spec.yMax);
+    return {
+        ...spec,
+        type: CHART_TYPES.includes(spec.type) ? spec.type : 'bar',
+        title: spec.title || '',
+        subtitle: spec.subtitle || '',
+        categories,
+        series,
+        yMin: toNumber(spec.yMin) ?? 0,
+        yMax: yMax === null ? null : Math.max(yMax, MIN_AXIS_MAX),
+        height: toNumber(spec.height) || DEFAULT_HEIGHT,
+        legend: spec.legend ?? series.length > 1,
+        dataLabels: spec.dataLabels ?? (spec.type === 'bar' || spec.type === 'column' || !spec.type),
+        clickable: spec.clickable ?? true,
+        drilldown: spec.drilldown || {}
+    };
+};
+
+const hasData = (spec) => normalizeSpec(spec).series.some((serie) => serie.data.some((point) => valueOf(point) !== null));
+
+/**
+ * Short text description of a chart for screen readers
+ */
+const describeSpec = (spec) => {
+    const normalized = normalizeSpec(spec);
+    if (normalized.description) return normalized.description;
+    const parts = [normalized.title, normalized.subtitle].filter(Boolean);
+    parts.push(`${normalized.type} chart of ${normalized.categories.length} categories`);
+    if (normalized.series.length) {
+        parts.push(`series: ${normalized.series.map((serie) => serie.name).join(', ')}`);
+    }
+    return parts.join('. ');
+};
+
+// ============================================================================
+// HIGHCHARTS
+// ============================================================================
+
+const pointsOf = (serie, categories, type) =>
+    serie.data.map((point, index) => {
+        if (type !== 'pie') return point;
+        return { name: categories[index], y: valueOf(point), label: labelOf(point) };
+    });
+
+/**
+ * Highcharts configuration of a spec
+ * @param {object} spec Chart spec
+ * @param {object} options onPointClick({ category, index, seriesIndex, seriesName, value, label })
+ */
+const toHighchartsConfig = (spec, { onPointClick } = {}) => {
+    const normalized = normalizeSpec(spec);
+    const theme = themeOf(normalized.theme);
+    const { type, categories } = normalized;
+    const scroll = normalized.visibleCategories > 0 && categories.length > normalized.visibleCategories;
+    const textStyle = { color: theme.textColor, fontFamily: theme.fontFamily };
+
+    return {
+        chart: {
+            type,
+            height: normalized.height,
+            marginLeft: type === 'bar' ? BAR_MARGIN_LEFT : undefined,
+            style: { fontFamily: theme.fontFamily }
+        },
+        title: { text: normalized.title, style: textStyle },
+        subtitle: { text: normalized.subtitle, style: textStyle },
+        colors: theme.colors,
+        accessibility: { enabled: true, description: describeSpec(normalized) },
+        xAxis: {
+            type: 'category',
+            categories: type === 'pie' ? undefined : categories,
+            title: { text: normalized.xAxisTitle || null },
+            min: scroll ? 0 : undefined,
+            max: scroll ? normalized.visibleCategories - 1 : undefined,
+            scrollbar: { enabled: scroll },
+            tickLength: 0,
+            labels: { style: textStyle }
+        },
+        yAxis: {
+            min: normalized.yMin,
+            max: normalized.yMax,
+            allowDecimals: false,
+            gridLineColor: theme.gridLineColor,
+            title: { text: normalized.yAxisTitle || null, align: type === 'bar' ? 'high' : 'middle' },
+            labels: { style: textStyle }
+        },
+        plotOptions: {
+            series: {
+                cursor: normalized.clickable ? 'pointer' : undefined,
+                connectNulls: true,
+                stacking: normalized.stacked ? 'normal' : undefined,
+                dataLabels: {
+                    enabled: normalized.dataLabels,
+                    formatter() {
+                        const label = this.point.options && this.point.options.label;
+                        return label ? `${this.y} (${label})` : this.y;
+                    }
+                },
+                point: {
+                    events: {
+                        click() {
+                            if (!normalized.clickable || !onPointClick) return;
+                            onPointClick({
+                                category: type === 'pie' ? this.name : this.category,
+                                index: this.index,
+                                seriesIndex: this.series.index,
+                                seriesName: this.series.name,
+                                value: this.y,
+                                label: (this.options && this.options.label) || ''
+                            });
+                        }
+                    }
+                }
+            }
+        },
+        legend: { enabled: normalized.legend, itemStyle: textStyle },
+        credits: { enabled: false },
+        exporting: { enabled: false },
+        series: normalized.series.map((serie, index) => ({
+            name: serie.name,
+            type: serie.type,
+            color: type === 'pie' ? undefined : colorOf(serie.color, index, theme),
+            dataLabels: serie.dataLabels === false ? { enabled: false } : undefined,
+            data: pointsOf(serie, categories, type)
+        }))
+    };
+};
+
+// ============================================================================
+// DATA TABLE
+// ============================================================================
+
+const formatCell = (point) => {
+    const value = valueOf(point);
+    if (value === null || value === undefined) return '';
+    const label = labelOf(point);
+    return label ? `${value} (${label})` : String(value);
+};
+
+/**
+ * Data table of a spec: one row per category, one column per series
+ * @returns {object} { caption, columns: [{ key, label }], rows: [{ key, cells: [{ key, value }] }] }
+ */
+const toDataTable = (spec) => {
+    const normalized = normalizeSpec(spec);
+    const columns = [
+        { key: 'category', label: normalized.xAxisTitle || 'Category' },
+        ...normalized.series.map((serie, index) => ({ key: `series-${index}`, label: serie.name }))
+    ];
+    const rows = normalized.categories.map((category, rowIndex) => ({
+        key: `row-${rowIndex}`,
+        cells: [
+            { key: 'category', value: category },
+            ...normalized.series.map((serie, index) => ({ key: `series-${index}`, value: formatCell(serie.data[rowIndex]) }))
+        ]
+    }));
+    return { caption: [normalized.title, normalized.subtitle].filter(Boolean).join(' - '), columns, rows };
+};
+
+export {
+    CHART_TYPES,
+    THEMES,
+    DEFAULT_HEIGHT,
+    themeOf,
+    colorOf,
+    normalizeSpec,
+    hasData,
+    describeSpec,
+    toHighchartsConfig,
+    toDataTable
+};
@@ -0,0 +1,191 @@
+import { LightningElement, api } from 'lwc';
+import { loadScript } from 'lightning/platformResourceLoader';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import HIGHCHARTS from '@salesforce/resourceUrl/Highcharts';
+import { THEMES, normalizeSpec, hasData, describeSpec, toHighchartsConfig, toDataTable } from './chartSpec';
+import { downloadSvg, downloadPng } from './chartExport';
+
+const EMPTY_TABLE = { caption: '', columns: [], rows: [] };
+
+/**
+ * Shared dashboard chart.
+ * Renders a declarative spec (see chartSpec.js) with Highcharts, keeps a data table of the same
+ * spec for screen readers (also shown on request or when Highcharts cannot load), downloads the
+ * chart as PNG or SVG and reflows it when its container is resized.
+ *
+ * Aura: <c:dashboardChart aura:id="chart" spec="{!v.chartSpec}" onchartclick="{!c.handleChartClick}"/>
+ * LWC:  <c-dashboard-chart spec={chartSpec} onchartclick={handleChartClick}></c-dashboard-chart>
+ *
+ * Events:
+ *   chartclick  { category, index, seriesIndex, seriesName, value, label } of the clicked point
+ *   drilldown   { category, depth } when a spec.drilldown entry is opened
+ */
+export default class DashboardChart extends LightningElement {
+    _spec;
+    activeSpec;
+    drillStack = [];
+    table = EMPTY_TABLE;
+    chart;
+    highchartsLoaded = false;
+    loadError = '';
+    showTable = false;
+    resizeObserver;
+
+    @api
+    get spec() {
+        return this._spec;
+    }
+    set spec(value) {
+        this._spec = value;
+        this.drillStack = [];
+        this.showSpec(value);
+    }
+
+    get canDrillUp() {
+        return this.drillStack.length > 0;
+    }
+
+    get showFallback() {
+        return Boolean(this.loadError) || this.showTable;
+    }
+
+    get canvasClass() {
+        return this.showFallback ? 'chart-canvas slds-hide' : 'chart-canvas';
+    }
+
+    get canvasStyle() {
+        return `height: ${normalizeSpec(this.activeSpec || {}).height}px`;
+    }
+
+    get tableClass() {
+        return this.showFallback
+            ? 'slds-table slds-table_bordered slds-table_cell-buffer slds-m-top_x-small'
+            : 'slds-table slds-assistive-text';
+    }
+
+    get tableToggleLabel() {
+        return this.showTable ? 'View as chart' : 'View as table';
+    }
+
+    get disableTableToggle() {
+        return Boolean(this.loadError);
+    }
+
+    get disableExport() {
+        return this.showFallback || !hasData(this.activeSpec || {});
+    }
+
+    get chartDescription() {
+        return this.activeSpec ? describeSpec(this.activeSpec) : '';
+    }
+
+    connectedCallback() {
+        loadScript(this, HIGHCHARTS)
+            .then(() => {
+                this.highchartsLoaded = true;
+                this.renderChart();
+            })
+            .catch(() => {
+                this.loadError = 'The chart library could not be loaded, the data is shown as a table.';
+            });
+    }
+
+    renderedCallback() {
+        if (this.resizeObserver || typeof ResizeObserver !== 'function') {
+            return;
+        }
+        // the canvas is resized with its container and when it is shown again after the table view
+        const canvas = this.template.querySelector('.chart-canvas');
+        if (canvas) {
+            this.resizeObserver = new ResizeObserver(() => {
+                if (this.chart) {
+                    this.chart.reflow();
+                }
+            });
+            this.resizeObserver.observe(canvas);
+        }
+    }
+
+    disconnectedCallback() {
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        this.destroyChart();
+    }
+
+    // ========================================================================
+    // RENDERING
+    // ========================================================================
+
+    showSpec(spec) {
+        this.activeSpec = spec;
+        this.table = spec ? toDataTable(spec) : EMPTY_TABLE;
+        this.renderChart();
+    }
+
+    destroyChart() {
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+    }
+
+    renderChart() {
+        const container = this.template.querySelector('.chart-canvas');
+        if (!this.highchartsLoaded || !container) {
+            return;
+        }
+        this.destroyChart();
+        if (!this.activeSpec) {
+            return;
+        }
+        this.chart = window.Highcharts.chart(
+            container,
+            toHighchartsConfig(this.activeSpec, { onPointClick: (detail) => this.handlePointClick(detail) })
+        );
+    }
+
+    // ========================================================================
+    // HANDLERS
+    // ========================================================================
+
+    handlePointClick(detail) {
+        this.dispatchEvent(new CustomEvent('chartclick', { detail }));
+        const child = normalizeSpec(this.activeSpec).drilldown[detail.category];
+        if (child) {
+            this.drillStack = [...this.drillStack, this.activeSpec];
+            this.showSpec(child);
+            this.dispatchEvent(
+                new CustomEvent('drilldown', { detail: { category: detail.category, depth: this.drillStack.length } })
+            );
+        }
+    }
+
+    handleDrillUp() {
+        const parent = this.drillStack[this.drillStack.length - 1];
+        this.drillStack = this.drillStack.slice(0, -1);
+        this.showSpec(parent);
+    }
+
+    handleToggleTable() {
+        this.showTable = !this.showTable;
+    }
+
+    handleExport(event) {
+        if (!this.chart) {
+            return;
+        }
+        const spec = normalizeSpec(this.activeSpec);
+        const name = spec.fileName || spec.title;
+        Promise.resolve()
+            .then(() => (event.detail.value === 'svg' ? downloadSvg(this.chart, name) : downloadPng(this.chart, name)))
+            .catch((error) => {
+                this.dispatchEvent(
+                    new ShowToastEvent({ title: 'Chart download failed', message: error.message, variant: 'error' })
+                );
+            });
+    }
+}
+
+export { THEMES, normalizeSpec, toHighchartsConfig, toDataTable };
@@ -350,6 +350,15 @@ export default class EntitySelector extends LightningElement {
         }
     }
 
+    /**
+     * Handle omni search pick; the parent fills in the selector of the record type
+     */
+    handleOmniSelect(event) {
+        this.dispatchEvent(new CustomEvent('omniselect', {
+            detail: { ...event.detail }
+        }));
+    }
+
     /**
      * Handle record click from recordSearchBase
      */
@@ -557,6 +566,25 @@ export default class EntitySelector extends LightningElement {
     // Public API Methods
     // ========================================
 
+    /**
+     * Move focus into the search box
+     * @returns {Boolean} Whether the search box was focused
+     */
+    @api
+    focusSearch() {
+        const search = this.template.querySelector('c-record-search-base');
+        return search ? search.focusSearch() : false;
+    }
+
+    /**
+     * Select a entity as if it was picked from the search results
+     * @param {String} recordId - Entity ID
+     */
+    @api
+    selectRecord(recordId) {
+        this.loadEntityById(recordId);
+    }
+
     /**
      * Get selected entity
      */
@@ -0,0 +1,385 @@
+/**
+ * Event Bus
+ *
+ * Page-scoped, typed publish/subscribe messaging for sibling components that
+ * cannot share a Lightning Message Channel (e.g. components placed side by side
+ * on a flexipage without a common parent).
+ *
+ * Key Features:
+ * - Events are declared once with defineEvent() and carry a payload schema
+ * - Payloads are validated on publish; invalid payloads are logged and dropped
+ * - Events are scoped by record and tab so console tabs do not talk to each other
+ * - Late subscribers can replay the last value published in exactly their scope
+ * - EventBusMixin removes a component's subscriptions on disconnect, and the values it
+ *   published once it is gone (e.g. its record tab is closed)
+ * - Optional debug trace of every publish (enableDebug / localStorage flag)
+ *
+ * Usage:
+ *   const SHOW_OUTPUT = defineEvent('showOutputScreen', {
+ *       recordId: { type: 'string', required: true }
+ *   });
+ *
+ *   export default class MyCmp extends EventBusMixin(LightningElement) {
+ *       connectedCallback() {
+ *           this.subscribeEvent(SHOW_OUTPUT, this.handleShowOutput, { replay: true });
+ *       }
+ *       handleClick() {
+ *           this.publishEvent(SHOW_OUTPUT, { recordId: this.recordId });
+ *       }
+ *   }
+ */
+
+const DEBUG_STORAGE_KEY = 'c.eventBus.debug';
+const SUPPORTED_TYPES = ['string', 'number', 'boolean', 'object', 'array', 'date', 'any'];
+
+// eventName -> { name, schema }
+const definitions = {};
+// eventName -> [{ callback, thisArg, resolveScope }]
+const listeners = {};
+// eventName -> { scopeKey -> { scope, payload, source } }
+const retained = {};
+
+let debugEnabled = false;
+
+// ============================================================================
+// SCOPE HELPERS
+// ============================================================================
+
+/**
+ * Build a stable tab key from a page reference.
+ * Two components in the same console tab receive equal page references, so
+ * the serialized type and attributes identify the tab.
+ * @param {object} pageRef - CurrentPageReference value
+ * @returns {string|undefined} Tab key, or undefined when no page reference
+ */
+const tabKeyFromPageRef = (pageRef) => {
+    if (!pageRef) {
+        return undefined;
+    }
+    const attributes = pageRef.attributes || {};
+    const parts = Object.keys(attributes)
+        .sort()
+        .map((key) => `${key}=${attributes[key]}`);
+    return `${pageRef.type || ''}[${parts.join('&')}]`;
+};
+
+/**
+ * Normalize a scope so only recordId and tabId are compared
+ * @param {object} scope - { recordId, tabId, pageRef }
+ * @returns {object} { recordId, tabId }
+ */
+const normalizeScope = (scope = {}) => ({
+    recordId: scope.recordId || undefined,
+    tabId: scope.tabId || tabKeyFromPageRef(scope.pageRef)
+});
+
+/**
+ * Two scopes match unless both define the same key with different values.
+ * An undefined recordId or tabId acts as a wildcard.
+ */
+const scopesMatch = (left, right) => {
+    return ['recordId', 'tabId'].every((key) => {
+        return !left[key] || !right[key] || left[key] === right[key];
+    });
+};
+
+const scopeKey = (scope) => `${scope.recordId || '*'}|${scope.tabId || '*'}`;
+
+// ============================================================================
+// SCHEMA VALIDATION
+// ============================================================================
+
+const typeOf = (value) => {
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (value instanceof Date) {
+        return 'date';
+    }
+    return typeof value;
+};
+
+/**
+ * Validate a payload against an event schema
+ * @param {object} schema - Map of field name to { type, required }
+ * @param {*} payload - Payload to validate
+ * @returns {Array<string>} List of validation errors (empty when valid)
+ */
+const validatePayload = (schema, payload) => {
+    const errors = [];
+    if (!schema) {
+        return errors;
+    }
+    if (payload === null || typeOf(payload) !== 'object') {
+        errors.push(`payload must be an object, received ${payload === null ? 'null' : typeOf(payload)}`);
+        return errors;
+    }
+
+    Object.keys(schema).forEach((field) => {
+        const rule = schema[field];
+        const value = payload[field];
+
+        if (value === undefined || value === null) {
+            if (rule.required) {
+                errors.push(`"${field}" is required`);
+            }
+            return;
+        }
+        if (rule.type !== 'any' && typeOf(value) !== rule.type) {
+            errors.push(`"${field}" must be of type ${rule.type}, received ${typeOf(value)}`);
+        }
+    });
+
+    Object.keys(payload).forEach((field) => {
+        if (!schema[field]) {
+            errors.push(`"${field}" is not declared in the event schema`);
+        }
+    });
+
+    return errors;
+};
+
+// ============================================================================
+// DEBUG TRACE
+// ============================================================================
+
+const isDebugEnabled = () => {
+    if (debugEnabled) {
+        return true;
+    }
+    try {
+        return window.localStorage.getItem(DEBUG_STORAGE_KEY) === 'true';
+    } catch (e) {
+        return false;
+    }
+};
+
+const describeSource = (source) => {
+    if (!source) {
+        return 'anonymous';
+    }
+    return source.template?.host?.localName || source.constructor?.name || 'anonymous';
+};
+
+const trace = (action, eventName, details) => {
+    if (isDebugEnabled()) {
+        console.log(`[eventBus] ${action} "${eventName}"`, details);
+    }
+};
+
+/**
+ * Turn the publish/subscribe debug trace on or off for this session.
+ * The trace can also be enabled without a code change by setting the
+ * "c.eventBus.debug" localStorage item to "true".
+ * @param {boolean} enabled
+ */
+const enableDebug = (enabled = true) => {
+    debugEnabled = enabled;
+};
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Declare an event and its payload schema
+ * @param {string} name - Unique event name
+ * @param {object} schema - Map of field name to { type, required }; omit for untyped events
+ * @returns {object} Event definition to pass to publish/subscribe
+ */
+const defineEvent = (name, schema = null) => {
+    if (!name) {
+        throw new Error('eventBus: an event name is required');
+    }
+    if (schema) {
+        Object.keys(schema).forEach((field) => {
+            if (!SUPPORTED_TYPES.includes(schema[field].type)) {
+                throw new Error(`eventBus: unsupported type "${schema[field].type}" for "${name}.${field}"`);
+            }
+        });
+    }
+    if (definitions[name] && definitions[name].schema !== schema) {
+        throw new Error(`eventBus: event "${name}" is already defined`);
+    }
+    definitions[name] = Object.freeze({ name, schema });
+    return definitions[name];
+};
+
+const resolveDefinition = (event) => {
+    const name = typeof event === 'string' ? event : event?.name;
+    const definition = definitions[name];
+    if (!definition) {
+        throw new Error(`eventBus: event "${name}" has not been defined`);
+    }
+    return definition;
+};
+
+/**
+ * Publish an event to every subscriber in a matching scope
+ * @param {object|string} event - Definition returned by defineEvent (or its name)
+ * @param {*} payload - Event payload, validated against the event schema
+ * @param {object} scope - { recordId, tabId, pageRef } the event is published in
+ * @param {object} source - Publishing component, used in the debug trace
+ * @returns {number} Number of listeners the event was delivered to; 0 when the payload is invalid
+ */
+const publish = (event, payload, scope = {}, source = null) => {
+    const definition = resolveDefinition(event);
+    const errors = validatePayload(definition.schema, payload);
+    if (errors.length) {
+        // Publishers often run in promise callbacks, where a throw would go unhandled
+        console.error(`eventBus: invalid payload for "${definition.name}" dropped: ${errors.join('; ')}`);
+        return 0;
+    }
+
+    const publishScope = normalizeScope(scope);
+    retained[definition.name] = retained[definition.name] || {};
+    retained[definition.name][scopeKey(publishScope)] = { scope: publishScope, payload, source };
+
+    // Drop listeners whose component has been removed without cleaning up
+    const active = (listeners[definition.name] || []).filter(
+        (listener) => listener.thisArg?.isConnected !== false
+    );
+    listeners[definition.name] = active;
+
+    let delivered = 0;
+    active.forEach((listener) => {
+        if (scopesMatch(publishScope, normalizeScope(listener.resolveScope()))) {
+            try {
+                listener.callback.call(listener.thisArg, payload);
+                delivered++;
+            } catch (error) {
+                console.error(`eventBus: listener for "${definition.name}" failed`, error);
+            }
+        }
+    });
+
+    trace('publish', definition.name, {
+        source: describeSource(source),
+        scope: publishScope,
+        payload,
+        delivered
+    });
+    return delivered;
+};
+
+/**
+ * Subscribe to an event
+ * @param {object|string} event - Definition returned by defineEvent (or its name)
+ * @param {function} callback - Invoked with the payload
+ * @param {object} thisArg - Value of this inside the callback; also the cleanup key
+ * @param {object} options - { scope: object|function, replay: boolean }
+ * @returns {function} Unsubscribe function
+ */
+const subscribe = (event, callback, thisArg, options = {}) => {
+    const definition = resolveDefinition(event);
+    const resolveScope = typeof options.scope === 'function' ? options.scope : () => options.scope || {};
+
+    listeners[definition.name] = listeners[definition.name] || [];
+    const duplicate = listeners[definition.name].some(
+        (listener) => listener.callback === callback && listener.thisArg === thisArg
+    );
+    if (!duplicate) {
+        listeners[definition.name].push({ callback, thisArg, resolveScope });
+        trace('subscribe', definition.name, { subscriber: describeSource(thisArg) });
+    }
+
+    if (options.replay) {
+        replayLast(definition, callback, thisArg, normalizeScope(resolveScope()));
+    }
+
+    return () => unsubscribe(definition, callback, thisArg);
+};
+
+/**
+ * Replay the value last published in exactly the subscriber's scope. Unlike delivery, a
+ * missing recordId or tabId is not a wildcard here, so a subscriber never receives a value
+ * published for another record or tab.
+ */
+const replayLast = (definition, callback, thisArg, subscriberScope) => {
+    const last = (retained[definition.name] || {})[scopeKey(subscriberScope)];
+    if (last) {
+        trace('replay', definition.name, { subscriber: describeSource(thisArg), payload: last.payload });
+        callback.call(thisArg, last.payload);
+    }
+};
+
+/**
+ * Remove a single subscription
+ */
+const unsubscribe = (event, callback, thisArg) => {
+    const definition = resolveDefinition(event);
+    if (listeners[definition.name]) {
+        listeners[definition.name] = listeners[definition.name].filter(
+            (listener) => listener.callback !== callback || listener.thisArg !== thisArg
+        );
+    }
+};
+
+/**
+ * Remove every subscription bound to an object
+ * @param {object} thisArg - All callbacks bound to this object are removed
+ */
+const unsubscribeAll = (thisArg) => {
+    Object.keys(listeners).forEach((name) => {
+        listeners[name] = listeners[name].filter((listener) => listener.thisArg !== thisArg);
+    });
+};
+
+/**
+ * Forget the values retained for exactly a scope (e.g. when a record tab is closed)
+ * @param {object} scope - { recordId, tabId, pageRef }
+ * @param {object} source - Only forget the values this publisher published; omit for all
+ */
+const clearRetained = (scope = {}, source = null) => {
+    const key = scopeKey(normalizeScope(scope));
+    Object.keys(retained).forEach((name) => {
+        const entry = retained[name][key];
+        if (entry && (!source || entry.source === source)) {
+            delete retained[name][key];
+        }
+    });
+};
+
+/**
+ * Mixin giving a LightningElement scoped publish/subscribe helpers.
+ * The scope defaults to the component's recordId and, when the component
+ * wires CurrentPageReference into pageRef, its console tab. Override the
+ * eventScope getter to scope differently. Subscriptions, and the values the
+ * component published for replay, are removed in disconnectedCallback;
+ * components overriding it must call super.
+ * @param {class} Base - LightningElement or a mixed-in subclass
+ */
+const EventBusMixin = (Base) =>
+    class extends Base {
+        get eventScope() {
+            return { recordId: this.recordId, pageRef: this.pageRef };
+        }
+
+        subscribeEvent(event, callback, options = {}) {
+            return subscribe(event, callback, this, { ...options, scope: () => this.eventScope });
+        }
+
+        publishEvent(event, payload) {
+            return publish(event, payload, this.eventScope, this);
+        }
+
+        disconnectedCallback() {
+            unsubscribeAll(this);
+            clearRetained(this.eventScope, this);
+            if (super.disconnectedCallback) {
+                super.disconnectedCallback();
+            }
+        }
+    };
+
+export {
+    defineEvent,
+    publish,
+    subscribe,
+    unsubscribe,
+    unsubscribeAll,
+    clearRetained,
+    enableDebug,
+    validatePayload,
+    EventBusMixin
+};
@@ -0,0 +1,38 @@
+/**
+ * File Download
+ *
+ * Saves generated content (table exports, calendars, chart images) as a file in the browser.
+ *
+ * The object URL of a download is released when the next download starts: revoking it
+ * right after the click can cancel the download before the browser has read the content,
+ * so at most the content of the last download stays in memory.
+ *
+ * Usage:
+ *   downloadFile(csvText, 'text/csv;charset=utf-8', 'Tasks.csv');
+ *   downloadFile(pngBlob, null, 'Task Count.png');
+ */
+
+let lastUrl = null;
+
+/**
+ * Download content as a file
+ * @param {Blob|string|ArrayBuffer|Uint8Array} content - File content; a Blob is used as is
+ * @param {string} mimeType - MIME type of the file when content is not a Blob
+ * @param {string} fileName - File name including its extension
+ */
+const downloadFile = (content, mimeType, fileName) => {
+    if (lastUrl) {
+        URL.revokeObjectURL(lastUrl);
+    }
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    lastUrl = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = lastUrl;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+};
+
+export { downloadFile };
@@ -1,8 +1,11 @@
 import { LightningElement, track, wire, api } from 'lwc';
 import getPricingMultiVendorDetails from "@salesforce/apex/PricingRequestMultiVendorSTPProcess.getPricingMultiVendorDetails";
 import saveMultiVendorPricingRequest from "@salesforce/apex/PricingRequestMultiVendorSTPProcess.saveMultiVendorPricingRequest";
+import getScoringContext from "@salesforce/apex/VendorScoringService.getScoringContext";
+import recordVendorOverrides from "@salesforce/apex/VendorScoringService.recordVendorOverrides";
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { NavigationMixin } from 'lightning/navigation';
+import { CRITERIA, normalizeWeights, scoreBundle } from './vendorScoring';
 
 import Vendor_Mismatch from '@salesforce/label/c.WM_Franchise';
 export default class MultiVendorPricingResponse extends NavigationMixin(LightningElement) {
@@ -44,6 +47,15 @@ export default class MultiVendorPricingResponse extends NavigationMixin(Lightnin
 
     @track selectedVendorMap = new Map();
     @track storedVendorCodeMap = new Map();
+    // Vendor selected by the pricing response or the last save, per bundle
+    preselectedVendorMap = new Map();
+
+    // Vendor scoring - weights and vendor performance from VendorScoringService
+    scoringWeights = {};
+    vendorPerformance = {};
+    showOverrideModal = false;
+    @track pendingOverrides = [];
+    pendingSaveProductName;
 
     label = {
         Vendor_Mismatch
@@ -86,6 +98,7 @@ export default class MultiVendorPricingResponse extends NavigationMixin(Lightnin
                    
                 });
                 this.generateCurrentVendorData(this.quoteLineWrapper);
+                this.loadVendorScoring();
             })
             .catch((e) => {
                 this.showSpinner = false;
@@ -172,6 +185,7 @@ export default class MultiVendorPricingResponse extends NavigationMixin(Lightnin
                         if(elt.IsPriceSelected == true){
                             
                             this.selectedVendorMap.set(element.BundleLink, elt.VendorCode);
+                            this.preselectedVendorMap.set(element.BundleLink, elt.VendorCode);
                         }
                         if(elt.sequence == 1){
                             elt.IsPaginated = true;
@@ -198,6 +212,7 @@ export default class MultiVendorPricingResponse extends NavigationMixin(Lightnin
              ...person,
             ProductDetailsList: Array.isArray(person.ProductDetailsList) ? person.ProductDetailsList.sort((a, b) => a.sequence - b.sequence)       : []
        }));
+        this.applyVendorRanking();
         console.log('default vendor details===>' + JSON.stringify(this.wrapperPRList));
         if (this.wrapperPRList) {
             this.listAssetError = false;
@@ -291,13 +306,65 @@ export default class MultiVendorPricingResponse extends NavigationMixin(Lightnin
     }
 
     //When user wants to change vendor details along with cost and price for the Product.
+    //A selection other than the recommended vendor needs a reason before it is saved.
     handleVendorSave(event) {
+        var productName = event.target.dataset.name;
+        const overrides = this.getVendorOverrides();
+        if (overrides.length > 0) {
+            this.pendingOverrides = overrides;
+            this.pendingSaveProductName = productName;
+            this.showOverrideModal = true;
+            return;
+        }
+        this.saveSelectedVendors(productName);
+    }
+
+    handleOverrideReasonChange(event) {
+        const bundleLink = event.target.dataset.id;
+        this.pendingOverrides = this.pendingOverrides.map(item =>
+            item.bundleLink === bundleLink ? { ...item, reason: event.target.value } : item
+        );
+    }
+
+    get disableOverrideConfirm() {
+        return this.pendingOverrides.some(item => !item.reason || !item.reason.trim());
+    }
+
+    confirmVendorOverride() {
+        if (this.disableOverrideConfirm) {
+            return;
+        }
+        this.showOverrideModal = false;
+        this.saveSelectedVendors(this.pendingSaveProductName, this.pendingOverrides);
+    }
+
+    cancelVendorOverride() {
+        this.showOverrideModal = false;
+        this.pendingOverrides = [];
+        this.pendingSaveProductName = undefined;
+    }
+
+    saveSelectedVendors(productName, overrides = []) {
         this.showSpinner = true;
         const mapEntries = Object.fromEntries(this.selectedVendorMap.entries());
-        var productName = event.target.dataset.name;
         const mapjson = JSON.stringify(mapEntries)
+        const overridesJson = JSON.stringify(this.getOverrideRecords(overrides));
         saveMultiVendorPricingRequest({ quoteID: this.recordid, suppliersMap: mapjson })
             .then((result) => {
+                // override reasons are kept on the bundle's pricing request
+                return recordVendorOverrides({ overridesJson: overridesJson })
+                    .then(overrideResult => {
+                        if (!overrideResult.isSuccess) {
+                            this.showOverrideNotRecorded(overrideResult.errorMessage);
+                        }
+                    })
+                    .catch(e => {
+                        this.showOverrideNotRecorded(e && e.body ? e.body.message : e);
+                    });
+            })
+            .then(() => {
+                this.pendingOverrides = [];
+                this.pendingSaveProductName = undefined;
                 //shajiya
   this.dispatchEvent(              
   new ShowToastEvent({
@@ -320,6 +387,149 @@ export default class MultiVendorPricingResponse extends NavigationMixin(Lightnin
             });
     }
 
+    showOverrideNotRecorded(errorMessage) {
+        this.dispatchEvent(
+            new ShowToastEvent({
+                title: 'Warning',
+                message: 'The vendor was saved but the override reason could not be recorded: ' + errorMessage,
+                variant: 'warning',
+                mode: 'sticky'
+            })
+        );
+    }
+
+    //Load the scoring weights and the performance of every vendor in the pricing response.
+    loadVendorScoring() {
+        const vendorCodes = new Set();
+        (this.pricingJsonWrapper || []).forEach(bundle => {
+            (bundle.ProductDetailsList || []).forEach(vendor => {
+                if (vendor.VendorCode) {
+                    vendorCodes.add(vendor.VendorCode);
+                }
+            });
+        });
+        const lineOfBusiness = this.quoteLineWrapper && this.quoteLineWrapper.length > 0 ? this.quoteLineWrapper[0].LOB : null;
+        getScoringContext({ lineOfBusiness: lineOfBusiness, vendorCodes: [...vendorCodes] })
+            .then(result => {
+                if (result.isSuccess) {
+                    this.scoringWeights = result.weights || {};
+                    this.vendorPerformance = result.performance || {};
+                }
+            })
+            .catch(e => {
+                // rank on the pricing response alone (default weights, no vendor history)
+                console.log('Vendor scoring context error : ' + e);
+            })
+            .finally(() => {
+                this.buildVendorRanking();
+            });
+    }
+
+    //Rank the vendors of every bundle and keep the recommended vendor per bundle.
+    buildVendorRanking() {
+        this.bundleWiseMultiVendorsList = (this.pricingJsonWrapper || []).map(bundle => {
+            const ranking = scoreBundle(bundle.ProductDetailsList, this.scoringWeights, this.vendorPerformance);
+            const recommended = ranking.vendors.find(vendor => vendor.isRecommended);
+            return {
+                BundleLink: bundle.BundleLink,
+                ProductName: bundle.ProductName,
+                PricingRequestLink: bundle.PricingRequestLink,
+                recommendedVendorCode: ranking.recommendedVendorCode,
+                recommendedVendorName: recommended ? recommended.vendor : '',
+                vendors: ranking.vendors
+            };
+        });
+        this.applyVendorRanking();
+    }
+
+    //Copy the ranking of each bundle onto the bundles and vendors being displayed.
+    applyVendorRanking() {
+        if (!Array.isArray(this.wrapperPRList) || this.bundleWiseMultiVendorsList.length === 0) {
+            return;
+        }
+        this.wrapperPRList = this.wrapperPRList.map(bundle => {
+            const ranking = this.bundleWiseMultiVendorsList.find(item => item.BundleLink === bundle.BundleLink);
+            if (!ranking) {
+                return bundle;
+            }
+            return {
+                ...bundle,
+                hasVendorRanking: ranking.vendors.length > 1,
+                recommendedVendorName: ranking.recommendedVendorName,
+                vendorRanking: ranking.vendors.map(vendor => ({
+                    ...vendor,
+                    key: bundle.BundleLink + '-' + vendor.vendorCode,
+                    rankLabel: vendor.rank != null ? vendor.rank : '-',
+                    scoreLabel: vendor.score != null ? vendor.score : 'Not scored',
+                    rowClass: vendor.isRecommended ? 'recommended-vendor' : '',
+                    breakdown: vendor.breakdown.map(line => ({
+                        ...line,
+                        cellKey: vendor.vendorCode + '-' + line.key,
+                        cellClass: line.hasData ? '' : 'slds-text-color_weak'
+                    }))
+                })),
+                ProductDetailsList: (bundle.ProductDetailsList || []).map(elt => {
+                    const scored = ranking.vendors.find(vendor => vendor.vendorCode === elt.VendorCode);
+                    return {
+                        ...elt,
+                        vendorScore: scored && scored.score != null ? scored.score : '',
+                        isRecommendedVendor: !!scored && scored.isRecommended
+                    };
+                })
+            };
+        });
+    }
+
+    get scoringCriteria() {
+        const weights = normalizeWeights(this.scoringWeights);
+        return CRITERIA.map(criterion => ({ ...criterion, weightLabel: weights[criterion.key] + '%' }));
+    }
+
+    //Bundles where the user changed the vendor to one that is not the recommended vendor.
+    //A vendor preselected by the pricing response is not an override of the user.
+    getVendorOverrides() {
+        const overrides = [];
+        this.selectedVendorMap.forEach((vendorCode, bundleLink) => {
+            const ranking = this.bundleWiseMultiVendorsList.find(item => item.BundleLink === bundleLink);
+            if (!ranking || !ranking.recommendedVendorCode || ranking.recommendedVendorCode === vendorCode
+                || this.preselectedVendorMap.get(bundleLink) === vendorCode) {
+                return;
+            }
+            const selected = ranking.vendors.find(vendor => vendor.vendorCode === vendorCode);
+            overrides.push({
+                bundleLink: bundleLink,
+                productName: ranking.ProductName,
+                selectedVendorName: selected ? selected.vendor : vendorCode,
+                recommendedVendorName: ranking.recommendedVendorName,
+                reason: ''
+            });
+        });
+        return overrides;
+    }
+
+    //Override records for every saved bundle; bundles saved with the recommended vendor clear any earlier override.
+    //Bundles whose preselected vendor was kept keep the override recorded for it, if any.
+    getOverrideRecords(overrides) {
+        const records = [];
+        this.selectedVendorMap.forEach((vendorCode, bundleLink) => {
+            const ranking = this.bundleWiseMultiVendorsList.find(item => item.BundleLink === bundleLink);
+            if (!ranking || !ranking.PricingRequestLink) {
+                return;
+            }
+            const override = overrides.find(item => item.bundleLink === bundleLink);
+            if (!override && vendorCode !== ranking.recommendedVendorCode
+                && this.preselectedVendorMap.get(bundleLink) === vendorCode) {
+                return;
+            }
+            records.push({
+                pricingRequestId: ranking.PricingRequestLink,
+                recommendedVendor: ranking.recommendedVendorCode,
+                reason: override ? override.reason.trim() : ''
+            });
+        });
+        return records;
+    }
+
     //Navigation to record page of the Quote Line Object.
     navigateQLObject(event) {
         var recordId = event.currentTarget.dataset.id;
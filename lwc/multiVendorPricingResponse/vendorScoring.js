@@ -0,0 +1,245 @@
+/**
+ * Vendor Scoring
+ *
+ * Weighted scoring model used by multiVendorPricingResponse to rank the vendors
+ * returned for a bundle and recommend one of them.
+ *
+ * Every criterion is scored 0-100 and the vendor score is the weighted average
+ * of its criterion scores. Weights come from Vendor_Scoring_Weight__mdt through
+ * VendorScoringService.getScoringContext; DEFAULT_WEIGHTS apply to criteria
+ * that are not configured.
+ *
+ * Key Features:
+ * - totalCost: sum of the flat (non stepped, non percent) service charge costs, cheapest scores 100
+ * - stepRate: average step cost and step price of stepped service charges, cheapest scores 100
+ * - greenPages: vendors with Green Pages information score 100, others 0
+ * - capacity: open work orders in the coming days, least loaded scores 100
+ * - slaPerformance: on-time rate of the vendor's completed work orders
+ * - A criterion without data for a vendor scores NEUTRAL_SCORE and is flagged in the breakdown
+ * - Vendors returned with an error message are not scored and never recommended
+ *
+ * Usage:
+ *   const ranking = scoreBundle(bundle.ProductDetailsList, weights, performance);
+ *   // { vendors: [{ vendorCode, score, rank, isRecommended, breakdown }], recommendedVendorCode }
+ */
+
+const CRITERIA = [
+    { key: 'totalCost', label: 'Total Cost' },
+    { key: 'stepRate', label: 'Step Cost/Price' },
+    { key: 'greenPages', label: 'Green Pages' },
+    { key: 'capacity', label: 'Capacity' },
+    { key: 'slaPerformance', label: 'SLA Performance' }
+];
+
+const DEFAULT_WEIGHTS = {
+    totalCost: 40,
+    stepRate: 15,
+    greenPages: 15,
+    capacity: 15,
+    slaPerformance: 15
+};
+
+const NEUTRAL_SCORE = 50;
+
+const toNumber = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const number = Number(String(value).replace(/[^0-9.-]/g, ''));
+    return Number.isFinite(number) ? number : null;
+};
+
+const round = (value, digits = 1) => {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+};
+
+const isPercentCharge = (value) => typeof value === 'string' && value.includes('%');
+
+// ============================================================================
+// RAW METRICS
+// ============================================================================
+
+const totalCostOf = (vendor) => {
+    let total = null;
+    (vendor.ServiceCharges || []).forEach((charge) => {
+        if (charge.IsSteppedRate || isPercentCharge(charge.CostValuePercent)) {
+            return;
+        }
+        const cost = toNumber(charge.Cost);
+        if (cost !== null) {
+            total = (total || 0) + cost;
+        }
+    });
+    return total;
+};
+
+const stepRateOf = (vendor) => {
+    const rates = [];
+    (vendor.ServiceCharges || []).forEach((charge) => {
+        if (!charge.IsSteppedRate) {
+            return;
+        }
+        (charge.StepRates || []).forEach((step) => {
+            [step.StepCost, step.StepPrice].forEach((value) => {
+                const rate = toNumber(value);
+                if (rate !== null) {
+                    rates.push(rate);
+                }
+            });
+        });
+    });
+    return rates.length ? rates.reduce((sum, rate) => sum + rate, 0) / rates.length : null;
+};
+
+const isEligible = (vendor) => !vendor.vendorMessage || vendor.vendorMessage.length === 0;
+
+/**
+ * Raw criterion values of a vendor
+ * @param {object} vendor - ProductDetailsList entry of the pricing response
+ * @param {object} performance - Vendor code to { slaOnTimeRate, slaSampleSize, openWorkOrders }
+ */
+const metricsOf = (vendor, performance) => {
+    const history = performance[vendor.VendorCode] || {};
+    return {
+        totalCost: totalCostOf(vendor),
+        stepRate: stepRateOf(vendor),
+        greenPages: Array.isArray(vendor.GreenPages) && vendor.GreenPages.length > 0,
+        capacity: toNumber(history.openWorkOrders),
+        slaPerformance: history.slaSampleSize > 0 ? toNumber(history.slaOnTimeRate) : null
+    };
+};
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+/**
+ * Score of a "lower is better" value within the range of all vendors
+ */
+const lowerIsBetter = (value, values) => {
+    if (value === null) {
+        return null;
+    }
+    const known = values.filter((other) => other !== null);
+    if (!known.length) {
+        return null;
+    }
+    const min = Math.min(...known);
+    const max = Math.max(...known);
+    if (max === min) {
+        return value <= min ? 100 : 0;
+    }
+    return Math.min(Math.max(((max - value) / (max - min)) * 100, 0), 100);
+};
+
+const detailOf = (key, metrics, history) => {
+    switch (key) {
+        case 'totalCost':
+            return metrics.totalCost === null ? 'No data' : metrics.totalCost.toFixed(2);
+        case 'stepRate':
+            return metrics.stepRate === null ? 'No stepped rates' : `avg ${metrics.stepRate.toFixed(2)}`;
+        case 'greenPages':
+            return metrics.greenPages ? 'Listed' : 'Not listed';
+        case 'capacity':
+            return metrics.capacity === null ? 'No data' : `${metrics.capacity} open work orders`;
+        case 'slaPerformance':
+            return metrics.slaPerformance === null
+                ? 'No history'
+                : `${round(metrics.slaPerformance * 100)}% on time (${history.slaSampleSize})`;
+        default:
+            return '';
+    }
+};
+
+/**
+ * Merge configured weights over the defaults and convert them to percentages
+ * @param {object} weights - Criterion key to weight, e.g. from getScoringContext
+ * @returns {object} Criterion key to weight percentage (0 for criteria switched off)
+ */
+const normalizeWeights = (weights = {}) => {
+    const merged = {};
+    CRITERIA.forEach(({ key }) => {
+        const configured = toNumber(weights[key]);
+        merged[key] = Math.max(configured === null ? DEFAULT_WEIGHTS[key] : configured, 0);
+    });
+    const total = Object.values(merged).reduce((sum, weight) => sum + weight, 0);
+    CRITERIA.forEach(({ key }) => {
+        merged[key] = total === 0 ? 0 : round((merged[key] / total) * 100);
+    });
+    return merged;
+};
+
+/**
+ * Rank the vendors of a bundle
+ * @param {Array<object>} vendors - ProductDetailsList of the bundle
+ * @param {object} weights - Configured weights (criterion key to weight)
+ * @param {object} performance - Vendor code to { slaOnTimeRate, slaSampleSize, openWorkOrders }
+ * @returns {object} { vendors, recommendedVendorCode }; vendors are sorted by rank and
+ *   carry { vendorCode, vendor, score, rank, eligible, isRecommended, breakdown }
+ */
+const scoreBundle = (vendors, weights = {}, performance = {}) => {
+    const percentages = normalizeWeights(weights);
+    const candidates = (vendors || []).map((vendor) => ({
+        vendor,
+        eligible: isEligible(vendor),
+        metrics: metricsOf(vendor, performance)
+    }));
+    const eligible = candidates.filter((candidate) => candidate.eligible);
+    const valuesOf = (key) => eligible.map((candidate) => candidate.metrics[key]);
+
+    const scored = candidates.map(({ vendor, eligible: isVendorEligible, metrics }) => {
+        const history = performance[vendor.VendorCode] || {};
+        const breakdown = CRITERIA.map(({ key, label }) => {
+            let score;
+            if (key === 'greenPages') {
+                score = metrics.greenPages ? 100 : 0;
+            } else if (key === 'slaPerformance') {
+                score = metrics.slaPerformance === null ? null : metrics.slaPerformance * 100;
+            } else {
+                score = lowerIsBetter(metrics[key], valuesOf(key));
+            }
+            const hasData = score !== null;
+            const criterionScore = hasData ? score : NEUTRAL_SCORE;
+            return {
+                key,
+                label,
+                weight: percentages[key],
+                score: round(criterionScore),
+                contribution: round((criterionScore * percentages[key]) / 100),
+                hasData,
+                detail: detailOf(key, metrics, history)
+            };
+        });
+        return {
+            vendorCode: vendor.VendorCode,
+            vendor: vendor.Vendor,
+            eligible: isVendorEligible,
+            score: isVendorEligible ? round(breakdown.reduce((sum, line) => sum + line.contribution, 0)) : null,
+            breakdown
+        };
+    });
+
+    scored.sort((a, b) => {
+        if (a.eligible !== b.eligible) {
+            return a.eligible ? -1 : 1;
+        }
+        if (a.score !== b.score) {
+            return (b.score || 0) - (a.score || 0);
+        }
+        return (a.vendor || '').localeCompare(b.vendor || '');
+    });
+
+    const recommended = scored.find((vendor) => vendor.eligible);
+    scored.forEach((vendor, index) => {
+        vendor.rank = vendor.eligible ? index + 1 : null;
+        vendor.isRecommended = vendor === recommended;
+    });
+
+    return {
+        vendors: scored,
+        recommendedVendorCode: recommended ? recommended.vendorCode : null
+    };
+};
+
+export { CRITERIA, DEFAULT_WEIGHTS, normalizeWeights, scoreBundle };
@@ -0,0 +1,34 @@
+/**
+ * Pricing Events
+ *
+ * Event declarations shared by the pricing request screens
+ * (pricingRequestInput, pricingOutputScreen, pricingMultiVendorOutputScreen).
+ * Publishers and subscribers import the same definitions so payloads are
+ * validated against one schema by c/eventBus.
+ */
+import { defineEvent } from 'c/eventBus';
+
+/** Pricing request saved and priced - render the single vendor output screen */
+const SHOW_OUTPUT_SCREEN = defineEvent('showoutputscreen', {
+    recordId: { type: 'string', required: true }
+});
+
+/** Pricing request saved and priced - render the multi vendor output screen */
+const SHOW_MULTI_VENDOR_OUTPUT_SCREEN = defineEvent('showmultivendoroutputscreen', {
+    recordId: { type: 'string', required: true }
+});
+
+/** Output screen loaded - push the request parameters back to the input form */
+const SET_INPUT_PARAM = defineEvent('setInputParam', {
+    lineOfBusiness: { type: 'string' },
+    serviceOccurrenceType: { type: 'string' },
+    isPriceChangeRequest: { type: 'boolean' },
+    serviceBaselineId: { type: 'string' }
+});
+
+/** Pricing request linked to a case */
+const SET_CASE_NO = defineEvent('setCaseNo', {
+    caseId: { type: 'string', required: true }
+});
+
+export { SHOW_OUTPUT_SCREEN, SHOW_MULTI_VENDOR_OUTPUT_SCREEN, SET_INPUT_PARAM, SET_CASE_NO };
@@ -1,5 +1,6 @@
 import { LightningElement, track, wire, api } from "lwc";
-import { registerListener, unregisterAllListeners, fireEvent } from "c/pubsub";
+import { EventBusMixin } from "c/eventBus";
+import { SHOW_MULTI_VENDOR_OUTPUT_SCREEN, SET_INPUT_PARAM } from "c/pricingEvents";
 import getRequestNumber from "@salesforce/apex/PricingRequest.getRequestNumber";
 import { CurrentPageReference } from "lightning/navigation";
 
@@ -91,7 +92,7 @@ import lblMarket_WM_Pre_Determined_Pricing from '@salesforce/label/c.Market_WM_P
 import lblMarket_WM_Third_Party_Agreement from '@salesforce/label/c.Market_WM_Third_Party_Agreement';
 
 
-export default class PricingMultiVendorOutputScreen extends LightningElement {
+export default class PricingMultiVendorOutputScreen extends EventBusMixin(LightningElement) {
   @api recordid;
   @api pricingresponserecord;
   createddate;
@@ -310,11 +311,21 @@ export default class PricingMultiVendorOutputScreen extends LightningElement {
     else {
       console.log('recordid::: in else' + this.recordid);
     }
-    registerListener("showmultivendoroutputscreen", this.showoutputScreen, this);
+    this.subscribeEvent(SHOW_MULTI_VENDOR_OUTPUT_SCREEN, this.showoutputScreen);
   }
-  disconnectedCallback() {
-    // unsubscribe from showmultivendoroutputscreen event
-    unregisterAllListeners(this);
+
+  // Record id arrives through the lowercase recordid attribute
+  get eventScope() {
+    return { recordId: this.recordid, pageRef: this.pageRef };
+  }
+
+  publishInputParam() {
+    this.publishEvent(SET_INPUT_PARAM, {
+      lineOfBusiness: this.lineofbusiness,
+      serviceOccurrenceType: this.serviceoccurrencetype,
+      isPriceChangeRequest: this.isPriceChangeRequest,
+      serviceBaselineId: this.serviceBaselineId
+    });
   }
 
   showoutputScreen() {
@@ -490,12 +501,7 @@ this.vendorSize = 0;
           this.getStepDisposals(this.vendorSize, this.responseRecord);
         }
         this.showSpinner = false;
-        var inputData = [];
-                inputData.push(this.lineofbusiness);
-                inputData.push(this.serviceoccurrencetype);
-                inputData.push(this.isPriceChangeRequest);
-                inputData.push(this.serviceBaselineId);
-                fireEvent(this.pageRef, "setInputParam", inputData); 
+        this.publishInputParam();
       }else{
         this.showSpinner = false;
         this.isAPIError = true;
@@ -510,12 +516,7 @@ this.vendorSize = 0;
           }
         }else if (errorCode == "ER10"){
           this.APIErrorMsg = responseData.problem.errors[0].message;
-          var inputData = [];
-                inputData.push(this.lineofbusiness);
-                inputData.push(this.serviceoccurrencetype);
-                inputData.push(this.isPriceChangeRequest);
-                inputData.push(this.serviceBaselineId);
-                fireEvent(this.pageRef, "setInputParam", inputData);
+          this.publishInputParam();
         }
       }
     } catch (e) {
@@ -8,7 +8,9 @@ import getPricingRecord from "@salesforce/apex/PricingRequest.getPricingRecord";
 // import updatePriceRequest from "@salesforce/apex/PricingRequest.updatePriceRequest";
 // import getCaseDetailsById from '@salesforce/apex/PricingRequest.getCaseDetailsById';
 import isPricingMulltiVendorPTSwitchON from '@salesforce/apex/PricingRequestSelector.isPricingMulltiVendorPTSwitchON';
-import { registerListener, unregisterAllListeners, fireEvent } from "c/pubsub";
+import { EventBusMixin } from "c/eventBus";
+import { SHOW_OUTPUT_SCREEN, SET_INPUT_PARAM } from "c/pricingEvents";
+import { resolveFieldValue, pricingFieldConfig, validateFieldPaths } from "c/aavUtilityMethods";
 
 // Import custom labels
 import AdministratorMessage from '@salesforce/label/c.AdministratorMessage';
@@ -64,7 +66,7 @@ import lblMarket_WM_Third_Party_Agreement from '@salesforce/label/c.Market_WM_Th
 
 const objectAPiName = "Account";
 
-export default class ReUsableForm extends LightningElement {
+export default class ReUsableForm extends EventBusMixin(LightningElement) {
   @api buttonLabel = "Create Account"; //Design Attribute property
   @track fieldList;
   @track items;
@@ -84,6 +86,8 @@ export default class ReUsableForm extends LightningElement {
   @track CaseComment;
   @track responseAPI;
   @track outputFieldList;
+  //Output fields whose path expression is invalid, shown so the admin can correct the metadata
+  @track invalidFieldPaths = [];
   @track isAPIError;
   @track APIErrorMsg;
   @track mockresponse = false;
@@ -184,10 +188,6 @@ export default class ReUsableForm extends LightningElement {
     //registerListener("showoutputscreen", this.showoutputScreen, this);
   }
 
-  disconnectedCallback() {
-    // unsubscribe from showoutputscreen event
-    unregisterAllListeners(this);
-  }
     //adding for fetch the code switch value for multi vendor response
   @wire(isPricingMulltiVendorPTSwitchON)
   isSwitchOn({error,data}) {
@@ -221,14 +221,10 @@ export default class ReUsableForm extends LightningElement {
   }
   
   existingOutPutScreen(){
-    var responseData = [];
-
     if (this.recordId != undefined) {
-      var data = [];
-      data.push(this.recordId);
-      this.showoutputScreen(data);
+      this.showoutputScreen({ recordId: this.recordId });
     }
-    registerListener("showoutputscreen", this.showoutputScreen, this);
+    this.subscribeEvent(SHOW_OUTPUT_SCREEN, this.showoutputScreen);
   }
   showoutputScreen(data) {
     var recordId;
@@ -246,7 +242,7 @@ export default class ReUsableForm extends LightningElement {
     //     );
     //   },1000);
     // } else {
-      recordId = data[0];
+      recordId = data.recordId;
 
       getRequestNumber({ recordId: recordId })
         .then((result) => {
@@ -291,12 +287,7 @@ export default class ReUsableForm extends LightningElement {
             else{
               if(this.lineOfBusiness)
               {
-                var inputData = [];
-                inputData.push(this.lineOfBusiness);
-                inputData.push(this.serviceOccurrenceType);
-                inputData.push(this.isPriceChangeRequest);
-                inputData.push(this.serviceBaselineId);
-                fireEvent(this.pageRef, "setInputParam", inputData);
+                this.publishInputParam();
               }
             }
           },1000);
@@ -309,9 +300,17 @@ export default class ReUsableForm extends LightningElement {
     this.showoutput = true;
   }
 
+  get hasInvalidFieldPaths() {
+    return this.invalidFieldPaths.length > 0;
+  }
+
   @wire(getFieldDetails, { objectAPiName }) wiredFieldList(result) {
     if (result.data) {
       this.outputFieldList = result;
+      this.invalidFieldPaths = validateFieldPaths(result.data, pricingFieldConfig).map((invalid) => ({
+        key: invalid.key,
+        message: `${invalid.label} (${invalid.path}): ${invalid.error}`
+      }));
     }
   }
 
@@ -508,30 +507,17 @@ export default class ReUsableForm extends LightningElement {
                 isNewRow: newRow,
               });
             }
-            else if(conts[key]["APIParentNode__c"]){
-                var apiFieldValue = resultAPIJson.data[conts[key]["APIParentNode__c"]] ?
-                                    resultAPIJson.data[conts[key]["APIParentNode__c"]][conts[key]["APIFieldName__c"]] : 
-                                    resultAPIJson.data[conts[key]["APIFieldName__c"]] ;
-                
-                if(conts[key]["FieldName__c"] == Diversion_Percentage){
-                  apiFieldValue = apiFieldValue ? apiFieldValue + '%' : '';
-                } 
-
-                this.mapData.push({
-                  value: apiFieldValue
-                    ? apiFieldValue
-                    : "",
-                  key: conts[key]["FieldName__c"],
-                  seq: conts[key]["Sequence__c"],
-                  isNewRow: newRow,
-                });
-            }
             else
             {
+              //APIFieldName__c under APIParentNode__c, or a path expression (see aavPathExpression)
+              var apiFieldValue = resolveFieldValue(resultAPIJson, conts[key], pricingFieldConfig);
+
+              if(conts[key]["FieldName__c"] == Diversion_Percentage){
+                apiFieldValue = apiFieldValue ? apiFieldValue + '%' : '';
+              }
+
               this.mapData.push({
-                value: resultAPIJson.data[conts[key]["APIFieldName__c"]]
-                  ? resultAPIJson.data[conts[key]["APIFieldName__c"]]
-                  : "",
+                value: apiFieldValue,
                 key: conts[key]["FieldName__c"],
                 seq: conts[key]["Sequence__c"],
                 isNewRow: newRow,
@@ -1086,15 +1072,19 @@ export default class ReUsableForm extends LightningElement {
       }
     }
     if(this.lineOfBusiness){
-      var inputData = [];
-      inputData.push(this.lineOfBusiness);
-      inputData.push(this.serviceOccurrenceType);
-      inputData.push(this.isPriceChangeRequest);
-      inputData.push(this.serviceBaselineId);
-      fireEvent(this.pageRef, "setInputParam", inputData);
+      this.publishInputParam();
     }
   }
 
+  publishInputParam() {
+    this.publishEvent(SET_INPUT_PARAM, {
+      lineOfBusiness: this.lineOfBusiness,
+      serviceOccurrenceType: this.serviceOccurrenceType,
+      isPriceChangeRequest: this.isPriceChangeRequest,
+      serviceBaselineId: this.serviceBaselineId
+    });
+  }
+
   GetSortOrder(prop) {    
     return function(a, b) {    
         if (a[prop] > b[prop]) {    
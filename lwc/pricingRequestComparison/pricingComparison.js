@@ -0,0 +1,329 @@
+/**
+ * Pricing Comparison
+ *
+ * Lines up two or more Pricing Request records for pricingRequestComparison.
+ * Each request is normalised into comparison lines (service details, haul,
+ * disposal, pickup and fee lines) read from the record fields and from the
+ * pricing API response stored in APIRequestOutput__c.
+ *
+ * Key Features:
+ * - Every request is compared to the first (oldest) selected request, the baseline
+ * - Absolute and percentage change for every numeric line
+ * - Fee lines (service charges and regulatory fees) are matched by name, so a fee
+ *   present on only one request still gets its own row
+ * - Market, zone and franchise classification changes between consecutive
+ *   requests are reported separately
+ *
+ * Usage:
+ *   const comparison = buildComparison(records, { marketByContractType });
+ *   // { columns, sections, classificationChanges }
+ */
+
+const TEXT = 'text';
+const MONEY = 'money';
+const NUMBER = 'number';
+
+/**
+ * Record field lines, grouped the way pricingOutputScreen presents them
+ */
+const FIELD_SECTIONS = [
+    {
+        key: 'service',
+        label: 'Service Details',
+        lines: [
+            { key: 'lineOfBusiness', label: 'Line of Business', field: 'Line_of_Business__c', type: TEXT },
+            { key: 'serviceType', label: 'Service Type', field: 'Service_Type__c', type: TEXT },
+            { key: 'containerType', label: 'Container Type', field: 'Container_Type__c', type: TEXT },
+            { key: 'containerSize', label: 'Container Size', field: 'Container_Size__c', type: TEXT },
+            { key: 'materialCode', label: 'Material Code', field: 'Material_Code__c', type: TEXT },
+            { key: 'quantity', label: 'Quantity', field: 'Quantity__c', type: NUMBER },
+            { key: 'haulsMonth', label: 'Hauls / Month', field: 'Hauls_Month__c', type: NUMBER },
+            { key: 'frequencyType', label: 'Frequency Type', field: 'Frequency_Type__c', type: TEXT },
+            { key: 'frequencyCount', label: 'Frequency Count', field: 'Frequency_Count__c', type: TEXT },
+            { key: 'scheduleOnCall', label: 'Schedule or On Call', field: 'Schedule_or_On_Call__c', type: TEXT },
+            { key: 'vendorName', label: 'Vendor', field: 'Vendor_Name__c', type: TEXT },
+            { key: 'facilityName', label: 'Facility', field: 'Facility_Name__c', type: TEXT },
+            { key: 'costSource', label: 'Cost Source', field: 'Cost_Source__c', type: TEXT },
+            { key: 'customerPriceType', label: 'Customer Price Type', field: 'Customer_Price_Type__c', type: TEXT }
+        ]
+    },
+    {
+        key: 'haul',
+        label: 'Haul',
+        lines: [
+            { key: 'haulRateType', label: 'Rate Type', field: 'Haul_Rate_Type__c', type: TEXT },
+            { key: 'haulCost', label: 'Haul Cost', field: 'Haul_Cost__c', type: MONEY },
+            { key: 'haulPrice', label: 'Haul Price', field: 'Haul_Price__c', type: MONEY }
+        ]
+    },
+    {
+        key: 'disposal',
+        label: 'Disposal',
+        lines: [
+            { key: 'disposalRateType', label: 'Rate Type', field: 'Disposal_Rate_Type__c', type: TEXT },
+            { key: 'disposalCost', label: 'Disposal Cost', field: 'Disposal_Cost__c', type: MONEY },
+            { key: 'disposalPrice', label: 'Disposal Price', field: 'Disposal_Price__c', type: MONEY }
+        ]
+    },
+    {
+        key: 'pickup',
+        label: 'Pickup',
+        lines: [
+            { key: 'pickupRateType', label: 'Rate Type', field: 'Pickup_Rate_Type__c', type: TEXT },
+            { key: 'pickupCost', label: 'Pickup Cost', field: 'Pickup_Cost__c', type: MONEY },
+            { key: 'pickupPrice', label: 'Pickup Price', field: 'Pickup_Price__c', type: MONEY },
+            { key: 'extraPickupCost', label: 'Extra Pickup Cost', field: 'Extra_Pickup_Cost__c', type: MONEY },
+            { key: 'extraPickupPrice', label: 'Extra Pickup Price', field: 'Extra_Pickup_Price__c', type: MONEY }
+        ]
+    }
+];
+
+const CLASSIFICATION_LINES = [
+    { key: 'market', label: 'Market' },
+    { key: 'zone', label: 'Zone' },
+    { key: 'franchise', label: 'Franchise Classification' }
+];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const toNumber = (value) => {
+    if (isBlank(value)) {
+        return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// ============================================================================
+// NORMALISATION
+// ============================================================================
+
+/**
+ * Parse the pricing API response of a request
+ * @param {string} apiRequestOutput - APIRequestOutput__c value
+ * @returns {object} The response "data" object, empty when missing or not valid JSON
+ */
+const parseApiOutput = (apiRequestOutput) => {
+    if (!apiRequestOutput) {
+        return {};
+    }
+    try {
+        const response = JSON.parse(apiRequestOutput);
+        return (response && response.data) || {};
+    } catch (e) {
+        return {};
+    }
+};
+
+const isPercentType = (valueType) => typeof valueType === 'string' && valueType.toLowerCase() === 'percent';
+
+/**
+ * Fee lines of a request keyed by line key
+ * Service charges contribute a cost and a price line, regulatory fees a cost line.
+ */
+const feeLinesOf = (data) => {
+    const lines = {};
+    (Array.isArray(data.serviceCharges) ? data.serviceCharges : []).forEach((charge) => {
+        if (!charge || !charge.name) {
+            return;
+        }
+        const name = charge.name.toLowerCase();
+        lines[`charge:${name}:cost`] = {
+            label: `${charge.name} Cost`,
+            type: isPercentType(charge.costValueType) ? NUMBER : MONEY,
+            unit: isPercentType(charge.costValueType) ? '%' : '',
+            value: charge.cost
+        };
+        lines[`charge:${name}:price`] = {
+            label: `${charge.name} Price`,
+            type: isPercentType(charge.priceValueType) ? NUMBER : MONEY,
+            unit: isPercentType(charge.priceValueType) ? '%' : '',
+            value: charge.price
+        };
+    });
+    const regulatoryFees = (data.tpMetaData && data.tpMetaData.regulatoryFees) || [];
+    (Array.isArray(regulatoryFees) ? regulatoryFees : []).forEach((fee) => {
+        if (!fee || !fee.name) {
+            return;
+        }
+        lines[`regulatory:${fee.name.toLowerCase()}`] = {
+            label: fee.name,
+            type: MONEY,
+            unit: '',
+            value: fee.cost
+        };
+    });
+    return lines;
+};
+
+/**
+ * Market, zone and franchise classification of a request
+ * @param {object} record - Pricing_Request__c
+ * @param {object} data - Parsed API response
+ * @param {object} marketByContractType - Lower case contract type to market label
+ */
+const classificationOf = (record, data, marketByContractType) => {
+    const contractType = data.contractType ? String(data.contractType) : '';
+    return {
+        market: marketByContractType[contractType.toLowerCase()] || record.Market_Area_Name__c || '',
+        zone: data.zoneName || record.Zone_Type__c || '',
+        franchise: contractType
+    };
+};
+
+// ============================================================================
+// COMPARISON
+// ============================================================================
+
+const formatValue = (type, value, unit) => {
+    if (isBlank(value)) {
+        return '';
+    }
+    if (type === TEXT) {
+        return String(value);
+    }
+    const number = toNumber(value);
+    if (number === null) {
+        return String(value);
+    }
+    return (type === MONEY ? number.toFixed(2) : String(round(number))) + (unit || '');
+};
+
+/**
+ * Change of a numeric value against the baseline
+ * @returns {object|null} { absolute, percent, display, direction } or null when not comparable
+ */
+const deltaOf = (type, value, baselineValue, unit) => {
+    const current = toNumber(value);
+    const baseline = toNumber(baselineValue);
+    if (type === TEXT || current === null || baseline === null || current === baseline) {
+        return null;
+    }
+    const absolute = round(current - baseline);
+    const percent = baseline === 0 ? null : round(((current - baseline) / Math.abs(baseline)) * 100);
+    const sign = absolute > 0 ? '+' : '';
+    const absoluteText = (type === MONEY ? absolute.toFixed(2) : String(absolute)) + (unit || '');
+    return {
+        absolute,
+        percent,
+        display: percent === null ? `${sign}${absoluteText}` : `${sign}${absoluteText} (${sign}${percent}%)`,
+        direction: absolute > 0 ? 'increase' : 'decrease'
+    };
+};
+
+const buildRow = (key, label, type, unit, values) => {
+    const baselineValue = values[0];
+    const comparable = (value) => (type === TEXT ? String(value || '') : toNumber(value));
+    const changed = values.some((value) => comparable(value) !== comparable(baselineValue));
+    const cells = values.map((value, index) => {
+        const delta = index === 0 ? null : deltaOf(type, value, baselineValue, unit);
+        const cellChanged = index > 0 && comparable(value) !== comparable(baselineValue);
+        let cellClass = type === TEXT ? '' : 'slds-text-align_right';
+        if (cellChanged) {
+            cellClass += delta ? ` comparison-${delta.direction}` : ' comparison-changed';
+        }
+        return {
+            key: `${key}-${index}`,
+            display: formatValue(type, value, unit),
+            delta,
+            cellClass
+        };
+    });
+    return { key, label, changed, cells };
+};
+
+/**
+ * Build the side-by-side comparison of pricing requests
+ * @param {Array<object>} records - Pricing_Request__c records, oldest first; the first is the baseline
+ * @param {object} options
+ *   marketByContractType: lower case contract type (API contractType) to market label
+ *   changedOnly: only keep rows where at least one request differs from the baseline
+ * @returns {object} { columns, sections, classificationChanges }
+ */
+const buildComparison = (records, options = {}) => {
+    const marketByContractType = options.marketByContractType || {};
+    const requests = (records || []).map((record) => {
+        const data = parseApiOutput(record.APIRequestOutput__c);
+        return {
+            record,
+            fees: feeLinesOf(data),
+            classification: classificationOf(record, data, marketByContractType)
+        };
+    });
+
+    const columns = requests.map(({ record }, index) => ({
+        id: record.Id,
+        name: record.Name,
+        createdDate: record.CreatedDate,
+        caseNumber: record.Case__r ? record.Case__r.CaseNumber : '',
+        isPriceChange: record.IsPriceChangeRequest__c === true,
+        isBaseline: index === 0
+    }));
+
+    const keepRow = (row) => !options.changedOnly || row.changed;
+
+    const sections = FIELD_SECTIONS.map((section) => ({
+        key: section.key,
+        label: section.label,
+        rows: section.lines
+            .map((line) =>
+                buildRow(line.key, line.label, line.type, '', requests.map(({ record }) => record[line.field]))
+            )
+            .filter(keepRow)
+    }));
+
+    const feeKeys = [];
+    requests.forEach(({ fees }) => {
+        Object.keys(fees).forEach((key) => {
+            if (!feeKeys.includes(key)) {
+                feeKeys.push(key);
+            }
+        });
+    });
+    sections.push({
+        key: 'fees',
+        label: 'Fees',
+        rows: feeKeys
+            .map((key) => {
+                const line = requests.map(({ fees }) => fees[key]).find((fee) => fee);
+                return buildRow(key, line.label, line.type, line.unit, requests.map(({ fees }) => (fees[key] ? fees[key].value : null)));
+            })
+            .filter(keepRow)
+    });
+
+    sections.push({
+        key: 'classification',
+        label: 'Classification',
+        rows: CLASSIFICATION_LINES.map((line) =>
+            buildRow(line.key, line.label, TEXT, '', requests.map(({ classification }) => classification[line.key]))
+        ).filter(keepRow)
+    });
+
+    const classificationChanges = [];
+    for (let i = 1; i < requests.length; i++) {
+        CLASSIFICATION_LINES.forEach((line) => {
+            const from = requests[i - 1].classification[line.key];
+            const to = requests[i].classification[line.key];
+            if (from !== to) {
+                classificationChanges.push({
+                    key: `${line.key}-${i}`,
+                    label: line.label,
+                    from: from || '(blank)',
+                    to: to || '(blank)',
+                    fromRequest: columns[i - 1].name,
+                    toRequest: columns[i].name
+                });
+            }
+        });
+    }
+
+    return {
+        columns,
+        sections: sections.filter((section) => section.rows.length > 0),
+        classificationChanges
+    };
+};
+
+export { FIELD_SECTIONS, parseApiOutput, buildComparison };
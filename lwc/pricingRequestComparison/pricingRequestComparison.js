@@ -0,0 +1,129 @@
+import { LightningElement, api } from 'lwc';
+import getPricingRequestHistory from '@salesforce/apex/PricingRequestComparisonService.getPricingRequestHistory';
+import { buildComparison } from './pricingComparison';
+
+import WM_Franchise from '@salesforce/label/c.WM_Franchise';
+import Competitor from '@salesforce/label/c.Competitor';
+import Pre_Determined_Pricing from '@salesforce/label/c.Pre_Determined_Pricing';
+import Third_Party_Agreement from '@salesforce/label/c.Third_Party_Agreement';
+import lblMarket_WM_Franchise from '@salesforce/label/c.Market_WM_Franchise';
+import lblMarket_Non_WM_Franchise from '@salesforce/label/c.Market_Non_WM_Franchise';
+import lblMarket_WM_Pre_Determined_Pricing from '@salesforce/label/c.Market_WM_Pre_Determined_Pricing';
+import lblMarket_WM_Third_Party_Agreement from '@salesforce/label/c.Market_WM_Third_Party_Agreement';
+
+// Same contract type to market mapping as the pricingOutputScreen message section
+const MARKET_BY_CONTRACT_TYPE = {
+    [WM_Franchise.toLowerCase()]: lblMarket_WM_Franchise,
+    [Competitor.toLowerCase()]: lblMarket_Non_WM_Franchise,
+    [Pre_Determined_Pricing.toLowerCase()]: lblMarket_WM_Pre_Determined_Pricing,
+    [Third_Party_Agreement.toLowerCase()]: lblMarket_WM_Third_Party_Agreement
+};
+
+const MIN_COMPARED = 2;
+
+/**
+ * Side-by-side comparison of the pricing requests of a case or a service baseline (asset).
+ * The agent picks two or more requests from the history; the oldest selected request is
+ * the baseline every other request is compared to.
+ */
+export default class PricingRequestComparison extends LightningElement {
+    /** Case Id - set by the record page */
+    @api recordId;
+    /** Service baseline Id of the asset, to include its price change requests */
+    @api serviceBaselineId;
+
+    pricingRequests = [];
+    selectedIds = [];
+    changedOnly = false;
+    comparison;
+    isLoading = false;
+    errorMessage;
+
+    connectedCallback() {
+        this.loadHistory();
+    }
+
+    @api
+    loadHistory() {
+        if (!this.recordId && !this.serviceBaselineId) {
+            return;
+        }
+        this.isLoading = true;
+        this.errorMessage = undefined;
+        getPricingRequestHistory({ caseId: this.recordId, serviceBaselineId: this.serviceBaselineId })
+            .then((result) => {
+                if (!result.isSuccess) {
+                    this.errorMessage = result.errorMessage;
+                    return;
+                }
+                this.pricingRequests = result.pricingRequests || [];
+                // compare the two latest requests by default
+                this.selectedIds = this.pricingRequests.slice(-MIN_COMPARED).map((request) => request.Id);
+                this.refreshComparison();
+            })
+            .catch((error) => {
+                this.errorMessage = error && error.body ? error.body.message : 'Unable to load pricing request history.';
+            })
+            .finally(() => {
+                this.isLoading = false;
+            });
+    }
+
+    get historyOptions() {
+        return this.pricingRequests.map((request) => ({
+            id: request.Id,
+            name: request.Name,
+            createdDate: request.CreatedDate,
+            createdBy: request.CreatedBy ? request.CreatedBy.Name : '',
+            caseNumber: request.Case__r ? request.Case__r.CaseNumber : '',
+            isPriceChange: request.IsPriceChangeRequest__c === true,
+            checked: this.selectedIds.includes(request.Id)
+        }));
+    }
+
+    get hasHistory() {
+        return this.pricingRequests.length > 0;
+    }
+
+    get showNoHistory() {
+        return !this.isLoading && !this.errorMessage && !this.hasHistory;
+    }
+
+    get hasComparison() {
+        return !!this.comparison && this.comparison.columns.length >= MIN_COMPARED;
+    }
+
+    get sectionColspan() {
+        return this.hasComparison ? this.comparison.columns.length + 1 : 1;
+    }
+
+    get hasClassificationChanges() {
+        return this.hasComparison && this.comparison.classificationChanges.length > 0;
+    }
+
+    get selectionHint() {
+        return this.selectedIds.length < MIN_COMPARED ? `Select at least ${MIN_COMPARED} pricing requests to compare.` : '';
+    }
+
+    handleSelect(event) {
+        const id = event.target.dataset.id;
+        this.selectedIds = event.target.checked
+            ? [...this.selectedIds, id]
+            : this.selectedIds.filter((selectedId) => selectedId !== id);
+        this.refreshComparison();
+    }
+
+    handleChangedOnly(event) {
+        this.changedOnly = event.target.checked;
+        this.refreshComparison();
+    }
+
+    refreshComparison() {
+        // keep history order (oldest first) whatever order the requests were ticked in
+        const selected = this.pricingRequests.filter((request) => this.selectedIds.includes(request.Id));
+        this.comparison =
+            selected.length >= MIN_COMPARED
+                ? buildComparison(selected, { marketByContractType: MARKET_BY_CONTRACT_TYPE, changedOnly: this.changedOnly })
+                : undefined;
+    }
+}
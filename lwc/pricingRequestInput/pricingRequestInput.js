@@ -17,7 +17,8 @@ import getPricingChangeDetail from '@salesforce/apex/PricingChangeRequest.getPri
 //End
 import { CurrentPageReference } from 'lightning/navigation';
 import { NavigationMixin } from 'lightning/navigation';
-import { registerListener, unregisterAllListeners, fireEvent } from 'c/pubsub';
+import { EventBusMixin } from 'c/eventBus';
+import { SHOW_OUTPUT_SCREEN, SHOW_MULTI_VENDOR_OUTPUT_SCREEN, SET_INPUT_PARAM, SET_CASE_NO } from 'c/pricingEvents';
 
 
 // Import custom labels
@@ -44,7 +45,7 @@ const FIELDS = [
     'Account.ShippingPostalCode'     
 ];
 
-export default class PricingRequestInput extends NavigationMixin(LightningElement) {
+export default class PricingRequestInput extends NavigationMixin(EventBusMixin(LightningElement)) {
 
     @wire(CurrentPageReference) pageRef;
     @track requestId;
@@ -177,13 +178,9 @@ isSwitchOn({error,data}) {
             
         }
 
-        registerListener("setCaseNo", this.setCaseNo, this);
-        registerListener("setInputParam", this.setInputParam, this);
-    }
-
-    disconnectedCallback() {
-        // unsubscribe from showoutputscreen event
-        unregisterAllListeners(this);
+        // Subscriptions are removed by EventBusMixin on disconnect
+        this.subscribeEvent(SET_CASE_NO, this.setCaseNo);
+        this.subscribeEvent(SET_INPUT_PARAM, this.setInputParam, { replay: true });
     }
 
 
@@ -206,7 +203,6 @@ isSwitchOn({error,data}) {
     handleSuccess(event) {
         this.recordId = event.detail.id;      
         const recordId = this.recordId;
-        var responseData = [];
         this.buttonDisabled = true;
         this.addressLock = true;
         this.buttonDisabledAndLOB = true;
@@ -229,11 +225,9 @@ isSwitchOn({error,data}) {
                         .then(result => {
                             this.APIResponseStatus = result[0];
                             this.lineOfBusinessValue = result[1];
-                            responseData.push(this.recordId);
                             // if(this.APIResponseStatus)
                             //     this.APIResponseStatus = '{"data":null,"problem":{"title":"No Connection","status":400,"errors":[{"code":null,"message":"We are currently facing issue in connecting API system. Please try later."},{"code":null,"message":"We are currently facing issue in connecting API system. Please try later."}]}}';
-                            // responseData.push(this.APIResponseStatus);
-                            fireEvent(this.pageRef, 'showmultivendoroutputscreen', responseData);
+                            this.publishEvent(SHOW_MULTI_VENDOR_OUTPUT_SCREEN, { recordId: this.recordId });
                             
                             this.loadingSpinner = false;
                             
@@ -252,11 +246,9 @@ isSwitchOn({error,data}) {
                         .then(result => {
                             this.APIResponseStatus = result[0];
                             this.lineOfBusinessValue = result[1];
-                            responseData.push(this.recordId);
                             // if(this.APIResponseStatus)
                             //     this.APIResponseStatus = '{"data":null,"problem":{"title":"No Connection","status":400,"errors":[{"code":null,"message":"We are currently facing issue in connecting API system. Please try later."},{"code":null,"message":"We are currently facing issue in connecting API system. Please try later."}]}}';
-                            // responseData.push(this.APIResponseStatus);
-                            fireEvent(this.pageRef, 'showoutputscreen', responseData);
+                            this.publishEvent(SHOW_OUTPUT_SCREEN, { recordId: this.recordId });
                             
                             this.loadingSpinner = false;
                             
@@ -276,11 +268,9 @@ isSwitchOn({error,data}) {
                     .then(result => {
                         this.APIResponseStatus = result[0];
                         this.lineOfBusinessValue = result[1];
-                        responseData.push(this.recordId);
                         // if(this.APIResponseStatus)
                         //     this.APIResponseStatus = '{"data":null,"problem":{"title":"No Connection","status":400,"errors":[{"code":null,"message":"We are currently facing issue in connecting API system. Please try later."},{"code":null,"message":"We are currently facing issue in connecting API system. Please try later."}]}}';
-                        // responseData.push(this.APIResponseStatus);
-                        fireEvent(this.pageRef, 'showoutputscreen', responseData);
+                        this.publishEvent(SHOW_OUTPUT_SCREEN, { recordId: this.recordId });
                         
                         this.loadingSpinner = false;
                         
@@ -962,18 +952,18 @@ isSwitchOn({error,data}) {
     } 
 
     setCaseNo(data){
-        this.caseId = data;
+        this.caseId = data.caseId;
     }
 
     setInputParam(data){
-        if(data[0] == Rolloff){
+        if(data.lineOfBusiness == Rolloff){
             this.isRollOff = true;
             this.isCommercial = false;
         }
-        else if(data[0] == Commercial){
+        else if(data.lineOfBusiness == Commercial){
             this.isRollOff = false;
             this.isCommercial = true;
-            this.isCommercial_SCH = data[1] == 'Scheduled' ? true : false;
+            this.isCommercial_SCH = data.serviceOccurrenceType == 'Scheduled' ? true : false;
         }
         else
         {
@@ -982,8 +972,8 @@ isSwitchOn({error,data}) {
         }
         this.isPricingEligible = true;
         //SDT-27720, Set PriceChange flag and Baseline
-        this.isPriceChangeRequest = data[2]; 
-        this.serviceBaselineId = data[3];
+        this.isPriceChangeRequest = data.isPriceChangeRequest; 
+        this.serviceBaselineId = data.serviceBaselineId;
         console.log('Price Change Flag: ' + this.isPriceChangeRequest);
         if(this.isPriceChangeRequest)
         {
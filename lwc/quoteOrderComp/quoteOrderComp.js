@@ -28,9 +28,11 @@ BLOCK5: ACTIONS TO PERFORM WHEN CLICK ON BUTTONS.
                 3.2 if delete button of table is clicked, delete the quote order from database permanently.
             4. clicking on UNDO button, will refresh the whole page and reload all the data from database.
 BLOCK6: VALIDATIONS RELATED TO SERVICE DATE OF QUOTE ORDERS.
+            rules are defined in Service_Date_Rule__mdt, keyed by service type and product type, with operator, custom label and severity(error/warning), and evaluated by serviceDateRules.js.
             1. Pickup order should be equal or greater than start date and less than or equal to end date.
             2. Removal order should be greater than or equal to start date and less than or equal to end date.
             3. Delivery order should be equal to start date.
+            4. all the failing rules of a QO are collected, errors block the save and warnings are shown as note.
 BLOCK7: ACTIONS TO PERFORM WHEN SAVE BUTTON GETS CLICKED.
             1. check if the createform row's mandatory fields are filled.
                 1.1. check if QO service date validations are passed.
@@ -45,6 +47,16 @@ BLOCK7: ACTIONS TO PERFORM WHEN SAVE BUTTON GETS CLICKED.
             10. post commit, refresh all the class variables, load the bundle data and all the quote orders related to the bundle.
 BLOCK8: ACTIONS TO PERFORM WHEN CLOSE/CANCEL BUTTON GETS CLICKED.
             1. closeModal will be called, and it will dispose all the class variables assignment.
+BLOCK9: UNDO/REDO AND DRAFT AUTOSAVE.
+            1. before every add/edit/delete of an unsaved row and every createform field change, the current state is pushed to the undo history.
+            2. clicking on UNDO/REDO (single step) buttons, will move back/forward through the history. deleting a saved QO is committed immediately and can not be undone.
+            3. after every change the unsaved state is autosaved as a local draft of the bundle. the draft is cleared on successful save or UNDO all.
+            4. when the QOs are loaded and a draft with unsaved changes exists, the differences against the saved QOs are shown with restore/discard option.
+BLOCK10: BULK IMPORT OF QUOTE ORDERS.
+            1. clicking on IMPORT button, opens the import panel to upload a CSV file or paste spreadsheet rows.
+            2. the columns are mapped by header name (or by position when there is no header), the mapping can be changed.
+            3. every row is checked with the mandatory field rules of addRow and the service date rules, valid/invalid rows are previewed.
+            4. valid rows are staged in table2 as new QOs, they get created with the existing save.
 */
 import { LightningElement, api, wire, track } from 'lwc';
 import USER_ID from '@salesforce/user/Id';
@@ -73,11 +85,26 @@ import hasAssetAvailabilityAccess from "@salesforce/customPermission/AAV_Asset_A
 import getUpdatedAvailability from "@salesforce/apex/AAV_APIIntegration.getUpdatedAvailability"; //SDT-31585
 import getAvailabilityRecord from "@salesforce/apex/AAV_APIIntegration.getAvailabilityRecord"; //SDT-31585
 import checkStartDateValidity from '@salesforce/apex/WorkOrderController.checkStartDateValidity'; //SDT-33378
+import getServiceDateRules from '@salesforce/apex/ServiceDateRuleService.getServiceDateRules';
+import { evaluateServiceDateRules } from './serviceDateRules';
+import { IMPORT_COLUMNS, MAX_IMPORT_ROWS, parseDelimited, hasHeaderRow, guessMapping, toImportRows, validateImportRow } from './quoteOrderImport';
+import { FORM_FIELDS, snapshotOf, createHistory, saveDraft, loadDraft, clearDraft, diffDraft, mergeDraft } from './quoteOrderHistory';
 
 
 const NEW_SERVICE_CASE_TYPE = 'New Service'; //SDT-29723
 const NO_AAV_MSG = 'Availability could not be updated as there was no response from server.'; //SDT 31585
-let serviceTypes = ["Container Exchange", "Contaminated Pickup", "Dig Out Service", "Power Wash", "Onsite Relocation", "Equipment Installation"];
+const DRAFT_AUTOSAVE_DELAY = 1000; //undo/redo & draft autosave
+//custom labels referenced by the service date rules
+const SERVICE_DATE_LABELS = {
+    Delivery_Order_Error: deliveryOrderError,
+    Pickup_Order_Error: pickupOrderError,
+    Removal_Order_Error: removalOrderError,
+    Removal_Order_Error2: removalOrderError2,
+    Removal_Order_Warning: removalOrderWarning,
+    Dry_Run_Order_Error: dryrunOrderError, //SDT-42075
+    Site_Survey_Order_Error: sitesurveyOrderError, //SDT-42075
+    Product_Order_Order_Error: productorderOrderError //SDT-42075
+};
 export default class quoteOrderComp extends LightningElement {
     userId = USER_ID;
     @api inlineProd;
@@ -138,6 +165,10 @@ export default class quoteOrderComp extends LightningElement {
 
     qoServiceDateValidationMap = new Map(); //SDT-23801, QO id with error flag true/false
     qoServiceDateValidationMessageMap = new Map(); //SDT-23801, QO id with error message
+    qoServiceDateRuleResults = {}; //QO id with failing service date rules (errors & warnings)
+    serviceDateRuleTable = []; //service date rules of Service_Date_Rule__mdt
+    serviceDateRulesLoaded = false; //save is blocked until the service date rules are loaded
+    serviceDateRulesError; //error of loading the service date rules
     isCSR=false; //SDT-23246, if logged in user is csr
     isDelete=false;
     isEdit=false;
@@ -165,6 +196,22 @@ export default class quoteOrderComp extends LightningElement {
     noChange='noChange';
     startDateCheckValidity = true; // SDT-33378
     startDateCheckValidityMessage = ''; //SDT-33378
+    //undo/redo & draft autosave
+    editHistory = createHistory();
+    canUndo = false;
+    canRedo = false;
+    draftTimer;
+    savedQuoteOrders = []; //QOs as loaded from the system, used to compare the draft
+    pendingDraft; //draft found for the bundle, waiting for restore/discard
+    draftDiff;
+    showDraftPrompt = false;
+    //bulk import
+    showImportPanel = false;
+    importText = '';
+    importTable = [];
+    importHasHeader = false;
+    importMapping = {};
+    importResults = [];
 
     /*BLOCK1: STARTS--------------------------*/
     /*----------------------------------------INVOKE POPUP RELATED METHODS STARTS HERE---------------------------------------*/
@@ -261,6 +308,21 @@ export default class quoteOrderComp extends LightningElement {
             this.error = JSON.stringify(error);
         }
     }
+
+    @wire(getServiceDateRules)
+    serviceDateRules({error, data}) {
+        if (data && data.isSuccess) {
+            this.serviceDateRuleTable = data.ruleTable;
+            this.serviceDateRulesLoaded = true;
+            this.serviceDateRulesError = undefined;
+            this.revalidateServiceDates();
+        } else if (data || error) {
+            let errorMessage = data ? data.errorMessage : (error.body && error.body.message) || JSON.stringify(error);
+            console.error('Error loading service date rules: ' + errorMessage);
+            this.serviceDateRulesError = 'The service date rules could not be loaded, quote orders cannot be saved. ' + errorMessage;
+            this.showToastMessage(this.serviceDateRulesError,'error','sticky');
+        }
+    }
     /*----------------------------------------COMPONENT ONLOAD RELATED METHODS ENDS HERE---------------------------------*/
 
     /*----------------------------------ALL PUBLIC METHODS, CALLED FROM OTHER COMPONENTS STARTS HERE(AFTER LOAD)-----------------------------*/
@@ -499,14 +561,17 @@ export default class quoteOrderComp extends LightningElement {
                 }  
                 this.isShowTable = true;
                 this.quoteOrderToCreateList = quoteOrderObj; 
+                this.savedQuoteOrders = JSON.parse(JSON.stringify(quoteOrderObj));
                 if(typeof this.quoteOrderToCreateList != 'undefined' && this.quoteOrderToCreateList.length>0){
                     this.indexvar=0;
                     window.setTimeout(this.getRowId.bind(this), 500);
                 }
             } else {
                 this.isShowTable = false;
+                this.savedQuoteOrders = [];
             }
             this.isValidationPassed= true;
+            this.checkForDraft();
         })  
         .catch(error =>{
             console.log(error);
@@ -810,6 +875,7 @@ export default class quoteOrderComp extends LightningElement {
 
     //handle onchange event for service type field.
     serviceTypeUpdate(event){
+        this.trackChange('serviceType');
         var selectedServiceType= event.detail.value;
         this.serviceTypeUpdateInGeneral(selectedServiceType);
     }
@@ -867,6 +933,7 @@ export default class quoteOrderComp extends LightningElement {
 
     //handle onchange event of component field.
     componentNameUpdate(event){
+        this.trackChange('productType');
         this.productType= event.detail.value;
         this.componentNameUpdateInGeneral(this.productType);
     }
@@ -916,6 +983,7 @@ export default class quoteOrderComp extends LightningElement {
 
     //handle the onchange event of service date field.
     serviceDateUpdate(event){
+        this.trackChange('serviceDate');
         this.serviceDateForm= event.detail.value;
          this.serviceDateUpdateInGeneral();
     }
@@ -955,6 +1023,7 @@ export default class quoteOrderComp extends LightningElement {
 
     //handle onchange event of service window field.
     serviceTimeUpdate(event){
+        this.trackChange('serviceTime');
         this.isEdited=true;
         this.serviceTime= event.detail.value;
         if(this.actionType == this.noChange){
@@ -964,6 +1033,7 @@ export default class quoteOrderComp extends LightningElement {
 
     //SDT-20938, handle onchange event of contact field.
     contactUpdate(event){
+        this.trackChange('contact');
         this.isEdited=true;
         this.contactForm= event.detail.value;
         if(this.actionType == this.noChange){
@@ -973,6 +1043,7 @@ export default class quoteOrderComp extends LightningElement {
 
     //SDT-20938, handle onchange event of phone field.
     phoneUpdate(event){
+        this.trackChange('phone');
         this.isEdited=true;
         this.phoneForm= event.detail.value;
         //below phone validation is not exposed yet. for future sprints.
@@ -1002,6 +1073,7 @@ export default class quoteOrderComp extends LightningElement {
 
     //handle onchange event of instruction field.
     instructionUpdate(event){
+        this.trackChange('instruction');
         this.isEdited=true;
         this.instructionForm= event.detail.value;
         if(this.actionType == this.noChange){
@@ -1011,6 +1083,7 @@ export default class quoteOrderComp extends LightningElement {
 
     //handle onchange event of customer ref field.
     customerRefUpdate(event){
+        this.trackChange('custRefNumber');
         this.isEdited=true;
         this.custRefNumberForm= event.detail.value;
         if(this.actionType == this.noChange){
@@ -1020,6 +1093,7 @@ export default class quoteOrderComp extends LightningElement {
 
     //PavanK-Added for SDT-26355
     bypassworkorderUpdate(event) {
+        this.trackChange('bypassWorkOrder');
         this.isEdited=true;
         this.bypassworkorderForm = event.target.checked;
         if(this.actionType == this.noChange){
@@ -1056,6 +1130,12 @@ export default class quoteOrderComp extends LightningElement {
         this.dispatchEvent(event);
     }
 
+    //SDT-20110, same customer ref lookup as addRow: the service & component combination is known and its PO flag is set.
+    isPOMandatory(serviceType, productType){
+        let selectedServiceProd = serviceType + productType;
+        return this.servicePOMandatoryMap.has(selectedServiceProd) && Boolean(this.servicePOMandatoryMap.get(selectedServiceProd));
+    }
+
     //SDT-20110,20121,20299 created isShowNotes() to make warning enable or disable as per the scenarios.
     isShowNotes(){
         if(this.servicePOMandatoryMap.has(this.serviceType+this.productType) && this.servicePOMandatoryMap.get(this.serviceType+this.productType)){
@@ -1100,6 +1180,7 @@ export default class quoteOrderComp extends LightningElement {
             // SDT-20110: this.servicePOMandatoryMap is used get if PO mandatory -customer ref required?
             //SDT-20121 & SDT-20299: check if service type delivery, check instructions required?
             if(this.isValidationPassed && typeof this.serviceType !== 'undefined' && typeof this.productType !== 'undefined' && typeof this.quoteLineId !== 'undefined' && typeof this.serviceDateForm !== 'undefined' && this.serviceDateForm !=='' && this.serviceDateForm !==null && (this.servicePOMandatoryMap.has(this.serviceType+this.productType) && ((this.servicePOMandatoryMap.get(this.serviceType+this.productType) && typeof this.custRefNumberForm !== 'undefined' && this.custRefNumberForm !=='' && this.custRefNumberForm !==null) || !this.servicePOMandatoryMap.get(this.serviceType+this.productType))) && (this.serviceType !=='Delivery' || ( typeof this.instructionForm !== 'undefined' && this.instructionForm !=='' && this.instructionForm !==null && this.serviceType === 'Delivery' ))){
+                    this.trackChange('addRow');
                     this.addQuoteOrderToTable2();
                     //console.log('this.serviceStartDate>>>'+this.serviceStartDate);
                     this.isShowTable=true;
@@ -1151,6 +1232,7 @@ export default class quoteOrderComp extends LightningElement {
     editRow(event){
         let keyIndex = event.target.dataset.editid;
         //console.log('keyIndex>editid>>'+keyIndex);
+        let stateBeforeEdit = snapshotOf(this); //undo/redo, recorded only if the edit goes through
         this.isEdited= true;
         this.loading=true;
         //this.showNote= false;
@@ -1184,6 +1266,7 @@ export default class quoteOrderComp extends LightningElement {
         }
         if(mandatoryField){
             //console.log('4>>>>');
+            this.trackChange('editRow', stateBeforeEdit);
             this.changeAndGetElements(event,keyIndex);
             if(typeof this.quoteOrderToCreateList !=='undefined' && this.quoteOrderToCreateList.length>=1){
                 var quoteId= this.quoteOrderToCreateList[keyIndex].idField;
@@ -1496,11 +1579,14 @@ export default class quoteOrderComp extends LightningElement {
             //console.log('Index>>>>'+event.target.dataset.delid); //using this instead
             var quoteId= this.quoteOrderToCreateList[event.target.dataset.delid].idField;
             if(typeof quoteId !== 'undefined' && quoteId.length<=18){
+                //saved QO is deleted from the system right away, it can not be undone. keep the unsaved changes in the draft.
+                this.flushDraftAutosave();
                 this.quoteOrderMap.set(quoteId,{"idField": quoteId,"actionType":this.deleteQuote,"quoteLineParentId":this.selQuoteProd, "serviceType" : this.undefinedValue, "disableDelete": this.undefinedValue, "occurenceType": this.undefinedValue,"duration":this.undefinedValue, "productType" : this.undefinedValue,"quoteLineId" : this.undefinedValue, "serviceDate" : this.undefinedValue, "serviceLineStartDate": this.undefinedValue,"serviceLineEndDate":this.undefinedValue, "serviceTime" : this.undefinedValue, "contact":this.undefinedValue,"phone":this.undefinedValue, "instruction" : this.undefinedValue,"custRefNumber" : this.undefinedValue});
                 this.quoteOrderToCreateList.splice(event.target.dataset.delid,1);
                 this.deleteQuoteOrder(quoteId);
             }else{
                 if(this.quoteOrderMap.has(quoteId)){
+                    this.trackChange('deleteRow');
                     this.showNote = false;
                     this.note = this.undefinedValue;
                     this.quoteOrderMap.delete(quoteId);
@@ -1520,10 +1606,12 @@ export default class quoteOrderComp extends LightningElement {
     //Delete first row(Fill Form)
     deleteCreateFormRow(){
         if(typeof this.idField !== 'undefined' && this.idField.length<=18){
+            this.flushDraftAutosave();
             this.quoteOrderMap.set(this.idField,{"idField": this.idField,"actionType":this.deleteQuote,"quoteLineParentId":this.selQuoteProd, "serviceType" : this.undefinedValue,"disableDelete": this.undefinedValue, "occurenceType": this.undefinedValue,"duration":this.undefinedValue, "productType" : this.undefinedValue,"quoteLineId" : this.undefinedValue, "serviceDate" : this.undefinedValue, "serviceLineStartDate": this.undefinedValue,"serviceLineEndDate":this.undefinedValue, "serviceTime" : this.undefinedValue , "contact":this.undefinedValue,"phone":this.undefinedValue, "instruction" : this.undefinedValue,"custRefNumber" : this.undefinedValue});
             this.deleteQuoteOrder(this.idField);
             this.makeCreateFormEmpty();
         }else{
+            this.trackChange('deleteCreateFormRow');
             if(typeof this.idField !== 'undefined' && this.quoteOrderMap.has(this.idField)){
                 this.quoteOrderMap.delete(this.idField);
             }
@@ -1567,6 +1655,8 @@ export default class quoteOrderComp extends LightningElement {
     //Refesh the Queue from the Apex controller.
     undoAllUnsavedChanges(){
         this.loading=true;
+        this.cancelDraftAutosave();
+        clearDraft(this.selQuoteProd);
         this.refreshLogic();
         this.getquoteLineFeatureProductOptionsJs(this.selQuoteProd, this.serviceTypePicklistValues);
         this.getQuoteOrdersByQuoteLineJs(this.selQuoteProd);
@@ -1579,207 +1669,72 @@ export default class quoteOrderComp extends LightningElement {
     /*BLOCK6: STARTS--------------------------*/
     /*---------------------------VALIDATIONS-SERVICE DATE RELATED METHODS STARTS HERE-----------------------------------------------------*/
     //SDT-23801, dispatch logic of service date validations are changed.
+    //rules are defined in Service_Date_Rule__mdt (keyed by service type & product type), every failing rule of the QO is collected.
     serviceDateValidations(idField,serviceType,productType,serviceDateForm,serviceStartDate,serviceEndDate,serviceDateBlockStr){
-        if(typeof productType !== 'undefined' && typeof serviceStartDate !=='undefined' && serviceStartDate !== null && serviceStartDate !== ''){
-            let msg='';
-            if(serviceType == 'Delivery'){ 
-                if(typeof serviceDateForm !== 'undefined' && serviceDateForm !=='' && serviceDateForm !== null){
-                    if(serviceDateForm !== serviceStartDate){
-                        msg=deliveryOrderError;
-                        this.qoServiceDateValidationMessageMap.set(idField,msg);
-                        this.qoServiceDateValidationMap.set(idField,false);
-                        this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="red";
-                    }else{
-                        this.qoServiceDateValidationMap.set(idField,true);
-                        this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="black";
-                    }
-                }
-            } else if(serviceType == 'Pickup'){
-                if(typeof serviceEndDate == 'undefined' || serviceEndDate === '' || serviceEndDate === null){
-                    if(typeof serviceDateForm !== 'undefined' && serviceDateForm !=='' && serviceDateForm !== null){
-                        if(serviceDateForm<serviceStartDate){
-                            msg=pickupOrderError;
-                            this.qoServiceDateValidationMessageMap.set(idField,msg);
-                            this.qoServiceDateValidationMap.set(idField,false);
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="red";
-                        }else{
-                            this.qoServiceDateValidationMap.set(idField,true);
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="black";
-                        }
-                    }
-                }else{
-                    if(typeof serviceDateForm !== 'undefined' && serviceDateForm !=='' && serviceDateForm !== null){
-                        if(serviceDateForm < serviceStartDate || serviceDateForm > serviceEndDate){
-                            msg=pickupOrderError;
-                            this.qoServiceDateValidationMessageMap.set(idField,msg);
-                            this.qoServiceDateValidationMap.set(idField,false);
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="red";
-                        }else{
-                            this.qoServiceDateValidationMap.set(idField,true);
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="black";
-                        }
-                    }
-                }
-            } else if(serviceType == 'Removal'){
-                if(typeof serviceEndDate == 'undefined' || serviceEndDate === '' || serviceEndDate === null){
-                    if(typeof serviceDateForm !== 'undefined' && serviceDateForm !=='' && serviceDateForm !== null){
-                        if(serviceDateForm<serviceStartDate){
-                            msg=removalOrderError;
-                            this.qoServiceDateValidationMessageMap.set(idField,msg);
-                            this.qoServiceDateValidationMap.set(idField,false);
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="red";
-                        }else if(serviceDateForm==serviceStartDate){ //SDT-21162, show warning message if service date =  start date for Removal
-                            this.qoServiceDateValidationMap.set(idField,true);
-                            this.note=removalOrderWarning;
-                            this.showNote= true;
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="black";
-                        }else{
-                            this.qoServiceDateValidationMap.set(idField,true);
-                            if(this.serviceType !== 'Delivery'){
-                                this.note='';
-                                this.showNote= false;
-                            }
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="black";
-                        }
-                    }
-                }else{
-                    if(typeof serviceDateForm !== 'undefined' && serviceDateForm !=='' && serviceDateForm !== null){
-                        if(serviceDateForm !== serviceEndDate){
-                            msg=removalOrderError2;
-                            this.qoServiceDateValidationMessageMap.set(idField,msg);
-                            this.qoServiceDateValidationMap.set(idField,false);
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="red";
-                        }else if(serviceDateForm==serviceStartDate){ //SDT-21162, show warning message if service date =  start date for Removal
-                            this.qoServiceDateValidationMap.set(idField,true);
-                            this.note=removalOrderWarning;
-                            this.showNote= true;
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="black";
-                        }else{
-                            this.qoServiceDateValidationMap.set(idField,true);
-                            if(this.serviceType !== 'Delivery'){
-                                this.note='';
-                                this.showNote= false;
-                            }
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="black";
-                        }
-                    }
-                }
-            }
+        let result = evaluateServiceDateRules({"serviceType": serviceType, "productType": productType, "serviceDate": serviceDateForm, "startDate": serviceStartDate, "endDate": serviceEndDate}, SERVICE_DATE_LABELS, this.serviceDateRuleTable);
+        if(!result){
+            return;
+        }
+        let isValid = result.errors.length === 0;
+        let previousResult = this.qoServiceDateRuleResults[idField];
+        this.qoServiceDateValidationMap.set(idField,isValid);
+        if(isValid){
+            this.qoServiceDateValidationMessageMap.delete(idField);
+        }else{
+            this.qoServiceDateValidationMessageMap.set(idField,result.errors.join('\n'));
+        }
+        let serviceDateElement = this.template.querySelector('[data-id='+serviceDateBlockStr+']');
+        if(serviceDateElement != null){
+            serviceDateElement.style.color = isValid ? "black" : "red";
+        }
+        //SDT-21162, warnings (e.g. removal on start date) are shown as note.
+        if(result.warnings.length>0){
+            this.note = result.warnings.join(' ');
+            this.showNote = true;
+        }else if(previousResult && previousResult.warnings.length>0 && this.serviceType !== 'Delivery'){
+            this.note = '';
+            this.showNote = false;
+        }
+        this.qoServiceDateRuleResults = {...this.qoServiceDateRuleResults, [idField]: {"label": [serviceType, productType, serviceDateForm].filter(value => value).join(' - '), "errors": result.errors, "warnings": result.warnings}};
+    }
 
-            //SDT- 42075- start, adding for Dry Run, Site Survey and Product Order
-
-            else if(serviceType == 'Dry Run'){
-                if(typeof serviceEndDate == 'undefined' || serviceEndDate === '' || serviceEndDate === null){
-                    if(typeof serviceDateForm !== 'undefined' && serviceDateForm !=='' && serviceDateForm !== null){
-                        if(serviceDateForm<serviceStartDate){
-                            msg=dryrunOrderError;
-                            this.qoServiceDateValidationMessageMap.set(idField,msg);
-                            this.qoServiceDateValidationMap.set(idField,false);
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="red";
-                        }else{
-                            this.qoServiceDateValidationMap.set(idField,true);
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="black";
-                        }
-                    }
-                }else{
-                    if(typeof serviceDateForm !== 'undefined' && serviceDateForm !=='' && serviceDateForm !== null){
-                        if(serviceDateForm < serviceStartDate || serviceDateForm > serviceEndDate){
-                            msg=dryrunOrderError;
-                            this.qoServiceDateValidationMessageMap.set(idField,msg);
-                            this.qoServiceDateValidationMap.set(idField,false);
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="red";
-                        }else{
-                            this.qoServiceDateValidationMap.set(idField,true);
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="black";
-                        }
-                    }
-                }
-            }
-            else if(serviceType == 'Site Survey'){
-                if(typeof serviceEndDate == 'undefined' || serviceEndDate === '' || serviceEndDate === null){
-                    if(typeof serviceDateForm !== 'undefined' && serviceDateForm !=='' && serviceDateForm !== null){
-                        if(serviceDateForm<serviceStartDate){
-                            msg=sitesurveyOrderError;
-                            this.qoServiceDateValidationMessageMap.set(idField,msg);
-                            this.qoServiceDateValidationMap.set(idField,false);
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="red";
-                        }else{
-                            this.qoServiceDateValidationMap.set(idField,true);
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="black";
-                        }
-                    }
-                }else{
-                    if(typeof serviceDateForm !== 'undefined' && serviceDateForm !=='' && serviceDateForm !== null){
-                        if(serviceDateForm < serviceStartDate || serviceDateForm > serviceEndDate){
-                            msg=sitesurveyOrderError;
-                            this.qoServiceDateValidationMessageMap.set(idField,msg);
-                            this.qoServiceDateValidationMap.set(idField,false);
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="red";
-                        }else{
-                            this.qoServiceDateValidationMap.set(idField,true);
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="black";
-                        }
-                    }
-                }
-            }
-            else if(serviceType == 'Product Order'){
-                if(typeof serviceEndDate == 'undefined' || serviceEndDate === '' || serviceEndDate === null){
-                    if(typeof serviceDateForm !== 'undefined' && serviceDateForm !=='' && serviceDateForm !== null){
-                        if(serviceDateForm<serviceStartDate){
-                            msg=productorderOrderError;
-                            this.qoServiceDateValidationMessageMap.set(idField,msg);
-                            this.qoServiceDateValidationMap.set(idField,false);
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="red";
-                        }else{
-                            this.qoServiceDateValidationMap.set(idField,true);
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="black";
-                        }
-                    }
-                }else{
-                    if(typeof serviceDateForm !== 'undefined' && serviceDateForm !=='' && serviceDateForm !== null){
-                        if(serviceDateForm < serviceStartDate || serviceDateForm > serviceEndDate){
-                            msg=productorderOrderError;
-                            this.qoServiceDateValidationMessageMap.set(idField,msg);
-                            this.qoServiceDateValidationMap.set(idField,false);
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="red";
-                        }else{
-                            this.qoServiceDateValidationMap.set(idField,true);
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="black";
-                        }
-                    }
-                }
-            }
-                    
-            //SDT- 42075- end, adding for Dry Run, Site Survey and Product Order
-            
-            else if(serviceTypes.indexOf(serviceType) > -1){
-                if(typeof serviceEndDate == 'undefined' || serviceEndDate === '' || serviceEndDate === null){
-                    if(typeof serviceDateForm !== 'undefined' && serviceDateForm !=='' && serviceDateForm !== null){
-                        if(serviceDateForm<serviceStartDate){
-                            msg= serviceType + ' order should be equal or greater than start date and less than or equal to end date';
-                            this.qoServiceDateValidationMessageMap.set(idField,msg);
-                            this.qoServiceDateValidationMap.set(idField,false);
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="red";
-                        }else{
-                            this.qoServiceDateValidationMap.set(idField,true);
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="black";
-                        }
-                    }
-                }else{
-                    if(typeof serviceDateForm !== 'undefined' && serviceDateForm !=='' && serviceDateForm !== null){
-                        if(serviceDateForm < serviceStartDate || serviceDateForm > serviceEndDate){
-                            msg=serviceType + ' order should be equal or greater than start date and less than or equal to end date';
-                            this.qoServiceDateValidationMessageMap.set(idField,msg);
-                            this.qoServiceDateValidationMap.set(idField,false);
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="red";
-                        }else{
-                            this.qoServiceDateValidationMap.set(idField,true);
-                            this.template.querySelector('[data-id='+serviceDateBlockStr+']').style.color="black";
-                        }
-                    }
-                }
-            }
+    //run the service date rules again on the createform row and table2 rows, e.g. once the rules are loaded.
+    revalidateServiceDates(){
+        if(this.serviceDateForm && this.serviceType && typeof this.productType !== 'undefined'){
+            this.serviceDateValidations(this.idField,this.serviceType,this.productType,this.serviceDateForm, this.serviceStartDate, this.serviceEndDate, 'serviceDateBlock');
+        }
+        (this.quoteOrderToCreateList || []).forEach((row, k) => {
+            this.serviceDateValidations(row.idField,row.serviceType,row.productType,row.serviceDate,row.serviceLineStartDate,row.serviceLineEndDate,'serviceDateBlock1'+k);
+        });
+    }
+
+    //save and import need the service date rules, without them no service date would be validated.
+    checkServiceDateRulesLoaded(){
+        if(this.serviceDateRulesLoaded){
+            return true;
         }
+        this.showToastMessage(this.serviceDateRulesError || 'The service date rules are still loading, please try again in a moment.','error','dismissable');
+        return false;
+    }
+
+    //failing service date rules of the createform row and table2 rows, shown below the table.
+    get serviceDateIssues(){
+        let activeIds = new Set(this.quoteOrderToCreateList.map(row => row.idField));
+        if(typeof this.idField !== 'undefined'){
+            activeIds.add(this.idField);
+        }
+        let issues = [];
+        Object.keys(this.qoServiceDateRuleResults).forEach(qoId => {
+            let ruleResult = this.qoServiceDateRuleResults[qoId];
+            if(activeIds.has(qoId) && (ruleResult.errors.length>0 || ruleResult.warnings.length>0)){
+                issues.push({"key": qoId, "label": ruleResult.label, "errors": ruleResult.errors.map((message, i) => ({"key": qoId+'e'+i, "message": message})), "warnings": ruleResult.warnings.map((message, i) => ({"key": qoId+'w'+i, "message": message}))});
+            }
+        });
+        return issues;
+    }
+
+    get hasServiceDateIssues(){
+        return this.serviceDateIssues.length > 0;
     }
     /*---------------------------------------VALIDATIONS-SERVICE DATE RELATED METHODS ENDS HERE-----------------------------------------------------*/
     /*BLOCK6: ENDS----------------------------*/
@@ -1796,7 +1751,12 @@ export default class quoteOrderComp extends LightningElement {
         return;
        }
         //END SDT-33378
+        if(!this.checkServiceDateRulesLoaded()){
+            return;
+        }
+        this.revalidateServiceDates();
 	    
+        this.flushDraftAutosave(); //keep the latest unsaved changes in the draft until the save succeeds
         this.loading=true;
         let isQoServiceDateValidationPassed = true;
         //console.log('spinner started');
@@ -1912,6 +1872,8 @@ export default class quoteOrderComp extends LightningElement {
                     .then(data =>{
                         if(data == 'success'){
                             //this.isDisabled= false;
+                            this.cancelDraftAutosave();
+                            clearDraft(this.selQuoteProd);
                             this.refreshLogic();
                             this.getquoteLineFeatureProductOptionsJs(this.selQuoteProd, this.serviceTypePicklistValues);
                             this.getQuoteOrdersByQuoteLineJs(this.selQuoteProd);
@@ -1991,18 +1953,23 @@ export default class quoteOrderComp extends LightningElement {
         this.isDelivery=false;
         this.qoServiceDateValidationMessageMap = new Map();
         this.qoServiceDateValidationMap.clear();
+        this.qoServiceDateRuleResults = {};
         this.quoteOrderMap.clear();
         this.prodQuotelineIdMap.clear();
         this.prodQuotelineIdMap2.clear();
         this.servicePOMandatoryMap.clear();
         this.isEdited=false;
         this.makeCreateFormEmpty(); 
-        
+        //QOs are reloaded from the system, history of the previous state no longer applies.
+        this.editHistory.clear();
+        this.refreshHistoryFlags();
+        this.showDraftPrompt = false;
     }
 
     //close the popup modal.
     closeModal() {    
         //console.log('>>>Close Modal');
+        this.flushDraftAutosave(); //unsaved changes stay in the draft, offered again on next open.
         this.bShowModal = false;
         this.isShowTable=false;
         this.isCSR=false;
@@ -2023,12 +1990,21 @@ export default class quoteOrderComp extends LightningElement {
         this.quoteOrderMap= new Map();
         this.qoServiceDateValidationMessageMap = new Map();
         this.qoServiceDateValidationMap= new Map();
+        this.qoServiceDateRuleResults = {};
         this.prodQuotelineIdMap= new Map();
         this.prodQuotelineIdMap2= new Map();
         this.servicePOMandatoryMap= new Map();
         this.serviceTypeProdQuoteLineIdMap= new Map();
         this.isEdited=false;
         this.disableFields= true;
+        this.editHistory.clear();
+        this.refreshHistoryFlags();
+        this.savedQuoteOrders = [];
+        this.pendingDraft = this.undefinedValue;
+        this.draftDiff = this.undefinedValue;
+        this.showDraftPrompt = false;
+        this.showImportPanel = false;
+        this.resetImport();
         this.makeCreateFormEmpty();
         //update the list of orders in summary screen on quote detail.
         const value = true;
@@ -2041,6 +2017,350 @@ export default class quoteOrderComp extends LightningElement {
     /*------------------------------------DISPOSING CLASS VARIABLES SCOPE RELATED METHODS ENDS HERE--------------------------------------------*/
     /*BLOCK8: ENDS--------------------------*/
 
+    /*BLOCK9: STARTS--------------------------*/
+    /*------------------------------------UNDO/REDO HISTORY RELATED METHODS STARTS HERE--------------------------------------------*/
+    //push the state before the change to the undo history and schedule the draft autosave.
+    trackChange(changeKey, stateBeforeChange){
+        if(this.isView){
+            return;
+        }
+        this.editHistory.record(stateBeforeChange || snapshotOf(this), changeKey);
+        this.refreshHistoryFlags();
+        this.scheduleDraftAutosave();
+    }
+
+    refreshHistoryFlags(){
+        this.canUndo = this.editHistory.canUndo;
+        this.canRedo = this.editHistory.canRedo;
+    }
+
+    get disableUndo(){
+        return this.isView || !this.canUndo;
+    }
+
+    get disableRedo(){
+        return this.isView || !this.canRedo;
+    }
+
+    //handle click of undo (single step) button.
+    undoLastChange(){
+        let previousState = this.editHistory.undo(snapshotOf(this));
+        if(previousState){
+            this.applyQuoteOrderState(previousState);
+        }
+        this.refreshHistoryFlags();
+    }
+
+    //handle click of redo button.
+    redoLastChange(){
+        let nextState = this.editHistory.redo(snapshotOf(this));
+        if(nextState){
+            this.applyQuoteOrderState(nextState);
+        }
+        this.refreshHistoryFlags();
+    }
+
+    //reinstate createform, table2 and QO map from a snapshot, then regenerate the dynamic row ids and revalidate the service dates.
+    applyQuoteOrderState(state){
+        if(state.form){
+            FORM_FIELDS.forEach(field => {
+                this[field] = state.form[field];
+            });
+        } else{
+            this.makeCreateFormEmpty();
+        }
+        this.quoteOrderToCreateList = state.rows;
+        this.quoteOrderMap = new Map(state.orders);
+        this.showNote = false;
+        this.note = this.undefinedValue;
+        if(this.serviceType){
+            this.getBaseReady(this.serviceType);
+            this.updateComponentList(this.serviceType);
+            this.isShowNotes();
+        } else{
+            this.componentList = [{label:'',value:''}];
+        }
+        this.isEdited = true;
+        this.isShowTable = true;
+        this.indexvar = 0;
+        window.setTimeout(this.getRowId.bind(this), 500);
+        this.scheduleDraftAutosave();
+    }
+    /*------------------------------------UNDO/REDO HISTORY RELATED METHODS ENDS HERE--------------------------------------------*/
+
+    /*------------------------------------DRAFT AUTOSAVE RELATED METHODS STARTS HERE--------------------------------------------*/
+    scheduleDraftAutosave(){
+        window.clearTimeout(this.draftTimer);
+        this.draftTimer = window.setTimeout(this.autosaveDraft.bind(this), DRAFT_AUTOSAVE_DELAY);
+    }
+
+    cancelDraftAutosave(){
+        window.clearTimeout(this.draftTimer);
+        this.draftTimer = this.undefinedValue;
+    }
+
+    //save a pending autosave right away, used before the state gets refreshed from the system.
+    flushDraftAutosave(){
+        if(typeof this.draftTimer !== 'undefined'){
+            this.cancelDraftAutosave();
+            this.autosaveDraft();
+        }
+    }
+
+    autosaveDraft(){
+        this.draftTimer = this.undefinedValue;
+        if(this.isView || typeof this.selQuoteProd === 'undefined'){
+            return;
+        }
+        //everything is undone, nothing left to keep.
+        if(!this.editHistory.canUndo){
+            clearDraft(this.selQuoteProd);
+            return;
+        }
+        saveDraft(this.selQuoteProd, snapshotOf(this));
+    }
+
+    //after QOs are loaded, offer the draft of the bundle if it differs from the saved QOs.
+    checkForDraft(){
+        if(this.isView){
+            return;
+        }
+        let draft = loadDraft(this.selQuoteProd);
+        if(!draft){
+            return;
+        }
+        let diff = diffDraft(draft.snapshot, this.savedQuoteOrders);
+        if(!diff.hasChanges){
+            clearDraft(this.selQuoteProd);
+            return;
+        }
+        this.pendingDraft = draft;
+        this.draftDiff = diff;
+        this.showDraftPrompt = true;
+    }
+
+    get draftSavedAt(){
+        return this.pendingDraft ? new Date(this.pendingDraft.savedAt).toLocaleString() : '';
+    }
+
+    //handle click of restore draft button, restoring is undoable.
+    restoreDraft(){
+        if(this.pendingDraft){
+            this.trackChange('restoreDraft');
+            this.applyQuoteOrderState(mergeDraft(this.pendingDraft.snapshot, this.savedQuoteOrders));
+            this.refreshHistoryFlags();
+        }
+        this.pendingDraft = this.undefinedValue;
+        this.draftDiff = this.undefinedValue;
+        this.showDraftPrompt = false;
+    }
+
+    //handle click of discard draft button.
+    discardDraft(){
+        clearDraft(this.selQuoteProd);
+        this.pendingDraft = this.undefinedValue;
+        this.draftDiff = this.undefinedValue;
+        this.showDraftPrompt = false;
+    }
+    /*------------------------------------DRAFT AUTOSAVE RELATED METHODS ENDS HERE--------------------------------------------*/
+    /*BLOCK9: ENDS--------------------------*/
+
+    /*BLOCK10: STARTS--------------------------*/
+    /*------------------------------------BULK IMPORT RELATED METHODS STARTS HERE--------------------------------------------*/
+    //handle click of import button.
+    openImport(){
+        this.resetImport();
+        this.showImportPanel = true;
+    }
+
+    closeImport(){
+        this.resetImport();
+        this.showImportPanel = false;
+    }
+
+    resetImport(){
+        this.importText = '';
+        this.importTable = [];
+        this.importHasHeader = false;
+        this.importMapping = {};
+        this.importResults = [];
+    }
+
+    //read the uploaded CSV file and preview it.
+    handleImportFile(event){
+        let file = event.target.files && event.target.files[0];
+        if(!file){
+            return;
+        }
+        let reader = new FileReader();
+        reader.onload = () => {
+            this.importText = reader.result;
+            this.previewImport();
+        };
+        reader.onerror = () => {
+            this.showToastMessage('The file '+file.name+' could not be read.','error','dismissable');
+        };
+        reader.readAsText(file);
+    }
+
+    handleImportTextChange(event){
+        this.importText = event.detail.value;
+    }
+
+    //parse the pasted/uploaded rows, map the columns and validate.
+    previewImport(){
+        let table = parseDelimited(this.importText);
+        if(table.length === 0){
+            this.showToastMessage('There are no rows to import.','error','dismissable');
+            return;
+        }
+        this.importTable = table;
+        this.importHasHeader = hasHeaderRow(table[0]);
+        this.importMapping = guessMapping(table[0]);
+        let dataRows = this.importHasHeader ? table.length-1 : table.length;
+        if(dataRows > MAX_IMPORT_ROWS){
+            this.showToastMessage('Only the first '+MAX_IMPORT_ROWS+' rows will be imported.','warning','dismissable');
+        }
+        this.validateImport();
+    }
+
+    handleImportMappingChange(event){
+        this.importMapping = {...this.importMapping, [event.target.dataset.field]: parseInt(event.detail.value, 10)};
+        this.validateImport();
+    }
+
+    validateImport(){
+        if(!this.checkServiceDateRulesLoaded()){
+            this.importResults = [];
+            return;
+        }
+        let context = this.getImportContext();
+        this.importResults = toImportRows(this.importTable, this.importMapping, this.importHasHeader).map(row => validateImportRow(row, context));
+    }
+
+    //bundle data the import rows are validated against, same sources as the createform comboboxes.
+    getImportContext(){
+        let structure = this.defaultQuoteOrderStructure || [];
+        return {
+            "serviceTypes": (this.serviceTypeOptions || []).map(option => option.value),
+            "componentsFor": (serviceType) => {
+                let components = [];
+                structure.forEach(key => {
+                    if(key.serviceType === serviceType){
+                        for(let k in key.quoteLineProdOptionsMap){
+                            components.push(key.quoteLineProdOptionsMap[k]);
+                        }
+                    }
+                });
+                return components;
+            },
+            "serviceTimes": (this.serviceTimeOptions || []).map(option => option.value),
+            "defaultServiceTime": this.defaultServiceTime,
+            "isPOMandatory": (serviceType, productType) => this.isPOMandatory(serviceType, productType),
+            //same start/end date resolution as componentNameUpdateInGeneral.
+            "resolveServiceLine": (serviceType, productType) => {
+                let quoteLineId = this.prodQuotelineIdMap2.get(productType);
+                let serviceLine = structure.find(key => key.quoteLineId == quoteLineId);
+                if(typeof quoteLineId === 'undefined' || !serviceLine){
+                    return null;
+                }
+                let startDate = serviceLine.serviceLineStartDate;
+                let endDate = serviceLine.serviceLineEndDate;
+                let hasBundleStart = typeof this.bundleStartDateForm !== 'undefined' && this.bundleStartDateForm !== '' && this.bundleStartDateForm !== null;
+                let hasBundleEnd = typeof this.bundleEndDateForm !== 'undefined' && this.bundleEndDateForm !== '' && this.bundleEndDateForm !== null;
+                if(serviceType === 'Delivery'){
+                    if(hasBundleStart){
+                        startDate = this.bundleStartDateForm;
+                        endDate = this.bundleStartDateForm;
+                    }
+                }else{
+                    if(hasBundleStart){
+                        startDate = this.bundleStartDateForm;
+                    }
+                    if(hasBundleEnd){
+                        endDate = this.bundleEndDateForm;
+                    }
+                }
+                return {"quoteLineId": quoteLineId, "occurenceType": serviceLine.occurenceType, "duration": serviceLine.duration, "startDate": startDate, "endDate": endDate};
+            },
+            "labels": SERVICE_DATE_LABELS,
+            "serviceDateRules": this.serviceDateRuleTable
+        };
+    }
+
+    get importColumnOptions(){
+        let headerRow = this.importTable[0] || [];
+        let options = [{label: '-- Not Mapped --', value: '-1'}];
+        headerRow.forEach((header, index) => {
+            let columnName = 'Column '+(index+1);
+            options.push({label: this.importHasHeader && header ? columnName+': '+header : columnName, value: String(index)});
+        });
+        return options;
+    }
+
+    get importMappingFields(){
+        return IMPORT_COLUMNS.map(column => ({"field": column.field, "label": column.label, "value": String(typeof this.importMapping[column.field] === 'undefined' ? -1 : this.importMapping[column.field])}));
+    }
+
+    get hasImportResults(){
+        return this.importResults.length > 0;
+    }
+
+    get importPreviewRows(){
+        return this.importResults.map(result => ({
+            "key": 'line'+result.lineNumber,
+            "lineNumber": result.lineNumber,
+            "serviceType": result.values.serviceType,
+            "productType": result.values.productType,
+            "serviceDate": result.order.serviceDate || result.values.serviceDate,
+            "serviceTime": result.order.serviceTime || result.values.serviceTime,
+            "custRefNumber": result.values.custRefNumber,
+            "status": result.isValid ? 'Valid' : 'Invalid',
+            "statusClass": result.isValid ? 'slds-text-color_success' : 'slds-text-color_error',
+            "issues": result.errors.concat(result.warnings).join(' ')
+        }));
+    }
+
+    get importValidCount(){
+        return this.importResults.filter(result => result.isValid).length;
+    }
+
+    get importInvalidCount(){
+        return this.importResults.length - this.importValidCount;
+    }
+
+    get disableStageImport(){
+        return this.isView || this.importValidCount === 0;
+    }
+
+    //push the valid import rows to table2 as new QOs, the existing save creates them.
+    stageImportedRows(){
+        let validResults = this.importResults.filter(result => result.isValid);
+        if(validResults.length === 0){
+            return;
+        }
+        this.trackChange('importRows');
+        let n = new Date().getTime();
+        let stagedRows = validResults.map((result, i) => {
+            let order = result.order;
+            return {"idField": ((n+i)+'newlycreatedquoteid').toString(),"actionType": this.newQuote,"quoteLineParentId":this.selQuoteProd,"occurenceType": order.occurenceType,"duration":order.duration, "serviceType" : order.serviceType, "disableDelete" : order.serviceType === 'Delivery' && this.isCSR,"serviceTime" : order.serviceTime, "contact":order.contact,"phone":order.phone, "productType" : order.productType,"quoteLineId" : order.quoteLineId, "serviceDate" : order.serviceDate,"serviceLineStartDate": order.serviceLineStartDate,"serviceLineEndDate":order.serviceLineEndDate, "instruction" : order.instruction,"custRefNumber" : order.custRefNumber, "bypassWorkOrder" : false};
+        });
+        stagedRows.forEach(row => {
+            this.quoteOrderMap.set(row.idField,row);
+        });
+        this.indexvar = this.quoteOrderToCreateList.length;
+        this.quoteOrderToCreateList = this.quoteOrderToCreateList.concat(stagedRows);
+        this.isShowTable = true;
+        this.isEdited = true;
+        window.setTimeout(this.getRowId.bind(this), 500);
+        window.setTimeout(this.scrollToBottom.bind(this),1000);
+        let skipped = this.importInvalidCount;
+        this.closeImport();
+        this.showToastMessage(stagedRows.length+' quote order(s) staged'+(skipped>0 ? ', '+skipped+' invalid row(s) skipped' : '')+'. Click Save to create them.','success','dismissable');
+    }
+    /*------------------------------------BULK IMPORT RELATED METHODS ENDS HERE--------------------------------------------*/
+    /*BLOCK10: ENDS--------------------------*/
+
     //SDT-29723 : Handle start date change from Asset availabilty Date picker
     handleStartDateUpdate(event){
         if(event.detail.date) this.updateStartDate(event.detail.date);
@@ -0,0 +1,370 @@
+/**
+ * Quote Order History
+ *
+ * Undo/redo history and autosaved local drafts for quoteOrderComp.
+ *
+ * A snapshot captures the create form fields, the rows of the order table and
+ * the pending quoteOrderMap entries, so any edit made in the modal can be
+ * stepped back and forward, and the whole unsaved state can be written to
+ * localStorage per quote line (bundle) and offered back when the modal is
+ * opened again.
+ *
+ * Key Features:
+ * - Bounded undo/redo stacks (MAX_HISTORY snapshots)
+ * - Consecutive keystrokes on the same field are coalesced into one entry
+ * - Drafts are keyed per quote line and versioned
+ * - diffDraft describes a draft against the saved quote orders
+ * - mergeDraft drops draft rows whose saved order no longer exists and keeps
+ *   saved orders that were created after the draft was taken
+ *
+ * Deleting a saved quote order is committed to the server immediately, so it
+ * is not part of the history and cannot be undone.
+ */
+
+const MAX_HISTORY = 50;
+const COALESCE_MS = 1000;
+const DRAFT_KEY_PREFIX = 'c.quoteOrderComp.draft.';
+const DRAFT_VERSION = 1;
+const NEW_QUOTE_ORDER_SUFFIX = 'newlycreatedquoteid';
+
+/**
+ * Create form fields of quoteOrderComp that make up a snapshot
+ */
+const FORM_FIELDS = [
+    'idField',
+    'actionType',
+    'quoteLineParentId',
+    'serviceType',
+    'disableDelete',
+    'productType',
+    'quoteLineId',
+    'serviceDateForm',
+    'serviceTime',
+    'contactForm',
+    'phoneForm',
+    'instructionForm',
+    'custRefNumberForm',
+    'occurenceType',
+    'duration',
+    'serviceStartDate',
+    'serviceEndDate',
+    'bypassworkorderForm'
+];
+
+/**
+ * Quote order fields compared when describing a draft (table column labels)
+ */
+const COMPARED_FIELDS = [
+    { field: 'serviceType', label: 'Service Type' },
+    { field: 'productType', label: 'Component' },
+    { field: 'serviceDate', label: 'Service Date' },
+    { field: 'serviceTime', label: 'Service Window' },
+    { field: 'contact', label: 'Contact' },
+    { field: 'phone', label: 'Phone' },
+    { field: 'custRefNumber', label: 'PO #' },
+    { field: 'instruction', label: 'Instructions' },
+    { field: 'bypassWorkOrder', label: 'Bypass Work Order' }
+];
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const isNewQuoteOrder = (idField) => typeof idField === 'string' && idField.includes(NEW_QUOTE_ORDER_SUFFIX);
+
+// ============================================================================
+// SNAPSHOTS & HISTORY
+// ============================================================================
+
+/**
+ * Capture the editable state of quoteOrderComp
+ * @param {object} source - quoteOrderComp instance
+ * @returns {object} { form, rows, orders } deep copy
+ */
+const snapshotOf = (source) => {
+    const form = {};
+    FORM_FIELDS.forEach((field) => {
+        form[field] = source[field];
+    });
+    return clone({
+        form,
+        rows: source.quoteOrderToCreateList || [],
+        orders: Array.from((source.quoteOrderMap || new Map()).entries())
+    });
+};
+
+/**
+ * Create an undo/redo history
+ * @returns {object} { record, undo, redo, clear, canUndo, canRedo }
+ */
+const createHistory = () => {
+    let undoStack = [];
+    let redoStack = [];
+    let lastKey;
+    let lastRecordedAt = 0;
+
+    return {
+        /**
+         * Push the state as it was before a change
+         * @param {object} snapshot - Result of snapshotOf taken before the change
+         * @param {string} changeKey - Field or action name; repeated keys within COALESCE_MS are merged
+         */
+        record(snapshot, changeKey) {
+            const now = Date.now();
+            if (changeKey && changeKey === lastKey && now - lastRecordedAt < COALESCE_MS) {
+                lastRecordedAt = now;
+                return;
+            }
+            undoStack.push(snapshot);
+            if (undoStack.length > MAX_HISTORY) {
+                undoStack.shift();
+            }
+            redoStack = [];
+            lastKey = changeKey;
+            lastRecordedAt = now;
+        },
+
+        /**
+         * Step back one change
+         * @param {object} current - Snapshot of the current state, kept for redo
+         * @returns {object|null} Snapshot to apply, or null when there is nothing to undo
+         */
+        undo(current) {
+            if (!undoStack.length) {
+                return null;
+            }
+            redoStack.push(current);
+            lastKey = undefined;
+            return undoStack.pop();
+        },
+
+        /**
+         * Re-apply the last undone change
+         * @param {object} current - Snapshot of the current state, kept for undo
+         * @returns {object|null} Snapshot to apply, or null when there is nothing to redo
+         */
+        redo(current) {
+            if (!redoStack.length) {
+                return null;
+            }
+            undoStack.push(current);
+            lastKey = undefined;
+            return redoStack.pop();
+        },
+
+        clear() {
+            undoStack = [];
+            redoStack = [];
+            lastKey = undefined;
+        },
+
+        get canUndo() {
+            return undoStack.length > 0;
+        },
+
+        get canRedo() {
+            return redoStack.length > 0;
+        }
+    };
+};
+
+// ============================================================================
+// LOCAL DRAFTS
+// ============================================================================
+
+const draftKey = (quoteLineId) => DRAFT_KEY_PREFIX + quoteLineId;
+
+/**
+ * Store the unsaved state of a quote line
+ * @param {string} quoteLineId - Bundle quote line Id
+ * @param {object} snapshot - Result of snapshotOf
+ */
+const saveDraft = (quoteLineId, snapshot) => {
+    if (!quoteLineId) {
+        return;
+    }
+    try {
+        window.localStorage.setItem(
+            draftKey(quoteLineId),
+            JSON.stringify({ version: DRAFT_VERSION, savedAt: Date.now(), snapshot })
+        );
+    } catch (e) {
+        // storage full or disabled - the draft is a convenience only
+    }
+};
+
+/**
+ * Read the stored draft of a quote line
+ * @param {string} quoteLineId - Bundle quote line Id
+ * @returns {object|null} { savedAt, snapshot }, or null when there is no usable draft
+ */
+const loadDraft = (quoteLineId) => {
+    if (!quoteLineId) {
+        return null;
+    }
+    try {
+        const draft = JSON.parse(window.localStorage.getItem(draftKey(quoteLineId)));
+        if (!draft || draft.version !== DRAFT_VERSION || !draft.snapshot) {
+            return null;
+        }
+        return { savedAt: draft.savedAt, snapshot: draft.snapshot };
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Remove the stored draft of a quote line
+ * @param {string} quoteLineId - Bundle quote line Id
+ */
+const clearDraft = (quoteLineId) => {
+    if (!quoteLineId) {
+        return;
+    }
+    try {
+        window.localStorage.removeItem(draftKey(quoteLineId));
+    } catch (e) {
+        // nothing to clean up
+    }
+};
+
+// ============================================================================
+// DRAFT COMPARISON
+// ============================================================================
+
+/**
+ * The create form of a snapshot as a quote order row (null when the form is empty)
+ */
+const formRowOf = (snapshot) => {
+    const form = snapshot.form || {};
+    if (!form.idField || !form.serviceType) {
+        return null;
+    }
+    return {
+        idField: form.idField,
+        serviceType: form.serviceType,
+        productType: form.productType,
+        serviceDate: form.serviceDateForm,
+        serviceTime: form.serviceTime,
+        contact: form.contactForm,
+        phone: form.phoneForm,
+        custRefNumber: form.custRefNumberForm,
+        instruction: form.instructionForm,
+        bypassWorkOrder: form.bypassworkorderForm
+    };
+};
+
+const rowsOf = (snapshot) => {
+    const formRow = formRowOf(snapshot);
+    return formRow ? [...(snapshot.rows || []), formRow] : [...(snapshot.rows || [])];
+};
+
+const normalize = (field, value) => {
+    if (field === 'bypassWorkOrder') {
+        return value === true || value === 'true';
+    }
+    return value === undefined || value === null ? '' : String(value);
+};
+
+const displayValue = (field, value) => {
+    const normalized = normalize(field, value);
+    if (field === 'bypassWorkOrder') {
+        return normalized ? 'Yes' : 'No';
+    }
+    return normalized === '' ? '(blank)' : normalized;
+};
+
+const rowLabel = (row) => {
+    return [row.serviceType, row.productType, row.serviceDate].filter((value) => value).join(' - ') || 'Quote Order';
+};
+
+/**
+ * Describe a draft against the saved quote orders
+ * @param {object} snapshot - Draft snapshot
+ * @param {Array<object>} savedOrders - Quote orders returned by getQuoteOrdersByQuoteLine
+ * @returns {object} { added, changed, skipped, hasChanges }
+ *   added: new orders in the draft
+ *   changed: saved orders with field differences ({ fields: [{ label, savedValue, draftValue }] })
+ *   skipped: draft orders whose saved record no longer exists
+ */
+const diffDraft = (snapshot, savedOrders) => {
+    const saved = new Map((savedOrders || []).map((order) => [order.idField, order]));
+    const added = [];
+    const changed = [];
+    const skipped = [];
+
+    rowsOf(snapshot).forEach((row) => {
+        const key = row.idField;
+        if (isNewQuoteOrder(row.idField)) {
+            added.push({ key, label: rowLabel(row) });
+            return;
+        }
+        const savedRow = saved.get(row.idField);
+        if (!savedRow) {
+            skipped.push({ key, label: rowLabel(row) });
+            return;
+        }
+        const fields = COMPARED_FIELDS.filter(
+            ({ field }) => normalize(field, row[field]) !== normalize(field, savedRow[field])
+        ).map(({ field, label }) => ({
+            key: field,
+            label,
+            savedValue: displayValue(field, savedRow[field]),
+            draftValue: displayValue(field, row[field])
+        }));
+        if (fields.length) {
+            changed.push({ key, label: rowLabel(savedRow), fields });
+        }
+    });
+
+    return {
+        added,
+        changed,
+        skipped,
+        hasChanges: added.length > 0 || changed.length > 0
+    };
+};
+
+/**
+ * Rebase a draft on the current saved quote orders before applying it.
+ * Draft entries for saved orders that no longer exist are dropped (including
+ * a create form holding one), and saved orders missing from the draft are kept.
+ * @param {object} snapshot - Draft snapshot
+ * @param {Array<object>} savedOrders - Quote orders returned by getQuoteOrdersByQuoteLine
+ * @returns {object} Snapshot to apply; form is null when the create form must be emptied
+ */
+const mergeDraft = (snapshot, savedOrders) => {
+    const saved = new Map((savedOrders || []).map((order) => [order.idField, order]));
+    const keep = (idField) => isNewQuoteOrder(idField) || saved.has(idField);
+
+    const merged = clone(snapshot);
+    merged.rows = (merged.rows || []).filter((row) => keep(row.idField));
+    merged.orders = (merged.orders || []).filter(([idField]) => keep(idField));
+    if (merged.form && merged.form.idField && !keep(merged.form.idField)) {
+        merged.form = null;
+    }
+
+    const inDraft = new Set(merged.rows.map((row) => row.idField));
+    if (merged.form && merged.form.idField) {
+        inDraft.add(merged.form.idField);
+    }
+    const inOrders = new Set(merged.orders.map(([idField]) => idField));
+    saved.forEach((order, idField) => {
+        if (!inDraft.has(idField)) {
+            merged.rows.push(clone(order));
+        }
+        if (!inOrders.has(idField)) {
+            merged.orders.push([idField, clone(order)]);
+        }
+    });
+    return merged;
+};
+
+export {
+    FORM_FIELDS,
+    snapshotOf,
+    createHistory,
+    saveDraft,
+    loadDraft,
+    clearDraft,
+    diffDraft,
+    mergeDraft
+};
@@ -0,0 +1,308 @@
+/**
+ * Quote Order Import
+ *
+ * Parsing, column mapping and validation of bulk quote order imports for
+ * quoteOrderComp. Rows come from an uploaded CSV file or from spreadsheet rows
+ * pasted as text (tab separated).
+ *
+ * Key Features:
+ * - RFC 4180 CSV parsing (quoted fields, escaped quotes, line breaks in quotes)
+ * - Tab separated input detected automatically for pasted spreadsheet rows
+ * - Header row detection and column mapping by header name, falling back to
+ *   the IMPORT_COLUMNS order when the first row is data
+ * - Per row validation returning every problem found, using the same
+ *   mandatory field rules as addRow and the service date rule table
+ *
+ * Usage:
+ *   const table = parseDelimited(text);
+ *   const mapping = guessMapping(table[0]);
+ *   const rows = toImportRows(table, mapping, hasHeaderRow(table[0]));
+ *   const results = rows.map((row) => validateImportRow(row, context));
+ */
+
+import { evaluateServiceDateRules } from './serviceDateRules';
+
+/**
+ * Importable quote order fields and the header names recognised for each
+ */
+const IMPORT_COLUMNS = [
+    { field: 'serviceType', label: 'Service Type', aliases: ['service type', 'service', 'servicetype'] },
+    { field: 'productType', label: 'Component', aliases: ['component', 'product type', 'product', 'producttype'] },
+    { field: 'serviceDate', label: 'Service Date', aliases: ['service date', 'date', 'servicedate'] },
+    { field: 'serviceTime', label: 'Service Window', aliases: ['service window', 'time span', 'service time', 'service time span', 'window'] },
+    { field: 'contact', label: 'Contact', aliases: ['contact', 'contact name'] },
+    { field: 'phone', label: 'Phone', aliases: ['phone', 'phone number', 'contact phone'] },
+    { field: 'instruction', label: 'Instructions', aliases: ['instructions', 'instruction', 'notes'] },
+    { field: 'custRefNumber', label: 'PO #', aliases: ['po #', 'po', 'po number', 'customer ref', 'cust ref no.', 'customer reference', 'cust ref'] }
+];
+
+const MAX_IMPORT_ROWS = 200;
+const INSTRUCTION_MAX_LENGTH = 244;
+
+const normalizeHeader = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Parse CSV or tab separated text into rows of cells
+ * @param {string} text - File content or pasted rows
+ * @returns {Array<Array<string>>} Rows with at least one non-blank cell
+ */
+const parseDelimited = (text) => {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = firstLine.includes('\t') ? '\t' : ',';
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter((cells) => cells.some((value) => !isBlank(value)));
+};
+
+/**
+ * A first row is a header when any cell matches a known column name
+ * @param {Array<string>} firstRow
+ * @returns {boolean}
+ */
+const hasHeaderRow = (firstRow) => {
+    return (firstRow || []).some((cell) =>
+        IMPORT_COLUMNS.some((column) => column.aliases.includes(normalizeHeader(cell)))
+    );
+};
+
+/**
+ * Map each import field to a column index
+ * @param {Array<string>} firstRow - First parsed row
+ * @returns {object} Field name to column index (-1 when not mapped)
+ */
+const guessMapping = (firstRow) => {
+    const mapping = {};
+    if (!hasHeaderRow(firstRow)) {
+        IMPORT_COLUMNS.forEach((column, index) => {
+            mapping[column.field] = index < (firstRow || []).length ? index : -1;
+        });
+        return mapping;
+    }
+    const headers = firstRow.map(normalizeHeader);
+    IMPORT_COLUMNS.forEach((column) => {
+        mapping[column.field] = headers.findIndex((header) => column.aliases.includes(header));
+    });
+    return mapping;
+};
+
+/**
+ * Apply a column mapping to parsed rows
+ * @param {Array<Array<string>>} table - Result of parseDelimited
+ * @param {object} mapping - Field name to column index
+ * @param {boolean} skipHeader - Drop the first row
+ * @returns {Array<object>} { lineNumber, values } where values holds trimmed field values
+ */
+const toImportRows = (table, mapping, skipHeader) => {
+    const offset = skipHeader ? 1 : 0;
+    return table.slice(offset, offset + MAX_IMPORT_ROWS).map((cells, index) => {
+        const values = {};
+        IMPORT_COLUMNS.forEach(({ field }) => {
+            const columnIndex = mapping[field];
+            values[field] = columnIndex >= 0 && columnIndex < cells.length ? String(cells[columnIndex]).trim() : '';
+        });
+        return { lineNumber: index + offset + 1, values };
+    });
+};
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Convert a date cell to YYYY-MM-DD
+ * Accepts YYYY-MM-DD, M/D/YYYY and M/D/YY.
+ * @param {string} value
+ * @returns {string|null} ISO date, or null when the value is not a valid date
+ */
+const normalizeDate = (value) => {
+    const text = String(value || '').trim();
+    let year;
+    let month;
+    let day;
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (match) {
+        [, year, month, day] = match.map(Number);
+    } else {
+        match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+        if (!match) {
+            return null;
+        }
+        [, month, day, year] = match.map(Number);
+        if (year < 100) {
+            year += 2000;
+        }
+    }
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return date.toISOString().slice(0, 10);
+};
+
+const findOption = (options, value) => {
+    const wanted = normalizeHeader(value);
+    return (options || []).find((option) => normalizeHeader(option) === wanted);
+};
+
+/**
+ * Validate an import row and build the quote order fields for it
+ * @param {object} importRow - { lineNumber, values } from toImportRows
+ * @param {object} context - Bundle data supplied by quoteOrderComp:
+ *   serviceTypes: Array<string> service types available on the bundle
+ *   componentsFor(serviceType): Array<string> components available for a service type
+ *   serviceTimes: Array<string> Service_Time_Span__c values
+ *   defaultServiceTime: string used when the service window is blank
+ *   isPOMandatory(serviceType, productType): boolean
+ *   resolveServiceLine(serviceType, productType): { quoteLineId, occurenceType, duration, startDate, endDate } or null
+ *   labels: custom labels used by the service date rules
+ *   serviceDateRules: service date rule table (ServiceDateRuleService.getServiceDateRules)
+ * @returns {object} { lineNumber, values, order, errors, warnings, isValid }
+ */
+const validateImportRow = (importRow, context) => {
+    const { values } = importRow;
+    const errors = [];
+    const warnings = [];
+    const order = {
+        contact: isBlank(values.contact) ? null : values.contact,
+        phone: isBlank(values.phone) ? null : values.phone,
+        instruction: isBlank(values.instruction) ? null : values.instruction,
+        custRefNumber: isBlank(values.custRefNumber) ? null : values.custRefNumber
+    };
+
+    order.serviceType = findOption(context.serviceTypes, values.serviceType);
+    if (isBlank(values.serviceType)) {
+        errors.push('Service Type is required.');
+    } else if (!order.serviceType) {
+        errors.push(`Service Type "${values.serviceType}" is not available for this product.`);
+    }
+
+    if (order.serviceType) {
+        order.productType = findOption(context.componentsFor(order.serviceType), values.productType);
+        if (isBlank(values.productType)) {
+            errors.push('Component is required.');
+        } else if (!order.productType) {
+            errors.push(`Component "${values.productType}" is not available for ${order.serviceType}.`);
+        }
+    }
+
+    order.serviceDate = normalizeDate(values.serviceDate);
+    if (isBlank(values.serviceDate)) {
+        errors.push('Service Date is required.');
+    } else if (!order.serviceDate) {
+        errors.push(`Service Date "${values.serviceDate}" is not a valid date (use YYYY-MM-DD or MM/DD/YYYY).`);
+    }
+
+    if (isBlank(values.serviceTime)) {
+        order.serviceTime = context.defaultServiceTime;
+    } else {
+        order.serviceTime = findOption(context.serviceTimes, values.serviceTime);
+        if (!order.serviceTime) {
+            errors.push(`Service Window "${values.serviceTime}" is not a valid value.`);
+        }
+    }
+
+    if (order.instruction && order.instruction.length > INSTRUCTION_MAX_LENGTH) {
+        errors.push(`Instructions cannot be longer than ${INSTRUCTION_MAX_LENGTH} characters.`);
+    }
+
+    if (order.serviceType && order.productType) {
+        // SDT-20110: customer ref is mandatory for some service & component combinations
+        if (context.isPOMandatory(order.serviceType, order.productType) && !order.custRefNumber) {
+            errors.push(`PO # is mandatory for '${order.serviceType}' Service and '${order.productType}' Component.`);
+        }
+        // SDT-20121 & SDT-20299: instructions are mandatory for delivery
+        if (order.serviceType === 'Delivery' && !order.instruction) {
+            errors.push(`Instructions are mandatory for '${order.serviceType}' Service.`);
+        }
+
+        const serviceLine = context.resolveServiceLine(order.serviceType, order.productType);
+        if (!serviceLine) {
+            errors.push(`No service line found for '${order.serviceType}' Service and '${order.productType}' Component.`);
+        } else {
+            order.quoteLineId = serviceLine.quoteLineId;
+            order.occurenceType = serviceLine.occurenceType;
+            order.duration = serviceLine.duration;
+            order.serviceLineStartDate = serviceLine.startDate;
+            order.serviceLineEndDate = serviceLine.endDate;
+            if (order.serviceDate) {
+                const ruleResult = evaluateServiceDateRules(
+                    {
+                        serviceType: order.serviceType,
+                        productType: order.productType,
+                        serviceDate: order.serviceDate,
+                        startDate: serviceLine.startDate,
+                        endDate: serviceLine.endDate
+                    },
+                    context.labels,
+                    context.serviceDateRules
+                );
+                if (ruleResult) {
+                    errors.push(...ruleResult.errors);
+                    warnings.push(...ruleResult.warnings);
+                }
+            }
+        }
+    }
+
+    return {
+        lineNumber: importRow.lineNumber,
+        values,
+        order,
+        errors,
+        warnings,
+        isValid: errors.length === 0
+    };
+};
+
+export {
+    IMPORT_COLUMNS,
+    MAX_IMPORT_ROWS,
+    parseDelimited,
+    hasHeaderRow,
+    guessMapping,
+    toImportRows,
+    normalizeDate,
+    validateImportRow
+};
@@ -0,0 +1,110 @@
+/**
+ * Service Date Rules
+ *
+ * Evaluates the service date rules of quote orders for the create form row and
+ * every row of the order table. The rule table is defined in Service_Date_Rule__mdt
+ * and loaded by quoteOrderComp through ServiceDateRuleService.getServiceDateRules.
+ *
+ * Each entry is keyed by service type and product type (component, '*' matches any).
+ * The most specific matching entry is used: an exact service type and product type
+ * beats an exact service type with any product, which beats '*' for both.
+ *
+ * Rule properties:
+ * - operator: equals | notEquals | onOrAfter | onOrBefore (service date compared to compareTo)
+ * - compareTo: startDate | endDate; the rule is skipped when that date is blank
+ * - when: optional condition on the row, e.g. { endDate: 'blank' } or { endDate: 'present' }
+ * - severity: error (blocks save) | warning (shown as a note)
+ * - label: custom label name resolved through the labels passed to evaluateServiceDateRules
+ * - message: fallback text when no label is given; {serviceType} and {productType} are replaced
+ *
+ * Usage:
+ *   const result = evaluateServiceDateRules(
+ *       { serviceType, productType, serviceDate, startDate, endDate },
+ *       { Pickup_Order_Error: pickupOrderError },
+ *       ruleTable
+ *   );
+ *   // null when no rule applies, otherwise { errors: [...], warnings: [...] }
+ */
+
+const WARNING = 'warning';
+const ANY = '*';
+
+const OPERATORS = {
+    equals: (value, compareTo) => value === compareTo,
+    notEquals: (value, compareTo) => value !== compareTo,
+    // ISO dates (YYYY-MM-DD) compare correctly as strings
+    onOrAfter: (value, compareTo) => value >= compareTo,
+    onOrBefore: (value, compareTo) => value <= compareTo
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const conditionMet = (when, row) => {
+    if (!when) {
+        return true;
+    }
+    return Object.keys(when).every((field) => (when[field] === 'blank' ? isBlank(row[field]) : !isBlank(row[field])));
+};
+
+/**
+ * Find the rule table entry for a service type and product type
+ * @param {string} serviceType
+ * @param {string} productType
+ * @param {Array<object>} ruleTable - Entries of getServiceDateRules
+ * @returns {object|undefined} Most specific matching entry
+ */
+const findRuleEntry = (serviceType, productType, ruleTable = []) => {
+    const specificity = (entry) => (entry.serviceType === ANY ? 0 : 2) + (entry.productType === ANY ? 0 : 1);
+    return ruleTable
+        .filter(
+            (entry) =>
+                (entry.serviceType === ANY || entry.serviceType === serviceType) &&
+                (entry.productType === ANY || entry.productType === productType)
+        )
+        .sort((a, b) => specificity(b) - specificity(a))[0];
+};
+
+const messageOf = (rule, row, labels) => {
+    const text = (rule.label && labels[rule.label]) || rule.message || rule.label || rule.name;
+    return text.replace('{serviceType}', row.serviceType || '').replace('{productType}', row.productType || '');
+};
+
+/**
+ * Evaluate every applicable rule for a quote order row
+ * @param {object} row - { serviceType, productType, serviceDate, startDate, endDate }
+ * @param {object} labels - Custom label name to label value
+ * @param {Array<object>} ruleTable - Entries of getServiceDateRules
+ * @returns {object|null} { errors, warnings } messages of all failing rules, or null when
+ *   the row is not ready to validate (no product type, start date or service date) or no rules apply
+ */
+const evaluateServiceDateRules = (row, labels = {}, ruleTable = []) => {
+    if (row.productType === undefined || isBlank(row.startDate) || isBlank(row.serviceDate)) {
+        return null;
+    }
+    const entry = findRuleEntry(row.serviceType, row.productType, ruleTable);
+    if (!entry) {
+        return null;
+    }
+
+    const result = { errors: [], warnings: [] };
+    entry.rules.forEach((rule) => {
+        const compareTo = row[rule.compareTo];
+        if (isBlank(compareTo) || !conditionMet(rule.when, row)) {
+            return;
+        }
+        const operator = OPERATORS[rule.operator];
+        if (!operator) {
+            throw new Error(`serviceDateRules: unsupported operator "${rule.operator}" in rule "${rule.name}"`);
+        }
+        if (!operator(row.serviceDate, compareTo)) {
+            const messages = rule.severity === WARNING ? result.warnings : result.errors;
+            const message = messageOf(rule, row, labels);
+            if (!messages.includes(message)) {
+                messages.push(message);
+            }
+        }
+    });
+    return result;
+};
+
+export { findRuleEntry, evaluateServiceDateRules };
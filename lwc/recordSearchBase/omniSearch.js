@@ -0,0 +1,198 @@
+/**
+ * Omni Search
+ *
+ * Ranks and groups the results of OmniSearchController.searchRecords for the omni
+ * search box of recordSearchBase.
+ *
+ * Key Features:
+ * - Typo tolerance: words within a small edit distance (Damerau-Levenshtein) still match
+ * - Phone / ZIP / account numbers compared by their digits, so formatting does not matter
+ *   ("(555) 123-4567" = "555.123.4567", "60601" matches "60601-1234")
+ * - Results grouped by record type, best group first, weak matches dropped
+ *
+ * Usage:
+ *   const groups = groupResults(rankResults(results, 'jonhson waste'));
+ */
+
+const RECORD_TYPES = {
+    location: { label: 'Locations', iconName: 'standard:account' },
+    vendor: { label: 'Vendors', iconName: 'standard:partner' },
+    client: { label: 'Clients', iconName: 'standard:client' },
+    contact: { label: 'Contacts', iconName: 'standard:contact' },
+    asset: { label: 'Assets', iconName: 'standard:asset_object' }
+};
+
+// Results below this score are dropped
+const MIN_SCORE = 0.5;
+
+// Fields compared as text with their weight; a match on the parent ranks below a match on the record
+const TEXT_FIELDS = { name: 1, accountNumber: 1, sid: 1, email: 0.9, subtitle: 0.8, parentName: 0.7 };
+// Fields compared as digits
+const DIGIT_FIELDS = ['phone', 'mobilePhone', 'postalCode', 'accountNumber', 'sid'];
+
+const normalizeText = (value) =>
+    String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+
+const digitsOf = (value) => String(value || '').replace(/\D/g, '');
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+/**
+ * Damerau-Levenshtein distance (optimal string alignment)
+ */
+const editDistance = (a, b) => {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const d = Array.from({ length: rows }, (row, i) => {
+        const line = new Array(cols).fill(0);
+        line[0] = i;
+        return line;
+    });
+    for (let j = 0; j < cols; j++) {
+        d[0][j] = j;
+    }
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[rows - 1][cols - 1];
+};
+
+/**
+ * How well a query word matches a word of a record, 0 to 1
+ */
+const wordScore = (queryWord, word) => {
+    if (word === queryWord) {
+        return 1;
+    }
+    if (word.startsWith(queryWord)) {
+        return 0.9;
+    }
+    // one typo in short words, two in longer ones
+    const allowed = queryWord.length <= 4 ? 1 : 2;
+    if (queryWord.length < 3 || Math.abs(word.length - queryWord.length) > allowed + 1) {
+        return 0;
+    }
+    const compared = word.length > queryWord.length ? word.substring(0, queryWord.length) : word;
+    const distance = Math.min(editDistance(queryWord, word), editDistance(queryWord, compared));
+    return distance <= allowed ? 0.9 - 0.15 * distance : 0;
+};
+
+/**
+ * How well the digits of the query match the digits of a phone, ZIP or number, 0 to 1
+ */
+const digitScore = (queryDigits, digits) => {
+    if (!digits || queryDigits.length < 3) {
+        return 0;
+    }
+    if (digits === queryDigits) {
+        return 1;
+    }
+    // country code or ZIP+4 on one side only
+    if (digits.endsWith(queryDigits) || queryDigits.endsWith(digits) || digits.startsWith(queryDigits)) {
+        return 0.95;
+    }
+    if (digits.includes(queryDigits)) {
+        return 0.8;
+    }
+    return queryDigits.length >= 7 && editDistance(queryDigits, digits) === 1 ? 0.7 : 0;
+};
+
+/**
+ * Score of a result for the query, 0 to 1
+ */
+const scoreResult = (result, query) => {
+    const queryDigits = digitsOf(query);
+    const queryText = normalizeText(query);
+    const isNumeric = queryDigits.length > 0 && queryDigits.length === queryText.replace(/\s/g, '').length;
+
+    let digitMatch = 0;
+    if (queryDigits.length >= 3) {
+        DIGIT_FIELDS.forEach((field) => {
+            digitMatch = Math.max(digitMatch, digitScore(queryDigits, digitsOf(result[field])));
+        });
+    }
+    if (isNumeric) {
+        return digitMatch;
+    }
+
+    const words = [];
+    Object.keys(TEXT_FIELDS).forEach((field) => {
+        normalizeText(result[field]).split(' ').filter(Boolean).forEach((word) => words.push({ word, weight: TEXT_FIELDS[field] }));
+    });
+    const queryWords = queryText.split(' ').filter(Boolean);
+    if (!queryWords.length || !words.length) {
+        return digitMatch;
+    }
+    const total = queryWords.reduce(
+        (sum, queryWord) => sum + Math.max(...words.map(({ word, weight }) => wordScore(queryWord, word) * weight)),
+        0
+    );
+    let score = total / queryWords.length;
+
+    // the whole query at the start of the name ranks first
+    if (normalizeText(result.name).startsWith(queryText)) {
+        score = Math.min(1, score + 0.1);
+    }
+    return Math.max(score, digitMatch);
+};
+
+// ============================================================================
+// RANKING
+// ============================================================================
+
+/**
+ * Results with their score, best first; weak matches dropped
+ * @param {Array<object>} results - OmniSearchResult of all record types
+ * @param {string} query - What the agent typed
+ */
+const rankResults = (results, query) => {
+    const seen = new Set();
+    return (results || [])
+        .filter((result) => {
+            const key = `${result.recordType}:${result.id}`;
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        })
+        .map((result) => ({ ...result, score: scoreResult(result, query) }))
+        .filter((result) => result.score >= MIN_SCORE)
+        .sort((a, b) => b.score - a.score || String(a.name).localeCompare(String(b.name)));
+};
+
+/**
+ * Ranked results grouped by record type; the group with the best result comes first
+ * @returns {Array<object>} { recordType, label, iconName, results }
+ */
+const groupResults = (rankedResults, maxPerGroup = 5) => {
+    const groups = [];
+    (rankedResults || []).forEach((result) => {
+        let group = groups.find((g) => g.recordType === result.recordType);
+        if (!group) {
+            const config = RECORD_TYPES[result.recordType] || { label: result.recordType, iconName: 'standard:record' };
+            group = { recordType: result.recordType, label: config.label, iconName: config.iconName, results: [], total: 0 };
+            groups.push(group);
+        }
+        group.total += 1;
+        if (group.results.length < maxPerGroup) {
+            group.results.push(result);
+        }
+    });
+    return groups;
+};
+
+export { RECORD_TYPES, normalizeText, digitsOf, editDistance, scoreResult, rankResults, groupResults };
@@ -11,11 +11,19 @@
  * @property {Boolean} showCreateNew - Whether to show "Create New" button
  * @property {String} createNewLabel - Label for create new button
  * @property {Boolean} showPagination - Whether to show pagination controls
+ * @property {Boolean} enableOmniSearch - Whether to show the omni search box, which searches
+ *           locations, vendors, clients, contacts and assets at once (see omniSearch)
  */
 import { LightningElement, api } from 'lwc';
+import searchRecords from '@salesforce/apex/OmniSearchController.searchRecords';
+import { RECORD_TYPES, rankResults, groupResults } from './omniSearch';
 
 const PAGE_SIZE = 10;
 
+// Wait after the last keystroke before the omni search runs
+const OMNI_SEARCH_DELAY = 300;
+const OMNI_MIN_LENGTH = 2;
+
 export default class RecordSearchBase extends LightningElement {
     /**
      * @description Title for the search card
@@ -59,6 +67,49 @@ export default class RecordSearchBase extends LightningElement {
      */
     @api showPagination = true;
 
+    /**
+     * @description Whether to show the omni search box
+     */
+    @api enableOmniSearch = false;
+
+    /**
+     * @description Record types searched by the omni search box
+     */
+    @api omniRecordTypes = Object.keys(RECORD_TYPES);
+
+    /**
+     * @description Location to limit omni search asset results to
+     */
+    @api omniLocationId;
+
+    /**
+     * @description Omni search text
+     */
+    omniQuery = '';
+
+    /**
+     * @description Omni search results grouped by record type
+     */
+    omniGroups = [];
+
+    /**
+     * @description Whether the omni search is running
+     */
+    isOmniSearching = false;
+
+    /**
+     * @description Whether an omni search has been performed
+     */
+    omniSearchPerformed = false;
+
+    /**
+     * @description Record types whose omni search failed
+     */
+    omniFailedTypes = [];
+
+    omniSearchTimeout;
+    omniSearchSequence = 0;
+
     /**
      * @description Search results
      */
@@ -132,6 +183,131 @@ export default class RecordSearchBase extends LightningElement {
         return this.currentPage === this.totalPages;
     }
 
+    /**
+     * @description Computed property - whether there are omni search results
+     */
+    get hasOmniResults() {
+        return this.omniGroups.length > 0;
+    }
+
+    /**
+     * @description Computed property - whether to show the omni no results message
+     */
+    get showOmniNoResults() {
+        return this.omniSearchPerformed && !this.isOmniSearching && this.omniGroups.length === 0;
+    }
+
+    /**
+     * @description Computed property - record types the omni search could not search
+     */
+    get omniFailedMessage() {
+        if (!this.omniFailedTypes.length) {
+            return '';
+        }
+        const labels = this.omniFailedTypes.map(type => (RECORD_TYPES[type] ? RECORD_TYPES[type].label : type));
+        return `Could not search ${labels.join(', ')}`;
+    }
+
+    /**
+     * @description Handle omni search text change; searches once typing pauses
+     * @param {Event} event - Change event
+     */
+    handleOmniQueryChange(event) {
+        this.omniQuery = event.target.value || '';
+        clearTimeout(this.omniSearchTimeout);
+
+        if (this.omniQuery.trim().length < OMNI_MIN_LENGTH) {
+            this.clearOmniSearch();
+            return;
+        }
+        this.omniSearchTimeout = setTimeout(() => this.runOmniSearch(this.omniQuery.trim()), OMNI_SEARCH_DELAY);
+    }
+
+    /**
+     * @description Handle omni search result click
+     * @param {Event} event - Click event
+     */
+    handleOmniResultClick(event) {
+        const { id, type } = event.currentTarget.dataset;
+        const group = this.omniGroups.find(g => g.recordType === type);
+        const record = group ? group.results.find(r => r.id === id) : null;
+        if (!record) {
+            return;
+        }
+        this.dispatchEvent(new CustomEvent('omniselect', {
+            detail: {
+                recordType: type,
+                recordId: id,
+                record: record
+            }
+        }));
+        this.omniQuery = '';
+        this.clearOmniSearch();
+    }
+
+    /**
+     * @description Pick an omni search result with the keyboard
+     * @param {Event} event - Keydown event
+     */
+    handleOmniResultKeyDown(event) {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            this.handleOmniResultClick(event);
+        }
+    }
+
+    /**
+     * @description Search all record types in parallel, then rank and group the results
+     * @param {String} query - Omni search text
+     */
+    runOmniSearch(query) {
+        const sequence = ++this.omniSearchSequence;
+        const failedTypes = [];
+        this.isOmniSearching = true;
+
+        const searches = this.omniRecordTypes.map(recordType =>
+            searchRecords({ recordType, searchTerm: query, locationId: this.omniLocationId || null })
+                .catch(error => {
+                    // one failing type must not hide the results of the others
+                    console.error(`Omni search of ${recordType} failed:`, error);
+                    failedTypes.push(recordType);
+                    return [];
+                })
+        );
+
+        Promise.all(searches)
+            .then(resultLists => {
+                // a newer search has started meanwhile
+                if (sequence !== this.omniSearchSequence) {
+                    return;
+                }
+                const ranked = rankResults([].concat(...resultLists), query);
+                this.omniGroups = groupResults(ranked).map(group => ({
+                    ...group,
+                    moreText: group.total > group.results.length ? `+${group.total - group.results.length} more` : ''
+                }));
+                this.omniFailedTypes = failedTypes;
+                this.omniSearchPerformed = true;
+            })
+            .finally(() => {
+                if (sequence === this.omniSearchSequence) {
+                    this.isOmniSearching = false;
+                }
+            });
+    }
+
+    /**
+     * @description Clear the omni search results
+     */
+    clearOmniSearch() {
+        clearTimeout(this.omniSearchTimeout);
+        this.omniSearchSequence++;
+        this.omniGroups = [];
+        this.omniFailedTypes = [];
+        this.omniSearchPerformed = false;
+        this.isOmniSearching = false;
+    }
+
     /**
      * @description Handle search field change
      * @param {Event} event - Change event
@@ -391,6 +567,21 @@ export default class RecordSearchBase extends LightningElement {
         this.handleSearch();
     }
 
+    /**
+     * @description Public API to move focus into the omni search box, or the first search field
+     * @returns {Boolean} Whether a search field was focused
+     */
+    @api
+    focusSearch() {
+        const input = this.template.querySelector('lightning-input[data-omni]') ||
+            this.template.querySelector('lightning-input[data-field]');
+        if (input) {
+            input.focus();
+            return true;
+        }
+        return false;
+    }
+
     /**
      * @description Public API to clear search
      */
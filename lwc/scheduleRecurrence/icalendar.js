@@ -0,0 +1,132 @@
+/**
+ * iCalendar Export
+ *
+ * Writes expanded service dates as an RFC 5545 calendar (.ics) that customers can import into
+ * Outlook, Google Calendar or any other calendar application.
+ *
+ * Key Features:
+ * - One all-day VEVENT per service date, so the calendar shows the dates WM actually plans
+ *   rather than a rule the customer's calendar might expand differently
+ * - Stable UIDs per schedule and date: importing a newer export updates the events
+ * - Optional per-date notes (e.g. holiday or blackout) appended to the description
+ * - The schedule RRULE is kept as X-WM-RRULE for systems that want the rule itself
+ * - Text escaping and 75 octet line folding as required by RFC 5545
+ *
+ * Usage:
+ *   const ics = buildIcs(dates, { uid: quoteLineId, summary: 'Container service', rrule });
+ *   downloadIcs(ics, 'Service Schedule');
+ */
+
+import { downloadFile } from 'c/fileDownload';
+import { pad, toIsoDate, addDays } from './recurrence';
+
+const ICS_MIME_TYPE = 'text/calendar;charset=utf-8';
+const PRODUCT_ID = '-//Waste Management//Service Schedule//EN';
+const MAX_LINE_OCTETS = 75;
+
+const toIcsDate = (date) => `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+
+const toIcsTimestamp = (date) =>
+    `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+/**
+ * TEXT value escaping (RFC 5545 3.3.11)
+ */
+const escapeText = (value) =>
+    String(value == null ? '' : value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+
+/**
+ * Content line folded after 75 octets, continuation lines start with a space
+ */
+const foldLine = (line) => {
+    const encoder = new TextEncoder();
+    const folded = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        const limit = folded.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+        if (octets + size > limit) {
+            folded.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    folded.push(current);
+    return folded.join('\r\n ');
+};
+
+const uidBaseOf = (uid) => String(uid || 'service-schedule').replace(/[^A-Za-z0-9-]/g, '');
+
+/**
+ * iCalendar text of the service dates
+ * @param {Array<Date>} dates - Service dates (expandRecurrence result)
+ * @param {object} [options]
+ * @param {string} [options.uid] - Schedule id (e.g. the quote line id), base of the event UIDs
+ * @param {string} [options.calendarName] - X-WR-CALNAME of the calendar
+ * @param {string} [options.summary] - Event title
+ * @param {string} [options.description] - Event description
+ * @param {string} [options.location] - Event location, e.g. the service address
+ * @param {string} [options.rrule] - Rule of the schedule, written as X-WM-RRULE
+ * @param {object} [options.notes] - Extra description lines by yyyy-MM-dd
+ * @param {Date} [options.timestamp] - DTSTAMP, defaults to now
+ * @returns {string} CRLF separated calendar
+ */
+const buildIcs = (dates, options = {}) => {
+    const stamp = toIcsTimestamp(options.timestamp || new Date());
+    const uidBase = uidBaseOf(options.uid);
+    const notes = options.notes || {};
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODUCT_ID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+    if (options.calendarName) {
+        lines.push(`X-WR-CALNAME:${escapeText(options.calendarName)}`);
+    }
+    if (options.rrule) {
+        lines.push(`X-WM-RRULE:${options.rrule}`);
+    }
+    (dates || []).forEach((date) => {
+        const iso = toIsoDate(date);
+        const description = [options.description, notes[iso]].filter(Boolean).join('\n');
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${uidBase}-${toIcsDate(date)}@wm.com`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${toIcsDate(date)}`,
+            `DTEND;VALUE=DATE:${toIcsDate(addDays(date, 1))}`,
+            `SUMMARY:${escapeText(options.summary || 'Service')}`,
+            'TRANSP:TRANSPARENT'
+        );
+        if (description) {
+            lines.push(`DESCRIPTION:${escapeText(description)}`);
+        }
+        if (options.location) {
+            lines.push(`LOCATION:${escapeText(options.location)}`);
+        }
+        lines.push('END:VEVENT');
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+const fileNameOf = (name) => {
+    const base = String(name || 'Service Schedule')
+        .replace(/\.ics$/i, '')
+        .replace(/[\\/:*?"<>|]/g, ' ')
+        .trim();
+    return `${base || 'Service Schedule'}.ics`;
+};
+
+/**
+ * Download the calendar text as a .ics file
+ */
+const downloadIcs = (ics, fileName) => {
+    downloadFile(ics, ICS_MIME_TYPE, fileNameOf(fileName));
+};
+
+export { ICS_MIME_TYPE, escapeText, foldLine, buildIcs, downloadIcs };
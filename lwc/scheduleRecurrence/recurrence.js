@@ -0,0 +1,368 @@
+/**
+ * Schedule Recurrence
+ *
+ * Expands the schedule built in the ServiceScheduler or flowDaysofWeek (daily, weekly, monthly,
+ * yearly) into concrete service dates and lays them out as month calendars for serviceSchedulePreview.
+ *
+ * Key Features:
+ * - Same options as the scheduler: every N days, every weekday, every N weeks on service days,
+ *   every N months, day X of every N months, "first Tuesday" (or day, weekday, weekend day) of
+ *   every N months, every N years
+ * - Flags per date: holiday, blackout, conflict with the WM service days of the asset
+ *   (serviceDaysList of checkServiceDay) and outside the quote line term
+ * - Dates are local dates; ISO strings (yyyy-MM-dd) are used as keys
+ *
+ * Recurrence: { type, interval, weekDays, dayOfMonth, relativeInterval, relativeDay }
+ *   type: daily | weekdays | weekly | monthly | monthlyDate | monthlyRelative | yearly
+ *   weekDays: scheduler day codes M, T, W, T1, F, S, S1
+ *
+ * Usage:
+ *   const dates = expandRecurrence(recurrence, anchorDate, endDate);
+ *   const preview = buildPreview(dates, { fromDate, toDate, holidays, blackouts, serviceDays, termStart, termEnd });
+ */
+
+const MAX_PREVIEW_DATES = 500;
+
+// Scheduler day codes (weekDaysOptions of ServiceScheduler) => Date.getDay()
+const DAY_CODES = { S1: 0, M: 1, T: 2, W: 3, T1: 4, F: 5, S: 6 };
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_SHORT_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+const RELATIVE_INSTANCES = { first: 1, second: 2, third: 3, fourth: 4, last: -1 };
+
+const FLAG_LABELS = {
+    holiday: 'Holiday',
+    blackout: 'Blackout',
+    conflict: 'Not a WM service day',
+    outsideTerm: 'Outside quote line term'
+};
+
+// ============================================================================
+// DATES
+// ============================================================================
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * yyyy-MM-dd of a local date
+ */
+const toIsoDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * Local date of yyyy-MM-dd (time part ignored); null when blank or invalid
+ */
+const parseIsoDate = (value) => {
+    if (!value) {
+        return null;
+    }
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+    return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+};
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/**
+ * Same day of another month, moved back to the last day of short months
+ */
+const addMonths = (date, months, day = date.getDate()) => {
+    const first = new Date(date.getFullYear(), date.getMonth() + months, 1);
+    const lastDay = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+    return new Date(first.getFullYear(), first.getMonth(), Math.min(day, lastDay));
+};
+
+const startOfWeek = (date) => addDays(date, -date.getDay());
+
+/**
+ * Days of the week (Date.getDay()) a month relative day stands for:
+ * "Day" is any day, "Weekday" Monday to Friday, "Weekend Day" Saturday and Sunday
+ */
+const relativeWeekdaysOf = (relativeDay) => {
+    const dayName = String(relativeDay || '').toLowerCase();
+    if (dayName === 'day') {
+        return [0, 1, 2, 3, 4, 5, 6];
+    }
+    if (dayName === 'weekday') {
+        return [1, 2, 3, 4, 5];
+    }
+    if (dayName === 'weekend day') {
+        return [0, 6];
+    }
+    const weekday = DAY_NAMES.findIndex((name) => name.toLowerCase() === dayName);
+    return weekday < 0 ? [] : [weekday];
+};
+
+/**
+ * Nth weekday of a month, e.g. the first Tuesday; relativeDay "Day" is the nth day of the month
+ */
+const relativeDateOf = (year, month, relativeInterval, relativeDay) => {
+    const nth = RELATIVE_INSTANCES[String(relativeInterval || '').toLowerCase()];
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    const weekdays = relativeWeekdaysOf(relativeDay);
+    if (!nth || !weekdays.length) {
+        return null;
+    }
+    const matches = [];
+    for (let day = 1; day <= lastDay; day++) {
+        const date = new Date(year, month, day);
+        if (weekdays.includes(date.getDay())) {
+            matches.push(date);
+        }
+    }
+    if (nth === -1) {
+        return matches[matches.length - 1];
+    }
+    return matches[nth - 1] || null;
+};
+
+// ============================================================================
+// RECURRENCE
+// ============================================================================
+
+const intervalOf = (recurrence) => {
+    const interval = parseInt(recurrence.interval, 10);
+    return interval > 0 ? interval : 1;
+};
+
+/**
+ * Whether the recurrence has everything needed to produce dates
+ */
+const isComplete = (recurrence) => {
+    if (!recurrence || !recurrence.type) {
+        return false;
+    }
+    switch (recurrence.type) {
+        case 'weekly':
+            return Array.isArray(recurrence.weekDays) && recurrence.weekDays.some((code) => code in DAY_CODES);
+        case 'monthlyDate':
+            return parseInt(recurrence.dayOfMonth, 10) > 0;
+        case 'monthlyRelative':
+            return Boolean(recurrence.relativeInterval && recurrence.relativeDay);
+        default:
+            return ['daily', 'weekdays', 'monthly', 'yearly'].includes(recurrence.type);
+    }
+};
+
+/**
+ * Service dates of a recurrence from the anchor (first possible service date) to the end date
+ * @param {object} recurrence - See header
+ * @param {Date} anchorDate - Start of the schedule; every N days/weeks/months/years counts from here
+ * @param {Date} endDate - Last previewed date
+ * @returns {Array<Date>} Sorted dates, at most MAX_PREVIEW_DATES
+ */
+const expandRecurrence = (recurrence, anchorDate, endDate) => {
+    const dates = [];
+    if (!isComplete(recurrence) || !anchorDate || !endDate || anchorDate > endDate) {
+        return dates;
+    }
+    const interval = intervalOf(recurrence);
+    const push = (date) => {
+        if (date && date >= anchorDate && date <= endDate && dates.length < MAX_PREVIEW_DATES) {
+            dates.push(date);
+        }
+    };
+
+    switch (recurrence.type) {
+        case 'daily':
+            for (let date = anchorDate; date <= endDate && dates.length < MAX_PREVIEW_DATES; date = addDays(date, interval)) {
+                push(date);
+            }
+            break;
+        case 'weekdays':
+            for (let date = anchorDate; date <= endDate && dates.length < MAX_PREVIEW_DATES; date = addDays(date, 1)) {
+                if (date.getDay() !== 0 && date.getDay() !== 6) {
+                    push(date);
+                }
+            }
+            break;
+        case 'weekly': {
+            const days = recurrence.weekDays.filter((code) => code in DAY_CODES).map((code) => DAY_CODES[code]);
+            for (let week = startOfWeek(anchorDate); week <= endDate; week = addDays(week, 7 * interval)) {
+                [...days].sort().forEach((day) => push(addDays(week, day)));
+            }
+            break;
+        }
+        case 'monthly':
+        case 'monthlyDate':
+        case 'monthlyRelative': {
+            const day = recurrence.type === 'monthlyDate' ? parseInt(recurrence.dayOfMonth, 10) : anchorDate.getDate();
+            const dateOfMonth = (months) => {
+                if (recurrence.type !== 'monthlyRelative') {
+                    return addMonths(anchorDate, months, day);
+                }
+                const month = addMonths(anchorDate, months, 1);
+                return relativeDateOf(month.getFullYear(), month.getMonth(), recurrence.relativeInterval, recurrence.relativeDay);
+            };
+            // The schedule starts next month when this month's service day has passed
+            const first = dateOfMonth(0) && dateOfMonth(0) < anchorDate ? 1 : 0;
+            for (let months = first; addMonths(anchorDate, months, 1) <= endDate; months += interval) {
+                push(dateOfMonth(months));
+            }
+            break;
+        }
+        case 'yearly':
+            for (let years = 0; addMonths(anchorDate, years * 12) <= endDate; years += interval) {
+                push(addMonths(anchorDate, years * 12));
+            }
+            break;
+        default:
+    }
+    return dates;
+};
+
+/**
+ * Plain text of a recurrence, e.g. "Every 2 weeks on Monday, Wednesday"
+ */
+const describeRecurrence = (recurrence) => {
+    if (!isComplete(recurrence)) {
+        return '';
+    }
+    const interval = intervalOf(recurrence);
+    const every = (unit) => (interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`);
+    switch (recurrence.type) {
+        case 'daily':
+            return every('day');
+        case 'weekdays':
+            return 'Every weekday';
+        case 'weekly':
+            return `${every('week')} on ${recurrence.weekDays
+                .filter((code) => code in DAY_CODES)
+                .map((code) => DAY_NAMES[DAY_CODES[code]])
+                .join(', ')}`;
+        case 'monthly':
+            return every('month');
+        case 'monthlyDate':
+            return `${every('month')} on day ${recurrence.dayOfMonth}`;
+        case 'monthlyRelative':
+            return `${every('month')} on the ${String(recurrence.relativeInterval).toLowerCase()} ${recurrence.relativeDay}`;
+        case 'yearly':
+            return every('year');
+        default:
+            return '';
+    }
+};
+
+// ============================================================================
+// PREVIEW
+// ============================================================================
+
+/**
+ * Flags of a service date
+ * @returns {Array<object>} { type, label, detail }
+ */
+const flagsOf = (date, context) => {
+    const iso = toIsoDate(date);
+    const flags = [];
+    (context.holidays || [])
+        .filter((holiday) => holiday.date === iso)
+        .forEach((holiday) => flags.push({ type: 'holiday', label: FLAG_LABELS.holiday, detail: holiday.name }));
+    (context.blackouts || [])
+        .filter((blackout) => blackout.startDate <= iso && blackout.endDate >= iso)
+        .forEach((blackout) => flags.push({ type: 'blackout', label: FLAG_LABELS.blackout, detail: blackout.reason }));
+    const serviceDays = context.serviceDays || [];
+    if (serviceDays.length) {
+        const code = Object.keys(DAY_CODES).find((key) => DAY_CODES[key] === date.getDay());
+        if (!serviceDays.includes(code)) {
+            flags.push({ type: 'conflict', label: FLAG_LABELS.conflict, detail: DAY_NAMES[date.getDay()] });
+        }
+    }
+    if ((context.termStart && iso < context.termStart) || (context.termEnd && iso > context.termEnd)) {
+        flags.push({
+            type: 'outsideTerm',
+            label: FLAG_LABELS.outsideTerm,
+            detail: [context.termStart, context.termEnd].filter(Boolean).join(' to ')
+        });
+    }
+    return flags;
+};
+
+/**
+ * Month calendars of the previewed range with the service dates and their flags
+ * @param {Array<Date>} dates - expandRecurrence result
+ * @param {object} context - { fromDate, toDate, holidays [{date, name}], blackouts [{startDate, endDate, reason}],
+ *        serviceDays, termStart, termEnd } (all dates yyyy-MM-dd except fromDate/toDate)
+ * @returns {object} { months, flaggedDates, summary: { total, flagCounts } }
+ */
+const buildPreview = (dates, context) => {
+    const serviceDates = new Map(dates.map((date) => [toIsoDate(date), flagsOf(date, context)]));
+    const holidayNames = new Map((context.holidays || []).map((holiday) => [holiday.date, holiday.name]));
+    const months = [];
+
+    for (let month = new Date(context.fromDate.getFullYear(), context.fromDate.getMonth(), 1);
+        month <= context.toDate;
+        month = addMonths(month, 1, 1)) {
+        const weeks = [];
+        const lastDay = new Date(month.getFullYear(), month.getMonth() + 1, 0);
+        for (let week = startOfWeek(month); week <= lastDay; week = addDays(week, 7)) {
+            const days = [];
+            for (let offset = 0; offset < 7; offset++) {
+                const date = addDays(week, offset);
+                const iso = toIsoDate(date);
+                const inMonth = date.getMonth() === month.getMonth();
+                const flags = inMonth ? serviceDates.get(iso) : undefined;
+                const isService = flags !== undefined;
+                const cssClass = ['preview-day'];
+                if (!inMonth) cssClass.push('preview-day_blank');
+                if (isService) cssClass.push(flags.length ? `preview-day_service preview-day_${flags[0].type}` : 'preview-day_service');
+                if (inMonth && !isService && holidayNames.has(iso)) cssClass.push('preview-day_holiday-only');
+                days.push({
+                    key: iso,
+                    day: inMonth ? date.getDate() : '',
+                    isService,
+                    cssClass: cssClass.join(' '),
+                    title: isService
+                        ? ['Service', ...flags.map((flag) => `${flag.label}${flag.detail ? ': ' + flag.detail : ''}`)].join(' - ')
+                        : (inMonth && holidayNames.get(iso)) || ''
+                });
+            }
+            weeks.push({ key: toIsoDate(week), days });
+        }
+        months.push({
+            key: toIsoDate(month),
+            label: `${MONTH_NAMES[month.getMonth()]} ${month.getFullYear()}`,
+            weeks
+        });
+    }
+
+    const flaggedDates = [...serviceDates.entries()]
+        .filter(([, flags]) => flags.length)
+        .map(([iso, flags]) => {
+            const date = parseIsoDate(iso);
+            return {
+                key: iso,
+                label: `${DAY_SHORT_NAMES[date.getDay()]} ${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${date.getFullYear()}`,
+                reasons: flags.map((flag) => `${flag.label}${flag.detail ? ' (' + flag.detail + ')' : ''}`).join(', ')
+            };
+        });
+
+    const flagCounts = {};
+    Object.keys(FLAG_LABELS).forEach((type) => {
+        flagCounts[type] = [...serviceDates.values()].filter((flags) => flags.some((flag) => flag.type === type)).length;
+    });
+    return {
+        months,
+        flaggedDates,
+        summary: { total: serviceDates.size, flagCounts }
+    };
+};
+
+export {
+    MAX_PREVIEW_DATES,
+    DAY_CODES,
+    DAY_NAMES,
+    DAY_SHORT_NAMES,
+    RELATIVE_INSTANCES,
+    FLAG_LABELS,
+    pad,
+    toIsoDate,
+    parseIsoDate,
+    addDays,
+    addMonths,
+    relativeWeekdaysOf,
+    isComplete,
+    expandRecurrence,
+    describeRecurrence,
+    buildPreview
+};
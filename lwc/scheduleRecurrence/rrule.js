@@ -0,0 +1,639 @@
+/**
+ * Recurrence Rules
+ *
+ * Converts the scheduler recurrence (see recurrence.js) to and from RFC 5545 RRULE strings and
+ * maps it onto the two scheduler UIs: the quote line fields of ServiceScheduler and the
+ * attributes of the flowDaysofWeek flow screen.
+ *
+ * Key Features:
+ * - toRRule / fromRRule: FREQ, INTERVAL, BYDAY (with ordinals such as 1TU or -1FR), BYMONTHDAY,
+ *   BYSETPOS, UNTIL and COUNT; DTSTART is read from the rule text when present
+ * - Rules the schedulers cannot express (hourly, several month days, BYMONTH, ...) are rejected
+ *   with a RecurrenceRuleError instead of being approximated
+ * - quoteLineScheduleOf / recurrenceOfQuoteLine: Occurrence_Type__c, Schedule_Frequency__c,
+ *   Frequency_Interval__c, Service_Days__c, Day_of_Month__c, Month_Relative_Interval__c, Month_Relative__c
+ * - flowScheduleOf / recurrenceOfFlow: button states, frequencies and day checkboxes of flowDaysofWeek
+ *
+ * Mapping:
+ *   daily           FREQ=DAILY;INTERVAL=n
+ *   weekdays        FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR
+ *   weekly          FREQ=WEEKLY;INTERVAL=n;BYDAY=MO,WE,FR
+ *   monthly         FREQ=MONTHLY;INTERVAL=n
+ *   monthlyDate     FREQ=MONTHLY;INTERVAL=n;BYMONTHDAY=15 (31: BYMONTHDAY=-1, 29/30: BYMONTHDAY=28,29,30;BYSETPOS=-1)
+ *   monthlyRelative FREQ=MONTHLY;INTERVAL=n;BYDAY=-1FR (day: BYMONTHDAY, weekday: BYDAY=MO..FR;BYSETPOS)
+ *   yearly          FREQ=YEARLY;INTERVAL=n
+ *
+ * Usage:
+ *   const rrule = toRRule({ type: 'weekly', interval: 2, weekDays: ['M', 'F'] });
+ *   const { recurrence, startDate, until, count } = fromRRule('RRULE:FREQ=MONTHLY;BYDAY=1TU');
+ */
+
+import { DAY_CODES, RELATIVE_INSTANCES, pad, isComplete } from './recurrence';
+
+// Scheduler day codes <=> RFC 5545 weekdays
+const RRULE_DAYS = { M: 'MO', T: 'TU', W: 'WE', T1: 'TH', F: 'FR', S: 'SA', S1: 'SU' };
+const DAY_CODE_ORDER = ['M', 'T', 'W', 'T1', 'F', 'S', 'S1'];
+const RRULE_DAY_NAMES = {
+    SU: 'Sunday',
+    MO: 'Monday',
+    TU: 'Tuesday',
+    WE: 'Wednesday',
+    TH: 'Thursday',
+    FR: 'Friday',
+    SA: 'Saturday'
+};
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR'];
+const WEEKEND_DAYS = ['SA', 'SU'];
+const RELATIVE_NAMES = { 1: 'First', 2: 'Second', 3: 'Third', 4: 'Fourth', '-1': 'Last' };
+// Days every month has; later month days move back to the last day of shorter months
+const SHORTEST_MONTH_DAYS = 28;
+
+const FREQUENCIES = { daily: 'DAILY', weekdays: 'DAILY', weekly: 'WEEKLY', yearly: 'YEARLY' };
+const SUPPORTED_PARTS = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'BYSETPOS', 'UNTIL', 'COUNT', 'WKST'];
+
+// Schedule_Frequency__c of the quote line
+const QUOTE_LINE_FREQUENCIES = { daily: 'D', weekdays: 'D', weekly: 'W', yearly: 'Y' };
+const SCHEDULED_OCCURRENCE = 'SCH';
+
+// flowDaysofWeek weekday checkboxes by scheduler day code
+const FLOW_DAY_ATTRIBUTES = {
+    M: 'chkMonday',
+    T: 'chkTuesday',
+    W: 'chkWednesday',
+    T1: 'chkThursday',
+    F: 'chkFriday',
+    S: 'chkSaturday',
+    S1: 'chkSunday'
+};
+const FLOW_BUTTON_STATES = [
+    'EDbuttonstate',
+    'EWDbuttonstate',
+    'Wbuttonstate',
+    'EMbuttonstate',
+    'SMDbuttonstate',
+    'SWMbuttonstate',
+    'EYbuttonstate',
+    'SMDYbuttonstate',
+    'SRMYbuttonstate'
+];
+
+/**
+ * Rule that is not valid RFC 5545 or cannot be expressed by the schedulers
+ */
+class RecurrenceRuleError extends Error {
+    constructor(message, rule) {
+        super(rule ? `${message} in "${rule}"` : message);
+        this.name = 'RecurrenceRuleError';
+        this.rule = rule;
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const intervalOf = (value) => {
+    const interval = parseInt(value, 10);
+    return interval > 0 ? interval : 1;
+};
+
+const sortDayCodes = (codes) =>
+    DAY_CODE_ORDER.filter((code) => codes.includes(code));
+
+const sameDays = (days, expected) =>
+    days.length === expected.length && expected.every((day) => days.includes(day));
+
+/**
+ * yyyyMMdd of a yyyy-MM-dd string or local date
+ */
+const toRRuleDate = (value) => {
+    if (value instanceof Date) {
+        return `${value.getFullYear()}${pad(value.getMonth() + 1)}${pad(value.getDate())}`;
+    }
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || ''));
+    return match ? `${match[1]}${match[2]}${match[3]}` : null;
+};
+
+/**
+ * yyyy-MM-dd of an RFC 5545 DATE or DATE-TIME (time and zone dropped)
+ */
+const fromRRuleDate = (value, rule) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value);
+    if (!match) {
+        throw new RecurrenceRuleError(`Invalid date ${value}`, rule);
+    }
+    return `${match[1]}-${match[2]}-${match[3]}`;
+};
+
+// ============================================================================
+// RECURRENCE => RRULE
+// ============================================================================
+
+/**
+ * BYDAY/BYMONTHDAY/BYSETPOS parts of a month relative day
+ */
+const relativeParts = (recurrence) => {
+    const nth = RELATIVE_INSTANCES[String(recurrence.relativeInterval).toLowerCase()];
+    const dayName = String(recurrence.relativeDay).toLowerCase();
+    const day = Object.keys(RRULE_DAY_NAMES).find((key) => RRULE_DAY_NAMES[key].toLowerCase() === dayName);
+    if (!nth || (!day && !['day', 'weekday', 'weekend day'].includes(dayName))) {
+        throw new RecurrenceRuleError(`Unsupported month relative day "${recurrence.relativeInterval} ${recurrence.relativeDay}"`);
+    }
+    if (dayName === 'day') {
+        return [`BYMONTHDAY=${nth}`];
+    }
+    if (dayName === 'weekday') {
+        return [`BYDAY=${WEEKDAYS.join(',')}`, `BYSETPOS=${nth}`];
+    }
+    if (dayName === 'weekend day') {
+        return [`BYDAY=${WEEKEND_DAYS.join(',')}`, `BYSETPOS=${nth}`];
+    }
+    return [`BYDAY=${nth}${day}`];
+};
+
+/**
+ * BYMONTHDAY/BYSETPOS parts of a day of the month. The schedule moves days past the 28th back
+ * to the last day of shorter months (see recurrence.addMonths) where a plain BYMONTHDAY would
+ * skip those months: the 31st is the last day, the 29th and 30th the last of the days 28 to that day
+ */
+const monthDayParts = (day) => {
+    if (day <= SHORTEST_MONTH_DAYS) {
+        return [`BYMONTHDAY=${day}`];
+    }
+    if (day === 31) {
+        return ['BYMONTHDAY=-1'];
+    }
+    const days = [];
+    for (let monthDay = SHORTEST_MONTH_DAYS; monthDay <= day; monthDay++) {
+        days.push(monthDay);
+    }
+    return [`BYMONTHDAY=${days.join(',')}`, 'BYSETPOS=-1'];
+};
+
+/**
+ * RRULE value (without the "RRULE:" name) of a scheduler recurrence
+ * @param {object} recurrence - { type, interval, weekDays, dayOfMonth, relativeInterval, relativeDay }
+ * @param {object} [options] - until (yyyy-MM-dd or Date), count
+ * @returns {string} e.g. FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR; '' when the recurrence is incomplete
+ */
+const toRRule = (recurrence, options = {}) => {
+    if (!isComplete(recurrence)) {
+        return '';
+    }
+    const interval = intervalOf(recurrence.interval);
+    const parts = [`FREQ=${FREQUENCIES[recurrence.type] || 'MONTHLY'}`];
+    if (interval > 1 && recurrence.type !== 'weekdays') {
+        parts.push(`INTERVAL=${interval}`);
+    }
+    switch (recurrence.type) {
+        case 'weekdays':
+            parts.push(`BYDAY=${WEEKDAYS.join(',')}`);
+            break;
+        case 'weekly':
+            parts.push(`BYDAY=${sortDayCodes(recurrence.weekDays).map((code) => RRULE_DAYS[code]).join(',')}`);
+            break;
+        case 'monthlyDate':
+            parts.push(...monthDayParts(parseInt(recurrence.dayOfMonth, 10)));
+            break;
+        case 'monthlyRelative':
+            parts.push(...relativeParts(recurrence));
+            break;
+        default:
+    }
+    const until = options.until ? toRRuleDate(options.until) : null;
+    if (until) {
+        parts.push(`UNTIL=${until}`);
+    } else if (parseInt(options.count, 10) > 0) {
+        parts.push(`COUNT=${parseInt(options.count, 10)}`);
+    }
+    return parts.join(';');
+};
+
+// ============================================================================
+// RRULE => RECURRENCE
+// ============================================================================
+
+/**
+ * RRULE and DTSTART of the rule text: a bare value (FREQ=...), an "RRULE:" property or
+ * several iCalendar content lines
+ */
+const splitRuleText = (text) => {
+    let rule = '';
+    let startDate = null;
+    String(text || '')
+        .replace(/\r?\n[ \t]/g, '')
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .forEach((line) => {
+            const upper = line.toUpperCase();
+            if (upper.startsWith('DTSTART')) {
+                startDate = fromRRuleDate(line.substring(line.lastIndexOf(':') + 1).trim(), line);
+            } else if (upper.startsWith('RRULE:')) {
+                rule = line.substring(6).trim();
+            } else if (upper.startsWith('FREQ=') || upper.includes(';FREQ=')) {
+                rule = line;
+            }
+        });
+    return { rule, startDate };
+};
+
+const parseParts = (rule) => {
+    const parts = {};
+    rule.split(';')
+        .filter((part) => part.trim())
+        .forEach((part) => {
+            const [name, value] = part.split('=');
+            const key = String(name).trim().toUpperCase();
+            if (value === undefined || !value.trim()) {
+                throw new RecurrenceRuleError(`Missing value of ${key}`, rule);
+            }
+            if (!SUPPORTED_PARTS.includes(key)) {
+                throw new RecurrenceRuleError(`${key} is not supported by the scheduler`, rule);
+            }
+            if (key in parts) {
+                throw new RecurrenceRuleError(`${key} is repeated`, rule);
+            }
+            parts[key] = value.trim().toUpperCase();
+        });
+    return parts;
+};
+
+const parseNumber = (value, name, rule, min, max) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max || number === 0) {
+        throw new RecurrenceRuleError(`Invalid ${name} ${value}`, rule);
+    }
+    return number;
+};
+
+/**
+ * BYDAY entries: [{ nth, day }], nth null without ordinal
+ */
+const parseByDay = (value, rule) =>
+    value.split(',').map((entry) => {
+        const match = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/.exec(entry.trim());
+        if (!match) {
+            throw new RecurrenceRuleError(`Invalid BYDAY ${entry}`, rule);
+        }
+        return { nth: match[1] ? parseNumber(match[1], 'BYDAY ordinal', rule, -53, 53) : null, day: match[2] };
+    });
+
+const relativeNameOf = (nth, rule) => {
+    const name = RELATIVE_NAMES[nth];
+    if (!name) {
+        throw new RecurrenceRuleError(`Only the first to fourth and the last occurrence are supported, not ${nth}`, rule);
+    }
+    return name;
+};
+
+const dayCodeOf = (day) => Object.keys(RRULE_DAYS).find((code) => RRULE_DAYS[code] === day);
+
+/**
+ * Day of the month of BYMONTHDAY=28,29,30;BYSETPOS=-1 as written by monthDayParts, null for
+ * other month day lists
+ */
+const lastMonthDayOf = (byMonthDay, bySetPos) => {
+    const days = byMonthDay.split(',').map(Number);
+    const isMonthEnd = days.every((day, index) => day === SHORTEST_MONTH_DAYS + index);
+    const day = days[days.length - 1];
+    return bySetPos === '-1' && isMonthEnd && day > SHORTEST_MONTH_DAYS && day <= 31 ? day : null;
+};
+
+/**
+ * Scheduler recurrence of a monthly rule
+ */
+const monthlyRecurrenceOf = (parts, interval, rule) => {
+    const { BYDAY, BYMONTHDAY, BYSETPOS } = parts;
+    if (BYDAY && BYMONTHDAY) {
+        throw new RecurrenceRuleError('BYDAY together with BYMONTHDAY is not supported', rule);
+    }
+    if (BYMONTHDAY) {
+        if (BYMONTHDAY.includes(',')) {
+            const day = lastMonthDayOf(BYMONTHDAY, BYSETPOS);
+            if (!day) {
+                throw new RecurrenceRuleError('Only one BYMONTHDAY is supported', rule);
+            }
+            return { type: 'monthlyDate', interval, dayOfMonth: day };
+        }
+        const day = parseNumber(BYMONTHDAY, 'BYMONTHDAY', rule, -31, 31);
+        if (day === -1) {
+            return { type: 'monthlyRelative', interval, relativeInterval: 'Last', relativeDay: 'Day' };
+        }
+        if (day < 0) {
+            throw new RecurrenceRuleError('Only -1 is supported as negative BYMONTHDAY', rule);
+        }
+        return { type: 'monthlyDate', interval, dayOfMonth: day };
+    }
+    if (!BYDAY) {
+        if (BYSETPOS) {
+            throw new RecurrenceRuleError('BYSETPOS needs BYDAY', rule);
+        }
+        return { type: 'monthly', interval };
+    }
+    const days = parseByDay(BYDAY, rule);
+    if (days.length === 1 && days[0].nth !== null && !BYSETPOS) {
+        return {
+            type: 'monthlyRelative',
+            interval,
+            relativeInterval: relativeNameOf(days[0].nth, rule),
+            relativeDay: RRULE_DAY_NAMES[days[0].day]
+        };
+    }
+    if (!BYSETPOS || days.some((entry) => entry.nth !== null) || BYSETPOS.includes(',')) {
+        throw new RecurrenceRuleError('Monthly rules need one day per month: an ordinal BYDAY or one BYSETPOS', rule);
+    }
+    const nth = parseNumber(BYSETPOS, 'BYSETPOS', rule, -366, 366);
+    const names = days.map((entry) => entry.day);
+    let relativeDay;
+    if (names.length === 1) {
+        relativeDay = RRULE_DAY_NAMES[names[0]];
+    } else if (sameDays(names, WEEKDAYS)) {
+        relativeDay = 'Weekday';
+    } else if (sameDays(names, WEEKEND_DAYS)) {
+        relativeDay = 'Weekend Day';
+    } else if (names.length === 7) {
+        relativeDay = 'Day';
+    } else {
+        throw new RecurrenceRuleError('BYSETPOS is only supported with one day, weekdays or weekend days', rule);
+    }
+    return { type: 'monthlyRelative', interval, relativeInterval: relativeNameOf(nth, rule), relativeDay };
+};
+
+/**
+ * Scheduler recurrence of an RRULE
+ * @param {string} text - "FREQ=...", "RRULE:FREQ=..." or iCalendar lines with DTSTART and RRULE
+ * @returns {object} { recurrence, startDate, until, count } (dates yyyy-MM-dd, null when absent)
+ * @throws {RecurrenceRuleError} When the rule is invalid or cannot be expressed by the schedulers
+ */
+const fromRRule = (text) => {
+    const { rule, startDate } = splitRuleText(text);
+    if (!rule) {
+        throw new RecurrenceRuleError('No RRULE found', String(text || ''));
+    }
+    const parts = parseParts(rule);
+    if (!parts.FREQ) {
+        throw new RecurrenceRuleError('FREQ is required', rule);
+    }
+    if (parts.UNTIL && parts.COUNT) {
+        throw new RecurrenceRuleError('UNTIL and COUNT must not occur together', rule);
+    }
+    const interval = parts.INTERVAL ? parseNumber(parts.INTERVAL, 'INTERVAL', rule, 1, 999) : 1;
+    const until = parts.UNTIL ? fromRRuleDate(parts.UNTIL, rule) : null;
+    const count = parts.COUNT ? parseNumber(parts.COUNT, 'COUNT', rule, 1, 9999) : null;
+    if (parts.FREQ !== 'MONTHLY' && (parts.BYMONTHDAY || parts.BYSETPOS)) {
+        throw new RecurrenceRuleError(`${parts.BYMONTHDAY ? 'BYMONTHDAY' : 'BYSETPOS'} is only supported on monthly rules`, rule);
+    }
+
+    let recurrence;
+    switch (parts.FREQ) {
+        case 'DAILY': {
+            if (!parts.BYDAY) {
+                recurrence = { type: 'daily', interval };
+                break;
+            }
+            const days = parseByDay(parts.BYDAY, rule);
+            if (interval > 1 || days.some((entry) => entry.nth !== null)) {
+                throw new RecurrenceRuleError('Daily rules with BYDAY need INTERVAL=1 and no ordinals', rule);
+            }
+            const names = days.map((entry) => entry.day);
+            recurrence = sameDays(names, WEEKDAYS)
+                ? { type: 'weekdays', interval: 1 }
+                : { type: 'weekly', interval: 1, weekDays: sortDayCodes(names.map(dayCodeOf)) };
+            break;
+        }
+        case 'WEEKLY': {
+            let codes;
+            if (parts.BYDAY) {
+                const days = parseByDay(parts.BYDAY, rule);
+                if (days.some((entry) => entry.nth !== null)) {
+                    throw new RecurrenceRuleError('Weekly rules do not support BYDAY ordinals', rule);
+                }
+                codes = days.map((entry) => dayCodeOf(entry.day));
+            } else if (startDate) {
+                // Without BYDAY a weekly rule repeats on the weekday of DTSTART
+                const [year, month, day] = startDate.split('-').map(Number);
+                const weekday = new Date(year, month - 1, day).getDay();
+                codes = [Object.keys(DAY_CODES).find((code) => DAY_CODES[code] === weekday)];
+            } else {
+                throw new RecurrenceRuleError('Weekly rules need BYDAY or DTSTART', rule);
+            }
+            recurrence = { type: 'weekly', interval, weekDays: sortDayCodes(codes) };
+            break;
+        }
+        case 'MONTHLY':
+            recurrence = monthlyRecurrenceOf(parts, interval, rule);
+            break;
+        case 'YEARLY':
+            if (parts.BYDAY) {
+                throw new RecurrenceRuleError('BYDAY is not supported on yearly rules', rule);
+            }
+            recurrence = { type: 'yearly', interval };
+            break;
+        default:
+            throw new RecurrenceRuleError(`FREQ=${parts.FREQ} is not supported by the scheduler`, rule);
+    }
+    return { recurrence, startDate, until, count };
+};
+
+// ============================================================================
+// SCHEDULER STATE
+// ============================================================================
+
+/**
+ * Quote line schedule fields of a recurrence, as read by ServiceScheduler.prepopulateSchedular
+ */
+const quoteLineScheduleOf = (recurrence) => {
+    if (!isComplete(recurrence)) {
+        return null;
+    }
+    const interval = intervalOf(recurrence.interval);
+    const schedule = {
+        Occurrence_Type__c: SCHEDULED_OCCURRENCE,
+        Schedule_Frequency__c: QUOTE_LINE_FREQUENCIES[recurrence.type] || 'M',
+        Frequency_Interval__c: interval,
+        Service_Days__c: null,
+        Day_of_Month__c: null,
+        Month_Relative_Interval__c: null,
+        Month_Relative__c: null
+    };
+    switch (recurrence.type) {
+        case 'weekdays':
+            // Every weekday is the daily schedule without interval
+            schedule.Frequency_Interval__c = null;
+            break;
+        case 'weekly':
+            schedule.Service_Days__c = sortDayCodes(recurrence.weekDays).join(';');
+            break;
+        case 'monthlyDate':
+            schedule.Day_of_Month__c = parseInt(recurrence.dayOfMonth, 10);
+            break;
+        case 'monthlyRelative':
+            schedule.Month_Relative_Interval__c = recurrence.relativeInterval;
+            schedule.Month_Relative__c = recurrence.relativeDay;
+            break;
+        default:
+    }
+    return schedule;
+};
+
+/**
+ * Recurrence of the quote line schedule fields; null for on call or unscheduled lines
+ */
+const recurrenceOfQuoteLine = (quoteLine) => {
+    if (!quoteLine || !quoteLine.Occurrence_Type__c || quoteLine.Occurrence_Type__c === 'OC') {
+        return null;
+    }
+    const interval = intervalOf(quoteLine.Frequency_Interval__c);
+    switch (quoteLine.Schedule_Frequency__c) {
+        case 'D':
+            return quoteLine.Frequency_Interval__c != null ? { type: 'daily', interval } : { type: 'weekdays', interval: 1 };
+        case 'W':
+            return {
+                type: 'weekly',
+                interval,
+                weekDays: quoteLine.Service_Days__c ? quoteLine.Service_Days__c.split(';') : []
+            };
+        case 'M':
+            if (quoteLine.Day_of_Month__c) {
+                return { type: 'monthlyDate', interval, dayOfMonth: quoteLine.Day_of_Month__c };
+            }
+            if (quoteLine.Month_Relative_Interval__c && quoteLine.Month_Relative__c) {
+                return {
+                    type: 'monthlyRelative',
+                    interval,
+                    relativeInterval: quoteLine.Month_Relative_Interval__c,
+                    relativeDay: quoteLine.Month_Relative__c
+                };
+            }
+            return { type: 'monthly', interval };
+        case 'Y':
+            return { type: 'yearly', interval };
+        default:
+            return null;
+    }
+};
+
+/**
+ * flowDaysofWeek state of a recurrence
+ * @returns {object} { section, attributes, monthNumber, monthType }: accordion section to open,
+ *          attribute values to set and the values of the OnTheMonthNumber / OnTheMonthType selects
+ */
+const flowScheduleOf = (recurrence) => {
+    if (!isComplete(recurrence)) {
+        return null;
+    }
+    const interval = intervalOf(recurrence.interval);
+    const attributes = { numDaysSelected: 0, chkMWF: false, chkTR: false, chkWeekdays: false };
+    FLOW_BUTTON_STATES.forEach((name) => {
+        attributes[name] = false;
+    });
+    Object.values(FLOW_DAY_ATTRIBUTES).forEach((name) => {
+        attributes[name] = false;
+    });
+    const schedule = { section: 'M', attributes, monthNumber: null, monthType: null };
+
+    switch (recurrence.type) {
+        case 'daily':
+            schedule.section = 'D';
+            attributes.EDbuttonstate = true;
+            attributes.DailyFreq = interval;
+            break;
+        case 'weekdays':
+            schedule.section = 'D';
+            attributes.EWDbuttonstate = true;
+            break;
+        case 'weekly': {
+            const codes = sortDayCodes(recurrence.weekDays);
+            schedule.section = 'W';
+            attributes.Wbuttonstate = true;
+            attributes.WeekNums = interval;
+            attributes.WeeklyFreq = codes.length;
+            attributes.numDaysSelected = codes.length;
+            codes.forEach((code) => {
+                attributes[FLOW_DAY_ATTRIBUTES[code]] = true;
+            });
+            attributes.chkMWF = codes.join(';') === 'M;W;F';
+            attributes.chkTR = codes.join(';') === 'T;T1';
+            attributes.chkWeekdays = codes.join(';') === 'M;T;W;T1;F';
+            break;
+        }
+        case 'monthly':
+            attributes.EMbuttonstate = true;
+            attributes.MonthlyFreq = interval;
+            break;
+        case 'monthlyDate':
+            attributes.SMDbuttonstate = true;
+            attributes.MonthlyFreq = interval;
+            attributes.SpecificDayMonthFreq = parseInt(recurrence.dayOfMonth, 10);
+            break;
+        case 'monthlyRelative':
+            attributes.SWMbuttonstate = true;
+            attributes.MonthlyFreq = interval;
+            schedule.monthNumber = recurrence.relativeInterval;
+            schedule.monthType = recurrence.relativeDay;
+            break;
+        case 'yearly':
+            schedule.section = 'Y';
+            attributes.EYbuttonstate = true;
+            attributes.YearlyFreq = interval;
+            break;
+        default:
+    }
+    return schedule;
+};
+
+/**
+ * Recurrence of the flowDaysofWeek attributes (plus monthNumber / monthType of its selects)
+ */
+const recurrenceOfFlow = (state) => {
+    if (!state) {
+        return null;
+    }
+    if (state.EDbuttonstate) {
+        return { type: 'daily', interval: intervalOf(state.DailyFreq) };
+    }
+    if (state.EWDbuttonstate) {
+        return { type: 'weekdays', interval: 1 };
+    }
+    if (state.EMbuttonstate) {
+        return { type: 'monthly', interval: intervalOf(state.MonthlyFreq) };
+    }
+    if (state.SMDbuttonstate) {
+        return { type: 'monthlyDate', interval: intervalOf(state.MonthlyFreq), dayOfMonth: state.SpecificDayMonthFreq };
+    }
+    if (state.SWMbuttonstate) {
+        return {
+            type: 'monthlyRelative',
+            interval: intervalOf(state.MonthlyFreq),
+            relativeInterval: state.monthNumber,
+            relativeDay: state.monthType
+        };
+    }
+    if (state.EYbuttonstate) {
+        return { type: 'yearly', interval: intervalOf(state.YearlyFreq) };
+    }
+    if (state.SMDYbuttonstate || state.SRMYbuttonstate) {
+        // The specific day options of the flow are yearly on the start date, like handleYSubmit
+        return { type: 'yearly', interval: 1 };
+    }
+    if (state.Wbuttonstate) {
+        return {
+            type: 'weekly',
+            interval: intervalOf(state.WeekNums),
+            weekDays: Object.keys(FLOW_DAY_ATTRIBUTES).filter((code) => state[FLOW_DAY_ATTRIBUTES[code]])
+        };
+    }
+    return null;
+};
+
+export {
+    RecurrenceRuleError,
+    toRRuleDate,
+    toRRule,
+    fromRRule,
+    quoteLineScheduleOf,
+    recurrenceOfQuoteLine,
+    flowScheduleOf,
+    recurrenceOfFlow
+};
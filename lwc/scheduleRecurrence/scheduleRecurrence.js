@@ -0,0 +1,105 @@
+import { LightningElement, api } from 'lwc';
+import {
+    MAX_PREVIEW_DATES,
+    DAY_SHORT_NAMES,
+    FLAG_LABELS,
+    toIsoDate,
+    parseIsoDate,
+    addMonths,
+    isComplete,
+    expandRecurrence,
+    describeRecurrence,
+    buildPreview
+} from './recurrence';
+import {
+    RecurrenceRuleError,
+    toRRule,
+    fromRRule,
+    quoteLineScheduleOf,
+    recurrenceOfQuoteLine,
+    flowScheduleOf,
+    recurrenceOfFlow
+} from './rrule';
+import { ICS_MIME_TYPE, buildIcs, downloadIcs } from './icalendar';
+
+/**
+ * Shared recurrence module of the service schedulers.
+ * Aura components embed it (<c:scheduleRecurrence aura:id="scheduleRecurrence"/>) and call the
+ * methods below; LWC components import the named functions instead.
+ *
+ * Recurrence: { type, interval, weekDays, dayOfMonth, relativeInterval, relativeDay } (see recurrence.js)
+ *
+ * Methods:
+ *   toRRule(recurrence, options)      RRULE value, '' when incomplete
+ *   fromRRule(text)                   { recurrence, startDate, until, count }; throws RecurrenceRuleError
+ *   quoteLineScheduleOf(recurrence)   quote line fields for ServiceScheduler.prepopulateSchedular
+ *   recurrenceOfQuoteLine(quoteLine)  recurrence of the quote line fields
+ *   flowScheduleOf(recurrence)        flowDaysofWeek attribute values
+ *   recurrenceOfFlow(state)           recurrence of the flowDaysofWeek attributes
+ *   exportIcs(options)                downloads the service dates as .ics, returns the number of dates
+ */
+export default class ScheduleRecurrence extends LightningElement {
+    @api
+    toRRule(recurrence, options) {
+        return toRRule(recurrence, options);
+    }
+
+    @api
+    fromRRule(text) {
+        return fromRRule(text);
+    }
+
+    @api
+    quoteLineScheduleOf(recurrence) {
+        return quoteLineScheduleOf(recurrence);
+    }
+
+    @api
+    recurrenceOfQuoteLine(quoteLine) {
+        return recurrenceOfQuoteLine(quoteLine);
+    }
+
+    @api
+    flowScheduleOf(recurrence) {
+        return flowScheduleOf(recurrence);
+    }
+
+    @api
+    recurrenceOfFlow(state) {
+        return recurrenceOfFlow(state);
+    }
+
+    /**
+     * Options: recurrence, startDate and endDate (yyyy-MM-dd), fileName and the buildIcs options
+     * (uid, calendarName, summary, description, location, notes)
+     */
+    @api
+    exportIcs(options = {}) {
+        const dates = expandRecurrence(options.recurrence, parseIsoDate(options.startDate), parseIsoDate(options.endDate));
+        downloadIcs(buildIcs(dates, { ...options, rrule: toRRule(options.recurrence) }), options.fileName);
+        return dates.length;
+    }
+}
+
+export {
+    MAX_PREVIEW_DATES,
+    DAY_SHORT_NAMES,
+    FLAG_LABELS,
+    ICS_MIME_TYPE,
+    RecurrenceRuleError,
+    toIsoDate,
+    parseIsoDate,
+    addMonths,
+    isComplete,
+    expandRecurrence,
+    describeRecurrence,
+    buildPreview,
+    toRRule,
+    fromRRule,
+    quoteLineScheduleOf,
+    recurrenceOfQuoteLine,
+    flowScheduleOf,
+    recurrenceOfFlow,
+    buildIcs,
+    downloadIcs
+};
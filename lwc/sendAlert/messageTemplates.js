@@ -0,0 +1,114 @@
+/**
+ * Message Templates for sendAlert
+ *
+ * Fills the merge fields of two-way communication templates
+ * (Two_Way_Message_Template__mdt, TwoWayMessageService.getTemplates) with case values.
+ *
+ * Key Features:
+ * - {!Field} merge fields, see MERGE_FIELDS
+ * - Fields without a case value are left in the text and reported as unresolved
+ * - Template options grouped by category for lightning-combobox
+ *
+ * Usage:
+ *   import { mergeTemplate, templateOptions } from './messageTemplates';
+ *   const { text, unresolved } = mergeTemplate(body, mergeValues);
+ */
+
+// ====== MERGE FIELDS ======
+
+export const MERGE_FIELDS = [
+    { name: 'CaseNumber', label: 'Case Number' },
+    { name: 'ServiceDate', label: 'Service Date' },
+    { name: 'Location', label: 'Location' },
+    { name: 'LocationAddress', label: 'Location Address' },
+    { name: 'AssetSize', label: 'Asset Size' },
+    { name: 'AssetName', label: 'Asset Name' },
+    { name: 'ReferenceNumber', label: 'Reference Number' },
+    { name: 'SubStatus', label: 'Sub-Status' }
+];
+
+const MERGE_FIELD_PATTERN = /\{!\s*(\w+)\s*\}/g;
+
+const DATE_FIELDS = new Set(['ServiceDate']);
+
+/**
+ * Formats a yyyy-MM-dd date as MM/DD/YYYY
+ * @param {string} value
+ * @returns {string}
+ */
+export function formatDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value || '');
+    return match ? `${match[2]}/${match[3]}/${match[1]}` : value;
+}
+
+function valueOf(name, values) {
+    const value = values ? values[name] : null;
+    if (value === null || value === undefined || String(value).trim() === '') {
+        return null;
+    }
+    return DATE_FIELDS.has(name) ? formatDate(String(value)) : String(value);
+}
+
+// ====== MERGE ======
+
+/**
+ * Fills the merge fields of a template
+ * @param {string} body - Template text with {!Field} merge fields
+ * @param {Object} values - Case values by merge field name
+ * @returns {{ text: string, unresolved: string[] }} Merged text and the names of fields
+ *          that have no value (unknown fields included); those stay in the text as typed
+ */
+export function mergeTemplate(body, values) {
+    const unresolved = [];
+    const text = (body || '').replace(MERGE_FIELD_PATTERN, (token, name) => {
+        const value = valueOf(name, values);
+        if (value === null) {
+            if (!unresolved.includes(name)) {
+                unresolved.push(name);
+            }
+            return token;
+        }
+        return value;
+    });
+    return { text, unresolved };
+}
+
+/**
+ * Labels of merge field names, for messages about unresolved fields
+ * @param {string[]} names
+ * @returns {string}
+ */
+export function fieldLabels(names) {
+    return names
+        .map((name) => {
+            const field = MERGE_FIELDS.find((candidate) => candidate.name === name);
+            return field ? field.label : name;
+        })
+        .join(', ');
+}
+
+// ====== OPTIONS ======
+
+/**
+ * Combobox options of templates, grouped by category in the order categories first appear
+ * @param {Array<{name: string, label: string, category: string}>} templates
+ * @returns {Array<{label: string, value: string}>}
+ */
+export function templateOptions(templates) {
+    const categories = [];
+    const byCategory = new Map();
+    (templates || []).forEach((template) => {
+        const category = template.category || 'General';
+        if (!byCategory.has(category)) {
+            categories.push(category);
+            byCategory.set(category, []);
+        }
+        byCategory.get(category).push(template);
+    });
+    return categories.flatMap((category) =>
+        byCategory.get(category).map((template) => ({
+            label: `${category}: ${template.label}`,
+            value: template.name
+        }))
+    );
+}
@@ -1,13 +1,36 @@
 import { LightningElement,track,api,wire } from 'lwc';
 import fetchSimpleMap from '@salesforce/apex/SendAlert.getMap';
-import getRecipientsMsg from '@salesforce/apex/SendAlert.getRecipientsMsg';
+import sendNow from '@salesforce/apex/TwoWayMessageService.sendNow';
+import getTemplates from '@salesforce/apex/TwoWayMessageService.getTemplates';
+import scheduleMessage from '@salesforce/apex/TwoWayMessageService.scheduleMessage';
+import getScheduledMessages from '@salesforce/apex/TwoWayMessageService.getScheduledMessages';
+import cancelScheduledMessage from '@salesforce/apex/TwoWayMessageService.cancelScheduledMessage';
+import { refreshApex } from '@salesforce/apex';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { NavigationMixin } from 'lightning/navigation';
 import TwowayCommCharslimit from '@salesforce/label/c.TwowayCommCharslimit';
 import TwoWayAccessErrorMessage from '@salesforce/label/c.TwoWayAccessErrorMessage';
 import Service_Channel from '@salesforce/label/c.Service_Channel';
 import Office_Trax from '@salesforce/label/c.OfficeTrax';
+import { mergeTemplate, fieldLabels, templateOptions } from './messageTemplates';
 
+const SEND_MODES = [
+  { label: 'Send now', value: 'now' },
+  { label: 'Send later', value: 'later' },
+  { label: 'Send when the case reaches a sub-status', value: 'subStatus' }
+];
+
+const SCHEDULED_COLUMNS = [
+  { label: 'Message', fieldName: 'message', wrapText: true },
+  { label: 'Recipients', fieldName: 'recipients', wrapText: true },
+  { label: 'Send', fieldName: 'sendLabel' },
+  { label: 'Status', fieldName: 'statusLabel', wrapText: true },
+  {
+    type: 'button',
+    initialWidth: 100,
+    typeAttributes: { label: 'Cancel', name: 'cancel', variant: 'base', disabled: { fieldName: 'cancelDisabled' } }
+  }
+];
 
 export default class SendAlert extends NavigationMixin(LightningElement) {
 
@@ -32,6 +55,18 @@ export default class SendAlert extends NavigationMixin(LightningElement) {
 @track value;
 @api caseOrigin;
 @api recordId;
+@track templates = [];
+@track templateOptions = [];
+@track selectedTemplate;
+@track mergeValues = {};
+@track subStatusOptions = [];
+@track sendMode = 'now';
+@track sendAt;
+@track triggerSubStatus;
+@track scheduledMessages = [];
+sendModeOptions = SEND_MODES;
+scheduledColumns = SCHEDULED_COLUMNS;
+wiredScheduledResult;
 
 
  connectedCallback() {  
@@ -79,7 +114,132 @@ export default class SendAlert extends NavigationMixin(LightningElement) {
         this.showToastMessage('error',TwoWayAccessErrorMessage , 'error');
         this.showSpinner = false;
         console.log("Error occurred" + error.body.message);
-    });        
+    });
+    this.loadTemplates();
+  }
+
+  //templates of the case origin and the case values of their merge fields
+  loadTemplates() {
+    getTemplates({caseId:this.recordId}).then((result) => {
+      if(result.isSuccess) {
+        this.templates = result.templates;
+        this.templateOptions = templateOptions(result.templates);
+        this.mergeValues = result.mergeValues;
+        this.subStatusOptions = result.subStatuses;
+      }
+      else {
+        console.log("Error loading templates" + result.errorMessage);
+      }
+    }).catch((error) => {
+      console.log("Error loading templates" + JSON.stringify(error));
+    });
+  }
+
+  @wire(getScheduledMessages, { caseId: '$recordId' })
+  wiredScheduledMessages(result) {
+    this.wiredScheduledResult = result;
+    if (result.data && result.data.isSuccess) {
+      this.scheduledMessages = result.data.messages.map((message) => ({
+        ...message,
+        sendLabel: message.sendAt
+          ? new Date(message.sendAt).toLocaleString()
+          : `When sub-status is ${message.triggerSubStatus}`,
+        statusLabel: message.lastError ? `${message.status}: ${message.lastError}` : message.status,
+        cancelDisabled: message.status !== 'Scheduled'
+      }));
+    }
+    else if (result.error) {
+      console.log("Error loading scheduled messages" + JSON.stringify(result.error));
+    }
+  }
+
+  get hasScheduledMessages() {
+    return this.scheduledMessages.length > 0;
+  }
+
+  get hasTemplates() {
+    return this.templateOptions.length > 0;
+  }
+
+  //preview of the message with the current case values; the server fills them in again when it is sent
+  get merged() {
+    return mergeTemplate(this.Message, this.mergeValues);
+  }
+
+  get mergedMessage() {
+    return this.merged.text;
+  }
+
+  get showPreview() {
+    return !!this.Message;
+  }
+
+  get characterCount() {
+    return `${this.mergedMessage.length} / ${this.MAX_CHARACTERS}`;
+  }
+
+  get characterCountClass() {
+    return this.mergedMessage.length > this.MAX_CHARACTERS ? 'slds-text-color_error' : 'slds-text-color_weak';
+  }
+
+  get hasUnresolved() {
+    return this.merged.unresolved.length > 0;
+  }
+
+  get unresolvedWarning() {
+    const unresolved = this.merged.unresolved;
+    return unresolved.length ? `No case value for: ${fieldLabels(unresolved)}` : null;
+  }
+
+  get isSendLater() {
+    return this.sendMode === 'later';
+  }
+
+  get isSendOnSubStatus() {
+    return this.sendMode === 'subStatus';
+  }
+
+  get sendButtonLabel() {
+    return this.sendMode === 'now' ? 'Send' : 'Schedule';
+  }
+
+  handleTemplateChange(event) {
+    this.selectedTemplate = event.detail.value;
+    const template = this.templates.find((candidate) => candidate.name === this.selectedTemplate);
+    if(template) {
+      this.Message = template.body;
+      this.validateMessageLength();
+    }
+  }
+
+  handleSendModeChange(event) {
+    this.sendMode = event.detail.value;
+  }
+
+  handleSendAtChange(event) {
+    this.sendAt = event.detail.value;
+  }
+
+  handleSubStatusChange(event) {
+    this.triggerSubStatus = event.detail.value;
+  }
+
+  handleScheduledRowAction(event) {
+    const row = event.detail.row;
+    this.showSpinner = true;
+    cancelScheduledMessage({messageId:row.id})
+    .then(result => {
+      if(result.isSuccess) {
+        this.showToastMessage('Success', 'Scheduled message cancelled', 'success');
+        refreshApex(this.wiredScheduledResult);
+      }
+      else {
+        this.showToastMessage('error', result.errorMessage, 'error');
+      }
+    })
+    .catch(error => {
+      this.showToastMessage('error', error.body ? error.body.message : TwoWayAccessErrorMessage, 'error');
+    });
   }
    
   @track optionsMaster=[];
@@ -90,28 +250,23 @@ export default class SendAlert extends NavigationMixin(LightningElement) {
   }
 
    getMessage(event){
-   
         this.Message = event.target.value;
-        
-        const inputField = event.target;
-     
-        let input = inputField.value;
-        if(input.length>this.MAX_CHARACTERS){
-                input = input.substr(0,this.MAX_CHARACTERS)
+        this.validateMessageLength();
+    }
+
+    //the limit applies to the message after its merge fields are filled in
+    validateMessageLength() {
+        const inputField = this.template.querySelector("[data-id='messageArea']");
+        if (!inputField) {
+            return true;
+        }
+        if (this.mergedMessage.length > this.MAX_CHARACTERS) {
+            inputField.setCustomValidity(`* Message cannot exceed ${this.MAX_CHARACTERS} characters after merge fields are filled in.`);
         }
-        inputField.value = input;
-                    
-        if (input.length == this.MAX_CHARACTERS) {
-            inputField.setCustomValidity(`* Input Text cannot exceed ${this.MAX_CHARACTERS} characters.`);
-						
-						//inputField.style.background="#803ADD";
-						
-        } 
         else {
             inputField.setCustomValidity('');
         }
-
-        inputField.reportValidity();
+        return inputField.reportValidity();
     }
     
     checkEnter(event) {
@@ -207,18 +362,26 @@ export default class SendAlert extends NavigationMixin(LightningElement) {
     if((this.Message === '' || this.Message === null) || this.allValues.length === 0) {
       this.showToastMessage( 'Error', 'Please select atleast one recipient and enter some message!' , 'error');
     }
+    else if(this.merged.unresolved.length) {
+      this.showToastMessage('Error', `Fill in or remove the merge fields without a case value: ${fieldLabels(this.merged.unresolved)}`, 'error');
+    }
+    else if(this.mergedMessage.length > this.MAX_CHARACTERS) {
+      this.validateMessageLength();
+      this.showToastMessage('Error', `Message cannot exceed ${this.MAX_CHARACTERS} characters.`, 'error');
+    }
+    else if(this.sendMode !== 'now') {
+      this.handleSchedule();
+    }
     else {
-    getRecipientsMsg({values:this.allValues, textValues:this.allTextValues, message:this.Message, caseId:this.recordId})
+    //merge fields are filled in by the server with the case values at send time
+    sendNow({caseId:this.recordId, values:this.allValues, textValues:this.allTextValues, message:this.Message})
     .then(result =>{ 
-      if(result.problem === undefined) {
-        console.log("in success");
+      if(result.isSuccess) {
         this.showToastMessage('Success', 'Successfully created' , 'success');
         this.handleReset();
       }
       else {
-        var errorMessage = result.problem.errors[0].message;
-        console.log("This is the error message" + errorMessage);
-        this.showToastMessage('error', errorMessage, 'error');
+        this.showToastMessage('error', result.errorMessage, 'error');
       }
          
         })
@@ -231,6 +394,39 @@ export default class SendAlert extends NavigationMixin(LightningElement) {
 
   }
 
+  handleSchedule() {
+    if(this.isSendLater && !this.sendAt) {
+      this.showToastMessage('Error', 'Please choose when to send the message.', 'error');
+      return;
+    }
+    if(this.isSendOnSubStatus && !this.triggerSubStatus) {
+      this.showToastMessage('Error', 'Please choose the sub-status that sends the message.', 'error');
+      return;
+    }
+    scheduleMessage({
+      caseId: this.recordId,
+      values: this.allValues,
+      textValues: this.allTextValues,
+      message: this.Message,
+      templateName: this.selectedTemplate,
+      sendAt: this.isSendLater ? this.sendAt : null,
+      triggerSubStatus: this.isSendOnSubStatus ? this.triggerSubStatus : null
+    })
+    .then(result => {
+      if(result.isSuccess) {
+        this.showToastMessage('Success', 'Message scheduled', 'success');
+        this.handleReset();
+        refreshApex(this.wiredScheduledResult);
+      }
+      else {
+        this.showToastMessage('error', result.errorMessage, 'error');
+      }
+    })
+    .catch(error => {
+      this.showToastMessage('error', error.body ? error.body.message : TwoWayAccessErrorMessage, 'error');
+    });
+  }
+
   handleReset() {
     [...this.template
         .querySelectorAll('lightning-input, lightning-textarea, lightning-pill, lightning-combobox')]
@@ -239,6 +435,11 @@ export default class SendAlert extends NavigationMixin(LightningElement) {
     this.selectedValues = [];
     this.allValues = [];
     this.allTextValues = [];
+    this.Message = null;
+    this.selectedTemplate = null;
+    this.sendMode = 'now';
+    this.sendAt = null;
+    this.triggerSubStatus = null;
     const comboboxValue = this.template.querySelector("[data-id='combobox']");
     comboboxValue.value = null;
   }
@@ -0,0 +1,283 @@
+import { LightningElement, api } from 'lwc';
+import getPreviewCalendar from '@salesforce/apex/ServiceSchedulePreviewService.getPreviewCalendar';
+import {
+    DAY_SHORT_NAMES,
+    FLAG_LABELS,
+    toIsoDate,
+    parseIsoDate,
+    addMonths,
+    isComplete,
+    expandRecurrence,
+    describeRecurrence,
+    buildPreview,
+    toRRule,
+    buildIcs,
+    downloadIcs
+} from 'c/scheduleRecurrence';
+
+const DEFAULT_MONTHS = 3;
+
+const MONTH_OPTIONS = [
+    { label: 'Next month', value: '1' },
+    { label: 'Next 3 months', value: '3' },
+    { label: 'Next 6 months', value: '6' },
+    { label: 'Next 12 months', value: '12' }
+];
+
+/**
+ * Service Schedule Preview Component
+ *
+ * Live preview of the schedule chosen in the ServiceScheduler: expands the recurrence into
+ * the service dates of the next months and marks the dates that need attention.
+ *
+ * Features:
+ * - Month calendars with the service dates (c/scheduleRecurrence)
+ * - Holidays and blackout dates (ServiceSchedulePreviewService)
+ * - Conflicts with the WM service days of the asset (serviceDaysList of checkServiceDay)
+ * - Dates outside the quote line start and end date
+ * - Follows every change of the recurrence; the server is only called when the range changes
+ * - RRULE of the schedule and .ics export of the previewed service dates for the customer
+ *
+ * The schedule starts today, or on the quote line start date when that is later.
+ */
+export default class ServiceSchedulePreview extends LightningElement {
+    // ========================================
+    // Public Properties
+    // ========================================
+
+    /**
+     * Recurrence built by the scheduler: { type, interval, weekDays, dayOfMonth, relativeInterval, relativeDay }
+     */
+    @api recurrence;
+
+    /**
+     * Quote line being scheduled, for its term
+     */
+    @api
+    get quoteLineId() {
+        return this._quoteLineId;
+    }
+    set quoteLineId(value) {
+        this._quoteLineId = value;
+        if (this.isConnected) {
+            this.loadCalendar();
+        }
+    }
+
+    /**
+     * Line of business of the quote line, for the blackout dates
+     */
+    @api
+    get lineOfBusiness() {
+        return this._lineOfBusiness;
+    }
+    set lineOfBusiness(value) {
+        this._lineOfBusiness = value;
+        if (this.isConnected) {
+            this.loadCalendar();
+        }
+    }
+
+    /**
+     * WM service day codes (M, T, W, T1, F, S, S1); dates on other days are conflicts.
+     * Empty when the availability is unknown.
+     */
+    @api serviceDays = [];
+
+    // ========================================
+    // State
+    // ========================================
+
+    monthsAhead = String(DEFAULT_MONTHS);
+    monthOptions = MONTH_OPTIONS;
+    holidays = [];
+    blackouts = [];
+    termStart;
+    termEnd;
+    isLoading = false;
+    errorMessage;
+    _quoteLineId;
+    _lineOfBusiness;
+    isConnected = false;
+    loadedRange;
+    requestId = 0;
+
+    // ========================================
+    // Lifecycle
+    // ========================================
+
+    connectedCallback() {
+        this.isConnected = true;
+        this.loadCalendar();
+    }
+
+    disconnectedCallback() {
+        this.isConnected = false;
+    }
+
+    // ========================================
+    // Getters
+    // ========================================
+
+    get today() {
+        const now = new Date();
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    }
+
+    /**
+     * First possible service date
+     */
+    get anchorDate() {
+        const start = parseIsoDate(this.termStart);
+        return start && start > this.today ? start : this.today;
+    }
+
+    get endDate() {
+        const end = addMonths(this.anchorDate, parseInt(this.monthsAhead, 10));
+        return new Date(end.getFullYear(), end.getMonth(), end.getDate() - 1);
+    }
+
+    get hasRecurrence() {
+        return isComplete(this.recurrence);
+    }
+
+    get recurrenceText() {
+        return describeRecurrence(this.recurrence);
+    }
+
+    get preview() {
+        const dates = expandRecurrence(this.recurrence, this.anchorDate, this.endDate);
+        return buildPreview(dates, {
+            fromDate: this.anchorDate,
+            toDate: this.endDate,
+            holidays: this.holidays,
+            blackouts: this.blackouts,
+            serviceDays: this.serviceDays || [],
+            termStart: this.termStart,
+            termEnd: this.termEnd
+        });
+    }
+
+    get summaryText() {
+        const { total } = this.preview.summary;
+        return `${total} service date${total === 1 ? '' : 's'} from ${this.formatDate(this.anchorDate)} to ${this.formatDate(this.endDate)}`;
+    }
+
+    get summaryBadges() {
+        const { flagCounts } = this.preview.summary;
+        return Object.keys(FLAG_LABELS)
+            .filter((type) => flagCounts[type] > 0)
+            .map((type) => ({
+                key: type,
+                label: `${flagCounts[type]} ${FLAG_LABELS[type]}`,
+                cssClass: `preview-badge preview-badge_${type}`
+            }));
+    }
+
+    get hasFlaggedDates() {
+        return this.preview.flaggedDates.length > 0;
+    }
+
+    get dayHeaders() {
+        return DAY_SHORT_NAMES.map((name) => ({ key: name, label: name }));
+    }
+
+    get rrule() {
+        return toRRule(this.recurrence);
+    }
+
+    get termText() {
+        if (!this.termStart && !this.termEnd) {
+            return '';
+        }
+        return `Quote line term: ${this.termStart ? this.formatDate(parseIsoDate(this.termStart)) : 'open'} to ${
+            this.termEnd ? this.formatDate(parseIsoDate(this.termEnd)) : 'open'
+        }`;
+    }
+
+    // ========================================
+    // Event Handlers
+    // ========================================
+
+    handleMonthsChange(event) {
+        this.monthsAhead = event.detail.value;
+        this.loadCalendar();
+    }
+
+    /**
+     * Download the previewed service dates as .ics; flagged dates carry their reasons
+     */
+    handleExportIcs() {
+        const preview = this.preview;
+        const notes = {};
+        preview.flaggedDates.forEach((flagged) => {
+            notes[flagged.key] = `Attention: ${flagged.reasons}`;
+        });
+        const dates = expandRecurrence(this.recurrence, this.anchorDate, this.endDate);
+        const ics = buildIcs(dates, {
+            uid: this._quoteLineId,
+            calendarName: 'WM Service Schedule',
+            summary: 'WM scheduled service',
+            description: this.recurrenceText,
+            rrule: this.rrule,
+            notes
+        });
+        downloadIcs(ics, `Service Schedule ${toIsoDate(this.anchorDate)}`);
+    }
+
+    // ========================================
+    // Data
+    // ========================================
+
+    /**
+     * Load term, holidays and blackouts of the previewed range; reloads once more when the
+     * quote line starts later than today, since the range moves with the start date
+     */
+    loadCalendar() {
+        const startDate = toIsoDate(this.anchorDate);
+        const endDate = toIsoDate(this.endDate);
+        const range = `${this._quoteLineId}|${this._lineOfBusiness}|${startDate}|${endDate}`;
+        if (range === this.loadedRange) {
+            return;
+        }
+        this.loadedRange = range;
+        const requestId = ++this.requestId;
+        this.isLoading = true;
+
+        getPreviewCalendar({
+            quoteLineId: this._quoteLineId,
+            startDate,
+            endDate,
+            lineOfBusiness: this._lineOfBusiness
+        })
+            .then((result) => {
+                if (requestId !== this.requestId) {
+                    return;
+                }
+                if (!result.isSuccess) {
+                    this.errorMessage = result.errorMessage;
+                    return;
+                }
+                this.errorMessage = undefined;
+                this.termStart = result.quoteLineStartDate;
+                this.termEnd = result.quoteLineEndDate;
+                this.holidays = result.holidays || [];
+                this.blackouts = result.blackouts || [];
+                this.loadCalendar();
+            })
+            .catch((error) => {
+                if (requestId === this.requestId) {
+                    this.errorMessage = error?.body?.message || 'Holidays and blackout dates could not be loaded.';
+                }
+            })
+            .finally(() => {
+                if (requestId === this.requestId) {
+                    this.isLoading = false;
+                }
+            });
+    }
+
+    formatDate(date) {
+        return `${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}-${date.getFullYear()}`;
+    }
+}
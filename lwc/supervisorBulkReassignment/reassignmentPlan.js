@@ -0,0 +1,91 @@
+/**
+ * Reassignment Plan
+ *
+ * Distributes the records selected in SupervisorWorkflowGroupingDashboard over
+ * one or more target users and summarises the resulting load per user for the
+ * bulk reassignment preview.
+ *
+ * Key Features:
+ * - single: every record goes to one user
+ * - roundRobin: records are dealt out in turn over the chosen team members
+ * - leastLoaded: every record goes to the team member with the lowest open load,
+ *   counting the records already planned for them
+ * - Preview rows with the current open load, the records being added and the new load
+ *
+ * Usage:
+ *   const plan = buildPlan(records, userIds, STRATEGIES.LEAST_LOADED, loadByUser);
+ *   // [{ recordId, label, ownerId }]
+ *   const preview = summarizePlan(plan, userIds, loadByUser);
+ *   // [{ userId, currentLoad, adding, newLoad }]
+ */
+
+const STRATEGIES = {
+    SINGLE: 'single',
+    ROUND_ROBIN: 'roundRobin',
+    LEAST_LOADED: 'leastLoaded'
+};
+
+const loadOf = (loadByUser, userId) => Number((loadByUser || {})[userId]) || 0;
+
+// ============================================================================
+// PLAN
+// ============================================================================
+
+/**
+ * Assign every record to a target user
+ * @param {Array<object>} records - { recordId, label } of the selected rows
+ * @param {Array<string>} userIds - Target users, in the order the supervisor listed them
+ * @param {string} strategy - One of STRATEGIES; single uses the first user
+ * @param {object} loadByUser - User Id to current open load
+ * @returns {Array<object>} { recordId, label, ownerId } per record, empty without target users
+ */
+const buildPlan = (records, userIds, strategy, loadByUser = {}) => {
+    const targets = (userIds || []).filter((userId) => userId);
+    if (!targets.length) {
+        return [];
+    }
+    const planned = {};
+    targets.forEach((userId) => {
+        planned[userId] = 0;
+    });
+
+    return (records || []).map((record, index) => {
+        let ownerId;
+        if (strategy === STRATEGIES.ROUND_ROBIN) {
+            ownerId = targets[index % targets.length];
+        } else if (strategy === STRATEGIES.LEAST_LOADED) {
+            // ties go to the user listed first
+            ownerId = targets.reduce((best, userId) =>
+                loadOf(loadByUser, userId) + planned[userId] < loadOf(loadByUser, best) + planned[best] ? userId : best
+            );
+        } else {
+            ownerId = targets[0];
+        }
+        planned[ownerId] += 1;
+        return { recordId: record.recordId, label: record.label, ownerId };
+    });
+};
+
+/**
+ * Load per target user before and after the plan
+ * @param {Array<object>} plan - Result of buildPlan
+ * @param {Array<string>} userIds - Target users
+ * @param {object} loadByUser - User Id to current open load
+ * @returns {Array<object>} { userId, currentLoad, adding, newLoad } per target user
+ */
+const summarizePlan = (plan, userIds, loadByUser = {}) => {
+    const adding = {};
+    (plan || []).forEach((line) => {
+        adding[line.ownerId] = (adding[line.ownerId] || 0) + 1;
+    });
+    return (userIds || [])
+        .filter((userId) => userId)
+        .map((userId) => ({
+            userId,
+            currentLoad: loadOf(loadByUser, userId),
+            adding: adding[userId] || 0,
+            newLoad: loadOf(loadByUser, userId) + (adding[userId] || 0)
+        }));
+};
+
+export { STRATEGIES, buildPlan, summarizePlan };
@@ -0,0 +1,289 @@
+import { LightningElement, api } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getAssigneeWorkload from '@salesforce/apex/SupervisorReassignmentService.getAssigneeWorkload';
+import reassignRecords from '@salesforce/apex/SupervisorReassignmentService.reassignRecords';
+import rollbackReassignment from '@salesforce/apex/SupervisorReassignmentService.rollbackReassignment';
+import { STRATEGIES, buildPlan, summarizePlan } from './reassignmentPlan';
+
+const STEP_PLAN = 'plan';
+const STEP_PREVIEW = 'preview';
+const STEP_RESULTS = 'results';
+
+const errorMessageOf = (error, fallback) => (error && error.body && error.body.message) || fallback;
+
+/**
+ * Bulk reassignment dialog of SupervisorWorkflowGroupingDashboard.
+ * The supervisor picks one user or a team and a distribution strategy, previews the
+ * load every user ends up with, applies the reassignment and gets the outcome per
+ * record. Reassignments made while the dashboard is open can be rolled back to the
+ * previous owners.
+ */
+export default class SupervisorBulkReassignment extends LightningElement {
+    /** Records to reassign: { recordId, label, ownerName } */
+    @api records = [];
+    /** Team members offered as targets: { value, label } */
+    @api teamMembers = [];
+    /** User preselected on the dashboard */
+    @api defaultUserId;
+    /** task or case - which open load is shown and balanced */
+    @api workloadType = 'task';
+
+    isOpen = false;
+    step = STEP_PLAN;
+    strategy = STRATEGIES.SINGLE;
+    singleUserId;
+    teamUserIds = [];
+    plan = [];
+    preview = [];
+    results = [];
+    resultsTitle = '';
+    batches = [];
+    isWorking = false;
+    errorMessage;
+
+    @api
+    open() {
+        this.step = STEP_PLAN;
+        this.strategy = STRATEGIES.SINGLE;
+        this.singleUserId = this.defaultUserId && this.defaultUserId !== 'None' ? this.defaultUserId : undefined;
+        this.teamUserIds = (this.teamMembers || []).map((member) => member.value);
+        this.plan = [];
+        this.preview = [];
+        this.results = [];
+        this.errorMessage = undefined;
+        this.isOpen = true;
+    }
+
+    // ========================================================================
+    // GETTERS
+    // ========================================================================
+
+    get isPlanStep() {
+        return this.step === STEP_PLAN;
+    }
+
+    get isPreviewStep() {
+        return this.step === STEP_PREVIEW;
+    }
+
+    get isResultsStep() {
+        return this.step === STEP_RESULTS;
+    }
+
+    get recordCount() {
+        return (this.records || []).length;
+    }
+
+    get strategyOptions() {
+        return [
+            { label: 'One user', value: STRATEGIES.SINGLE },
+            { label: 'Round-robin across team', value: STRATEGIES.ROUND_ROBIN },
+            { label: 'Least loaded in team', value: STRATEGIES.LEAST_LOADED }
+        ];
+    }
+
+    get isSingleStrategy() {
+        return this.strategy === STRATEGIES.SINGLE;
+    }
+
+    get targetUserIds() {
+        return this.isSingleStrategy ? [this.singleUserId].filter((userId) => userId) : this.teamUserIds;
+    }
+
+    get disablePreview() {
+        return this.isWorking || this.recordCount === 0 || this.targetUserIds.length === 0;
+    }
+
+    get loadLabel() {
+        return this.workloadType === 'case' ? 'Open Cases' : 'Open Tasks';
+    }
+
+    get sessionBatches() {
+        return this.batches.map((batch) => ({
+            ...batch,
+            disableRollback: this.isWorking || batch.rolledBack || batch.lines.length === 0
+        }));
+    }
+
+    get hasBatches() {
+        return this.batches.length > 0;
+    }
+
+    userName(userId) {
+        const member = (this.teamMembers || []).find((user) => user.value === userId);
+        return member ? member.label : userId;
+    }
+
+    // ========================================================================
+    // HANDLERS
+    // ========================================================================
+
+    handleStrategyChange(event) {
+        this.strategy = event.detail.value;
+    }
+
+    handleUserChange(event) {
+        this.singleUserId = event.detail.value;
+    }
+
+    handleTeamChange(event) {
+        this.teamUserIds = event.detail.value;
+    }
+
+    handlePreview() {
+        const userIds = this.targetUserIds;
+        this.isWorking = true;
+        this.errorMessage = undefined;
+        getAssigneeWorkload({ userIds })
+            .then((result) => {
+                if (!result.isSuccess) {
+                    this.errorMessage = result.errorMessage;
+                    return;
+                }
+                const loadField = this.workloadType === 'case' ? 'openCases' : 'openTasks';
+                const loadByUser = {};
+                Object.keys(result.workload || {}).forEach((userId) => {
+                    loadByUser[userId] = result.workload[userId][loadField];
+                });
+                this.plan = buildPlan(this.records, userIds, this.strategy, loadByUser).map((line) => ({
+                    ...line,
+                    previousOwnerName: this.ownerNameOf(line.recordId),
+                    ownerName: this.userName(line.ownerId)
+                }));
+                this.preview = summarizePlan(this.plan, userIds, loadByUser).map((line) => ({
+                    ...line,
+                    userName: this.userName(line.userId)
+                }));
+                this.step = STEP_PREVIEW;
+            })
+            .catch((error) => {
+                this.errorMessage = errorMessageOf(error, 'Unable to load the current workload.');
+            })
+            .finally(() => {
+                this.isWorking = false;
+            });
+    }
+
+    handleBack() {
+        this.step = STEP_PLAN;
+    }
+
+    handleConfirm() {
+        const plan = this.plan;
+        this.isWorking = true;
+        this.errorMessage = undefined;
+        reassignRecords({
+            assignmentsJson: JSON.stringify(plan.map((line) => ({ recordId: line.recordId, ownerId: line.ownerId })))
+        })
+            .then((result) => {
+                if (!result.isSuccess) {
+                    this.errorMessage = result.errorMessage;
+                    return;
+                }
+                const results = this.describeResults(result.results, plan);
+                this.batches = [
+                    {
+                        id: String(Date.now()),
+                        createdDate: new Date().toISOString(),
+                        title: `${result.successCount} of ${plan.length} records reassigned`,
+                        rolledBack: false,
+                        lines: results.filter((line) => line.isSuccess)
+                    },
+                    ...this.batches
+                ];
+                this.showResults('Reassignment Results', results, result);
+            })
+            .catch((error) => {
+                this.errorMessage = errorMessageOf(error, 'Unable to reassign the records.');
+            })
+            .finally(() => {
+                this.isWorking = false;
+            });
+    }
+
+    handleRollback(event) {
+        const batch = this.batches.find((item) => item.id === event.target.dataset.id);
+        if (!batch) {
+            return;
+        }
+        this.isWorking = true;
+        this.errorMessage = undefined;
+        rollbackReassignment({
+            rollbackJson: JSON.stringify(
+                batch.lines.map((line) => ({
+                    recordId: line.recordId,
+                    ownerId: line.previousOwnerId,
+                    expectedOwnerId: line.ownerId
+                }))
+            )
+        })
+            .then((result) => {
+                if (!result.isSuccess) {
+                    this.errorMessage = result.errorMessage;
+                    return;
+                }
+                const plan = batch.lines.map((line) => ({
+                    recordId: line.recordId,
+                    label: line.label,
+                    ownerName: line.previousOwnerName
+                }));
+                this.batches = this.batches.map((item) => (item.id === batch.id ? { ...item, rolledBack: true } : item));
+                this.showResults('Rollback Results', this.describeResults(result.results, plan), result);
+            })
+            .catch((error) => {
+                this.errorMessage = errorMessageOf(error, 'Unable to roll back the reassignment.');
+            })
+            .finally(() => {
+                this.isWorking = false;
+            });
+    }
+
+    handleClose() {
+        this.isOpen = false;
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    ownerNameOf(recordId) {
+        const record = (this.records || []).find((item) => item.recordId === recordId);
+        return record ? record.ownerName : '';
+    }
+
+    /**
+     * Combine the per record results of the service with the labels of the plan
+     */
+    describeResults(serviceResults, plan) {
+        return (serviceResults || []).map((line, index) => {
+            const planned = plan[index] || {};
+            return {
+                recordId: line.recordId,
+                label: planned.label,
+                ownerId: line.ownerId,
+                ownerName: planned.ownerName || this.userName(line.ownerId),
+                previousOwnerId: line.previousOwnerId,
+                previousOwnerName: planned.previousOwnerName || this.userName(line.previousOwnerId),
+                isSuccess: line.isSuccess,
+                status: line.isSuccess ? 'Done' : line.errorMessage,
+                statusClass: line.isSuccess ? 'slds-text-color_success' : 'slds-text-color_error'
+            };
+        });
+    }
+
+    showResults(title, results, result) {
+        this.resultsTitle = title;
+        this.results = results;
+        this.step = STEP_RESULTS;
+        this.dispatchEvent(
+            new ShowToastEvent({
+                title,
+                message: `${result.successCount} succeeded, ${result.failureCount} failed.`,
+                variant: result.failureCount > 0 ? 'warning' : 'success'
+            })
+        );
+        // let the dashboard refresh its tables
+        this.dispatchEvent(new CustomEvent('reassigned', { detail: { successCount: result.successCount } }));
+    }
+}
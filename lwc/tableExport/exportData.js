@@ -0,0 +1,237 @@
+/**
+ * Export Data
+ *
+ * Turns table columns and rows into typed export cells for tableExport and
+ * writes RFC 4180 CSV.
+ *
+ * Key Features:
+ * - Columns use the lightning-datatable column shape ({ label, fieldName, type, typeAttributes });
+ *   fieldName may be a dotted path into the row (e.g. 'acc.CaseNumber')
+ * - Hidden and action/button columns are left out
+ * - Only the selected rows are exported when a selection is given
+ * - Rows are sorted on the column the table is sorted by, comparing typed values
+ * - Typed cells: number, currency, percent (fraction, 0.25 = 25%), date, datetime, boolean, text
+ * - CSV: CRLF line breaks, quoted fields where needed, UTF-8 byte order mark for Excel and
+ *   text cells that would start a formula are prefixed with an apostrophe
+ *
+ * Usage:
+ *   const table = prepareExport({ columns, rows, keyField: 'Id', selectedKeys, sortedBy, sortedDirection });
+ *   const csv = toCsv(table);
+ */
+
+const NUMBER_TYPES = ['number', 'integer', 'currency', 'percent'];
+const DATE_TYPES = ['date', 'date-local'];
+const DATETIME_TYPES = ['datetime'];
+const SKIPPED_TYPES = ['action', 'button', 'button-icon'];
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Read a (dotted) field path from a row
+ */
+const valueAt = (row, path) => {
+    if (!row || !path) {
+        return undefined;
+    }
+    return String(path)
+        .split('.')
+        .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), row);
+};
+
+/**
+ * Export type of a column; datatable types are matched case-insensitively ('Date' = 'date')
+ */
+const typeOf = (column) => String(column.type || 'text').toLowerCase();
+
+// ============================================================================
+// TYPED VALUES
+// ============================================================================
+
+const toNumber = (value) => {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    if (isBlank(value)) {
+        return null;
+    }
+    const number = Number(String(value).replace(/[^0-9.eE-]/g, ''));
+    return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Parse a date value; 'YYYY-MM-DD' is a calendar date and is not shifted by the time zone
+ * @returns {object|null} { year, month, day, hours, minutes, seconds } in local time
+ */
+const toDateParts = (value) => {
+    if (isBlank(value)) {
+        return null;
+    }
+    const dateOnly = typeof value === 'string' ? DATE_ONLY.exec(value) : null;
+    if (dateOnly) {
+        return { year: Number(dateOnly[1]), month: Number(dateOnly[2]), day: Number(dateOnly[3]), hours: 0, minutes: 0, seconds: 0 };
+    }
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        return null;
+    }
+    return {
+        year: date.getFullYear(),
+        month: date.getMonth() + 1,
+        day: date.getDate(),
+        hours: date.getHours(),
+        minutes: date.getMinutes(),
+        seconds: date.getSeconds()
+    };
+};
+
+/**
+ * Typed value of a cell
+ * @returns {object} { kind: 'number'|'date'|'datetime'|'boolean'|'text'|'blank', value, format }
+ */
+const cellOf = (column, row) => {
+    const type = typeOf(column);
+    let raw = valueAt(row, column.fieldName);
+    // url columns show their label field
+    if (type === 'url' && column.typeAttributes && column.typeAttributes.label && column.typeAttributes.label.fieldName) {
+        raw = valueAt(row, column.typeAttributes.label.fieldName);
+    }
+    if (isBlank(raw)) {
+        return { kind: 'blank', value: '' };
+    }
+    if (NUMBER_TYPES.includes(type)) {
+        const number = toNumber(raw);
+        return number === null ? { kind: 'text', value: String(raw) } : { kind: 'number', value: number, format: type };
+    }
+    if (DATE_TYPES.includes(type) || DATETIME_TYPES.includes(type)) {
+        const parts = toDateParts(raw);
+        if (!parts) {
+            return { kind: 'text', value: String(raw) };
+        }
+        return { kind: DATE_TYPES.includes(type) ? 'date' : 'datetime', value: parts };
+    }
+    if (type === 'boolean') {
+        return { kind: 'boolean', value: raw === true || String(raw).toLowerCase() === 'true' };
+    }
+    return { kind: 'text', value: String(raw) };
+};
+
+const sortKeyOf = (cell) => {
+    if (cell.kind === 'number') {
+        return cell.value;
+    }
+    if (cell.kind === 'date' || cell.kind === 'datetime') {
+        const { year, month, day, hours, minutes, seconds } = cell.value;
+        return Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    }
+    if (cell.kind === 'boolean') {
+        return cell.value ? 1 : 0;
+    }
+    return String(cell.value).toLowerCase();
+};
+
+// ============================================================================
+// PREPARATION
+// ============================================================================
+
+/**
+ * Pick the columns and rows to export and type every cell
+ * @param {object} options
+ *   columns: table columns; a column with hidden: true is skipped
+ *   rows: rows in the order the table shows them (already filtered)
+ *   keyField: row key, required for selectedKeys
+ *   selectedKeys: keys of the selected rows; when not empty only these rows are exported
+ *   sortedBy / sortedDirection: the column (fieldName) and direction the table is sorted by
+ * @returns {object} { columns, rows } where rows are arrays of typed cells
+ */
+const prepareExport = (options = {}) => {
+    const columns = (options.columns || []).filter(
+        (column) => column && !column.hidden && !SKIPPED_TYPES.includes(typeOf(column))
+    );
+    let rows = options.rows || [];
+
+    const selectedKeys = options.selectedKeys || [];
+    if (selectedKeys.length && options.keyField) {
+        rows = rows.filter((row) => selectedKeys.includes(valueAt(row, options.keyField)));
+    }
+
+    const typedRows = rows.map((row) => columns.map((column) => cellOf(column, row)));
+
+    const sortIndex = options.sortedBy ? columns.findIndex((column) => column.fieldName === options.sortedBy) : -1;
+    if (sortIndex > -1) {
+        const direction = options.sortedDirection === 'desc' ? -1 : 1;
+        // stable sort, blanks last
+        typedRows
+            .map((cells, index) => ({ cells, index }))
+            .sort((a, b) => {
+                const left = a.cells[sortIndex];
+                const right = b.cells[sortIndex];
+                if (left.kind === 'blank' || right.kind === 'blank') {
+                    return left.kind === right.kind ? a.index - b.index : left.kind === 'blank' ? 1 : -1;
+                }
+                const leftKey = sortKeyOf(left);
+                const rightKey = sortKeyOf(right);
+                if (leftKey === rightKey) {
+                    return a.index - b.index;
+                }
+                return (leftKey > rightKey ? 1 : -1) * direction;
+            })
+            .forEach((entry, position) => {
+                typedRows[position] = entry.cells;
+            });
+    }
+
+    return {
+        columns: columns.map((column) => ({ label: column.label || column.fieldName || '', type: typeOf(column) })),
+        rows: typedRows
+    };
+};
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+const formatCsvCell = (cell) => {
+    const parts = cell.value;
+    switch (cell.kind) {
+        case 'number':
+            if (cell.format === 'currency') {
+                return cell.value.toFixed(2);
+            }
+            if (cell.format === 'percent') {
+                return `${Math.round(cell.value * 10000) / 100}%`;
+            }
+            return String(cell.value);
+        case 'date':
+            return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+        case 'datetime':
+            return `${parts.year}-${pad(parts.month)}-${pad(parts.day)} ${pad(parts.hours)}:${pad(parts.minutes)}:${pad(parts.seconds)}`;
+        case 'boolean':
+            return cell.value ? 'TRUE' : 'FALSE';
+        case 'text':
+            // keep spreadsheet applications from evaluating the text as a formula
+            return FORMULA_PREFIXES.includes(cell.value.charAt(0)) ? `'${cell.value}` : cell.value;
+        default:
+            return '';
+    }
+};
+
+const quoteCsv = (text) => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+/**
+ * Write a prepared table as RFC 4180 CSV
+ * @param {object} table - Result of prepareExport
+ * @returns {string} CSV text starting with a UTF-8 byte order mark
+ */
+const toCsv = (table) => {
+    const lines = [table.columns.map((column) => quoteCsv(column.label))];
+    table.rows.forEach((cells) => {
+        lines.push(cells.map((cell) => quoteCsv(formatCsvCell(cell))));
+    });
+    return '\uFEFF' + lines.map((line) => line.join(',')).join('\r\n') + '\r\n';
+};
+
+export { valueAt, prepareExport, toCsv };
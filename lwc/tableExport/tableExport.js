@@ -0,0 +1,46 @@
+import { LightningElement, api } from 'lwc';
+import { valueAt, prepareExport, toCsv } from './exportData';
+import { XLSX_MIME_TYPE, toXlsx } from './xlsxWriter';
+import { downloadFile } from 'c/fileDownload';
+
+const CSV_MIME_TYPE = 'text/csv;charset=utf-8';
+
+const fileNameOf = (name, extension) => {
+    const base = String(name || 'Export')
+        .replace(/\.(xlsx?|csv)$/i, '')
+        .replace(/[\\/:*?"<>|]/g, ' ')
+        .trim();
+    return `${base || 'Export'}.${extension}`;
+};
+
+/**
+ * Export engine for data tables.
+ * Aura components embed it (<c:tableExport aura:id="tableExport"/>) and call
+ * exportXlsx / exportCsv; LWC components can import the named functions instead.
+ *
+ * Options of both methods:
+ *   fileName, sheetName, title (xlsx only: bold first row)
+ *   columns, rows, keyField, selectedKeys, sortedBy, sortedDirection (see exportData.prepareExport)
+ * Both return the number of exported rows.
+ */
+export default class TableExport extends LightningElement {
+    @api
+    exportXlsx(options = {}) {
+        const table = prepareExport(options);
+        downloadFile(
+            toXlsx(table, { sheetName: options.sheetName, title: options.title }),
+            XLSX_MIME_TYPE,
+            fileNameOf(options.fileName, 'xlsx')
+        );
+        return table.rows.length;
+    }
+
+    @api
+    exportCsv(options = {}) {
+        const table = prepareExport(options);
+        downloadFile(toCsv(table), CSV_MIME_TYPE, fileNameOf(options.fileName, 'csv'));
+        return table.rows.length;
+    }
+}
+
+export { valueAt, prepareExport, toCsv, toXlsx };
@@ -0,0 +1,332 @@
+/**
+ * XLSX Writer
+ *
+ * Writes a table prepared by exportData.prepareExport as an Office Open XML
+ * workbook (.xlsx) with a single worksheet, without third party libraries.
+ *
+ * Key Features:
+ * - Numbers, dates and booleans are written as typed cells, not text
+ * - Number formats for currency, percent, integer, date and date/time columns
+ * - Bold, frozen header row and column widths fitted to the content
+ * - Optional bold title row above the header (e.g. the account the rows belong to)
+ * - The package is a zip archive with stored (uncompressed) entries
+ *
+ * Usage:
+ *   const bytes = toXlsx(prepareExport(options), { sheetName: 'Tasks', title: 'Account Name : ACME' });
+ *   // Uint8Array, download with XLSX_MIME_TYPE
+ */
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const MAX_SHEET_NAME_LENGTH = 31;
+const MAX_COLUMN_WIDTH = 60;
+const MS_PER_DAY = 86400000;
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+// cellXfs indexes of styles.xml
+const STYLE = {
+    DEFAULT: 0,
+    BOLD: 1,
+    DATE: 2,
+    DATETIME: 3,
+    CURRENCY: 4,
+    PERCENT: 5,
+    INTEGER: 6
+};
+
+// ============================================================================
+// XML
+// ============================================================================
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const escapeXml = (text) =>
+    String(text)
+        // characters XML 1.0 does not allow
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+/**
+ * Column letters of a zero based index: 0 = A, 26 = AA
+ */
+const columnName = (index) => {
+    let name = '';
+    let remaining = index + 1;
+    while (remaining > 0) {
+        const letter = (remaining - 1) % 26;
+        name = String.fromCharCode(65 + letter) + name;
+        remaining = Math.floor((remaining - 1) / 26);
+    }
+    return name;
+};
+
+const sheetNameOf = (name) =>
+    (String(name || 'Sheet1').replace(/[[\]:*?/\\]/g, ' ').trim() || 'Sheet1').substring(0, MAX_SHEET_NAME_LENGTH);
+
+const serialOf = ({ year, month, day, hours, minutes, seconds }) =>
+    (Date.UTC(year, month - 1, day, hours, minutes, seconds) - EXCEL_EPOCH) / MS_PER_DAY;
+
+const styleOf = (cell) => {
+    if (cell.kind === 'date') {
+        return STYLE.DATE;
+    }
+    if (cell.kind === 'datetime') {
+        return STYLE.DATETIME;
+    }
+    if (cell.kind === 'number') {
+        if (cell.format === 'currency') {
+            return STYLE.CURRENCY;
+        }
+        if (cell.format === 'percent') {
+            return STYLE.PERCENT;
+        }
+        if (cell.format === 'integer') {
+            return STYLE.INTEGER;
+        }
+    }
+    return STYLE.DEFAULT;
+};
+
+const textCell = (ref, text, style) =>
+    `<c r="${ref}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+
+const cellXml = (ref, cell) => {
+    switch (cell.kind) {
+        case 'number':
+            return `<c r="${ref}" s="${styleOf(cell)}"><v>${cell.value}</v></c>`;
+        case 'date':
+        case 'datetime':
+            return `<c r="${ref}" s="${styleOf(cell)}"><v>${serialOf(cell.value)}</v></c>`;
+        case 'boolean':
+            return `<c r="${ref}" t="b"><v>${cell.value ? 1 : 0}</v></c>`;
+        case 'text':
+            return textCell(ref, cell.value);
+        default:
+            return '';
+    }
+};
+
+const displayLength = (cell) => {
+    if (cell.kind === 'date') {
+        return 10;
+    }
+    if (cell.kind === 'datetime') {
+        return 16;
+    }
+    return String(cell.value).length;
+};
+
+const worksheetXml = (table, title) => {
+    const rows = [];
+    let rowNumber = 1;
+    if (title) {
+        rows.push(`<row r="${rowNumber}">${textCell(`A${rowNumber}`, title, STYLE.BOLD)}</row>`);
+        rowNumber += 2;
+    }
+    const headerRow = rowNumber;
+    rows.push(
+        `<row r="${rowNumber}">${table.columns
+            .map((column, index) => textCell(`${columnName(index)}${rowNumber}`, column.label, STYLE.BOLD))
+            .join('')}</row>`
+    );
+    table.rows.forEach((cells) => {
+        rowNumber += 1;
+        rows.push(
+            `<row r="${rowNumber}">${cells.map((cell, index) => cellXml(`${columnName(index)}${rowNumber}`, cell)).join('')}</row>`
+        );
+    });
+
+    const widths = table.columns.map((column, index) =>
+        Math.min(
+            MAX_COLUMN_WIDTH,
+            Math.max(String(column.label).length, ...table.rows.map((cells) => displayLength(cells[index]))) + 2
+        )
+    );
+    const cols = widths.length
+        ? `<cols>${widths.map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+        : '';
+
+    return (
+        XML_HEADER +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        `<sheetViews><sheetView workbookViewId="0"><pane ySplit="${headerRow}" topLeftCell="A${headerRow + 1}" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>` +
+        cols +
+        `<sheetData>${rows.join('')}</sheetData>` +
+        '</worksheet>'
+    );
+};
+
+const STYLES_XML =
+    XML_HEADER +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<numFmts count="2">' +
+    '<numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/>' +
+    '<numFmt numFmtId="165" formatCode="&quot;$&quot;#,##0.00"/>' +
+    '</numFmts>' +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="7">' +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="10" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="1" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '</cellXfs>' +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    '</styleSheet>';
+
+const packageParts = (table, options) => [
+    {
+        name: '[Content_Types].xml',
+        content:
+            XML_HEADER +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            '</Types>'
+    },
+    {
+        name: '_rels/.rels',
+        content:
+            XML_HEADER +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>'
+    },
+    {
+        name: 'xl/workbook.xml',
+        content:
+            XML_HEADER +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<sheets><sheet name="${escapeXml(sheetNameOf(options.sheetName))}" sheetId="1" r:id="rId1"/></sheets>` +
+            '</workbook>'
+    },
+    {
+        name: 'xl/_rels/workbook.xml.rels',
+        content:
+            XML_HEADER +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+            '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+            '</Relationships>'
+    },
+    { name: 'xl/styles.xml', content: STYLES_XML },
+    { name: 'xl/worksheets/sheet1.xml', content: worksheetXml(table, options.title) }
+];
+
+// ============================================================================
+// ZIP
+// ============================================================================
+
+let crcTable;
+
+const crc32 = (bytes) => {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Zip archive with stored entries
+ * @param {Array<object>} files - { name, content } with string content
+ * @returns {Uint8Array}
+ */
+const zip = (files) => {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const entries = files.map((file) => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        return { name, data, crc: crc32(data) };
+    });
+    const localSize = entries.reduce((size, entry) => size + 30 + entry.name.length + entry.data.length, 0);
+    const centralSize = entries.reduce((size, entry) => size + 46 + entry.name.length, 0);
+    const bytes = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(bytes.buffer);
+
+    let offset = 0;
+    const header = (entry, central, localOffset) => {
+        view.setUint32(offset, central ? 0x02014b50 : 0x04034b50, true);
+        offset += 4;
+        if (central) {
+            view.setUint16(offset, 20, true); // version made by
+            offset += 2;
+        }
+        view.setUint16(offset, 20, true); // version needed
+        view.setUint16(offset + 2, 0x0800, true); // UTF-8 names
+        view.setUint16(offset + 4, 0, true); // stored
+        view.setUint16(offset + 6, dosTime, true);
+        view.setUint16(offset + 8, dosDate, true);
+        view.setUint32(offset + 10, entry.crc, true);
+        view.setUint32(offset + 14, entry.data.length, true);
+        view.setUint32(offset + 18, entry.data.length, true);
+        view.setUint16(offset + 22, entry.name.length, true);
+        view.setUint16(offset + 24, 0, true); // extra field
+        offset += 26;
+        if (central) {
+            view.setUint16(offset, 0, true); // comment
+            view.setUint16(offset + 2, 0, true); // disk
+            view.setUint16(offset + 4, 0, true); // internal attributes
+            view.setUint32(offset + 6, 0, true); // external attributes
+            view.setUint32(offset + 10, localOffset, true);
+            offset += 14;
+        }
+        bytes.set(entry.name, offset);
+        offset += entry.name.length;
+    };
+
+    const localOffsets = entries.map((entry) => {
+        const localOffset = offset;
+        header(entry, false);
+        bytes.set(entry.data, offset);
+        offset += entry.data.length;
+        return localOffset;
+    });
+    const centralOffset = offset;
+    entries.forEach((entry, index) => header(entry, true, localOffsets[index]));
+
+    view.setUint32(offset, 0x06054b50, true);
+    view.setUint16(offset + 4, 0, true);
+    view.setUint16(offset + 6, 0, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, offset - centralOffset, true);
+    view.setUint32(offset + 16, centralOffset, true);
+    view.setUint16(offset + 20, 0, true);
+    return bytes;
+};
+
+/**
+ * Write a prepared table as an .xlsx workbook
+ * @param {object} table - Result of prepareExport
+ * @param {object} options - sheetName, title (optional bold first row)
+ * @returns {Uint8Array} Workbook bytes
+ */
+const toXlsx = (table, options = {}) => zip(packageParts(table, options));
+
+export { XLSX_MIME_TYPE, toXlsx };
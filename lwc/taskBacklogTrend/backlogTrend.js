@@ -0,0 +1,236 @@
+/**
+ * Backlog Trend
+ *
+ * Data side of the task bundling dashboard (ChartToggleBar): counts the open tasks of the
+ * parent vendor, vendor and location rows the dashboard loads, turns stored snapshots into
+ * trend series and computes the period-over-period change of every bar.
+ *
+ * Key Features:
+ * - Same User (All, Genesys Integration, Others) and Task Type (All, Project Services,
+ *   Customer Services) filters as the dashboard
+ * - Snapshots (captured daily by TaskBacklogSnapshotJob) keep four counts, so every filter
+ *   combination can be derived from history; the task rules match TaskBacklogTrendService
+ * - Drill-down: the vendors of a parent vendor and the locations of a vendor are the rows that
+ *   share tasks with it
+ * - Trend series per day or per week and % change against the previous day, week or 30 days
+ *
+ * Dashboard row: { AccountName, accRecord, tasklist: [{ Id, AssignedToName, AccountType, AssetProject, ... }] }
+ *
+ * Usage:
+ *   const ranked = rankEntries(vendorRows, { userView, taskType, limit: 10 });
+ *   const compared = compareEntries(ranked, baselineSnapshots, { userView, taskType });
+ *   const { categories, series } = trendSeriesOf(snapshots, ranked, { userView, taskType });
+ */
+
+const LEVELS = ['parentVendor', 'vendor', 'location'];
+const LEVEL_LABELS = { parentVendor: 'Parent Vendors', vendor: 'Vendors', location: 'Locations' };
+
+const GENESYS_USER = 'Genesys Integration';
+const PROJECT_ACCOUNT_TYPE = 'Construction and Demolition';
+
+// Days between a bar and the snapshot it is compared with
+const COMPARE_PERIODS = { day: 1, week: 7, month: 30 };
+const COMPARE_LABELS = { day: 'previous day', week: 'previous week', month: '30 days ago' };
+
+// Snapshots up to this many days before the comparison date may stand in for it
+const BASELINE_TOLERANCE_DAYS = 6;
+
+// ============================================================================
+// FILTERS AND COUNTS
+// ============================================================================
+
+const isGenesys = (task) => task.AssignedToName === GENESYS_USER;
+
+const isProjectServices = (task) =>
+    task.AccountType === PROJECT_ACCOUNT_TYPE || (task.AssetProject !== null && task.AssetProject !== undefined);
+
+/**
+ * Whether a task passes the dashboard filters
+ */
+const matchesFilter = (task, { userView = 'All', taskType = 'All' } = {}) => {
+    if (userView === GENESYS_USER && !isGenesys(task)) return false;
+    if (userView === 'Others' && isGenesys(task)) return false;
+    if (taskType === 'Project Services' && !isProjectServices(task)) return false;
+    if (taskType === 'Customer Services' && isProjectServices(task)) return false;
+    return true;
+};
+
+const tasksOf = (entry, filter) => ((entry && entry.tasklist) || []).filter((task) => matchesFilter(task, filter));
+
+/**
+ * Count of a filter combination from the four stored counts
+ */
+const countForFilter = (counts, { userView = 'All', taskType = 'All' } = {}) => {
+    const { total = 0, genesys = 0, projectServices = 0, genesysProjectServices = 0 } = counts || {};
+    const byUser = {
+        All: { All: total, 'Project Services': projectServices },
+        [GENESYS_USER]: { All: genesys, 'Project Services': genesysProjectServices },
+        Others: { All: total - genesys, 'Project Services': projectServices - genesysProjectServices }
+    }[userView] || { All: total, 'Project Services': projectServices };
+    if (taskType === 'Project Services') return byUser['Project Services'];
+    if (taskType === 'Customer Services') return byUser.All - byUser['Project Services'];
+    return byUser.All;
+};
+
+// ============================================================================
+// ROWS
+// ============================================================================
+
+const entryNameOf = (entry) => entry.AccountName || (entry.accRecord && entry.accRecord.Name) || '';
+
+/**
+ * Stable key of a row: the account id, the name when the row has no account
+ */
+const entryKeyOf = (entry) => (entry.accRecord && entry.accRecord.Id) || entryNameOf(entry);
+
+const taskKeyOf = (task) => task.Id || JSON.stringify(task);
+
+/**
+ * Rows with tasks after filtering, highest count first
+ * @returns {Array<object>} { key, name, count, entry }
+ */
+const rankEntries = (entries, { userView, taskType, limit } = {}) => {
+    const ranked = (entries || [])
+        .map((entry) => ({
+            key: entryKeyOf(entry),
+            name: entryNameOf(entry),
+            count: tasksOf(entry, { userView, taskType }).length,
+            entry
+        }))
+        .filter((row) => row.count > 0)
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    return limit ? ranked.slice(0, limit) : ranked;
+};
+
+/**
+ * Rows of the next level that share tasks with a row, each limited to the shared tasks
+ */
+const childEntriesOf = (parentEntry, childEntries) => {
+    const parentTasks = new Set(((parentEntry && parentEntry.tasklist) || []).map(taskKeyOf));
+    return (childEntries || [])
+        .map((entry) => ({ ...entry, tasklist: (entry.tasklist || []).filter((task) => parentTasks.has(taskKeyOf(task))) }))
+        .filter((entry) => entry.tasklist.length > 0);
+};
+
+const childLevelOf = (level) => LEVELS[LEVELS.indexOf(level) + 1] || null;
+
+// ============================================================================
+// DATES
+// ============================================================================
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toIsoDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/**
+ * { startDate, endDate } (yyyy-MM-dd) of the last N days up to today
+ */
+const windowOf = (days, today = new Date()) => ({
+    startDate: toIsoDate(addDays(today, -(parseInt(days, 10) - 1))),
+    endDate: toIsoDate(today)
+});
+
+/**
+ * Window of the snapshots a comparison may use: the comparison date and the days before it
+ */
+const baselineWindowOf = (compareWith, today = new Date()) => {
+    const compareDate = addDays(today, -COMPARE_PERIODS[compareWith]);
+    return {
+        startDate: toIsoDate(addDays(compareDate, -BASELINE_TOLERANCE_DAYS)),
+        endDate: toIsoDate(compareDate)
+    };
+};
+
+const formatPeriod = (isoDate, granularity) => {
+    const [, month, day] = String(isoDate).split('-');
+    return granularity === 'weekly' ? `Wk of ${month}/${day}` : `${month}/${day}`;
+};
+
+// ============================================================================
+// COMPARISON AND TRENDS
+// ============================================================================
+
+/**
+ * Change label of a bar, e.g. "+25%", "-10%", "new"
+ */
+const changeOf = (current, previous) => {
+    if (previous === null || previous === undefined) {
+        return { change: null, changeLabel: 'n/a' };
+    }
+    if (previous === 0) {
+        return { change: null, changeLabel: current > 0 ? 'new' : '0%' };
+    }
+    const change = Math.round(((current - previous) / previous) * 1000) / 10;
+    return { change, changeLabel: `${change > 0 ? '+' : ''}${change}%` };
+};
+
+/**
+ * Latest snapshot of every account
+ */
+const latestByKey = (snapshots) => {
+    const latest = new Map();
+    (snapshots || []).forEach((snapshot) => {
+        const current = latest.get(snapshot.accountKey);
+        if (!current || String(snapshot.snapshotDate) > String(current.snapshotDate)) {
+            latest.set(snapshot.accountKey, snapshot);
+        }
+    });
+    return latest;
+};
+
+/**
+ * Ranked rows with the count of the comparison snapshot and the % change
+ * @returns {Array<object>} { key, name, count, entry, previous, change, changeLabel }
+ */
+const compareEntries = (ranked, baselineSnapshots, filter) => {
+    const baseline = latestByKey(baselineSnapshots);
+    return (ranked || []).map((row) => {
+        const snapshot = baseline.get(row.key);
+        const previous = snapshot ? countForFilter(snapshot, filter) : null;
+        return { ...row, previous, ...changeOf(row.count, previous) };
+    });
+};
+
+/**
+ * Line series of the ranked rows over the periods of the snapshots
+ * @returns {object} { categories (labels), periods (yyyy-MM-dd), series: [{ name, data }] }
+ */
+const trendSeriesOf = (snapshots, ranked, filter, granularity = 'daily') => {
+    const periods = [...new Set((snapshots || []).map((snapshot) => String(snapshot.periodStart)))].sort();
+    const byKeyAndPeriod = new Map(
+        (snapshots || []).map((snapshot) => [`${snapshot.accountKey}|${snapshot.periodStart}`, snapshot])
+    );
+    return {
+        periods,
+        categories: periods.map((period) => formatPeriod(period, granularity)),
+        series: (ranked || []).map((row) => ({
+            name: row.name,
+            data: periods.map((period) => {
+                const snapshot = byKeyAndPeriod.get(`${row.key}|${period}`);
+                return snapshot ? countForFilter(snapshot, filter) : null;
+            })
+        }))
+    };
+};
+
+export {
+    LEVELS,
+    LEVEL_LABELS,
+    COMPARE_PERIODS,
+    COMPARE_LABELS,
+    matchesFilter,
+    tasksOf,
+    countForFilter,
+    entryKeyOf,
+    entryNameOf,
+    rankEntries,
+    childEntriesOf,
+    childLevelOf,
+    windowOf,
+    baselineWindowOf,
+    changeOf,
+    compareEntries,
+    trendSeriesOf
+};
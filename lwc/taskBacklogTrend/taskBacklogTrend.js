@@ -0,0 +1,102 @@
+import { LightningElement, api } from 'lwc';
+import getSnapshots from '@salesforce/apex/TaskBacklogTrendService.getSnapshots';
+import {
+    LEVEL_LABELS,
+    COMPARE_PERIODS,
+    COMPARE_LABELS,
+    tasksOf,
+    rankEntries,
+    childEntriesOf,
+    childLevelOf,
+    windowOf,
+    baselineWindowOf,
+    compareEntries,
+    trendSeriesOf
+} from './backlogTrend';
+
+const resultOf = (result) => {
+    if (!result || !result.isSuccess) {
+        throw new Error((result && result.errorMessage) || 'Task backlog history could not be loaded.');
+    }
+    return result;
+};
+
+/**
+ * Task backlog history of the task bundling dashboard.
+ * ChartToggleBar embeds it (<c:taskBacklogTrend aura:id="backlogTrend"/>) and calls the methods
+ * below; the asynchronous ones return promises.
+ *
+ * Filter of all methods: { userView, taskType } as selected on the dashboard.
+ *
+ * Methods:
+ *   rankEntries(entries, options)               rows with tasks, highest count first
+ *   childEntriesOf(parentEntry, childEntries)   drill-down rows of the next level
+ *   childLevelOf(level)                         next level: parentVendor > vendor > location
+ *   tasksOf(entry, filter)                      task list of a row
+ *   loadTrend(level, ranked, options)           { categories, series } over a window of days
+ *   loadComparison(level, ranked, options)      ranked rows with previous count and % change
+ */
+export default class TaskBacklogTrend extends LightningElement {
+    @api
+    rankEntries(entries, options) {
+        return rankEntries(entries, options);
+    }
+
+    @api
+    childEntriesOf(parentEntry, childEntries) {
+        return childEntriesOf(parentEntry, childEntries);
+    }
+
+    @api
+    childLevelOf(level) {
+        return childLevelOf(level);
+    }
+
+    @api
+    levelLabelOf(level) {
+        return LEVEL_LABELS[level] || '';
+    }
+
+    @api
+    compareLabelOf(compareWith) {
+        return COMPARE_LABELS[compareWith] || '';
+    }
+
+    @api
+    tasksOf(entry, filter) {
+        return tasksOf(entry, filter);
+    }
+
+    /**
+     * Options: days (window), granularity (daily, weekly), userView, taskType
+     */
+    @api
+    loadTrend(level, ranked, options = {}) {
+        const { startDate, endDate } = windowOf(options.days || 30);
+        return getSnapshots({
+            level,
+            accountKeys: (ranked || []).map((row) => row.key),
+            startDate,
+            endDate,
+            granularity: options.granularity || 'daily'
+        }).then((result) => trendSeriesOf(resultOf(result).snapshots, ranked, options, options.granularity));
+    }
+
+    /**
+     * Options: compareWith (day, week, month), userView, taskType
+     */
+    @api
+    loadComparison(level, ranked, options = {}) {
+        if (!COMPARE_PERIODS[options.compareWith]) {
+            return Promise.resolve(ranked);
+        }
+        const { startDate, endDate } = baselineWindowOf(options.compareWith);
+        return getSnapshots({
+            level,
+            accountKeys: (ranked || []).map((row) => row.key),
+            startDate,
+            endDate,
+            granularity: 'daily'
+        }).then((result) => compareEntries(ranked, resultOf(result).snapshots, options));
+    }
+}
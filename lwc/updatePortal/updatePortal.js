@@ -1,5 +1,4 @@
 import { LightningElement, track, api, wire } from 'lwc';
-import updateRecordToExSystem from '@salesforce/apex/UpdatePortal.updateRecordToExSystem';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { NavigationMixin } from 'lightning/navigation';
 import TwoWayAccessErrorMessage from '@salesforce/label/c.TwoWayAccessErrorMessage';
@@ -9,6 +8,16 @@ import TwowaycommentsPerPage from '@salesforce/label/c.TwowaycommentsPerPage';
 import getExternalStatus from '@salesforce/apex/UpdatePortal.getExternalStatus';
 import getOfficetraxServiceStatus from '@salesforce/apex/UpdatePortal.getOfficetraxServiceStatus'; //SDT-40151
 import { refreshApex } from "@salesforce/apex";
+import queueUpdate from '@salesforce/apex/PortalUpdateOutboxService.queueUpdate';
+import deliverUpdate from '@salesforce/apex/PortalUpdateOutboxService.deliverUpdate';
+import discardUpdate from '@salesforce/apex/PortalUpdateOutboxService.discardUpdate';
+import getUndeliveredUpdates from '@salesforce/apex/PortalUpdateOutboxService.getUndeliveredUpdates';
+
+//Row actions of outbox updates that have not reached the external system
+const OUTBOX_ACTIONS = [
+  { label: 'Retry now', name: 'retry', iconName: 'utility:refresh' },
+  { label: 'Discard', name: 'discard', iconName: 'utility:delete' }
+];
 
 const columns = [
   { label: 'Date', fieldName: 'updatedcreateDate', type: 'date', sortable: true, hideDefaultActions: true, wrapText: true, initialWidth: 230,
@@ -20,7 +29,11 @@ const columns = [
    },
   { label: 'Status', fieldName: 'serviceStatus', type: 'text', hideDefaultActions: true, wrapText: true, initialWidth: 400 },
   { label: 'System message', fieldName: 'userMessage', type: 'text', hideDefaultActions: true, wrapText: true },
-  { label: 'Exception message', fieldName: 'exceptionMessage', type: 'text', hideDefaultActions: true, wrapText: true }
+  { label: 'Exception message', fieldName: 'exceptionMessage', type: 'text', hideDefaultActions: true, wrapText: true },
+  { label: 'Delivery', fieldName: 'deliveryStatus', type: 'text', hideDefaultActions: true, wrapText: true, initialWidth: 220,
+  cellAttributes: { class: { fieldName: 'deliveryClass' } }
+  },
+  { type: 'action', typeAttributes: { rowActions: (row, doneCallback) => doneCallback(row.isOutbox ? OUTBOX_ACTIONS : []) } }
 ];
 
 
@@ -54,6 +67,9 @@ export default class SendAlert extends NavigationMixin(LightningElement) {
   currentPageRecord = 0
   RevisionsHistoryRecord
   serviceStatusVisible ;
+  //Outbox: updates not yet accepted by the external system
+  outboxRows = []
+  undeliveredUpdates
 
 
   connectedCallback() {
@@ -111,23 +127,67 @@ export default class SendAlert extends NavigationMixin(LightningElement) {
       return this.showToastMessage('Review error', `Value must be ${this.formatter.format(new Date())} or later.`, 'error')
     }
     this.showSpinner = true;
-    updateRecordToExSystem({ serviceDate: this.dateTimeValue, serviceStatus: this.selectedStatus, caseId: this.recordId }).then(result => {
-      if (result.problem === undefined || result.problem === null) {
+    //The update is stored in the outbox first, so a failed send is retried instead of lost
+    queueUpdate({ caseId: this.recordId, serviceDate: this.dateTimeValue, serviceStatus: this.selectedStatus, externalSystem: this.caseOrigin }).then(queued => {
+      if (!queued.isSuccess) {
+        return this.showToastMessage('error', queued.errorMessage, 'error');
+      }
+      this.handleReset()
+      return this.deliverOutboxUpdate(queued.outboxId)
+    }).catch(error => {
+      this.showToastMessage('error', TwoWayAccessErrorMessage, 'error');
+    })
+  }
+
+  //Sends an outbox update now; a failed attempt stays in the outbox and is retried with backoff,
+  //unless the portal rejected it for good
+  deliverOutboxUpdate(outboxId) {
+    this.showSpinner = true;
+    return deliverUpdate({ outboxId: outboxId }).then(result => {
+      if (result.delivered) {
         this.showToastMessage('Success', 'Successfully created', 'success');
-        this.reloadRevisionsHistoryRecord()
+      }
+      else if (result.isSuccess && result.status === 'Failed') {
+        this.showToastMessage('error', `${result.errorMessage} The update will not be retried automatically, retry or discard it in the change history.`, 'error');
+      }
+      else if (result.isSuccess) {
+        this.showToastMessage('warning', `${result.errorMessage} The update is saved and will be retried automatically.`, 'warning');
       }
       else {
-        var errorMessage = result.problem.errors[0].message;
-        this.showToastMessage('error', errorMessage, 'error');
+        this.showToastMessage('error', result.errorMessage, 'error');
       }
+      this.reloadRevisionsHistoryRecord()
     }).catch(error => {
       this.showToastMessage('error', TwoWayAccessErrorMessage, 'error');
+      this.reloadRevisionsHistoryRecord()
     })
   }
 
+  handleRowAction(event) {
+    const outboxId = event.detail.row.outboxId
+    if (event.detail.action.name === 'retry') {
+      this.deliverOutboxUpdate(outboxId)
+    }
+    else if (event.detail.action.name === 'discard') {
+      this.showSpinner = true
+      discardUpdate({ outboxId: outboxId }).then(result => {
+        if (result.isSuccess) {
+          this.showToastMessage('Success', 'The update was discarded and will not be sent.', 'success');
+        }
+        else {
+          this.showToastMessage('error', result.errorMessage, 'error');
+        }
+        this.reloadRevisionsHistoryRecord()
+      }).catch(error => {
+        this.showToastMessage('error', error.body ? error.body.message : error.message, 'error');
+      })
+    }
+  }
+
   reloadRevisionsHistoryRecord() {
     this.handleReset()
     refreshApex(this.RevisionsHistoryRecord)
+    refreshApex(this.undeliveredUpdates)
   }
 
   showToastMessage(title, message, variant) {
@@ -147,10 +207,14 @@ export default class SendAlert extends NavigationMixin(LightningElement) {
     this.showSpinner = true
     const { data, error } = result
     if (data != undefined && data.data != null && data.data != undefined) {
-      this.tableData = data.data.map(row => ({
+      //Rows of the change history are updates the external system has accepted
+      this.tableData = data.data.map((row, index) => ({
         ...row,
+        rowKey: row.Id || `history-${index}`,
         updatedcreateDate:new Date(row.createDate),
-        updatedServiceDate:new Date(row.serviceDate)
+        updatedServiceDate:new Date(row.serviceDate),
+        deliveryStatus: 'Delivered',
+        deliveryClass: 'slds-text-color_success'
       }));
       this.noRecordsToShow = false
       this.tableRecordCount = data.count
@@ -177,6 +241,49 @@ export default class SendAlert extends NavigationMixin(LightningElement) {
     }
   }
 
+  @wire(getUndeliveredUpdates, { caseId: '$recordId' })
+  wiredUndeliveredUpdates(result) {
+    this.undeliveredUpdates = result
+    const { data, error } = result
+    if (data != undefined && data.isSuccess) {
+      this.outboxRows = data.entries.map(entry => ({
+        rowKey: entry.id,
+        outboxId: entry.id,
+        isOutbox: true,
+        updatedcreateDate: new Date(entry.createDate),
+        createdBy: entry.createdBy,
+        updatedServiceDate: entry.serviceDate ? new Date(entry.serviceDate) : null,
+        serviceStatus: entry.serviceStatus,
+        exceptionMessage: entry.lastError,
+        deliveryStatus: this.deliveryStatusOf(entry),
+        deliveryClass: entry.status === 'Failed' ? 'slds-text-color_error' : 'slds-text-color_weak'
+      }));
+    }
+    else if (error) {
+      console.log('error msg ' + JSON.stringify(error.message))
+    }
+  }
+
+  deliveryStatusOf(entry) {
+    if (entry.status === 'Failed') {
+      return `Failed after ${entry.attemptCount} ${entry.attemptCount === 1 ? 'attempt' : 'attempts'}`
+    }
+    if (entry.attemptCount > 0 && entry.nextAttempt) {
+      const nextAttempt = new Date(entry.nextAttempt).toLocaleTimeString('en', { hour: '2-digit', minute: '2-digit' })
+      return `Pending, retry ${entry.attemptCount + 1} of ${entry.maxAttempts} at ${nextAttempt}`
+    }
+    return 'Pending'
+  }
+
+  //Undelivered outbox updates are listed above the first page of the change history
+  get historyRows() {
+    return this.historyRecordPageIndex == 0 ? [...this.outboxRows, ...this.tableData] : this.tableData
+  }
+
+  get noRowsToShow() {
+    return this.noRecordsToShow && this.outboxRows.length == 0
+  }
+
   nextHandler() {
     this.historyRecordPageIndex += 1
   }